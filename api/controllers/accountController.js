@@ -0,0 +1,89 @@
+// api/controllers/accountController.js
+import express from 'express';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { exportAccount, deleteAccount } from '../services/accountService';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Handles incoming HTTP requests for the account as a whole, interacting with the `accountService.js`.
+ * The export is streamed to the client as it is read from the database. Uses Express.js for routing and request handling.
+ * The router is mounted under `/api/account` and all routes are protected via auth middleware.
+ */
+
+const router = express.Router();
+router.use(authMiddleware.authenticate); // Protect all routes with authentication
+
+/**
+ * Handles exporting everything stored about the authenticated user as a zip of JSON files.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const exportAccountHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    let result;
+    try {
+        // Call the exportAccount method from accountService
+        result = await exportAccount(userId);
+    } catch (error) {
+        // Handle errors from accountService and send an error response
+        console.error('Error exporting account:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to export account. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+        return;
+    }
+
+    // Respond with 200 status code and stream the zip, writing at the pace the client reads
+    res.status(200);
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    try {
+        await pipeline(Readable.from(result.chunks), res);
+    } catch (error) {
+        // The response has started, so the download is cut short instead of sending an error response
+        console.error('Error streaming account export:', error);
+    }
+};
+
+
+/**
+ * Handles deleting the account of the authenticated user and all of the user's data.
+ * Extracts the `password` confirming the deletion from the request body.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const deleteAccountHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { password } = req.body || {};
+
+    try {
+        // Call the deleteAccount method from accountService
+        const { deleted } = await deleteAccount(userId, password);
+        // Respond with 200 status code and the number of deleted documents per collection
+        res.status(200).json({ message: 'Account deleted', deleted });
+    } catch (error) {
+        // Handle errors from accountService and send an error response
+        console.error('Error deleting account:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to delete account. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation, using the authMiddleware for protection
+router.get('/export', exportAccountHandler);
+router.delete('/', deleteAccountHandler);
+
+export default router;
@@ -0,0 +1,106 @@
+// api/controllers/activityController.js
+import express from 'express';
+import { importActivityFile, getActivityTrack } from '../services/activityService';
+import { sanitizeString, isValidObjectId } from '../../src/utils/helpers';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Handles incoming HTTP requests related to activity files recorded on GPS devices, interacting with the `activityService.js`.
+ * Uses Express.js for routing and request handling.
+ * The router is mounted under `/api/activities` and all routes are protected via auth middleware.
+ */
+
+const MAX_UPLOAD_SIZE = '25mb';
+
+const router = express.Router();
+router.use(authMiddleware.authenticate); // Protect all routes with authentication
+
+/**
+ * Sends a 400 response if the workoutId route parameter is not a valid ObjectId.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {boolean} True if a response was sent.
+ */
+const rejectInvalidWorkoutId = (req, res) => {
+    const { workoutId } = req.params;
+    if (!isValidObjectId(workoutId)) {
+        console.error('Invalid workoutId format:', workoutId);
+        res.status(400).json({
+            message: 'Invalid workoutId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+        return true;
+    }
+    return false;
+};
+
+
+/**
+ * Handles uploading an activity file, logging each activity in it as a workout of the authenticated user.
+ * The file is the raw request body; the workout `type` and comma-separated `goalIds` are read from the query string.
+ *
+ * @param {express.Request} req - The incoming request object, containing the file.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const uploadActivityHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { type, goalIds } = req.query;
+
+    try {
+        // Call the importActivityFile method from activityService
+        const result = await importActivityFile(userId, req.body, {
+            type: sanitizeString(type) || undefined,
+            goalIds: sanitizeString(goalIds) ? sanitizeString(goalIds).split(',').map((id) => id.trim()) : [],
+        });
+        // Respond with 201 status code and the imported workouts with their tracks
+        res.status(201).json(result);
+    } catch (error) {
+        // Handle errors from activityService and send an error response
+        console.error('Error importing activity file:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to import activity file. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles fetching the recorded track of an imported workout of the authenticated user.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getTrackHandler = async (req, res) => {
+    const { workoutId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidWorkoutId(req, res)) return;
+
+    try {
+        // Call the getActivityTrack method from activityService
+        const track = await getActivityTrack(workoutId, userId);
+        // Respond with 200 status code and the track
+        res.status(200).json(track);
+    } catch (error) {
+        // Handle errors from activityService and send an error response
+        console.error('Error retrieving activity track:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to retrieve activity track. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation, using the authMiddleware for protection
+router.post('/upload', express.raw({ type: () => true, limit: MAX_UPLOAD_SIZE }), uploadActivityHandler);
+router.get('/:workoutId/track', getTrackHandler);
+
+export default router;
@@ -0,0 +1,113 @@
+// api/controllers/calendarController.js
+import express from 'express';
+import { createCalendarToken, revokeCalendarToken, getCalendarFeed } from '../services/calendarService';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Handles incoming HTTP requests for the iCalendar feed, interacting with the `calendarService.js`.
+ * Uses Express.js for routing and request handling.
+ * The router is mounted under `/api`. Managing the feed token is protected via auth middleware; the feed
+ * itself is protected by that token, as calendar apps cannot send the Authorization header.
+ */
+
+// Calendar apps poll feeds every few hours at most, a short cache spares repeated builds
+const FEED_CACHE_SECONDS = 15 * 60;
+
+const router = express.Router();
+
+/**
+ * Handles creating the calendar feed token of the authenticated user, replacing the previous one.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const createTokenHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the createCalendarToken method from calendarService
+        const { token, createdAt } = await createCalendarToken(userId);
+        // Respond with 201 status code, the token and the feed URL to subscribe to
+        res.status(201).json({
+            token,
+            createdAt,
+            url: `${req.protocol}://${req.get('host')}/api/calendar.ics?token=${encodeURIComponent(token)}`,
+        });
+    } catch (error) {
+        // Handle errors from calendarService and send an error response
+        console.error('Error creating calendar token:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to create calendar token. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles revoking the calendar feed token of the authenticated user.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const revokeTokenHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the revokeCalendarToken method from calendarService
+        await revokeCalendarToken(userId);
+        // Respond with 204 status code, the feed URL no longer works
+        res.status(204).send();
+    } catch (error) {
+        // Handle errors from calendarService and send an error response
+        console.error('Error revoking calendar token:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to revoke calendar token. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles serving the iCalendar feed of the user whose token is in the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getFeedHandler = async (req, res) => {
+    const { token } = req.query;
+
+    try {
+        // Call the getCalendarFeed method from calendarService
+        const feed = await getCalendarFeed(token);
+        // Respond with 200 status code and the feed
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': 'inline; filename="fitness-tracker.ics"',
+            'Cache-Control': `private, max-age=${FEED_CACHE_SECONDS}`,
+        });
+        res.status(200).send(feed);
+    } catch (error) {
+        // Handle errors from calendarService and send an error response
+        console.error('Error serving calendar feed:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to build calendar feed. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation, using the authMiddleware for protection of the token routes
+router.post('/calendar/token', authMiddleware.authenticate, createTokenHandler);
+router.delete('/calendar/token', authMiddleware.authenticate, revokeTokenHandler);
+router.get('/calendar.ics', getFeedHandler);
+
+export default router;
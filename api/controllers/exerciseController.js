@@ -0,0 +1,277 @@
+// api/controllers/exerciseController.js
+import express from 'express';
+import {
+    listExercises,
+    searchExercises,
+    getExercise,
+    createExercise,
+    updateExercise,
+    deleteExercise,
+} from '../services/exerciseService';
+import { sanitizeString, isValidObjectId } from '../../src/utils/helpers';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Handles incoming HTTP requests related to the exercise catalog, interacting with the `exerciseService.js`.
+ * Uses Express.js for routing and request handling. The router is mounted under `/api/exercises`
+ * and all routes are protected via auth middleware.
+ */
+
+const router = express.Router();
+router.use(authMiddleware.authenticate); // Protect all routes with authentication
+
+/**
+ * Picks the exercise fields from a request body. The name is sanitized here, the aliases
+ * are sanitized one by one in exerciseService.
+ *
+ * @param {object} body - The request body.
+ * @returns {object} The exercise fields, undefined for fields that were not sent.
+ */
+const pickExerciseFields = (body) => {
+    const { name, aliases, muscleGroups, equipment, measurementType } = body;
+    return {
+        name: sanitizeString(name) || undefined,
+        aliases,
+        muscleGroups,
+        equipment: sanitizeString(equipment) || undefined,
+        measurementType: sanitizeString(measurementType) || undefined,
+    };
+};
+
+
+/**
+ * Sends a 400 response if the exerciseId route parameter is not a valid ObjectId.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {boolean} True if a response was sent.
+ */
+const rejectInvalidExerciseId = (req, res) => {
+    const { exerciseId } = req.params;
+    if (!isValidObjectId(exerciseId)) {
+        console.error('Invalid exerciseId format:', exerciseId);
+        res.status(400).json({
+            message: 'Invalid exerciseId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+        return true;
+    }
+    return false;
+};
+
+
+/**
+ * Handles listing the catalog exercises along with the custom exercises of the authenticated user.
+ * Extracts the muscleGroup, equipment, measurementType and custom filters from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listExercisesHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { muscleGroup, equipment, measurementType, custom } = req.query;
+
+    try {
+        // Call the listExercises method from exerciseService
+        const result = await listExercises(userId, {
+            muscleGroup: sanitizeString(muscleGroup) || undefined,
+            equipment: sanitizeString(equipment) || undefined,
+            measurementType: sanitizeString(measurementType) || undefined,
+            custom: custom === undefined ? undefined : custom === 'true',
+        });
+        // Respond with 200 status code and the exercises
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from exerciseService and send an error response
+        console.error('Error listing exercises:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list exercises. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles searching exercises by name, tolerating typos and abbreviations.
+ * Extracts the search text `q`, the `limit` and the measurementType filter from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const searchExercisesHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { q, limit, measurementType } = req.query;
+
+    if (!sanitizeString(q)) {
+        console.error('Search query is required.');
+        return res.status(400).json({
+            message: 'Search query q is required',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+    }
+
+    try {
+        // Call the searchExercises method from exerciseService
+        const result = await searchExercises(userId, q, {
+            limit,
+            measurementType: sanitizeString(measurementType) || undefined,
+        });
+        // Respond with 200 status code and the matching exercises, best match first
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from exerciseService and send an error response
+        console.error('Error searching exercises:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to search exercises. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles fetching a single exercise by its ID, from the catalog or the user's custom exercises.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getExerciseHandler = async (req, res) => {
+    const { exerciseId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidExerciseId(req, res)) return;
+
+    try {
+        // Call the getExercise method from exerciseService
+        const exercise = await getExercise(exerciseId, userId);
+        // Respond with 200 status code and the exercise
+        res.status(200).json(exercise);
+    } catch (error) {
+        // Handle errors from exerciseService and send an error response
+        console.error('Error retrieving exercise:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to retrieve exercise. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles adding a custom exercise for the authenticated user.
+ * Extracts the name, aliases, muscle groups, equipment and measurement type from the request body.
+ *
+ * @param {express.Request} req - The incoming request object, containing the exercise.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const createExerciseHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const exercise = pickExerciseFields(req.body);
+
+    // Input validations: check if required fields are present
+    if (!exercise.name || !exercise.measurementType) {
+        console.error('Exercise name and measurementType are required.');
+        return res.status(400).json({
+            message: 'Exercise name and measurementType are required',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+    }
+
+    try {
+        // Call the createExercise method from exerciseService
+        const newExercise = await createExercise(userId, exercise);
+        // Respond with 201 status code and the new exercise
+        res.status(201).json(newExercise);
+    } catch (error) {
+        // Handle errors from exerciseService and send an error response
+        console.error('Error creating exercise:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to create exercise. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles updating a custom exercise by its ID. Only the fields sent in the request body change.
+ *
+ * @param {express.Request} req - The incoming request object, containing the updated fields.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const updateExerciseHandler = async (req, res) => {
+    const { exerciseId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidExerciseId(req, res)) return;
+
+    try {
+        // Call the updateExercise method from exerciseService
+        const updatedExercise = await updateExercise(exerciseId, userId, pickExerciseFields(req.body));
+        // Respond with 200 status code and the updated exercise
+        res.status(200).json(updatedExercise);
+    } catch (error) {
+        // Handle errors from exerciseService and send an error response
+        console.error('Error updating exercise:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to update exercise. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles deleting a custom exercise by its ID.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const deleteExerciseHandler = async (req, res) => {
+    const { exerciseId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidExerciseId(req, res)) return;
+
+    try {
+        // Call the deleteExercise method from exerciseService
+        const result = await deleteExercise(exerciseId, userId);
+        // Respond with 200 status code and a success message
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from exerciseService and send an error response
+        console.error('Error deleting exercise:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to delete exercise. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation, using the authMiddleware for protection
+// '/search' is registered before '/:exerciseId' so it is not taken for an exercise ID
+router.get('/', listExercisesHandler);
+router.get('/search', searchExercisesHandler);
+router.post('/', createExerciseHandler);
+router.get('/:exerciseId', getExerciseHandler);
+router.put('/:exerciseId', updateExerciseHandler);
+router.delete('/:exerciseId', deleteExerciseHandler);
+
+export default router;
@@ -0,0 +1,61 @@
+// api/controllers/exportController.js
+import express from 'express';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { exportGoals } from '../services/exportService';
+import { sanitizeString } from '../../src/utils/helpers';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Handles incoming HTTP requests for data exports, interacting with the `exportService.js`.
+ * Exports are streamed to the client as they are read from the database. Uses Express.js for routing and request handling.
+ * The router is mounted under `/api/export` and all routes are protected via auth middleware.
+ */
+
+const router = express.Router();
+router.use(authMiddleware.authenticate); // Protect all routes with authentication
+
+/**
+ * Handles exporting every goal of the authenticated user along with its progress history as a file download.
+ * Extracts the `format`, 'csv' or 'json', from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const exportGoalsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    let result;
+    try {
+        // Call the exportGoals method from exportService
+        result = await exportGoals(userId, sanitizeString(req.query.format) || undefined);
+    } catch (error) {
+        // Handle errors from exportService and send an error response
+        console.error('Error exporting goals:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to export goals. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+        return;
+    }
+
+    // Respond with 200 status code and stream the export, writing at the pace the client reads
+    res.status(200);
+    res.setHeader('Content-Type', result.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    try {
+        await pipeline(Readable.from(result.chunks), res);
+    } catch (error) {
+        // The response has started, so the download is cut short instead of sending an error response
+        console.error('Error streaming goal export:', error);
+    }
+};
+
+
+// Define routes for each operation, using the authMiddleware for protection
+router.get('/goals', exportGoalsHandler);
+
+export default router;
@@ -1,8 +1,13 @@
 // api/controllers/goalController.js
 import express from 'express';
-import { createGoal, getGoal, updateGoal, deleteGoal } from '../services/goalService';
+import { createGoal, getGoal, listGoals, updateGoal, changeGoalStatus, deleteGoal } from '../services/goalService';
+import { listTrash, restoreGoal, purgeGoal, emptyTrash } from '../services/trashService';
+import { listTags, renameTag } from '../services/tagService';
 import { sanitizeString, isValidObjectId } from '../../src/utils/helpers';
 import authMiddleware from '../middlewares/authMiddleware';
+import progressController from './progressController';
+import habitController from './habitController';
+import milestoneController from './milestoneController';
 
 /**
  * Handles incoming HTTP requests related to fitness goal management, interacting with the `goalService.js`.
@@ -14,7 +19,9 @@ router.use(authMiddleware.authenticate); // Protect all routes with authenticati
 
 /**
  * Handles the creation of a new goal.
- * Extracts userId, title, description, targetDate and progress from the request body.
+ * Extracts userId, title, description, targetDate and progress from the request body, along with the
+ * metricType, unit, startValue, targetValue, direction, exerciseId and measurementType of measurable goals
+ * and the recurrence, timezone and nutritionRule of habit goals.
  * Sanitizes and validates the inputs and then calls createGoal service, sends appropriate response.
  *
  * @param {express.Request} req - The incoming request object, containing the goal details.
@@ -23,24 +30,26 @@ router.use(authMiddleware.authenticate); // Protect all routes with authenticati
  */
 const createGoalHandler = async (req, res) => {
     const userId = req.user.userId; // Extract userId from the authenticated user
-    const { title, description, targetDate, progress } = req.body;
+    const { title, description, targetDate, progress, metricType, unit, startValue, targetValue, direction } = req.body;
+    const { goalType, recurrence, timezone, nutritionRule, progressSource, exerciseId, measurementType, category, tags } = req.body;
 
     // Sanitize inputs
     const sanitizedTitle = sanitizeString(title);
     const sanitizedDescription = sanitizeString(description);
+    const sanitizedGoalType = sanitizeString(goalType) || undefined;
 
 
-    // Input validations: check if required fields are present
-    if (!title || !description || !targetDate || progress === undefined) {
-      console.error('Title, description, targetDate and progress are required.');
+    // Input validations: check if required fields are present, habit goals have no target date
+    if (!title || !description || (!targetDate && sanitizedGoalType !== 'habit')) {
+      console.error('Title, description and targetDate are required.');
         return res.status(400).json({
-            message: 'Title, description, targetDate and progress are required',
+            message: 'Title, description and targetDate are required',
             code: 400,
             statusText: 'Bad Request',
         });
     }
 
-    if (typeof progress !== 'number') {
+    if (progress !== undefined && typeof progress !== 'number') {
       console.error('Progress must be a number.');
       return res.status(400).json({
           message: 'Progress must be a number',
@@ -50,7 +59,24 @@ const createGoalHandler = async (req, res) => {
     }
     try {
         // Call the createGoal method from goalService
-      const newGoal = await createGoal(userId, sanitizedTitle, sanitizedDescription, targetDate, progress);
+      const newGoal = await createGoal(userId, sanitizedTitle, sanitizedDescription, targetDate, progress, {
+          metricType: sanitizeString(metricType) || undefined,
+          unit,
+          startValue,
+          targetValue,
+          direction: sanitizeString(direction) || undefined,
+          progressSource: sanitizeString(progressSource) || undefined,
+          exerciseId: sanitizeString(exerciseId) || undefined,
+          measurementType: sanitizeString(measurementType) || undefined,
+      }, {
+          goalType: sanitizedGoalType,
+          recurrence,
+          timezone: sanitizeString(timezone) || undefined,
+          nutritionRule, // Validated field by field in goalService
+      }, {
+          category: sanitizeString(category) || undefined,
+          tags, // Sanitized and normalized tag by tag in goalService
+      });
       // Respond with 201 status code and the new goal object
       res.status(201).json(newGoal);
     } catch (error) {
@@ -66,6 +92,52 @@ const createGoalHandler = async (req, res) => {
 
 
 
+/**
+ * Handles listing the goals of the authenticated user.
+ * Extracts pagination, filter and sort options from the query string,
+ * converts and sanitizes them, then calls the listGoals service and sends the page of goals.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listGoalsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { limit, cursor, sortBy, sortOrder, minProgress, maxProgress, targetDateFrom, targetDateTo, q, status, category, tag } = req.query;
+
+    // Query string values arrive as strings, convert the numeric ones
+    const toNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+    try {
+        // Call the listGoals method from goalService
+        const result = await listGoals(userId, {
+            limit,
+            cursor: sanitizeString(cursor) || undefined,
+            sortBy: sanitizeString(sortBy) || undefined,
+            sortOrder: sanitizeString(sortOrder) || undefined,
+            minProgress: toNumber(minProgress),
+            maxProgress: toNumber(maxProgress),
+            targetDateFrom: sanitizeString(targetDateFrom) || undefined,
+            targetDateTo: sanitizeString(targetDateTo) || undefined,
+            search: sanitizeString(q),
+            status: sanitizeString(status) || undefined,
+            category: sanitizeString(category) || undefined,
+            tag: sanitizeString(tag) || undefined,
+        });
+        // Respond with 200 status code and the page of goals
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from goalService and send an error response
+        console.error('Error listing goals:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list goals. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
 /**
  * Handles fetching a single goal by its ID.
  * Extracts goalId and userId from the request parameters.
@@ -117,7 +189,9 @@ const getGoalHandler = async (req, res) => {
 
 /**
  * Handles updating an existing goal.
- * Extracts goalId from the request parameters and title, description, targetDate and progress from request body.
+ * Extracts goalId from the request parameters and title, description, targetDate and progress from request body,
+ * along with the startValue, targetValue, direction, exerciseId and measurementType of measurable goals
+ * and the recurrence, timezone and nutritionRule of habit goals.
  * Sanitizes and validates the inputs, then calls the updateGoal service and sends the appropriate response.
  *
  * @param {express.Request} req - The incoming request object, containing goal details for update.
@@ -127,7 +201,8 @@ const getGoalHandler = async (req, res) => {
 const updateGoalHandler = async (req, res) => {
     const { goalId } = req.params;
     const userId = req.user.userId; // Extract userId from the authenticated user
-    const { title, description, targetDate, progress } = req.body;
+    const { title, description, targetDate, progress, metricType, unit, startValue, targetValue, direction } = req.body;
+    const { goalType, recurrence, timezone, nutritionRule, progressSource, exerciseId, measurementType, category, tags } = req.body;
 
     // Sanitize inputs
     const sanitizedTitle = sanitizeString(title);
@@ -164,7 +239,24 @@ const updateGoalHandler = async (req, res) => {
 
     try {
          // Call the updateGoal method from goalService
-      const updatedGoal = await updateGoal(goalId, userId, sanitizedTitle, sanitizedDescription, targetDate, progress);
+      const updatedGoal = await updateGoal(goalId, userId, sanitizedTitle, sanitizedDescription, targetDate, progress, {
+          metricType: sanitizeString(metricType) || undefined,
+          unit,
+          startValue,
+          targetValue,
+          direction: sanitizeString(direction) || undefined,
+          progressSource: sanitizeString(progressSource) || undefined,
+          exerciseId: exerciseId === null ? null : sanitizeString(exerciseId) || undefined, // null unlinks the exercise
+          measurementType: measurementType === null ? null : sanitizeString(measurementType) || undefined,
+      }, {
+          goalType: sanitizeString(goalType) || undefined,
+          recurrence,
+          timezone: sanitizeString(timezone) || undefined,
+          nutritionRule, // Validated field by field in goalService, null removes the rule
+      }, {
+          category: sanitizeString(category) || undefined,
+          tags, // Sanitized and normalized tag by tag in goalService
+      });
         // Respond with 200 status code and the updated goal object
         res.status(200).json(updatedGoal);
     } catch (error) {
@@ -180,7 +272,57 @@ const updateGoalHandler = async (req, res) => {
 
 
 /**
- * Handles deleting a goal by its ID.
+ * Handles moving a goal to another status of its lifecycle.
+ * Extracts goalId from the request parameters and the status and optional reason from the request body,
+ * then calls the changeGoalStatus service and sends the updated goal.
+ *
+ * @param {express.Request} req - The incoming request object, containing the new status.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const changeGoalStatusHandler = async (req, res) => {
+    const { goalId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { status, reason } = req.body;
+
+    // Input validations: check if required fields are present
+    if (!isValidObjectId(goalId)) {
+        console.error('Invalid goalId format:', goalId);
+        return res.status(400).json({
+            message: 'Invalid goalId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+    }
+
+    if (!status) {
+        console.error('Goal status is required.');
+        return res.status(400).json({
+            message: 'Goal status is required',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+    }
+
+    try {
+        // Call the changeGoalStatus method from goalService
+        const updatedGoal = await changeGoalStatus(goalId, userId, sanitizeString(status), sanitizeString(reason));
+        // Respond with 200 status code and the updated goal
+        res.status(200).json(updatedGoal);
+    } catch (error) {
+        // Handle errors from goalService and send an error response
+        console.error('Error changing goal status:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to change goal status. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles deleting a goal by its ID, which moves the goal to the trash.
  * Extracts goalId and userId from the request parameters, calls deleteGoal service.
  * Sends a success message on successful deletion or an error response if deletion fails.
  *
@@ -213,9 +355,9 @@ const deleteGoalHandler = async (req, res) => {
 
     try {
         // Call the deleteGoal method from goalService
-       await deleteGoal(goalId, userId);
-        // Respond with 200 status code and a success message
-      res.status(200).json({ message: 'Goal deleted successfully' });
+       const result = await deleteGoal(goalId, userId);
+        // Respond with 200 status code and a success message, the goal can be restored from the trash
+      res.status(200).json(result);
     } catch (error) {
         // Handle errors from goalService and send an error response
         console.error('Error deleting goal:', error);
@@ -228,10 +370,219 @@ const deleteGoalHandler = async (req, res) => {
 };
 
 
+/**
+ * Handles listing the trashed goals of the authenticated user, most recently deleted first.
+ * Extracts the pagination options from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listTrashHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { limit, cursor } = req.query;
+
+    try {
+        // Call the listTrash method from trashService
+        const result = await listTrash(userId, { limit, cursor: sanitizeString(cursor) || undefined });
+        // Respond with 200 status code and the page of trashed goals
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from trashService and send an error response
+        console.error('Error listing trash:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list trash. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles restoring a goal from the trash.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const restoreGoalHandler = async (req, res) => {
+    const { goalId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (!isValidObjectId(goalId)) {
+        console.error('Invalid goalId format:', goalId);
+        return res.status(400).json({
+            message: 'Invalid goalId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+    }
+
+    try {
+        // Call the restoreGoal method from trashService
+        const restoredGoal = await restoreGoal(goalId, userId);
+        // Respond with 200 status code and the restored goal
+        res.status(200).json(restoredGoal);
+    } catch (error) {
+        // Handle errors from trashService and send an error response
+        console.error('Error restoring goal:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to restore goal. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles permanently deleting a goal from the trash.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const purgeGoalHandler = async (req, res) => {
+    const { goalId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (!isValidObjectId(goalId)) {
+        console.error('Invalid goalId format:', goalId);
+        return res.status(400).json({
+            message: 'Invalid goalId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+    }
+
+    try {
+        // Call the purgeGoal method from trashService
+        const result = await purgeGoal(goalId, userId);
+        // Respond with 200 status code and a success message
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from trashService and send an error response
+        console.error('Error purging goal:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to permanently delete goal. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles permanently deleting every goal in the trash of the authenticated user.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const emptyTrashHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the emptyTrash method from trashService
+        const result = await emptyTrash(userId);
+        // Respond with 200 status code, a success message and the number of purged goals
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from trashService and send an error response
+        console.error('Error emptying trash:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to empty trash. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles listing the tags of the authenticated user's goals with their usage counts.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listTagsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the listTags method from tagService
+        const result = await listTags(userId);
+        // Respond with 200 status code and the tags
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from tagService and send an error response
+        console.error('Error listing tags:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list tags. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles renaming a tag across all goals of the authenticated user, merging it into the
+ * new tag on goals that already have that one.
+ * Extracts the tag from the request parameters and the new name from the request body.
+ *
+ * @param {express.Request} req - The incoming request object, containing the new name.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const renameTagHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { tag } = req.params;
+    const { name } = req.body;
+
+    if (!name) {
+        console.error('New tag name is required.');
+        return res.status(400).json({
+            message: 'New tag name is required',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+    }
+
+    try {
+        // Call the renameTag method from tagService
+        const result = await renameTag(userId, tag, name);
+        // Respond with 200 status code, the new tag and the number of updated goals
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from tagService and send an error response
+        console.error('Error renaming tag:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to rename tag. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
 // Define routes for each operation, using the authMiddleware for protection
+// The trash and tag routes come first so that 'trash' and 'tags' are not taken for a goalId
+router.get('/trash', listTrashHandler);
+router.delete('/trash', emptyTrashHandler);
+router.delete('/trash/:goalId', purgeGoalHandler);
+router.get('/tags', listTagsHandler);
+router.put('/tags/:tag', renameTagHandler);
+router.use('/:goalId/progress', progressController);
+router.use('/:goalId/milestones', milestoneController);
+router.use('/:goalId', habitController);
 router.post('/', createGoalHandler);
+router.get('/', listGoalsHandler);
 router.get('/:goalId', getGoalHandler);
 router.put('/:goalId', updateGoalHandler);
+router.post('/:goalId/status', changeGoalStatusHandler);
+router.post('/:goalId/restore', restoreGoalHandler);
 router.delete('/:goalId', deleteGoalHandler);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,177 @@
+// api/controllers/habitController.js
+import express from 'express';
+import { checkIn, deleteCheckIn, getStreak, getCalendar } from '../services/habitService';
+import { sanitizeString, isValidObjectId } from '../../src/utils/helpers';
+
+/**
+ * Handles incoming HTTP requests related to recurring habit goals, interacting with the `habitService.js`.
+ * Uses Express.js for routing and request handling. The router is mounted under `/:goalId`
+ * of the goal router, which authenticates every request.
+ */
+
+const router = express.Router({ mergeParams: true }); // Keep access to :goalId of the parent router
+
+/**
+ * Sends a 400 response if the goalId route parameter is not a valid ObjectId.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {boolean} True if a response was sent.
+ */
+const rejectInvalidGoalId = (req, res) => {
+    const { goalId } = req.params;
+    if (!isValidObjectId(goalId)) {
+        console.error('Invalid goalId format:', goalId);
+        res.status(400).json({
+            message: 'Invalid goalId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+        return true;
+    }
+    return false;
+};
+
+
+/**
+ * Handles checking in a habit goal.
+ * Extracts goalId from the request parameters and the local date and note from the request body,
+ * then calls the checkIn service and sends the new check-in with the updated streaks.
+ *
+ * @param {express.Request} req - The incoming request object, containing the check-in.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const checkInHandler = async (req, res) => {
+    const { goalId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { date, note } = req.body;
+
+    if (rejectInvalidGoalId(req, res)) return;
+
+    try {
+        // Call the checkIn method from habitService
+        const result = await checkIn(goalId, userId, sanitizeString(date), sanitizeString(note));
+        // Respond with 201 status code, the check-in and the updated streaks
+        res.status(201).json(result);
+    } catch (error) {
+        // Handle errors from habitService and send an error response
+        console.error('Error checking in goal:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to check in goal. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles removing a check-in from a habit goal.
+ * Extracts goalId and checkInId from the request parameters, then calls the deleteCheckIn service.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const deleteCheckInHandler = async (req, res) => {
+    const { goalId, checkInId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidGoalId(req, res)) return;
+
+    if (!isValidObjectId(checkInId)) {
+        console.error('Invalid checkInId format:', checkInId);
+        return res.status(400).json({
+            message: 'Invalid checkInId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+    }
+
+    try {
+        // Call the deleteCheckIn method from habitService
+        const result = await deleteCheckIn(goalId, userId, checkInId);
+        // Respond with 200 status code, a success message and the updated streaks
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from habitService and send an error response
+        console.error('Error deleting check-in:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to delete check-in. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles fetching the current and longest streak of a habit goal.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getStreakHandler = async (req, res) => {
+    const { goalId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidGoalId(req, res)) return;
+
+    try {
+        // Call the getStreak method from habitService
+        const streak = await getStreak(goalId, userId);
+        // Respond with 200 status code and the streaks
+        res.status(200).json(streak);
+    } catch (error) {
+        // Handle errors from habitService and send an error response
+        console.error('Error retrieving streak:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to retrieve streak. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles fetching the calendar of completed and missed periods of a habit goal.
+ * Extracts the optional `from` and `to` local dates from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getCalendarHandler = async (req, res) => {
+    const { goalId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { from, to } = req.query;
+
+    if (rejectInvalidGoalId(req, res)) return;
+
+    try {
+        // Call the getCalendar method from habitService
+        const calendar = await getCalendar(goalId, userId, sanitizeString(from), sanitizeString(to));
+        // Respond with 200 status code and the calendar
+        res.status(200).json(calendar);
+    } catch (error) {
+        // Handle errors from habitService and send an error response
+        console.error('Error retrieving habit calendar:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to retrieve habit calendar. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation
+router.post('/checkins', checkInHandler);
+router.delete('/checkins/:checkInId', deleteCheckInHandler);
+router.get('/streak', getStreakHandler);
+router.get('/calendar', getCalendarHandler);
+
+export default router;
@@ -0,0 +1,165 @@
+// api/controllers/importController.js
+import express from 'express';
+import { importGoals } from '../services/importService';
+import { importAppleHealth, getImportJob } from '../services/appleHealthService';
+import { isValidObjectId } from '../../src/utils/helpers';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Handles incoming HTTP requests for data imports, interacting with the `importService.js` and `appleHealthService.js`.
+ * Uses Express.js for routing and request handling.
+ * The router is mounted under `/api/import` and all routes are protected via auth middleware.
+ */
+
+const MAX_UPLOAD_SIZE = '2mb';
+
+const router = express.Router();
+router.use(authMiddleware.authenticate); // Protect all routes with authentication
+router.use(express.text({ type: ['text/csv', 'text/plain'], limit: MAX_UPLOAD_SIZE })); // Accept raw CSV uploads
+
+/**
+ * Sends a 400 response if the jobId route parameter is not a valid ObjectId.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {boolean} True if a response was sent.
+ */
+const rejectInvalidJobId = (req, res) => {
+    const { jobId } = req.params;
+    if (!isValidObjectId(jobId)) {
+        console.error('Invalid jobId format:', jobId);
+        res.status(400).json({
+            message: 'Invalid jobId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+        return true;
+    }
+    return false;
+};
+
+/**
+ * Reads the CSV, column mapping and dry-run flag of an import request. A JSON body carries them as
+ * `{ csv, mapping, dryRun }`; a CSV body is the file itself, with `mapping` as JSON and `dryRun` in the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @returns {{ csv: string, mapping: object|undefined, dryRun: boolean }} The import input.
+ * @throws {Error} If the mapping in the query string is not valid JSON.
+ */
+const readImportRequest = (req) => {
+    if (req.is('application/json')) {
+        const { csv, mapping, dryRun } = req.body || {};
+        return { csv, mapping, dryRun: dryRun === true || dryRun === 'true' };
+    }
+
+    let mapping;
+    if (typeof req.query.mapping === 'string' && req.query.mapping !== '') {
+        try {
+            mapping = JSON.parse(req.query.mapping);
+        } catch (error) {
+            console.error('Invalid mapping query parameter:', req.query.mapping);
+            throw {
+                message: 'mapping must be a JSON object of goal fields to column headers',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+    return { csv: typeof req.body === 'string' ? req.body : undefined, mapping, dryRun: req.query.dryRun === 'true' };
+};
+
+
+/**
+ * Handles importing goals for the authenticated user from a CSV file.
+ * A dry run validates every row and reports the errors without saving anything; otherwise either every row is saved or none.
+ *
+ * @param {express.Request} req - The incoming request object, containing the CSV file.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const importGoalsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        const { csv, mapping, dryRun } = readImportRequest(req);
+        // Call the importGoals method from importService
+        const result = await importGoals(userId, csv, { mapping, dryRun });
+        // Respond with 200 status code and the report of a dry run, or 201 and the imported goals
+        res.status(dryRun ? 200 : 201).json(result);
+    } catch (error) {
+        // Handle errors from importService and send an error response, with the row errors of a rejected import
+        console.error('Error importing goals:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to import goals. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+            ...(error.errors ? { errors: error.errors } : {}),
+        });
+    }
+};
+
+
+/**
+ * Handles importing the Apple Health export of the authenticated user. The zip is the raw request body and
+ * is streamed to disk rather than parsed by a body parser, as it may be several gigabytes.
+ *
+ * @param {express.Request} req - The incoming request object, streaming the export.zip.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const importAppleHealthHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the importAppleHealth method from appleHealthService
+        const job = await importAppleHealth(userId, req);
+        // Respond with 202 status code and the job to poll for the progress of the import
+        res.status(202).json(job);
+    } catch (error) {
+        // Handle errors from appleHealthService and send an error response
+        console.error('Error importing Apple Health export:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to import Apple Health export. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles fetching an import job of the authenticated user with its progress.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getImportJobHandler = async (req, res) => {
+    const { jobId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidJobId(req, res)) return;
+
+    try {
+        // Call the getImportJob method from appleHealthService
+        const job = await getImportJob(jobId, userId);
+        // Respond with 200 status code and the job
+        res.status(200).json(job);
+    } catch (error) {
+        // Handle errors from appleHealthService and send an error response
+        console.error('Error retrieving import job:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to retrieve import job. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation, using the authMiddleware for protection
+router.post('/goals', importGoalsHandler);
+router.post('/apple-health', importAppleHealthHandler);
+router.get('/jobs/:jobId', getImportJobHandler);
+
+export default router;
@@ -0,0 +1,262 @@
+// api/controllers/measurementController.js
+import express from 'express';
+import {
+    createMeasurement,
+    getMeasurement,
+    listMeasurements,
+    getMeasurementTrend,
+    updateMeasurement,
+    deleteMeasurement,
+} from '../services/measurementService';
+import { sanitizeString, isValidObjectId } from '../../src/utils/helpers';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Handles incoming HTTP requests related to body measurements, interacting with the `measurementService.js`.
+ * Uses Express.js for routing and request handling. The router is mounted under `/api/measurements`
+ * and all routes are protected via auth middleware.
+ */
+
+const router = express.Router();
+router.use(authMiddleware.authenticate); // Protect all routes with authentication
+
+/**
+ * Picks the measurement fields from a request body. The note is sanitized in measurementService,
+ * so that an empty note can clear it on update.
+ *
+ * @param {object} body - The request body.
+ * @returns {object} The measurement fields, undefined for fields that were not sent.
+ */
+const pickMeasurementFields = (body) => {
+    const { type, value, unit, measuredAt, note } = body;
+    return {
+        type: sanitizeString(type) || undefined,
+        value,
+        unit: sanitizeString(unit) || undefined,
+        measuredAt: sanitizeString(measuredAt) || undefined,
+        note,
+    };
+};
+
+
+/**
+ * Sends a 400 response if the measurementId route parameter is not a valid ObjectId.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {boolean} True if a response was sent.
+ */
+const rejectInvalidMeasurementId = (req, res) => {
+    const { measurementId } = req.params;
+    if (!isValidObjectId(measurementId)) {
+        console.error('Invalid measurementId format:', measurementId);
+        res.status(400).json({
+            message: 'Invalid measurementId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+        return true;
+    }
+    return false;
+};
+
+
+/**
+ * Handles listing the body measurements of the authenticated user, newest first.
+ * Extracts pagination options and the type, from and to filters from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listMeasurementsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { limit, cursor, type, from, to } = req.query;
+
+    try {
+        // Call the listMeasurements method from measurementService
+        const result = await listMeasurements(userId, {
+            limit,
+            cursor: sanitizeString(cursor) || undefined,
+            type: sanitizeString(type) || undefined,
+            from: sanitizeString(from) || undefined,
+            to: sanitizeString(to) || undefined,
+        });
+        // Respond with 200 status code and the page of measurements
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from measurementService and send an error response
+        console.error('Error listing measurements:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list measurements. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles computing the moving-average trend of a measurement type.
+ * Extracts the type, unit, window, from and to options from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getMeasurementTrendHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { type, unit, window, from, to } = req.query;
+
+    try {
+        // Call the getMeasurementTrend method from measurementService
+        const trend = await getMeasurementTrend(userId, {
+            type: sanitizeString(type) || undefined,
+            unit: sanitizeString(unit) || undefined,
+            window: window === undefined ? undefined : Number(window),
+            from: sanitizeString(from) || undefined,
+            to: sanitizeString(to) || undefined,
+        });
+        // Respond with 200 status code and the trend
+        res.status(200).json(trend);
+    } catch (error) {
+        // Handle errors from measurementService and send an error response
+        console.error('Error computing measurement trend:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to compute measurement trend. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles fetching a single body measurement of the authenticated user by its ID.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getMeasurementHandler = async (req, res) => {
+    const { measurementId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidMeasurementId(req, res)) return;
+
+    try {
+        // Call the getMeasurement method from measurementService
+        const measurement = await getMeasurement(measurementId, userId);
+        // Respond with 200 status code and the measurement
+        res.status(200).json(measurement);
+    } catch (error) {
+        // Handle errors from measurementService and send an error response
+        console.error('Error retrieving measurement:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to retrieve measurement. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles logging a body measurement for the authenticated user.
+ * Extracts the type, value, unit, measuredAt and note from the request body.
+ *
+ * @param {express.Request} req - The incoming request object, containing the measurement.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const createMeasurementHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the createMeasurement method from measurementService
+        const result = await createMeasurement(userId, pickMeasurementFields(req.body));
+        // Respond with 201 status code, the measurement and the updates of the goals tracking its type
+        res.status(201).json(result);
+    } catch (error) {
+        // Handle errors from measurementService and send an error response
+        console.error('Error creating measurement:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to create measurement. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles updating a body measurement of the authenticated user.
+ * Only the fields present in the request body are updated.
+ *
+ * @param {express.Request} req - The incoming request object, containing the fields to update.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const updateMeasurementHandler = async (req, res) => {
+    const { measurementId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidMeasurementId(req, res)) return;
+
+    try {
+        // Call the updateMeasurement method from measurementService
+        const result = await updateMeasurement(measurementId, userId, pickMeasurementFields(req.body));
+        // Respond with 200 status code, the updated measurement and the updates of the goals tracking its type
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from measurementService and send an error response
+        console.error('Error updating measurement:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to update measurement. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles deleting a body measurement of the authenticated user.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const deleteMeasurementHandler = async (req, res) => {
+    const { measurementId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidMeasurementId(req, res)) return;
+
+    try {
+        // Call the deleteMeasurement method from measurementService
+        const result = await deleteMeasurement(measurementId, userId);
+        // Respond with 200 status code and a success message
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from measurementService and send an error response
+        console.error('Error deleting measurement:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to delete measurement. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation, using the authMiddleware for protection
+// '/trend' is registered before '/:measurementId' so it is not taken for a measurement ID
+router.get('/', listMeasurementsHandler);
+router.get('/trend', getMeasurementTrendHandler);
+router.post('/', createMeasurementHandler);
+router.get('/:measurementId', getMeasurementHandler);
+router.put('/:measurementId', updateMeasurementHandler);
+router.delete('/:measurementId', deleteMeasurementHandler);
+
+export default router;
@@ -0,0 +1,221 @@
+// api/controllers/milestoneController.js
+import express from 'express';
+import { listMilestones, addMilestone, updateMilestone, deleteMilestone, reorderMilestones } from '../services/milestoneService';
+import { sanitizeString, isValidObjectId } from '../../src/utils/helpers';
+
+/**
+ * Handles incoming HTTP requests related to the milestones of a goal, interacting with the `milestoneService.js`.
+ * Uses Express.js for routing and request handling. The router is mounted under `/:goalId/milestones`
+ * of the goal router, which authenticates every request.
+ */
+
+const router = express.Router({ mergeParams: true }); // Keep access to :goalId of the parent router
+
+/**
+ * Sends a 400 response if the goalId or milestoneId route parameter is not a valid ObjectId.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {boolean} True if a response was sent.
+ */
+const rejectInvalidIds = (req, res) => {
+    const { goalId, milestoneId } = req.params;
+    if (!isValidObjectId(goalId)) {
+        console.error('Invalid goalId format:', goalId);
+        res.status(400).json({
+            message: 'Invalid goalId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+        return true;
+    }
+    if (milestoneId !== undefined && !isValidObjectId(milestoneId)) {
+        console.error('Invalid milestoneId format:', milestoneId);
+        res.status(400).json({
+            message: 'Invalid milestoneId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+        return true;
+    }
+    return false;
+};
+
+
+/**
+ * Handles listing the milestones of a goal in their order.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listMilestonesHandler = async (req, res) => {
+    const { goalId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidIds(req, res)) return;
+
+    try {
+        // Call the listMilestones method from milestoneService
+        const result = await listMilestones(goalId, userId);
+        // Respond with 200 status code and the milestones
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from milestoneService and send an error response
+        console.error('Error retrieving milestones:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to retrieve milestones. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles adding a milestone to a goal.
+ * Extracts the title, target date and optional position from the request body.
+ *
+ * @param {express.Request} req - The incoming request object, containing the milestone.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const addMilestoneHandler = async (req, res) => {
+    const { goalId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { title, targetDate, position } = req.body;
+
+    if (rejectInvalidIds(req, res)) return;
+
+    if (!title) {
+        console.error('Milestone title is required.');
+        return res.status(400).json({
+            message: 'Milestone title is required',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+    }
+
+    try {
+        // Call the addMilestone method from milestoneService
+        const result = await addMilestone(goalId, userId, sanitizeString(title), sanitizeString(targetDate) || undefined, position);
+        // Respond with 201 status code, the new milestone and the goal with its rolled up progress
+        res.status(201).json(result);
+    } catch (error) {
+        // Handle errors from milestoneService and send an error response
+        console.error('Error adding milestone:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to add milestone. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles updating the title, target date or completion state of a milestone.
+ * A `targetDate` of null clears the target date of the milestone.
+ *
+ * @param {express.Request} req - The incoming request object, containing the updated fields.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const updateMilestoneHandler = async (req, res) => {
+    const { goalId, milestoneId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { title, targetDate, completed } = req.body;
+
+    if (rejectInvalidIds(req, res)) return;
+
+    try {
+        // Call the updateMilestone method from milestoneService
+        const result = await updateMilestone(goalId, userId, milestoneId, {
+            title: title === undefined ? undefined : sanitizeString(title),
+            targetDate: targetDate === null ? null : sanitizeString(targetDate) || undefined,
+            completed,
+        });
+        // Respond with 200 status code, the updated milestone and the goal with its rolled up progress
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from milestoneService and send an error response
+        console.error('Error updating milestone:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to update milestone. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles removing a milestone from a goal.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const deleteMilestoneHandler = async (req, res) => {
+    const { goalId, milestoneId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidIds(req, res)) return;
+
+    try {
+        // Call the deleteMilestone method from milestoneService
+        const result = await deleteMilestone(goalId, userId, milestoneId);
+        // Respond with 200 status code, a success message and the goal with its rolled up progress
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from milestoneService and send an error response
+        console.error('Error deleting milestone:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to delete milestone. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles reordering the milestones of a goal.
+ * Expects `milestoneIds` in the request body, listing every milestone of the goal in its new order.
+ *
+ * @param {express.Request} req - The incoming request object, containing the new order.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const reorderMilestonesHandler = async (req, res) => {
+    const { goalId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { milestoneIds } = req.body;
+
+    if (rejectInvalidIds(req, res)) return;
+
+    try {
+        // Call the reorderMilestones method from milestoneService
+        const result = await reorderMilestones(goalId, userId, milestoneIds);
+        // Respond with 200 status code and the reordered milestones
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from milestoneService and send an error response
+        console.error('Error reordering milestones:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to reorder milestones. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation, '/order' before '/:milestoneId' so it is not taken for an ID
+router.get('/', listMilestonesHandler);
+router.post('/', addMilestoneHandler);
+router.put('/order', reorderMilestonesHandler);
+router.put('/:milestoneId', updateMilestoneHandler);
+router.delete('/:milestoneId', deleteMilestoneHandler);
+
+export default router;
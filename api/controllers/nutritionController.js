@@ -0,0 +1,372 @@
+// api/controllers/nutritionController.js
+import express from 'express';
+import {
+    getNutritionTargets,
+    updateNutritionTargets,
+    getDay,
+    listDays,
+    addMeal,
+    updateMeal,
+    deleteMeal,
+    addWater,
+    deleteWater,
+    getWeeklySummary,
+} from '../services/nutritionService';
+import { sanitizeString, isValidObjectId } from '../../src/utils/helpers';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Handles incoming HTTP requests related to daily nutrition logging, interacting with the `nutritionService.js`.
+ * Days are addressed by their local date as 'YYYY-MM-DD'. Uses Express.js for routing and request handling.
+ * The router is mounted under `/api/nutrition` and all routes are protected via auth middleware.
+ */
+
+const router = express.Router();
+router.use(authMiddleware.authenticate); // Protect all routes with authentication
+
+/**
+ * Picks the meal fields from a request body. The name is sanitized in nutritionService.
+ *
+ * @param {object} body - The request body.
+ * @returns {object} The meal fields, undefined for fields that were not sent.
+ */
+const pickMealFields = (body) => {
+    const { name, mealType, calories, protein, carbs, fat, loggedAt } = body;
+    return {
+        name,
+        mealType: sanitizeString(mealType) || undefined,
+        calories,
+        protein,
+        carbs,
+        fat,
+        loggedAt: sanitizeString(loggedAt) || undefined,
+    };
+};
+
+
+/**
+ * Sends a 400 response if an ID route parameter is not a valid ObjectId.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @param {string} param - The name of the route parameter, 'mealId' or 'entryId'.
+ * @returns {boolean} True if a response was sent.
+ */
+const rejectInvalidEntryId = (req, res, param) => {
+    const entryId = req.params[param];
+    if (!isValidObjectId(entryId)) {
+        console.error(`Invalid ${param} format:`, entryId);
+        res.status(400).json({
+            message: `Invalid ${param} format`,
+            code: 400,
+            statusText: 'Bad Request',
+        });
+        return true;
+    }
+    return false;
+};
+
+
+/**
+ * Handles fetching the daily nutrition targets of the authenticated user.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getTargetsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the getNutritionTargets method from nutritionService
+        const result = await getNutritionTargets(userId);
+        // Respond with 200 status code and the targets
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from nutritionService and send an error response
+        console.error('Error retrieving nutrition targets:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to retrieve nutrition targets. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles updating the daily nutrition targets of the authenticated user.
+ * Extracts the targets by metric from the request body, null clears a target.
+ *
+ * @param {express.Request} req - The incoming request object, containing the targets.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const updateTargetsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the updateNutritionTargets method from nutritionService
+        const result = await updateNutritionTargets(userId, req.body);
+        // Respond with 200 status code and the updated targets
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from nutritionService and send an error response
+        console.error('Error updating nutrition targets:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to update nutrition targets. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles the weekly nutrition summary of the authenticated user, scoring their habit goals with a nutrition rule.
+ * Extracts the `week`, any date of the week, from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getWeeklySummaryHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the getWeeklySummary method from nutritionService
+        const summary = await getWeeklySummary(userId, sanitizeString(req.query.week) || undefined);
+        // Respond with 200 status code and the summary
+        res.status(200).json(summary);
+    } catch (error) {
+        // Handle errors from nutritionService and send an error response
+        console.error('Error summarizing nutrition week:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to summarize nutrition week. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles listing the days of a date range with their totals against the targets of the authenticated user.
+ * Extracts the from and to dates from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listDaysHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { from, to } = req.query;
+
+    try {
+        // Call the listDays method from nutritionService
+        const result = await listDays(userId, sanitizeString(from) || undefined, sanitizeString(to) || undefined);
+        // Respond with 200 status code and the days
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from nutritionService and send an error response
+        console.error('Error listing nutrition days:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list nutrition days. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles fetching the nutrition log of a day with its totals against the targets of the authenticated user.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getDayHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the getDay method from nutritionService
+        const day = await getDay(userId, req.params.date);
+        // Respond with 200 status code and the day
+        res.status(200).json(day);
+    } catch (error) {
+        // Handle errors from nutritionService and send an error response
+        console.error('Error retrieving nutrition day:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to retrieve nutrition day. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles logging a meal on a day.
+ * Extracts the name, mealType, calories, protein, carbs, fat and loggedAt from the request body.
+ *
+ * @param {express.Request} req - The incoming request object, containing the meal.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const addMealHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the addMeal method from nutritionService
+        const result = await addMeal(userId, req.params.date, pickMealFields(req.body));
+        // Respond with 201 status code, the day and the habit goals checked in or out
+        res.status(201).json(result);
+    } catch (error) {
+        // Handle errors from nutritionService and send an error response
+        console.error('Error adding meal:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to add meal. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles updating a meal of a day. Only the fields present in the request body are updated.
+ *
+ * @param {express.Request} req - The incoming request object, containing the fields to update.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const updateMealHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { date, mealId } = req.params;
+
+    if (rejectInvalidEntryId(req, res, 'mealId')) return;
+
+    try {
+        // Call the updateMeal method from nutritionService
+        const result = await updateMeal(userId, date, mealId, pickMealFields(req.body));
+        // Respond with 200 status code, the day and the habit goals checked in or out
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from nutritionService and send an error response
+        console.error('Error updating meal:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to update meal. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles removing a meal from a day.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const deleteMealHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { date, mealId } = req.params;
+
+    if (rejectInvalidEntryId(req, res, 'mealId')) return;
+
+    try {
+        // Call the deleteMeal method from nutritionService
+        const result = await deleteMeal(userId, date, mealId);
+        // Respond with 200 status code, the day and the habit goals checked in or out
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from nutritionService and send an error response
+        console.error('Error deleting meal:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to delete meal. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles logging water intake on a day.
+ * Extracts the amount, unit and loggedAt from the request body.
+ *
+ * @param {express.Request} req - The incoming request object, containing the water intake.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const addWaterHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { amount, unit, loggedAt } = req.body;
+
+    try {
+        // Call the addWater method from nutritionService
+        const result = await addWater(userId, req.params.date, {
+            amount,
+            unit: sanitizeString(unit) || undefined,
+            loggedAt: sanitizeString(loggedAt) || undefined,
+        });
+        // Respond with 201 status code, the day and the habit goals checked in or out
+        res.status(201).json(result);
+    } catch (error) {
+        // Handle errors from nutritionService and send an error response
+        console.error('Error adding water intake:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to add water intake. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles removing a water intake entry from a day.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const deleteWaterHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { date, entryId } = req.params;
+
+    if (rejectInvalidEntryId(req, res, 'entryId')) return;
+
+    try {
+        // Call the deleteWater method from nutritionService
+        const result = await deleteWater(userId, date, entryId);
+        // Respond with 200 status code, the day and the habit goals checked in or out
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from nutritionService and send an error response
+        console.error('Error deleting water intake:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to delete water intake. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation, using the authMiddleware for protection
+router.get('/targets', getTargetsHandler);
+router.put('/targets', updateTargetsHandler);
+router.get('/weekly', getWeeklySummaryHandler);
+router.get('/days', listDaysHandler);
+router.get('/days/:date', getDayHandler);
+router.post('/days/:date/meals', addMealHandler);
+router.put('/days/:date/meals/:mealId', updateMealHandler);
+router.delete('/days/:date/meals/:mealId', deleteMealHandler);
+router.post('/days/:date/water', addWaterHandler);
+router.delete('/days/:date/water/:entryId', deleteWaterHandler);
+
+export default router;
@@ -0,0 +1,387 @@
+// api/controllers/planController.js
+import express from 'express';
+import {
+    createPlan,
+    listPlans,
+    getPlan,
+    updatePlan,
+    deletePlan,
+    schedulePlan,
+    unschedulePlan,
+    listSessions,
+    getPlanAdherence,
+} from '../services/planService';
+import { sanitizeString, isValidObjectId } from '../../src/utils/helpers';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Handles incoming HTTP requests related to training plans and their scheduled sessions, interacting with the `planService.js`.
+ * Uses Express.js for routing and request handling.
+ * The router is mounted under `/api/plans` and all routes are protected via auth middleware.
+ */
+
+const router = express.Router();
+router.use(authMiddleware.authenticate); // Protect all routes with authentication
+
+/**
+ * Picks the plan fields from a request body. The title, description and weeks are sanitized in planService.
+ *
+ * @param {object} body - The request body.
+ * @returns {object} The plan fields, undefined for fields that were not sent.
+ */
+const pickPlanFields = (body) => {
+    const { title, description, weeks, goalId } = body;
+    return {
+        title,
+        description,
+        weeks,
+        // null detaches the plan from its goal
+        goalId: goalId === null ? null : sanitizeString(goalId) || undefined,
+    };
+};
+
+
+/**
+ * Sends a 400 response if the planId route parameter is not a valid ObjectId.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {boolean} True if a response was sent.
+ */
+const rejectInvalidPlanId = (req, res) => {
+    const { planId } = req.params;
+    if (!isValidObjectId(planId)) {
+        console.error('Invalid planId format:', planId);
+        res.status(400).json({
+            message: 'Invalid planId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+        return true;
+    }
+    return false;
+};
+
+
+/**
+ * Handles listing the training plans of the authenticated user.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listPlansHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the listPlans method from planService
+        const result = await listPlans(userId);
+        // Respond with 200 status code and the plans
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from planService and send an error response
+        console.error('Error listing training plans:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list training plans. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles creating a training plan for the authenticated user.
+ * Extracts the title, description, weeks and goalId from the request body.
+ *
+ * @param {express.Request} req - The incoming request object, containing the plan.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const createPlanHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the createPlan method from planService
+        const plan = await createPlan(userId, pickPlanFields(req.body));
+        // Respond with 201 status code and the created plan
+        res.status(201).json(plan);
+    } catch (error) {
+        // Handle errors from planService and send an error response
+        console.error('Error creating training plan:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to create training plan. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles listing the scheduled sessions of all training plans of the authenticated user on a date range.
+ * Extracts the from and to dates and an optional planId from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listSessionsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { from, to, planId } = req.query;
+
+    try {
+        // Call the listSessions method from planService
+        const result = await listSessions(userId, {
+            from: sanitizeString(from) || undefined,
+            to: sanitizeString(to) || undefined,
+            planId: sanitizeString(planId) || undefined,
+        });
+        // Respond with 200 status code and the sessions
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from planService and send an error response
+        console.error('Error listing scheduled sessions:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list scheduled sessions. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles fetching a training plan of the authenticated user.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getPlanHandler = async (req, res) => {
+    const { planId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidPlanId(req, res)) return;
+
+    try {
+        // Call the getPlan method from planService
+        const plan = await getPlan(planId, userId);
+        // Respond with 200 status code and the plan
+        res.status(200).json(plan);
+    } catch (error) {
+        // Handle errors from planService and send an error response
+        console.error('Error retrieving training plan:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to retrieve training plan. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles updating a training plan of the authenticated user.
+ * Only the fields present in the request body are updated, a goalId of null detaches the plan from its goal.
+ *
+ * @param {express.Request} req - The incoming request object, containing the fields to update.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const updatePlanHandler = async (req, res) => {
+    const { planId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidPlanId(req, res)) return;
+
+    try {
+        // Call the updatePlan method from planService
+        const plan = await updatePlan(planId, userId, pickPlanFields(req.body));
+        // Respond with 200 status code and the updated plan
+        res.status(200).json(plan);
+    } catch (error) {
+        // Handle errors from planService and send an error response
+        console.error('Error updating training plan:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to update training plan. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles deleting a training plan of the authenticated user along with its sessions.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const deletePlanHandler = async (req, res) => {
+    const { planId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidPlanId(req, res)) return;
+
+    try {
+        // Call the deletePlan method from planService
+        const result = await deletePlan(planId, userId);
+        // Respond with 200 status code and a success message
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from planService and send an error response
+        console.error('Error deleting training plan:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to delete training plan. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles scheduling a training plan of the authenticated user into dated sessions.
+ * Extracts the startDate and timezone from the request body.
+ *
+ * @param {express.Request} req - The incoming request object, containing the start date.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const schedulePlanHandler = async (req, res) => {
+    const { planId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { startDate, timezone } = req.body;
+
+    if (rejectInvalidPlanId(req, res)) return;
+
+    try {
+        // Call the schedulePlan method from planService
+        const result = await schedulePlan(planId, userId, sanitizeString(startDate), sanitizeString(timezone) || undefined);
+        // Respond with 200 status code, the plan and its sessions
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from planService and send an error response
+        console.error('Error scheduling training plan:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to schedule training plan. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles taking a training plan of the authenticated user off the schedule.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const unschedulePlanHandler = async (req, res) => {
+    const { planId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidPlanId(req, res)) return;
+
+    try {
+        // Call the unschedulePlan method from planService
+        const plan = await unschedulePlan(planId, userId);
+        // Respond with 200 status code and the plan
+        res.status(200).json(plan);
+    } catch (error) {
+        // Handle errors from planService and send an error response
+        console.error('Error unscheduling training plan:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to unschedule training plan. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles listing the scheduled sessions of a training plan of the authenticated user on a date range.
+ * Extracts the from and to dates from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listPlanSessionsHandler = async (req, res) => {
+    const { planId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { from, to } = req.query;
+
+    if (rejectInvalidPlanId(req, res)) return;
+
+    try {
+        // Call the getPlan method from planService to make sure the plan exists
+        await getPlan(planId, userId);
+        // Call the listSessions method from planService
+        const result = await listSessions(userId, {
+            from: sanitizeString(from) || undefined,
+            to: sanitizeString(to) || undefined,
+            planId,
+        });
+        // Respond with 200 status code and the sessions
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from planService and send an error response
+        console.error('Error listing plan sessions:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list plan sessions. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles the adherence report of a scheduled training plan of the authenticated user.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getAdherenceHandler = async (req, res) => {
+    const { planId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidPlanId(req, res)) return;
+
+    try {
+        // Call the getPlanAdherence method from planService
+        const report = await getPlanAdherence(planId, userId);
+        // Respond with 200 status code and the report
+        res.status(200).json(report);
+    } catch (error) {
+        // Handle errors from planService and send an error response
+        console.error('Error reporting plan adherence:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to report plan adherence. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation, using the authMiddleware for protection
+router.get('/', listPlansHandler);
+router.post('/', createPlanHandler);
+router.get('/sessions', listSessionsHandler);
+router.get('/:planId', getPlanHandler);
+router.put('/:planId', updatePlanHandler);
+router.delete('/:planId', deletePlanHandler);
+router.post('/:planId/schedule', schedulePlanHandler);
+router.delete('/:planId/schedule', unschedulePlanHandler);
+router.get('/:planId/sessions', listPlanSessionsHandler);
+router.get('/:planId/adherence', getAdherenceHandler);
+
+export default router;
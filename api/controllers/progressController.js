@@ -0,0 +1,117 @@
+// api/controllers/progressController.js
+import express from 'express';
+import { addProgressEntry, listProgressEntries } from '../services/progressService';
+import { sanitizeString, isValidObjectId } from '../../src/utils/helpers';
+
+/**
+ * Handles incoming HTTP requests related to the progress history of a goal, interacting with the `progressService.js`.
+ * Uses Express.js for routing and request handling. The router is mounted under `/:goalId/progress`
+ * of the goal router, which authenticates every request.
+ */
+
+const router = express.Router({ mergeParams: true }); // Keep access to :goalId of the parent router
+
+/**
+ * Handles adding a progress entry to a goal.
+ * Extracts goalId from the request parameters and value, recordedAt and note from the request body.
+ * Sanitizes and validates the inputs, then calls the addProgressEntry service and sends the appropriate response.
+ *
+ * @param {express.Request} req - The incoming request object, containing the progress entry.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const addProgressEntryHandler = async (req, res) => {
+    const { goalId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { value, recordedAt, note } = req.body;
+
+    // Sanitize inputs
+    const sanitizedNote = sanitizeString(note);
+
+    // Input validations: check if required fields are present
+    if (!isValidObjectId(goalId)) {
+        console.error('Invalid goalId format:', goalId);
+        return res.status(400).json({
+            message: 'Invalid goalId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+    }
+
+    if (value === undefined || typeof value !== 'number') {
+        console.error('Progress value must be a number.');
+        return res.status(400).json({
+            message: 'Progress value must be a number',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+    }
+
+    try {
+        // Call the addProgressEntry method from progressService
+        const result = await addProgressEntry(goalId, userId, value, recordedAt, sanitizedNote);
+        // Respond with 201 status code, the new entry and the goal with its derived progress
+        res.status(201).json(result);
+    } catch (error) {
+        // Handle errors from progressService and send an error response
+        console.error('Error adding progress entry:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to add progress entry. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles listing the progress history of a goal.
+ * Extracts goalId from the request parameters and pagination options from the query string,
+ * then calls the listProgressEntries service and sends the page of entries.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listProgressEntriesHandler = async (req, res) => {
+    const { goalId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { limit, cursor, sortOrder, from, to } = req.query;
+
+    if (!isValidObjectId(goalId)) {
+        console.error('Invalid goalId format:', goalId);
+        return res.status(400).json({
+            message: 'Invalid goalId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+    }
+
+    try {
+        // Call the listProgressEntries method from progressService
+        const result = await listProgressEntries(goalId, userId, {
+            limit,
+            cursor: sanitizeString(cursor) || undefined,
+            sortOrder: sanitizeString(sortOrder) || undefined,
+            from: sanitizeString(from) || undefined,
+            to: sanitizeString(to) || undefined,
+        });
+        // Respond with 200 status code and the page of entries
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from progressService and send an error response
+        console.error('Error listing progress entries:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list progress entries. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation
+router.post('/', addProgressEntryHandler);
+router.get('/', listProgressEntriesHandler);
+
+export default router;
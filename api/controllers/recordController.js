@@ -0,0 +1,87 @@
+// api/controllers/recordController.js
+import express from 'express';
+import { listRecords, listRecordHistory } from '../services/recordService';
+import { sanitizeString } from '../../src/utils/helpers';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Handles incoming HTTP requests related to personal records, interacting with the `recordService.js`.
+ * Records are detected as workouts are logged, so they are read-only here. Uses Express.js for routing
+ * and request handling. The router is mounted under `/api/records` and all routes are protected via auth middleware.
+ */
+
+const router = express.Router();
+router.use(authMiddleware.authenticate); // Protect all routes with authentication
+
+/**
+ * Handles listing the current personal records of the authenticated user, one per exercise and metric.
+ * Extracts the exerciseId, metric and since filters from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listRecordsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { exerciseId, metric, since } = req.query;
+
+    try {
+        // Call the listRecords method from recordService
+        const result = await listRecords(userId, {
+            exerciseId: sanitizeString(exerciseId) || undefined,
+            metric: sanitizeString(metric) || undefined,
+            since: sanitizeString(since) || undefined,
+        });
+        // Respond with 200 status code and the records
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from recordService and send an error response
+        console.error('Error listing records:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list records. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles listing the record history of the authenticated user, including records beaten since.
+ * Extracts pagination options and the exerciseId and metric filters from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listRecordHistoryHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { limit, cursor, exerciseId, metric } = req.query;
+
+    try {
+        // Call the listRecordHistory method from recordService
+        const result = await listRecordHistory(userId, {
+            limit,
+            cursor: sanitizeString(cursor) || undefined,
+            exerciseId: sanitizeString(exerciseId) || undefined,
+            metric: sanitizeString(metric) || undefined,
+        });
+        // Respond with 200 status code and the page of records
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from recordService and send an error response
+        console.error('Error listing record history:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list record history. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation, using the authMiddleware for protection
+router.get('/', listRecordsHandler);
+router.get('/history', listRecordHistoryHandler);
+
+export default router;
@@ -0,0 +1,195 @@
+// api/controllers/reportController.js
+import express from 'express';
+import {
+    previewWeeklyReport,
+    listWeeklyReports,
+    getWeeklyReport,
+    getReportSettings,
+    updateReportSettings,
+} from '../services/reportService';
+import { sanitizeString } from '../../src/utils/helpers';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Handles incoming HTTP requests for weekly reports, interacting with the `reportService.js`.
+ * Reports are sent as JSON, or as the HTML or plain text rendering when `format` asks for it.
+ * Uses Express.js for routing and request handling.
+ * The router is mounted under `/api/reports` and all routes are protected via auth middleware.
+ */
+
+const router = express.Router();
+router.use(authMiddleware.authenticate); // Protect all routes with authentication
+
+/**
+ * Sends a report in the format it was rendered in.
+ *
+ * @param {express.Response} res - The outgoing response object.
+ * @param {{ contentType: string, body: object|string }} result - The report as returned by reportService.
+ * @returns {void}
+ */
+const sendReport = (res, result) => {
+    if (typeof result.body === 'string') {
+        res.set('Content-Type', result.contentType);
+        res.status(200).send(result.body);
+        return;
+    }
+    res.status(200).json(result.body);
+};
+
+/**
+ * Handles previewing the report of a week of the authenticated user.
+ * Extracts the `week`, any date of the week, and the `format` from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const previewWeeklyReportHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { week, format } = req.query;
+
+    try {
+        // Call the previewWeeklyReport method from reportService
+        const result = await previewWeeklyReport(userId, sanitizeString(week) || undefined, sanitizeString(format) || undefined);
+        // Respond with 200 status code and the report
+        sendReport(res, result);
+    } catch (error) {
+        // Handle errors from reportService and send an error response
+        console.error('Error previewing weekly report:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to preview weekly report. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles listing the stored weekly reports of the authenticated user, one page at a time.
+ * Extracts the `limit` and `cursor` from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listWeeklyReportsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { limit, cursor } = req.query;
+
+    try {
+        // Call the listWeeklyReports method from reportService
+        const result = await listWeeklyReports(userId, {
+            limit,
+            cursor: sanitizeString(cursor) || undefined,
+        });
+        // Respond with 200 status code and the page of reports
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from reportService and send an error response
+        console.error('Error listing weekly reports:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list weekly reports. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles retrieving a stored weekly report of the authenticated user.
+ * Extracts the `reportId` from the request parameters and the `format` from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getWeeklyReportHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { reportId } = req.params;
+
+    try {
+        // Call the getWeeklyReport method from reportService
+        const result = await getWeeklyReport(reportId, userId, sanitizeString(req.query.format) || undefined);
+        // Respond with 200 status code and the report
+        sendReport(res, result);
+    } catch (error) {
+        // Handle errors from reportService and send an error response
+        console.error('Error retrieving weekly report:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to retrieve weekly report. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles retrieving the weekly report settings of the authenticated user.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getReportSettingsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    try {
+        // Call the getReportSettings method from reportService
+        const settings = await getReportSettings(userId);
+        // Respond with 200 status code and the settings
+        res.status(200).json(settings);
+    } catch (error) {
+        // Handle errors from reportService and send an error response
+        console.error('Error retrieving report settings:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to retrieve report settings. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles updating the weekly report settings of the authenticated user.
+ * Extracts the `timezone` and `weeklyReportsEnabled` from the request body.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const updateReportSettingsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { timezone, weeklyReportsEnabled } = req.body || {};
+
+    try {
+        // Call the updateReportSettings method from reportService
+        const settings = await updateReportSettings(userId, {
+            timezone: timezone === undefined ? undefined : sanitizeString(timezone),
+            weeklyReportsEnabled,
+        });
+        // Respond with 200 status code and the updated settings
+        res.status(200).json(settings);
+    } catch (error) {
+        // Handle errors from reportService and send an error response
+        console.error('Error updating report settings:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to update report settings. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation, using the authMiddleware for protection
+router.get('/weekly', previewWeeklyReportHandler);
+router.get('/weekly/history', listWeeklyReportsHandler);
+router.get('/weekly/:reportId', getWeeklyReportHandler);
+router.get('/settings', getReportSettingsHandler);
+router.put('/settings', updateReportSettingsHandler);
+
+export default router;
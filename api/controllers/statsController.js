@@ -0,0 +1,121 @@
+// api/controllers/statsController.js
+import express from 'express';
+import { getStats, getActivity, getProgressHistory } from '../services/statsService';
+import { sanitizeString } from '../../src/utils/helpers';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Handles incoming HTTP requests for statistics and the data of the Dashboard charts, interacting with the `statsService.js`.
+ * Uses Express.js for routing and request handling.
+ * The router is mounted under `/api/stats` and all routes are protected via auth middleware.
+ */
+
+const router = express.Router();
+router.use(authMiddleware.authenticate); // Protect all routes with authentication
+
+/**
+ * Handles computing the goal statistics of the authenticated user.
+ * Extracts the range `from` and `to`, the `timezone` and the `interval` from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getStatsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { from, to, timezone, interval } = req.query;
+
+    try {
+        // Call the getStats method from statsService
+        const stats = await getStats(userId, {
+            from: sanitizeString(from) || undefined,
+            to: sanitizeString(to) || undefined,
+            timezone: sanitizeString(timezone) || undefined,
+            interval: sanitizeString(interval) || undefined,
+        });
+        // Respond with 200 status code and the statistics
+        res.status(200).json(stats);
+    } catch (error) {
+        // Handle errors from statsService and send an error response
+        console.error('Error computing stats:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to compute stats. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles computing the logged activity of the authenticated user per day and per week.
+ * Extracts the range `from` and `to` and the `timezone` from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getActivityHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { from, to, timezone } = req.query;
+
+    try {
+        // Call the getActivity method from statsService
+        const activity = await getActivity(userId, {
+            from: sanitizeString(from) || undefined,
+            to: sanitizeString(to) || undefined,
+            timezone: sanitizeString(timezone) || undefined,
+        });
+        // Respond with 200 status code and the activity
+        res.status(200).json(activity);
+    } catch (error) {
+        // Handle errors from statsService and send an error response
+        console.error('Error computing activity:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to compute activity. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles listing the progress history of the active goals of the authenticated user.
+ * Extracts the range `from` and `to` and the `timezone` from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getProgressHistoryHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { from, to, timezone } = req.query;
+
+    try {
+        // Call the getProgressHistory method from statsService
+        const history = await getProgressHistory(userId, {
+            from: sanitizeString(from) || undefined,
+            to: sanitizeString(to) || undefined,
+            timezone: sanitizeString(timezone) || undefined,
+        });
+        // Respond with 200 status code and the progress history
+        res.status(200).json(history);
+    } catch (error) {
+        // Handle errors from statsService and send an error response
+        console.error('Error listing progress history:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list progress history. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation, using the authMiddleware for protection
+router.get('/', getStatsHandler);
+router.get('/activity', getActivityHandler);
+router.get('/progress', getProgressHistoryHandler);
+
+export default router;
@@ -0,0 +1,234 @@
+// api/controllers/workoutController.js
+import express from 'express';
+import { createWorkout, getWorkout, listWorkouts, updateWorkout, deleteWorkout } from '../services/workoutService';
+import { sanitizeString, isValidObjectId } from '../../src/utils/helpers';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Handles incoming HTTP requests related to workout logging, interacting with the `workoutService.js`.
+ * Uses Express.js for routing and request handling. The router is mounted under `/api/workouts`
+ * and all routes are protected via auth middleware.
+ */
+
+const router = express.Router();
+router.use(authMiddleware.authenticate); // Protect all routes with authentication
+
+/**
+ * Picks the workout fields from a request body. Strings are sanitized here, the exercises
+ * are sanitized and validated field by field in workoutService.
+ *
+ * @param {object} body - The request body.
+ * @returns {object} The workout fields, undefined for fields that were not sent.
+ */
+const pickWorkoutFields = (body) => {
+    const { date, type, duration, notes, weightUnit, distanceUnit, exercises, goalIds } = body;
+    return {
+        date: sanitizeString(date) || undefined,
+        type: sanitizeString(type) || undefined,
+        duration,
+        notes: notes === undefined ? undefined : sanitizeString(notes),
+        weightUnit: sanitizeString(weightUnit) || undefined,
+        distanceUnit: sanitizeString(distanceUnit) || undefined,
+        exercises,
+        goalIds,
+    };
+};
+
+
+/**
+ * Sends a 400 response if the workoutId route parameter is not a valid ObjectId.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {boolean} True if a response was sent.
+ */
+const rejectInvalidWorkoutId = (req, res) => {
+    const { workoutId } = req.params;
+    if (!isValidObjectId(workoutId)) {
+        console.error('Invalid workoutId format:', workoutId);
+        res.status(400).json({
+            message: 'Invalid workoutId format',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+        return true;
+    }
+    return false;
+};
+
+
+/**
+ * Handles logging a new workout.
+ * Extracts the date, type, duration, notes, units, exercises and linked goals from the request body,
+ * then calls the createWorkout service and sends the workout along with the updates of its linked goals.
+ *
+ * @param {express.Request} req - The incoming request object, containing the workout.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const createWorkoutHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const workout = pickWorkoutFields(req.body);
+
+    // Input validations: check if required fields are present
+    if (!workout.type) {
+        console.error('Workout type is required.');
+        return res.status(400).json({
+            message: 'Workout type is required',
+            code: 400,
+            statusText: 'Bad Request',
+        });
+    }
+
+    try {
+        // Call the createWorkout method from workoutService
+        const result = await createWorkout(userId, workout);
+        // Respond with 201 status code, the new workout and the updates of its linked goals
+        res.status(201).json(result);
+    } catch (error) {
+        // Handle errors from workoutService and send an error response
+        console.error('Error creating workout:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to create workout. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles listing the workouts of the authenticated user.
+ * Extracts pagination and filter options from the query string.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const listWorkoutsHandler = async (req, res) => {
+    const userId = req.user.userId; // Extract userId from the authenticated user
+    const { limit, cursor, from, to, type, goalId, exerciseId } = req.query;
+
+    try {
+        // Call the listWorkouts method from workoutService
+        const result = await listWorkouts(userId, {
+            limit,
+            cursor: sanitizeString(cursor) || undefined,
+            from: sanitizeString(from) || undefined,
+            to: sanitizeString(to) || undefined,
+            type: sanitizeString(type) || undefined,
+            goalId: sanitizeString(goalId) || undefined,
+            exerciseId: sanitizeString(exerciseId) || undefined,
+        });
+        // Respond with 200 status code and the page of workouts
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from workoutService and send an error response
+        console.error('Error listing workouts:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to list workouts. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles fetching a single workout by its ID.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const getWorkoutHandler = async (req, res) => {
+    const { workoutId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidWorkoutId(req, res)) return;
+
+    try {
+        // Call the getWorkout method from workoutService
+        const workout = await getWorkout(workoutId, userId);
+        // Respond with 200 status code and the workout
+        res.status(200).json(workout);
+    } catch (error) {
+        // Handle errors from workoutService and send an error response
+        console.error('Error retrieving workout:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to retrieve workout. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles updating a workout by its ID. Only the fields sent in the request body change.
+ *
+ * @param {express.Request} req - The incoming request object, containing the updated fields.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const updateWorkoutHandler = async (req, res) => {
+    const { workoutId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidWorkoutId(req, res)) return;
+
+    try {
+        // Call the updateWorkout method from workoutService
+        const result = await updateWorkout(workoutId, userId, pickWorkoutFields(req.body));
+        // Respond with 200 status code, the updated workout and the updates of its linked goals
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from workoutService and send an error response
+        console.error('Error updating workout:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to update workout. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+/**
+ * Handles deleting a workout by its ID, which also takes back what it logged for its linked goals.
+ *
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+const deleteWorkoutHandler = async (req, res) => {
+    const { workoutId } = req.params;
+    const userId = req.user.userId; // Extract userId from the authenticated user
+
+    if (rejectInvalidWorkoutId(req, res)) return;
+
+    try {
+        // Call the deleteWorkout method from workoutService
+        const result = await deleteWorkout(workoutId, userId);
+        // Respond with 200 status code and a success message
+        res.status(200).json(result);
+    } catch (error) {
+        // Handle errors from workoutService and send an error response
+        console.error('Error deleting workout:', error);
+        res.status(error.code || 500).json({
+            message: error.message || 'Failed to delete workout. Please try again.',
+            code: error.code || 500,
+            statusText: error.statusText || 'Internal Server Error',
+        });
+    }
+};
+
+
+// Define routes for each operation, using the authMiddleware for protection
+router.post('/', createWorkoutHandler);
+router.get('/', listWorkoutsHandler);
+router.get('/:workoutId', getWorkoutHandler);
+router.put('/:workoutId', updateWorkoutHandler);
+router.delete('/:workoutId', deleteWorkoutHandler);
+
+export default router;
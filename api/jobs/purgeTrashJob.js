@@ -0,0 +1,65 @@
+// api/jobs/purgeTrashJob.js
+import { purgeExpiredGoals } from '../services/trashService';
+
+/**
+ * Periodically purges goals that have been in the trash for longer than the retention period
+ * (TRASH_RETENTION_DAYS, 30 days by default). The job runs once on start and then every
+ * TRASH_PURGE_INTERVAL_HOURS hours (24 by default). `server.js` starts it once connected to the database
+ * and stops it on shutdown.
+ */
+
+const parsedIntervalHours = Number.parseInt(process.env.TRASH_PURGE_INTERVAL_HOURS, 10);
+const PURGE_INTERVAL_HOURS = Number.isInteger(parsedIntervalHours) && parsedIntervalHours > 0 ? parsedIntervalHours : 24;
+
+let purgeTimer = null;
+let isPurging = false;
+
+/**
+ * Runs a single purge, skipping the run if the previous one is still in progress.
+ *
+ * @returns {Promise<void>}
+ */
+const runPurge = async () => {
+    if (isPurging) {
+        console.warn('Previous trash purge is still running, skipping this run.');
+        return;
+    }
+    isPurging = true;
+    try {
+        await purgeExpiredGoals();
+    } catch (error) {
+        // A failed run is retried on the next interval
+        console.error('Failed to purge trash:', error);
+    } finally {
+        isPurging = false;
+    }
+};
+
+/**
+ * Starts the purge job. Calling it again while the job is running has no effect.
+ *
+ * @returns {void}
+ */
+const startPurgeTrashJob = () => {
+    if (purgeTimer) {
+        return;
+    }
+    runPurge();
+    purgeTimer = setInterval(runPurge, PURGE_INTERVAL_HOURS * 60 * 60 * 1000);
+    // Do not keep the process alive just for the purge job
+    purgeTimer.unref();
+};
+
+/**
+ * Stops the purge job, for example on server shutdown.
+ *
+ * @returns {void}
+ */
+const stopPurgeTrashJob = () => {
+    if (purgeTimer) {
+        clearInterval(purgeTimer);
+        purgeTimer = null;
+    }
+};
+
+export { startPurgeTrashJob, stopPurgeTrashJob };
@@ -0,0 +1,66 @@
+// api/jobs/weeklyReportJob.js
+import { generateWeeklyReports } from '../services/reportService';
+
+/**
+ * Periodically generates and stores the weekly reports of all users. A user's report of the week is due from
+ * WEEKLY_REPORT_HOUR (18 by default) on their Sunday, in their own timezone, so the job checks every
+ * WEEKLY_REPORT_INTERVAL_MINUTES minutes (60 by default) rather than once a week. The job runs once on start,
+ * which also catches up on reports missed while the server was down. `server.js` starts it once connected
+ * to the database and stops it on shutdown.
+ */
+
+const parsedIntervalMinutes = Number.parseInt(process.env.WEEKLY_REPORT_INTERVAL_MINUTES, 10);
+const REPORT_INTERVAL_MINUTES = Number.isInteger(parsedIntervalMinutes) && parsedIntervalMinutes > 0 ? parsedIntervalMinutes : 60;
+
+let reportTimer = null;
+let isGenerating = false;
+
+/**
+ * Runs a single generation, skipping the run if the previous one is still in progress.
+ *
+ * @returns {Promise<void>}
+ */
+const runGeneration = async () => {
+    if (isGenerating) {
+        console.warn('Previous weekly report run is still running, skipping this run.');
+        return;
+    }
+    isGenerating = true;
+    try {
+        await generateWeeklyReports();
+    } catch (error) {
+        // A failed run is retried on the next interval
+        console.error('Failed to generate weekly reports:', error);
+    } finally {
+        isGenerating = false;
+    }
+};
+
+/**
+ * Starts the weekly report job. Calling it again while the job is running has no effect.
+ *
+ * @returns {void}
+ */
+const startWeeklyReportJob = () => {
+    if (reportTimer) {
+        return;
+    }
+    runGeneration();
+    reportTimer = setInterval(runGeneration, REPORT_INTERVAL_MINUTES * 60 * 1000);
+    // Do not keep the process alive just for the report job
+    reportTimer.unref();
+};
+
+/**
+ * Stops the weekly report job, for example on server shutdown.
+ *
+ * @returns {void}
+ */
+const stopWeeklyReportJob = () => {
+    if (reportTimer) {
+        clearInterval(reportTimer);
+        reportTimer = null;
+    }
+};
+
+export { startWeeklyReportJob, stopWeeklyReportJob };
@@ -0,0 +1,202 @@
+// api/models/ActivityTrack.js
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db';
+
+// File formats activities are imported from
+const ACTIVITY_SOURCES = ['gpx', 'tcx', 'fit'];
+
+/**
+ * Defines the schema for a point of a recorded GPS track.
+ * @type {mongoose.Schema}
+ */
+const trackPointSchema = new mongoose.Schema({
+    lat: {
+        type: Number,
+        required: true,
+        min: -90,
+        max: 90,
+    },
+    lon: {
+        type: Number,
+        required: true,
+        min: -180,
+        max: 180,
+    },
+    // In meters
+    ele: {
+        type: Number,
+    },
+    time: {
+        type: Date,
+    },
+    // In beats per minute
+    heartRate: {
+        type: Number,
+    },
+    // In revolutions per minute, for runs in strides per minute as recorded by Garmin devices
+    cadence: {
+        type: Number,
+    },
+}, {
+    _id: false,
+});
+
+/**
+ * Defines the schema for a distance split of a recorded track, such as each kilometer of a run.
+ * @type {mongoose.Schema}
+ */
+const splitSchema = new mongoose.Schema({
+    index: {
+        type: Number,
+        required: true,
+    },
+    // In meters, the full split distance except for the last split
+    distance: {
+        type: Number,
+        required: true,
+    },
+    // In seconds
+    duration: {
+        type: Number,
+    },
+    // In seconds per kilometer
+    pace: {
+        type: Number,
+    },
+    // In km/h
+    speed: {
+        type: Number,
+    },
+}, {
+    _id: false,
+});
+
+/**
+ * Defines the schema for activity tracks in the database.
+ * A track is the GPS recording a workout was imported from, such as a GPX, TCX or FIT file of a run or ride.
+ * It keeps the summary computed from the recording, its splits and its points, downsampled for long
+ * recordings, see activityService. The workout holds the distance and duration that count towards goals.
+ * @type {mongoose.Schema}
+ */
+const activityTrackSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+        index: true, // Indexing on userId for optimized queries
+    },
+    workoutId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Workout',
+    },
+    source: {
+        type: String,
+        enum: ACTIVITY_SOURCES,
+        required: true,
+    },
+    // SHA-256 of the uploaded file, so the same file is not imported twice
+    fileHash: {
+        type: String,
+        required: true,
+    },
+    name: {
+        type: String,
+        maxlength: 200,
+        trim: true,
+    },
+    // The sport as named in the file, such as 'Running' or 'cycling'
+    sport: {
+        type: String,
+        maxlength: 50,
+        trim: true,
+    },
+    startTime: {
+        type: Date,
+        required: true,
+    },
+    endTime: {
+        type: Date,
+        required: true,
+    },
+    // In meters
+    distance: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    // In seconds, from the first to the last point
+    totalTime: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    // In seconds, leaving out the stretches spent standing still
+    movingTime: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    // In meters
+    elevationGain: {
+        type: Number,
+        default: 0,
+    },
+    elevationLoss: {
+        type: Number,
+        default: 0,
+    },
+    // In km/h over the moving time
+    averageSpeed: {
+        type: Number,
+    },
+    // In seconds per kilometer over the moving time
+    averagePace: {
+        type: Number,
+    },
+    averageHeartRate: {
+        type: Number,
+    },
+    maxHeartRate: {
+        type: Number,
+    },
+    averageCadence: {
+        type: Number,
+    },
+    maxCadence: {
+        type: Number,
+    },
+    splits: {
+        type: [splitSchema],
+        default: [],
+    },
+    points: {
+        type: [trackPointSchema],
+        default: [],
+    },
+}, {
+    timestamps: true,
+});
+
+activityTrackSchema.index({ workoutId: 1 }, { unique: true });
+activityTrackSchema.index({ userId: 1, fileHash: 1 });
+
+
+// Create the model if it doesn't already exist
+let ActivityTrack;
+try {
+    // Attempt to retrieve existing model, throws error if not yet defined
+    ActivityTrack = mongoose.model('ActivityTrack');
+} catch (error) {
+    // Create the model if not yet defined
+    ActivityTrack = mongoose.model('ActivityTrack', activityTrackSchema);
+}
+
+// connect to db before exporting model
+const dbConnection = await connectDB();
+if (!dbConnection) {
+    console.error('Failed to connect to the database, ActivityTrack model cannot be initialized.');
+    process.exit(1);
+}
+export { ACTIVITY_SOURCES };
+export default ActivityTrack;
@@ -0,0 +1,94 @@
+// api/models/BodyMeasurement.js
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db';
+
+// Kinds of body measurements, with the units each can be logged in. The first unit is the default.
+const MEASUREMENT_UNITS = {
+    weight: ['kg', 'lb'],
+    body_fat: ['%'],
+    waist: ['cm', 'in'],
+    chest: ['cm', 'in'],
+    arms: ['cm', 'in'],
+    resting_heart_rate: ['bpm'],
+    // Daily totals and averages, such as those imported from Apple Health
+    heart_rate: ['bpm'],
+    steps: ['steps'],
+};
+
+const MEASUREMENT_TYPES = Object.keys(MEASUREMENT_UNITS);
+
+/**
+ * Defines the schema for body measurements in the database.
+ * Each measurement is one entry of a time series per type, such as a weigh-in. Measurable goals
+ * tracking a measurement type get a progress entry for every measurement, see measurementService.
+ * @type {mongoose.Schema}
+ */
+const bodyMeasurementSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+    },
+    type: {
+        type: String,
+        enum: MEASUREMENT_TYPES,
+        required: true,
+    },
+    value: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    unit: {
+        type: String,
+        required: true,
+        validate: {
+            validator: function (v) {
+                return (MEASUREMENT_UNITS[this.type] || []).includes(v);
+            },
+            message: props => `${props.value} is not a unit of this measurement type.`,
+        },
+    },
+    measuredAt: {
+        type: Date,
+        required: true,
+        default: Date.now,
+    },
+    note: {
+        type: String,
+        maxlength: 500,
+        trim: true,
+    },
+    // Identifier of the measurement in the app it was imported from, so a re-import updates it instead of adding it again
+    externalId: {
+        type: String,
+        maxlength: 200,
+    },
+}, {
+    timestamps: true,
+});
+
+// Backs the time series of a measurement type and the paginated list of all measurements
+bodyMeasurementSchema.index({ userId: 1, type: 1, measuredAt: 1, _id: 1 });
+bodyMeasurementSchema.index({ userId: 1, measuredAt: 1, _id: 1 });
+bodyMeasurementSchema.index({ userId: 1, externalId: 1 }, { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } });
+
+
+// Create the model if it doesn't already exist
+let BodyMeasurement;
+try {
+    // Attempt to retrieve existing model, throws error if not yet defined
+    BodyMeasurement = mongoose.model('BodyMeasurement');
+} catch (error) {
+    // Create the model if not yet defined
+    BodyMeasurement = mongoose.model('BodyMeasurement', bodyMeasurementSchema);
+}
+
+// connect to db before exporting model
+const dbConnection = await connectDB();
+if (!dbConnection) {
+    console.error('Failed to connect to the database, BodyMeasurement model cannot be initialized.');
+    process.exit(1);
+}
+export { MEASUREMENT_TYPES, MEASUREMENT_UNITS };
+export default BodyMeasurement;
@@ -0,0 +1,75 @@
+// api/models/CheckIn.js
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db';
+
+/**
+ * Defines the schema for habit check-ins in the database.
+ * A check-in marks a recurring habit goal as done on one local calendar date,
+ * in the timezone of the goal. A goal can be checked in at most once per date.
+ * @type {mongoose.Schema}
+ */
+const checkInSchema = new mongoose.Schema({
+    goalId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Goal',
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+        index: true, // Indexing on userId for optimized queries
+    },
+    // Local calendar date of the check-in as 'YYYY-MM-DD', in the goal's timezone
+    date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    checkedAt: {
+        type: Date,
+        required: true,
+        default: Date.now,
+    },
+    note: {
+        type: String,
+        maxlength: 500,
+        trim: true,
+    },
+    // The workout the check-in was logged by, see workoutService
+    workoutId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workout',
+    },
+    // The nutrition log that met the goal's nutrition rule, see nutritionService
+    nutritionLogId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'NutritionLog',
+    },
+}, {
+    timestamps: true,
+});
+
+// One check-in per goal and date, also backs the chronological lookups of streaks and calendars
+checkInSchema.index({ goalId: 1, date: 1 }, { unique: true });
+checkInSchema.index({ workoutId: 1 }, { sparse: true });
+checkInSchema.index({ nutritionLogId: 1 }, { sparse: true });
+
+
+// Create the model if it doesn't already exist
+let CheckIn;
+try {
+    // Attempt to retrieve existing model, throws error if not yet defined
+    CheckIn = mongoose.model('CheckIn');
+} catch (error) {
+    // Create the model if not yet defined
+    CheckIn = mongoose.model('CheckIn', checkInSchema);
+}
+
+// connect to db before exporting model
+const dbConnection = await connectDB();
+if (!dbConnection) {
+    console.error('Failed to connect to the database, CheckIn model cannot be initialized.');
+    process.exit(1);
+}
+export default CheckIn;
@@ -0,0 +1,95 @@
+// api/models/Exercise.js
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db';
+
+// Muscle groups an exercise trains
+const MUSCLE_GROUPS = [
+    'chest', 'back', 'shoulders', 'biceps', 'triceps', 'forearms', 'core',
+    'glutes', 'quadriceps', 'hamstrings', 'calves', 'full_body', 'cardio',
+];
+
+// Equipment an exercise is performed with
+const EQUIPMENT = [
+    'bodyweight', 'barbell', 'dumbbell', 'kettlebell', 'machine', 'cable',
+    'band', 'pull_up_bar', 'cardio_machine', 'other',
+];
+
+// What the sets of an exercise are measured in: repetitions only, repetitions of a weight, time or distance
+const EXERCISE_MEASUREMENT_TYPES = ['reps', 'weight', 'time', 'distance'];
+
+/**
+ * Defines the schema for the exercise catalog in the database.
+ * Catalog exercises are seeded and shared by all users, they have no userId. Custom exercises
+ * belong to the user who added them and are only visible to that user.
+ * @type {mongoose.Schema}
+ */
+const exerciseSchema = new mongoose.Schema({
+    // null for the seeded catalog
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    name: {
+        type: String,
+        required: true,
+        maxlength: 100,
+        trim: true,
+    },
+    // The name lowercased with whitespace collapsed, names are unique per owner in this form
+    normalizedName: {
+        type: String,
+        required: true,
+    },
+    // Other names the exercise is known by, e.g. 'BP' for the bench press, matched by the search
+    aliases: {
+        type: [{
+            type: String,
+            maxlength: 100,
+            trim: true,
+        }],
+        default: [],
+    },
+    muscleGroups: {
+        type: [{
+            type: String,
+            enum: MUSCLE_GROUPS,
+        }],
+        default: [],
+    },
+    equipment: {
+        type: String,
+        enum: EQUIPMENT,
+        default: 'bodyweight',
+    },
+    measurementType: {
+        type: String,
+        enum: EXERCISE_MEASUREMENT_TYPES,
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+// Backs the uniqueness of names per owner, and listing the catalog along with a user's custom exercises
+exerciseSchema.index({ userId: 1, normalizedName: 1 }, { unique: true });
+
+
+// Create the model if it doesn't already exist
+let Exercise;
+try {
+    // Attempt to retrieve existing model, throws error if not yet defined
+    Exercise = mongoose.model('Exercise');
+} catch (error) {
+    // Create the model if not yet defined
+    Exercise = mongoose.model('Exercise', exerciseSchema);
+}
+
+// connect to db before exporting model
+const dbConnection = await connectDB();
+if (!dbConnection) {
+    console.error('Failed to connect to the database, Exercise model cannot be initialized.');
+    process.exit(1);
+}
+export { MUSCLE_GROUPS, EQUIPMENT, EXERCISE_MEASUREMENT_TYPES };
+export default Exercise;
@@ -1,6 +1,133 @@
 // api/models/Goal.js
 import mongoose from 'mongoose';
 import { connectDB } from '../config/db';
+import { MAX_TAG_LENGTH, MAX_TAGS_PER_GOAL } from '../utils/tags';
+import { MEASUREMENT_TYPES } from './BodyMeasurement';
+import { NUTRITION_METRICS } from './NutritionLog';
+
+// Kinds of measurement a goal can track. 'percentage' goals log a 0-100 progress value directly,
+// every other type logs values in the goal's unit and derives progress from startValue and targetValue.
+const METRIC_TYPES = ['percentage', 'distance', 'weight', 'duration', 'repetitions', 'count', 'custom'];
+
+// Whether a measurable goal is reached by increasing (run 10 km) or decreasing (lose 5 kg) its value
+const GOAL_DIRECTIONS = ['increase', 'decrease'];
+
+// 'target' goals are reached once by a target date, 'habit' goals recur and are checked in per period
+const GOAL_TYPES = ['target', 'habit'];
+
+// How often a habit recurs: every day, N times per week, or on specific weekdays
+const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'weekdays'];
+
+// How the daily total of a nutrition rule compares to its amount on the days that meet the rule
+const NUTRITION_COMPARISONS = ['at_least', 'at_most'];
+
+// Where the progress of a goal comes from: its logged progress entries, the share of completed milestones,
+// or the share of completed sessions of the training plan attached to it
+const PROGRESS_SOURCES = ['entries', 'milestones', 'plan'];
+
+// Fixed categories to group goals by, user-defined grouping is done with tags
+const GOAL_CATEGORIES = ['cardio', 'strength', 'flexibility', 'nutrition', 'sleep', 'weight', 'wellness', 'other'];
+
+// Lifecycle states of a goal
+const GOAL_STATUSES = ['active', 'paused', 'completed', 'abandoned', 'archived'];
+
+// Allowed status transitions, keyed by the current status
+const GOAL_STATUS_TRANSITIONS = {
+    active: ['paused', 'completed', 'abandoned', 'archived'],
+    paused: ['active', 'abandoned', 'archived'],
+    completed: ['active', 'archived'],
+    abandoned: ['active', 'archived'],
+    archived: ['active'],
+};
+
+// The field stamped with the time a goal last entered each status
+const STATUS_TIMESTAMP_FIELDS = {
+    active: 'activatedAt',
+    paused: 'pausedAt',
+    completed: 'completedAt',
+    abandoned: 'abandonedAt',
+    archived: 'archivedAt',
+};
+
+/**
+ * Defines the schema for the status history of a goal, one entry per status transition.
+ * @type {mongoose.Schema}
+ */
+const statusChangeSchema = new mongoose.Schema({
+    from: {
+        type: String,
+        enum: GOAL_STATUSES,
+    },
+    to: {
+        type: String,
+        enum: GOAL_STATUSES,
+        required: true,
+    },
+    changedAt: {
+        type: Date,
+        required: true,
+        default: Date.now,
+    },
+    reason: {
+        type: String,
+        maxlength: 200,
+        trim: true,
+    },
+}, {
+    _id: false,
+});
+
+/**
+ * Defines the schema for the milestones of a goal, intermediate checkpoints on the way to it.
+ * Milestones are embedded in their goal and ordered by their position in the `milestones` array.
+ * @type {mongoose.Schema}
+ */
+const milestoneSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        maxlength: 100,
+        trim: true,
+    },
+    targetDate: {
+        type: Date,
+    },
+    completed: {
+        type: Boolean,
+        default: false,
+    },
+    completedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+/**
+ * Defines the schema for the nutrition rule of a habit goal, such as at least 150 g of protein a day.
+ * The habit is checked in on every day whose nutrition log meets the rule, see nutritionService.
+ * @type {mongoose.Schema}
+ */
+const nutritionRuleSchema = new mongoose.Schema({
+    metric: {
+        type: String,
+        enum: NUTRITION_METRICS,
+        required: true,
+    },
+    comparison: {
+        type: String,
+        enum: NUTRITION_COMPARISONS,
+        default: 'at_least',
+    },
+    // In the unit of the metric, see NUTRITION_METRIC_UNITS
+    amount: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+}, {
+    _id: false,
+});
 
 /**
  * Defines the schema for fitness goals in the database.
@@ -29,11 +156,157 @@ const goalSchema = new mongoose.Schema({
         type: Date,
         validate: {
             validator: function(v) {
+                // Only a new or changed target date has to be in the future, so expired goals can still be saved
+                if (typeof this.isModified === 'function' && !this.isModified('targetDate')) {
+                    return true;
+                }
                 return v > new Date();
             },
             message: props => `Target date must be a valid date in the future.`
         }
     },
+    category: {
+        type: String,
+        enum: GOAL_CATEGORIES,
+        default: 'other',
+    },
+    // Normalized user-defined tags, see api/utils/tags.js
+    tags: {
+        type: [{
+            type: String,
+            lowercase: true,
+            trim: true,
+            maxlength: MAX_TAG_LENGTH,
+        }],
+        default: [],
+        validate: {
+            validator: function(v) {
+                return v.length <= MAX_TAGS_PER_GOAL;
+            },
+            message: props => `A goal can have at most ${MAX_TAGS_PER_GOAL} tags.`
+        }
+    },
+    goalType: {
+        type: String,
+        enum: GOAL_TYPES,
+        default: 'target',
+    },
+    // Recurrence rule of habit goals
+    recurrence: {
+        frequency: {
+            type: String,
+            enum: RECURRENCE_FREQUENCIES,
+        },
+        // Required check-ins per week for 'weekly' habits
+        timesPerWeek: {
+            type: Number,
+            min: 1,
+            max: 7,
+        },
+        // Scheduled days for 'weekdays' habits, 0 for Sunday to 6 for Saturday
+        weekdays: {
+            type: [Number],
+            default: undefined,
+        },
+    },
+    // Daily nutrition target of a habit goal, days meeting it are checked in automatically
+    nutritionRule: {
+        type: nutritionRuleSchema,
+        default: null,
+    },
+    // IANA timezone the periods of a habit goal are computed in
+    timezone: {
+        type: String,
+        default: 'UTC',
+    },
+    // Streaks of habit goals as of the last check-in or streak lookup, see habitService
+    currentStreak: {
+        type: Number,
+        default: 0,
+    },
+    longestStreak: {
+        type: Number,
+        default: 0,
+    },
+    metricType: {
+        type: String,
+        enum: METRIC_TYPES,
+        default: 'percentage',
+    },
+    unit: {
+        type: String,
+        maxlength: 20,
+        trim: true,
+    },
+    startValue: {
+        type: Number,
+    },
+    targetValue: {
+        type: Number,
+    },
+    direction: {
+        type: String,
+        enum: GOAL_DIRECTIONS,
+        default: 'increase',
+    },
+    // The most recently logged value, in the goal's unit
+    currentValue: {
+        type: Number,
+    },
+    // The exercise a measurable goal tracks, only its sets in linked workouts count towards the goal
+    exerciseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Exercise',
+        default: null,
+    },
+    // The body measurement a measurable goal tracks, every logged measurement of this type is a progress entry
+    measurementType: {
+        type: String,
+        enum: [...MEASUREMENT_TYPES, null],
+        default: null,
+    },
+    progressSource: {
+        type: String,
+        enum: PROGRESS_SOURCES,
+        default: 'entries',
+    },
+    milestones: {
+        type: [milestoneSchema],
+        default: [],
+    },
+    status: {
+        type: String,
+        enum: GOAL_STATUSES,
+        default: 'active',
+    },
+    statusChangedAt: {
+        type: Date,
+    },
+    activatedAt: {
+        type: Date,
+    },
+    pausedAt: {
+        type: Date,
+    },
+    completedAt: {
+        type: Date,
+    },
+    abandonedAt: {
+        type: Date,
+    },
+    archivedAt: {
+        type: Date,
+    },
+    statusHistory: {
+        type: [statusChangeSchema],
+        default: [],
+    },
+    // When the goal was moved to the trash, null for goals that are not deleted
+    deletedAt: {
+        type: Date,
+        default: null,
+    },
+    // Derived from the most recent ProgressEntry of the goal, see progressService.syncGoalProgress
     progress: {
         type: Number,
         default: 0,
@@ -48,6 +321,129 @@ const goalSchema = new mongoose.Schema({
     timestamps: true,
 });
 
+/**
+ * Computes the progress percentage a logged value represents for this goal.
+ * For measurable goals the value is placed between startValue and targetValue,
+ * which also covers decreasing goals where targetValue is below startValue.
+ *
+ * @param {number} value - The logged value, a percentage for 'percentage' goals or a value in the goal's unit otherwise.
+ * @returns {number} The progress, between 0 and 100 and rounded to two decimals.
+ */
+goalSchema.methods.computeProgress = function (value) {
+    let progress;
+    if (this.metricType === 'percentage' || !this.metricType) {
+        progress = value;
+    } else {
+        const span = this.direction === 'decrease'
+            ? this.startValue - this.targetValue
+            : this.targetValue - this.startValue;
+        const achieved = this.direction === 'decrease'
+            ? this.startValue - value
+            : value - this.startValue;
+        progress = span > 0 ? (achieved / span) * 100 : 0;
+    }
+    return Math.round(Math.min(Math.max(progress, 0), 100) * 100) / 100;
+};
+
+/**
+ * Computes the progress rolled up from the milestones of the goal, the share of completed milestones.
+ *
+ * @returns {number} The progress, between 0 and 100 and rounded to two decimals. 0 if the goal has no milestones.
+ */
+goalSchema.methods.computeMilestoneProgress = function () {
+    if (!this.milestones || this.milestones.length === 0) {
+        return 0;
+    }
+    const completedCount = this.milestones.filter((milestone) => milestone.completed).length;
+    return Math.round((completedCount / this.milestones.length) * 10000) / 100;
+};
+
+/**
+ * Whether the goal logs values in its own unit instead of a progress percentage.
+ *
+ * @returns {boolean} True for measurable goals.
+ */
+goalSchema.methods.isMeasurable = function () {
+    return Boolean(this.metricType) && this.metricType !== 'percentage';
+};
+
+/**
+ * Whether the goal may move from its current status to the given one.
+ *
+ * @param {string} status - The status to move to.
+ * @returns {boolean} True if the transition is allowed.
+ */
+goalSchema.methods.canTransitionTo = function (status) {
+    return (GOAL_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Moves the goal to a status, stamping the time of the transition and appending it to the status history.
+ * Does not check whether the transition is allowed, see `canTransitionTo`.
+ *
+ * @param {string} status - The status to move to.
+ * @param {string} [reason] - Why the status changed.
+ * @param {Date} [changedAt=new Date()] - When the status changed.
+ */
+goalSchema.methods.applyStatus = function (status, reason, changedAt = new Date()) {
+    this.statusHistory.push({ from: this.status, to: status, changedAt, reason: reason || undefined });
+    this.status = status;
+    this.statusChangedAt = changedAt;
+    this[STATUS_TIMESTAMP_FIELDS[status]] = changedAt;
+};
+
+/**
+ * Whether progress can be logged for the goal. Paused, abandoned and archived goals are on hold.
+ *
+ * @returns {boolean} True for active and completed goals.
+ */
+goalSchema.methods.acceptsProgress = function () {
+    return this.status === 'active' || this.status === 'completed' || !this.status;
+};
+
+// New goals start their status history, and active goals whose progress reaches 100 complete themselves,
+// whichever path the progress was saved through
+goalSchema.pre('save', function (next) {
+    if (this.isNew && !this.statusChangedAt) {
+        this.statusHistory.push({ to: this.status, changedAt: new Date() });
+        this.statusChangedAt = this.statusHistory[0].changedAt;
+        this[STATUS_TIMESTAMP_FIELDS[this.status]] = this.statusChangedAt;
+    }
+    if (this.isModified('progress') && this.progress >= 100 && this.status === 'active') {
+        this.applyStatus('completed', 'Progress reached 100%');
+    }
+    next();
+});
+
+// Deleted goals are left out of every query, unless the query filters on `deletedAt` itself
+// or is run with the `withDeleted` option, as the trash does
+const SOFT_DELETE_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany'];
+goalSchema.pre(SOFT_DELETE_QUERIES, function (next) {
+    if (!this.getOptions().withDeleted && this.getFilter().deletedAt === undefined) {
+        this.where({ deletedAt: null });
+    }
+    next();
+});
+
+goalSchema.pre('aggregate', function (next) {
+    if (!this.options.withDeleted) {
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+    next();
+});
+
+// Compound indexes backing the paginated goal list, one per sortable field
+goalSchema.index({ userId: 1, targetDate: 1, _id: 1 });
+goalSchema.index({ userId: 1, progress: 1, _id: 1 });
+goalSchema.index({ userId: 1, createdAt: 1, _id: 1 });
+goalSchema.index({ userId: 1, updatedAt: 1, _id: 1 });
+goalSchema.index({ userId: 1, status: 1 });
+goalSchema.index({ userId: 1, deletedAt: 1 });
+goalSchema.index({ userId: 1, category: 1 });
+goalSchema.index({ userId: 1, tags: 1 });
+goalSchema.index({ userId: 1, measurementType: 1 });
+goalSchema.index({ userId: 1, 'nutritionRule.metric': 1 });
+
 
 // Create the model if it doesn't already exist
 let Goal;
@@ -65,4 +461,15 @@ if (!dbConnection) {
     console.error('Failed to connect to the database, Goal model cannot be initialized.');
     process.exit(1);
 }
+export {
+    METRIC_TYPES,
+    GOAL_DIRECTIONS,
+    GOAL_TYPES,
+    RECURRENCE_FREQUENCIES,
+    NUTRITION_COMPARISONS,
+    PROGRESS_SOURCES,
+    GOAL_STATUSES,
+    GOAL_STATUS_TRANSITIONS,
+    GOAL_CATEGORIES,
+};
 export default Goal;
\ No newline at end of file
@@ -0,0 +1,100 @@
+// api/models/ImportJob.js
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db';
+
+// Kinds of imports that run in the background
+const IMPORT_JOB_KINDS = ['apple_health'];
+
+const IMPORT_JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// A job whose progress was not saved for this long was interrupted, such as by a server restart
+const STALE_JOB_MINUTES = 15;
+
+/**
+ * Defines the schema for import jobs in the database.
+ * A job tracks an import that takes too long to answer within the upload request, such as an Apple Health
+ * export of several gigabytes. Clients poll it for the progress and the counts of what was imported, see
+ * appleHealthService.
+ * @type {mongoose.Schema}
+ */
+const importJobSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+    },
+    kind: {
+        type: String,
+        enum: IMPORT_JOB_KINDS,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: IMPORT_JOB_STATUSES,
+        default: 'queued',
+    },
+    // Uncompressed size of the data to read and how much of it was read, in bytes
+    totalBytes: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    processedBytes: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    // Percentage of the data read, from 0 to 100
+    progress: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100,
+    },
+    counts: {
+        // Records of the file read so far, of any type
+        records: { type: Number, default: 0 },
+        workoutsCreated: { type: Number, default: 0 },
+        measurementsCreated: { type: Number, default: 0 },
+        measurementsUpdated: { type: Number, default: 0 },
+        // Workouts and measurements that were imported before and left as they are
+        duplicates: { type: Number, default: 0 },
+        // Records of an imported type with values or dates that could not be read
+        skipped: { type: Number, default: 0 },
+    },
+    error: {
+        type: String,
+        maxlength: 500,
+    },
+    startedAt: {
+        type: Date,
+    },
+    finishedAt: {
+        type: Date,
+    },
+}, {
+    timestamps: true,
+});
+
+// Backs the lookup of the active job of a user
+importJobSchema.index({ userId: 1, status: 1 });
+
+
+// Create the model if it doesn't already exist
+let ImportJob;
+try {
+    // Attempt to retrieve existing model, throws error if not yet defined
+    ImportJob = mongoose.model('ImportJob');
+} catch (error) {
+    // Create the model if not yet defined
+    ImportJob = mongoose.model('ImportJob', importJobSchema);
+}
+
+// connect to db before exporting model
+const dbConnection = await connectDB();
+if (!dbConnection) {
+    console.error('Failed to connect to the database, ImportJob model cannot be initialized.');
+    process.exit(1);
+}
+export { IMPORT_JOB_KINDS, IMPORT_JOB_STATUSES, STALE_JOB_MINUTES };
+export default ImportJob;
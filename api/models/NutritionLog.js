@@ -0,0 +1,137 @@
+// api/models/NutritionLog.js
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db';
+
+// Metrics a day of nutrition is totalled in, with their units. Water is stored in milliliters whatever unit it was logged in.
+const NUTRITION_METRIC_UNITS = {
+    calories: 'kcal',
+    protein: 'g',
+    carbs: 'g',
+    fat: 'g',
+    water: 'ml',
+};
+
+const NUTRITION_METRICS = Object.keys(NUTRITION_METRIC_UNITS);
+
+// The macronutrients of a meal, in grams
+const MACROS = ['protein', 'carbs', 'fat'];
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+/**
+ * Defines the schema for the meals of a nutrition log.
+ * @type {mongoose.Schema}
+ */
+const mealSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        maxlength: 100,
+        trim: true,
+    },
+    mealType: {
+        type: String,
+        enum: MEAL_TYPES,
+        default: 'snack',
+    },
+    calories: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    protein: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    carbs: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    fat: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    loggedAt: {
+        type: Date,
+        required: true,
+        default: Date.now,
+    },
+}, {
+    timestamps: true,
+});
+
+/**
+ * Defines the schema for the water intake entries of a nutrition log.
+ * @type {mongoose.Schema}
+ */
+const waterEntrySchema = new mongoose.Schema({
+    // In milliliters
+    amount: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    loggedAt: {
+        type: Date,
+        required: true,
+        default: Date.now,
+    },
+}, {
+    timestamps: true,
+});
+
+/**
+ * Defines the schema for daily nutrition logs in the database.
+ * A user has one log per local calendar date, holding the meals and water intake of that day.
+ * Habit goals with a nutrition rule are checked in on the days the log meets the rule, see nutritionService.
+ * @type {mongoose.Schema}
+ */
+const nutritionLogSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+    },
+    // Local calendar date of the log as 'YYYY-MM-DD'
+    date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    meals: {
+        type: [mealSchema],
+        default: [],
+    },
+    water: {
+        type: [waterEntrySchema],
+        default: [],
+    },
+}, {
+    timestamps: true,
+});
+
+// One log per user and date, also backs the date range lookups of day lists and weekly summaries
+nutritionLogSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+
+// Create the model if it doesn't already exist
+let NutritionLog;
+try {
+    // Attempt to retrieve existing model, throws error if not yet defined
+    NutritionLog = mongoose.model('NutritionLog');
+} catch (error) {
+    // Create the model if not yet defined
+    NutritionLog = mongoose.model('NutritionLog', nutritionLogSchema);
+}
+
+// connect to db before exporting model
+const dbConnection = await connectDB();
+if (!dbConnection) {
+    console.error('Failed to connect to the database, NutritionLog model cannot be initialized.');
+    process.exit(1);
+}
+export { NUTRITION_METRICS, NUTRITION_METRIC_UNITS, MACROS, MEAL_TYPES };
+export default NutritionLog;
@@ -0,0 +1,102 @@
+// api/models/PersonalRecord.js
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db';
+
+// Metrics a personal record can be set in, with the unit record values are stored in and whether
+// a lower value is better. Running times are estimated from the average pace of a set covering the distance.
+const RECORD_METRICS = {
+    max_weight: { unit: 'kg', lowerIsBetter: false },
+    estimated_1rm: { unit: 'kg', lowerIsBetter: false },
+    max_reps: { unit: 'reps', lowerIsBetter: false },
+    longest_distance: { unit: 'm', lowerIsBetter: false },
+    longest_duration: { unit: 's', lowerIsBetter: false },
+    fastest_1k: { unit: 's', lowerIsBetter: true, distance: 1000 },
+    fastest_5k: { unit: 's', lowerIsBetter: true, distance: 5000 },
+    fastest_10k: { unit: 's', lowerIsBetter: true, distance: 10000 },
+    fastest_half_marathon: { unit: 's', lowerIsBetter: true, distance: 21097.5 },
+    fastest_marathon: { unit: 's', lowerIsBetter: true, distance: 42195 },
+};
+
+/**
+ * Defines the schema for personal records in the database.
+ * Every time a workout beats the best value of an exercise in a metric, a record is added, so the
+ * records of an exercise and metric form its history and the most recent one is the current best.
+ * @type {mongoose.Schema}
+ */
+const personalRecordSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+    },
+    // Identifies the exercise across workouts: its exerciseId, or 'name:' and its normalized name for free text exercises
+    exerciseKey: {
+        type: String,
+        required: true,
+    },
+    exerciseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Exercise',
+        default: null,
+    },
+    exerciseName: {
+        type: String,
+        required: true,
+        maxlength: 100,
+    },
+    metric: {
+        type: String,
+        enum: Object.keys(RECORD_METRICS),
+        required: true,
+    },
+    // In the unit of the metric, see RECORD_METRICS
+    value: {
+        type: Number,
+        required: true,
+    },
+    unit: {
+        type: String,
+        required: true,
+    },
+    // The record that was beaten, null for the first record of an exercise and metric
+    previousValue: {
+        type: Number,
+        default: null,
+    },
+    workoutId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Workout',
+    },
+    // The date of the workout the record was set in
+    achievedAt: {
+        type: Date,
+        required: true,
+    },
+}, {
+    timestamps: true,
+});
+
+// Backs the history of an exercise and metric, and the paginated record history of a user
+personalRecordSchema.index({ userId: 1, exerciseKey: 1, metric: 1, achievedAt: 1 });
+personalRecordSchema.index({ userId: 1, achievedAt: 1, _id: 1 });
+
+
+// Create the model if it doesn't already exist
+let PersonalRecord;
+try {
+    // Attempt to retrieve existing model, throws error if not yet defined
+    PersonalRecord = mongoose.model('PersonalRecord');
+} catch (error) {
+    // Create the model if not yet defined
+    PersonalRecord = mongoose.model('PersonalRecord', personalRecordSchema);
+}
+
+// connect to db before exporting model
+const dbConnection = await connectDB();
+if (!dbConnection) {
+    console.error('Failed to connect to the database, PersonalRecord model cannot be initialized.');
+    process.exit(1);
+}
+export { RECORD_METRICS };
+export default PersonalRecord;
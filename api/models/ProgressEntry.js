@@ -0,0 +1,80 @@
+// api/models/ProgressEntry.js
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db';
+
+/**
+ * Defines the schema for progress entries in the database.
+ * Each entry is one logged progress value of a goal at a point in time, so the full
+ * history of a goal is kept instead of being overwritten. The `progress` of a goal is
+ * derived from its most recent entry.
+ * @type {mongoose.Schema}
+ */
+const progressEntrySchema = new mongoose.Schema({
+    goalId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'Goal',
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+        index: true, // Indexing on userId for optimized queries
+    },
+    // A progress percentage for 'percentage' goals, a value in the goal's unit for measurable goals
+    value: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    recordedAt: {
+        type: Date,
+        required: true,
+        default: Date.now,
+    },
+    note: {
+        type: String,
+        maxlength: 500,
+        trim: true,
+    },
+    // The workout the entry was logged by, see workoutService
+    workoutId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workout',
+    },
+    // What the workout added to a cumulative goal, in the goal's unit, so it can be taken back out
+    delta: {
+        type: Number,
+    },
+    // The body measurement the entry was logged by, see measurementService
+    measurementId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BodyMeasurement',
+    },
+}, {
+    timestamps: true,
+});
+
+// Backs the chronological history of a goal and the lookup of its latest entry
+progressEntrySchema.index({ goalId: 1, recordedAt: 1, _id: 1 });
+progressEntrySchema.index({ workoutId: 1 }, { sparse: true });
+progressEntrySchema.index({ measurementId: 1 }, { sparse: true });
+
+
+// Create the model if it doesn't already exist
+let ProgressEntry;
+try {
+    // Attempt to retrieve existing model, throws error if not yet defined
+    ProgressEntry = mongoose.model('ProgressEntry');
+} catch (error) {
+    // Create the model if not yet defined
+    ProgressEntry = mongoose.model('ProgressEntry', progressEntrySchema);
+}
+
+// connect to db before exporting model
+const dbConnection = await connectDB();
+if (!dbConnection) {
+    console.error('Failed to connect to the database, ProgressEntry model cannot be initialized.');
+    process.exit(1);
+}
+export default ProgressEntry;
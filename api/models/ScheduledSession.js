@@ -0,0 +1,94 @@
+// api/models/ScheduledSession.js
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db';
+import { WORKOUT_TYPES } from './Workout';
+
+/**
+ * Defines the schema for scheduled sessions in the database.
+ * A session is a planned workout of a scheduled training plan on a local calendar date. It is
+ * completed once a logged workout of its type on that date is matched to it, see planService.
+ * @type {mongoose.Schema}
+ */
+const scheduledSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+    },
+    planId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'TrainingPlan',
+    },
+    // Local calendar date of the session as 'YYYY-MM-DD', in the timezone of the plan
+    date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    // Position of the session in the plan, weeks from 1 and days from 1 to 7
+    week: {
+        type: Number,
+        required: true,
+        min: 1,
+    },
+    day: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 7,
+    },
+    type: {
+        type: String,
+        enum: WORKOUT_TYPES,
+        required: true,
+    },
+    title: {
+        type: String,
+        required: true,
+        maxlength: 100,
+    },
+    // In minutes
+    duration: {
+        type: Number,
+    },
+    // In meters
+    distance: {
+        type: Number,
+    },
+    notes: {
+        type: String,
+        maxlength: 500,
+    },
+    // The logged workout that completed the session, null while it is not completed
+    workoutId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workout',
+        default: null,
+    },
+}, {
+    timestamps: true,
+});
+
+// Backs the sessions of a plan in date order and the sessions of a user on a date range
+scheduledSessionSchema.index({ planId: 1, date: 1 });
+scheduledSessionSchema.index({ userId: 1, date: 1 });
+
+
+// Create the model if it doesn't already exist
+let ScheduledSession;
+try {
+    // Attempt to retrieve existing model, throws error if not yet defined
+    ScheduledSession = mongoose.model('ScheduledSession');
+} catch (error) {
+    // Create the model if not yet defined
+    ScheduledSession = mongoose.model('ScheduledSession', scheduledSessionSchema);
+}
+
+// connect to db before exporting model
+const dbConnection = await connectDB();
+if (!dbConnection) {
+    console.error('Failed to connect to the database, ScheduledSession model cannot be initialized.');
+    process.exit(1);
+}
+export default ScheduledSession;
@@ -0,0 +1,151 @@
+// api/models/TrainingPlan.js
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db';
+import { WORKOUT_TYPES } from './Workout';
+
+/**
+ * Defines the schema for a workout planned on a day of a training plan.
+ * @type {mongoose.Schema}
+ */
+const plannedWorkoutSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: WORKOUT_TYPES,
+        required: true,
+    },
+    title: {
+        type: String,
+        required: true,
+        maxlength: 100,
+        trim: true,
+    },
+    // In minutes
+    duration: {
+        type: Number,
+        min: 0,
+    },
+    // In meters
+    distance: {
+        type: Number,
+        min: 0,
+    },
+    notes: {
+        type: String,
+        maxlength: 500,
+        trim: true,
+    },
+}, {
+    _id: false,
+});
+
+/**
+ * Defines the schema for a day of a training plan week.
+ * @type {mongoose.Schema}
+ */
+const planDaySchema = new mongoose.Schema({
+    // Day of the week from 1 to 7, counted from the weekday the plan starts on
+    day: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 7,
+    },
+    workouts: {
+        type: [plannedWorkoutSchema],
+        default: [],
+    },
+}, {
+    _id: false,
+});
+
+/**
+ * Defines the schema for a week of a training plan, weeks are numbered by their position in the plan.
+ * @type {mongoose.Schema}
+ */
+const planWeekSchema = new mongoose.Schema({
+    notes: {
+        type: String,
+        maxlength: 500,
+        trim: true,
+    },
+    days: {
+        type: [planDaySchema],
+        default: [],
+    },
+}, {
+    _id: false,
+});
+
+/**
+ * Defines the schema for training plans in the database.
+ * A plan lays out a multi-week program of planned workouts, such as an 8-week couch-to-5k. Scheduling
+ * a plan from a start date turns its planned workouts into dated ScheduledSessions, which are matched
+ * to the logged workouts. A plan attached to a goal feeds the share of completed sessions into its progress.
+ * @type {mongoose.Schema}
+ */
+const trainingPlanSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+        index: true, // Indexing on userId for optimized queries
+    },
+    title: {
+        type: String,
+        required: true,
+        maxlength: 100,
+        trim: true,
+    },
+    description: {
+        type: String,
+        maxlength: 1000,
+    },
+    weeks: {
+        type: [planWeekSchema],
+        default: [],
+    },
+    // The goal whose progress is the share of completed sessions, see planService
+    goalId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Goal',
+        default: null,
+    },
+    // Local dates as 'YYYY-MM-DD' of the first and last day of the schedule, null while the plan is not scheduled
+    startDate: {
+        type: String,
+        default: null,
+    },
+    endDate: {
+        type: String,
+        default: null,
+    },
+    // IANA timezone workouts are matched to the local dates of the sessions in
+    timezone: {
+        type: String,
+        default: 'UTC',
+    },
+}, {
+    timestamps: true,
+});
+
+trainingPlanSchema.index({ goalId: 1 }, { sparse: true });
+trainingPlanSchema.index({ userId: 1, startDate: 1, endDate: 1 });
+
+
+// Create the model if it doesn't already exist
+let TrainingPlan;
+try {
+    // Attempt to retrieve existing model, throws error if not yet defined
+    TrainingPlan = mongoose.model('TrainingPlan');
+} catch (error) {
+    // Create the model if not yet defined
+    TrainingPlan = mongoose.model('TrainingPlan', trainingPlanSchema);
+}
+
+// connect to db before exporting model
+const dbConnection = await connectDB();
+if (!dbConnection) {
+    console.error('Failed to connect to the database, TrainingPlan model cannot be initialized.');
+    process.exit(1);
+}
+export default TrainingPlan;
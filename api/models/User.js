@@ -37,6 +37,32 @@ const userSchema = new mongoose.Schema({
         minlength: 8,
         select: false, // Exclude password from query results by default
     },
+    // Daily nutrition targets in kcal, grams and milliliters, see NutritionLog. Unset targets are not tracked
+    nutritionTargets: {
+        calories: { type: Number, min: 0 },
+        protein: { type: Number, min: 0 },
+        carbs: { type: Number, min: 0 },
+        fat: { type: Number, min: 0 },
+        water: { type: Number, min: 0 },
+    },
+    // SHA-256 of the token of the calendar feed, which calendar apps send instead of a JWT, see calendarService
+    calendarTokenHash: {
+        type: String,
+        select: false,
+    },
+    calendarTokenCreatedAt: {
+        type: Date,
+    },
+    // IANA timezone the weeks of the weekly reports are computed in, see reportService
+    timezone: {
+        type: String,
+        default: 'UTC',
+    },
+    // Whether a weekly report is generated every Sunday
+    weeklyReportsEnabled: {
+        type: Boolean,
+        default: true,
+    },
     createdAt: {
         type: Date,
         default: Date.now,
@@ -45,6 +71,9 @@ const userSchema = new mongoose.Schema({
     timestamps: true,
 });
 
+// Backs the lookup of the user of a calendar feed
+userSchema.index({ calendarTokenHash: 1 }, { unique: true, sparse: true });
+
 // Hash the password before saving
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) {
@@ -0,0 +1,72 @@
+// api/models/WeeklyReport.js
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db';
+
+/**
+ * Defines the schema for weekly reports in the database.
+ * A report is the recap of one week of a user, from Monday to Sunday in the user's timezone, stored by the
+ * weekly report job so that past weeks can be browsed as they were sent. The summary holds the data the
+ * report was rendered from, the HTML and plain text renderings are stored as generated, see reportService.
+ * @type {mongoose.Schema}
+ */
+const weeklyReportSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+    },
+    // The Monday starting the week and the Sunday ending it, as 'YYYY-MM-DD' in the timezone
+    weekStart: {
+        type: String,
+        required: true,
+    },
+    weekEnd: {
+        type: String,
+        required: true,
+    },
+    timezone: {
+        type: String,
+        required: true,
+    },
+    // Goals progressed, streaks, records and goals falling behind, see reportService.buildWeeklySummary
+    summary: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    html: {
+        type: String,
+        required: true,
+    },
+    text: {
+        type: String,
+        required: true,
+    },
+    generatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, {
+    timestamps: true,
+});
+
+// One report per user and week, also backs the paginated list of past reports
+weeklyReportSchema.index({ userId: 1, weekStart: 1 }, { unique: true });
+
+
+// Create the model if it doesn't already exist
+let WeeklyReport;
+try {
+    // Attempt to retrieve existing model, throws error if not yet defined
+    WeeklyReport = mongoose.model('WeeklyReport');
+} catch (error) {
+    // Create the model if not yet defined
+    WeeklyReport = mongoose.model('WeeklyReport', weeklyReportSchema);
+}
+
+// connect to db before exporting model
+const dbConnection = await connectDB();
+if (!dbConnection) {
+    console.error('Failed to connect to the database, WeeklyReport model cannot be initialized.');
+    process.exit(1);
+}
+export default WeeklyReport;
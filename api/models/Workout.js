@@ -0,0 +1,145 @@
+// api/models/Workout.js
+import mongoose from 'mongoose';
+import { connectDB } from '../config/db';
+import { DISTANCE_UNITS, WEIGHT_UNITS } from '../utils/units';
+
+// Kinds of workout sessions
+const WORKOUT_TYPES = ['run', 'walk', 'cycle', 'swim', 'strength', 'hiit', 'yoga', 'sport', 'other'];
+
+/**
+ * Defines the schema for the sets of an exercise. Every field is optional, a running interval
+ * only has a distance and a duration, a strength set has reps and a weight.
+ * @type {mongoose.Schema}
+ */
+const setSchema = new mongoose.Schema({
+    reps: {
+        type: Number,
+        min: 0,
+    },
+    // In the weightUnit of the workout
+    weight: {
+        type: Number,
+        min: 0,
+    },
+    // In the distanceUnit of the workout
+    distance: {
+        type: Number,
+        min: 0,
+    },
+    // In seconds
+    duration: {
+        type: Number,
+        min: 0,
+    },
+}, {
+    _id: false,
+});
+
+/**
+ * Defines the schema for the exercises of a workout, in the order they were performed.
+ * @type {mongoose.Schema}
+ */
+const exerciseSchema = new mongoose.Schema({
+    // The catalog or custom exercise performed, its name is copied into `name`
+    exerciseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Exercise',
+    },
+    name: {
+        type: String,
+        required: true,
+        maxlength: 100,
+        trim: true,
+    },
+    sets: {
+        type: [setSchema],
+        default: [],
+    },
+});
+
+/**
+ * Defines the schema for workout sessions in the database.
+ * A workout can be linked to goals of the same user, logging it updates their progress, see workoutService.
+ * @type {mongoose.Schema}
+ */
+const workoutSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        ref: 'User',
+        index: true, // Indexing on userId for optimized queries
+    },
+    date: {
+        type: Date,
+        required: true,
+    },
+    type: {
+        type: String,
+        enum: WORKOUT_TYPES,
+        required: true,
+    },
+    // In minutes
+    duration: {
+        type: Number,
+        min: 0,
+    },
+    notes: {
+        type: String,
+        maxlength: 500,
+        trim: true,
+    },
+    weightUnit: {
+        type: String,
+        enum: WEIGHT_UNITS,
+        default: 'kg',
+    },
+    distanceUnit: {
+        type: String,
+        enum: DISTANCE_UNITS,
+        default: 'km',
+    },
+    exercises: {
+        type: [exerciseSchema],
+        default: [],
+    },
+    goalIds: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Goal',
+        }],
+        default: [],
+    },
+    // Identifier of the workout in the app it was imported from, so a re-import does not add it again
+    externalId: {
+        type: String,
+        maxlength: 200,
+    },
+}, {
+    timestamps: true,
+});
+
+// Backs the paginated workout list, newest first, and the workouts linked to a goal or an exercise
+workoutSchema.index({ userId: 1, date: 1, _id: 1 });
+workoutSchema.index({ goalIds: 1 });
+workoutSchema.index({ 'exercises.exerciseId': 1 }, { sparse: true });
+workoutSchema.index({ userId: 1, externalId: 1 }, { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } });
+
+
+// Create the model if it doesn't already exist
+let Workout;
+try {
+    // Attempt to retrieve existing model, throws error if not yet defined
+    Workout = mongoose.model('Workout');
+} catch (error) {
+    // Create the model if not yet defined
+    Workout = mongoose.model('Workout', workoutSchema);
+}
+
+// connect to db before exporting model
+const dbConnection = await connectDB();
+if (!dbConnection) {
+    console.error('Failed to connect to the database, Workout model cannot be initialized.');
+    process.exit(1);
+}
+export { WORKOUT_TYPES };
+export default Workout;
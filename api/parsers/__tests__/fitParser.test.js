@@ -0,0 +1,123 @@
+// api/parsers/__tests__/fitParser.test.js
+import fs from 'fs';
+import path from 'path';
+import { parseFit } from '../fitParser';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+describe('parseFit', () => {
+    describe('compressed timestamp headers', () => {
+        const activities = parseFit(readFixture('compressed-timestamps.fit'));
+        const [run] = activities;
+
+        it('reads one activity per session', () => {
+            expect(activities).toHaveLength(1);
+            expect(run.sport).toBe('running');
+            expect(run.laps).toHaveLength(1);
+        });
+
+        it('restores the times of compressed records across the 32 second rollover', () => {
+            expect(run.points.map((point) => point.time.toISOString())).toEqual([
+                '2024-05-12T07:00:12.000Z',
+                '2024-05-12T07:00:17.000Z',
+                '2024-05-12T07:00:22.000Z',
+                '2024-05-12T07:00:27.000Z',
+                '2024-05-12T07:00:32.000Z',
+                '2024-05-12T07:00:37.000Z',
+                '2024-05-12T07:00:42.000Z',
+                '2024-05-12T07:00:47.000Z',
+            ]);
+        });
+
+        it('converts positions, enhanced altitude, heart rate and cadence', () => {
+            run.points.forEach((point, index) => {
+                expect(point.lat).toBeCloseTo(52.5 + 0.0001 * index, 6);
+                expect(point.lon).toBeCloseTo(13.4, 6);
+            });
+            expect(run.points.map((point) => point.ele)).toEqual([34, 35, 36, 38, 40, 41, 41, 42]);
+            expect(run.points.map((point) => point.heartRate)).toEqual([120, 124, 128, 131, 135, 138, 140, 142]);
+            expect(run.points.map((point) => point.cadence)).toEqual([80, 81, 82, 83, 84, 85, 85, 86]);
+        });
+
+        it('keeps the totals recorded by the device', () => {
+            expect(run.deviceSummary).toMatchObject({
+                startTime: new Date('2024-05-12T07:00:12Z'),
+                endTime: new Date('2024-05-12T07:00:47Z'),
+                distance: 77.8,
+                totalTime: 35,
+                movingTime: 35,
+                elevationGain: 8,
+                elevationLoss: 0,
+                averageHeartRate: 133,
+                maxHeartRate: 142,
+                averageCadence: 83,
+                maxCadence: 86,
+            });
+        });
+    });
+
+    describe('developer fields and big-endian messages', () => {
+        const [run] = parseFit(readFixture('treadmill-developer-fields.fit'));
+
+        it('skips developer fields so the following fields and messages stay aligned', () => {
+            // A treadmill run records no positions
+            expect(run.points).toEqual([]);
+            expect(run.sport).toBe('running');
+            expect(run.laps.map((lap) => lap.avgHeartRate)).toEqual([128, 150]);
+        });
+
+        it('summarizes the session from the device totals, with the laps as splits', () => {
+            expect(run.deviceSummary).toEqual({
+                startTime: new Date('2024-05-13T18:00:00Z'),
+                endTime: new Date('2024-05-13T18:10:20Z'),
+                distance: 2000,
+                totalTime: 620,
+                movingTime: 610,
+                elevationGain: 0,
+                elevationLoss: 0,
+                averageSpeed: 11.8,
+                averagePace: 305,
+                averageHeartRate: 139,
+                maxHeartRate: 153,
+                // The session has no cadence, so it is taken from the big-endian records
+                averageCadence: 88,
+                maxCadence: 90,
+                splits: [
+                    { index: 1, distance: 1000, duration: 300, pace: 300, speed: 12 },
+                    { index: 2, distance: 1000, duration: 310, pace: 310, speed: 11.61 },
+                ],
+            });
+        });
+    });
+
+    it('reads every file of a chained file', () => {
+        const [walk, ride] = parseFit(readFixture('chained-walk-ride.fit'));
+        expect(walk.sport).toBe('walking');
+        expect(walk.points.map((point) => point.heartRate)).toEqual([95, 98, 101]);
+        expect(walk.deviceSummary).toMatchObject({ distance: 222.4, totalTime: 120 });
+        expect(ride.sport).toBe('cycling');
+        expect(ride.points.map((point) => point.heartRate)).toEqual([120, 130, 135, 137]);
+        expect(ride.deviceSummary).toMatchObject({ distance: 1667.9, totalTime: 180, averageHeartRate: 131 });
+    });
+
+    it('rejects files whose CRC does not match their content', () => {
+        expect(() => parseFit(readFixture('bad-crc.fit'))).toThrow('FIT file CRC mismatch, the file is corrupt (at byte 358)');
+    });
+
+    it('rejects files whose header CRC does not match the header', () => {
+        const file = Buffer.from(readFixture('compressed-timestamps.fit'));
+        file[12] ^= 0xFF;
+        expect(() => parseFit(file)).toThrow('FIT header CRC mismatch, the file is corrupt (at byte 12)');
+    });
+
+    it('rejects truncated files', () => {
+        expect(() => parseFit(readFixture('truncated.fit'))).toThrow(
+            'File is truncated: the header declares 344 bytes of data and a CRC, but only 166 bytes follow it',
+        );
+        expect(() => parseFit(readFixture('truncated.fit').subarray(0, 10))).toThrow('File is too short to be a FIT file (at byte 0)');
+    });
+
+    it('rejects files that are not FIT files', () => {
+        expect(() => parseFit(readFixture('morning-run.gpx'))).toThrow('Invalid FIT header size 60 (at byte 0)');
+    });
+});
@@ -0,0 +1,107 @@
+// api/parsers/__tests__/gpxParser.test.js
+import fs from 'fs';
+import path from 'path';
+import { parseGpx } from '../gpxParser';
+import { summarizeTrack } from '../../utils/geo';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('parseGpx', () => {
+    describe('GPX 1.1 with a Garmin TrackPointExtension', () => {
+        const activities = parseGpx(readFixture('morning-run.gpx'));
+        const [run] = activities;
+
+        it('reads each track with a valid point as an activity, ignoring routes and waypoints', () => {
+            expect(activities).toHaveLength(1);
+            expect(run.name).toBe('Morning Run & Stretch');
+            expect(run.sport).toBe('running');
+        });
+
+        it('joins the points of all segments and skips invalid coordinates', () => {
+            expect(run.points).toHaveLength(14);
+            expect(run.points.every((point) => point.lat <= 90 && point.lon === 13.4)).toBe(true);
+            expect(run.points[6]).toEqual({
+                lat: 52.5045,
+                lon: 13.4,
+                ele: 42,
+                time: new Date('2024-05-12T07:03:30Z'),
+                heartRate: 145,
+                cadence: 86,
+            });
+        });
+
+        it('reads heart rate and cadence from the extension', () => {
+            expect(run.points[0]).toMatchObject({ heartRate: 120, cadence: 80 });
+            // The standing point records a heart rate but no cadence
+            expect(run.points[4]).toMatchObject({ heartRate: 132 });
+            expect(run.points[4].cadence).toBeUndefined();
+        });
+
+        it('summarizes distance, times, elevation and splits', () => {
+            const summary = summarizeTrack(run.points);
+            expect(summary).toMatchObject({
+                startTime: new Date('2024-05-12T07:00:00Z'),
+                endTime: new Date('2024-05-12T07:07:00Z'),
+                distance: 1200.9,
+                totalTime: 420,
+                // The minute standing at the same position is not moving time
+                movingTime: 360,
+                elevationGain: 10,
+                elevationLoss: 8,
+                averageSpeed: 12.01,
+                averagePace: 299.8,
+                averageHeartRate: 144,
+                maxHeartRate: 158,
+                averageCadence: 87,
+                maxCadence: 91,
+            });
+            expect(summary.splits).toEqual([
+                { index: 1, distance: 1000, duration: 359.8, pace: 359.8, speed: 10.01 },
+                { index: 2, distance: 200.9, duration: 60.2, pace: 299.8, speed: 12.01 },
+            ]);
+        });
+    });
+
+    describe('GPX 1.0', () => {
+        const [ride, route] = parseGpx(readFixture('evening-ride-gpx10.gpx'));
+
+        it('reads tracks without extensions', () => {
+            expect(ride.name).toBe('Evening Ride');
+            expect(ride.sport).toBeNull();
+            expect(ride.points).toEqual([
+                { lat: 0, lon: 10, ele: 12, time: new Date('2024-05-10T18:00:00Z') },
+                { lat: 0, lon: 10.01, ele: 20, time: new Date('2024-05-10T18:02:00Z') },
+                { lat: 0, lon: 10.02, ele: 15, time: new Date('2024-05-10T18:04:00Z') },
+            ]);
+        });
+
+        it('splits per kilometer with the rest in a last split', () => {
+            const summary = summarizeTrack(ride.points);
+            expect(summary).toMatchObject({ distance: 2223.9, totalTime: 240, movingTime: 240, elevationGain: 8, elevationLoss: 5 });
+            expect(summary.splits.map((split) => split.distance)).toEqual([1000, 1000, 223.9]);
+            expect(summary.splits.map((split) => split.duration)).toEqual([107.9, 107.9, 24.2]);
+        });
+
+        it('leaves times, speeds and paces empty for tracks without times', () => {
+            const summary = summarizeTrack(route.points);
+            expect(summary).toMatchObject({
+                startTime: null,
+                distance: 556,
+                totalTime: null,
+                movingTime: null,
+                averageSpeed: null,
+                averagePace: null,
+            });
+            expect(summary.splits).toEqual([{ index: 1, distance: 556, duration: null, pace: null, speed: null }]);
+        });
+    });
+
+    it('rejects documents whose root element is not <gpx>', () => {
+        expect(() => parseGpx(readFixture('not-a-track.kml'))).toThrow('Not a GPX file, the root element is <kml>');
+        expect(() => parseGpx(readFixture('tempo-run.tcx'))).toThrow('Not a GPX file, the root element is <TrainingCenterDatabase>');
+    });
+
+    it('rejects malformed XML', () => {
+        expect(() => parseGpx('<gpx version="1.1"><trk><trkseg></trk></gpx>')).toThrow();
+    });
+});
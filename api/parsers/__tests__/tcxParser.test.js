@@ -0,0 +1,65 @@
+// api/parsers/__tests__/tcxParser.test.js
+import fs from 'fs';
+import path from 'path';
+import { parseTcx } from '../tcxParser';
+import { summarizeTrack } from '../../utils/geo';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('parseTcx', () => {
+    const activities = parseTcx(readFixture('tempo-run.tcx'));
+    const [run] = activities;
+
+    it('reads each activity with a positioned trackpoint, named after its notes', () => {
+        // The indoor ride has no positions
+        expect(activities).toHaveLength(1);
+        expect(run.name).toBe('Tempo run');
+        expect(run.sport).toBe('Running');
+    });
+
+    it('joins the trackpoints of all laps and skips those without a position', () => {
+        expect(run.points).toHaveLength(4);
+        expect(run.points.map((point) => point.time.toISOString())).toEqual([
+            '2024-05-11T08:00:00.000Z',
+            '2024-05-11T08:02:30.000Z',
+            '2024-05-11T08:05:00.000Z',
+            '2024-05-11T08:07:30.000Z',
+        ]);
+        expect(run.points[1]).toEqual({
+            time: new Date('2024-05-11T08:02:30Z'),
+            lat: 0,
+            lon: 0.0045,
+            ele: 9,
+            heartRate: 138,
+            cadence: 82,
+        });
+    });
+
+    it('reads heart rate from trackpoints only, not from lap averages', () => {
+        expect(run.points.map((point) => point.heartRate)).toEqual([130, 138, 144, 150]);
+        expect(run.points.map((point) => point.cadence)).toEqual([80, 82, 84, 86]);
+    });
+
+    it('summarizes distance, times, elevation and splits', () => {
+        const summary = summarizeTrack(run.points);
+        expect(summary).toMatchObject({
+            distance: 1501.1,
+            totalTime: 450,
+            movingTime: 450,
+            elevationGain: 4,
+            elevationLoss: 5,
+            averageHeartRate: 141,
+            maxHeartRate: 150,
+            averageCadence: 83,
+            maxCadence: 86,
+        });
+        expect(summary.splits).toEqual([
+            { index: 1, distance: 1000, duration: 299.8, pace: 299.8, speed: 12.01 },
+            { index: 2, distance: 501.1, duration: 150.2, pace: 299.8, speed: 12.01 },
+        ]);
+    });
+
+    it('rejects documents whose root element is not <TrainingCenterDatabase>', () => {
+        expect(() => parseTcx(readFixture('morning-run.gpx'))).toThrow('Not a TCX file, the root element is <gpx>');
+    });
+});
@@ -0,0 +1,453 @@
+// api/parsers/fitParser.js
+import { isValidCoordinate } from '../utils/geo';
+
+/**
+ * Decodes Garmin FIT (Flexible and Interoperable Data Transfer) activity files, the binary format most
+ * watches and bike computers record in. A file is a header, a stream of definition and data messages and a
+ * CRC. Definition messages describe the fields of a local message type, data messages carry the values.
+ * The activity (34), session (18), lap (19) and record (20) messages are decoded, every other message is
+ * skipped using its definition. Chained files, compressed timestamp headers, big-endian messages and
+ * developer fields are supported. Corrupt or truncated files throw an Error naming the problem and its offset.
+ */
+
+// FIT timestamps count seconds from 1989-12-31T00:00:00Z
+const FIT_EPOCH_SECONDS = 631065600;
+
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+const MESSAGES = { SESSION: 18, LAP: 19, RECORD: 20, SPORT: 12, ACTIVITY: 34 };
+
+const TIMESTAMP_FIELD = 253;
+
+// Sizes and invalid values of the FIT base types, keyed by base type number
+const BASE_TYPES = {
+    0x00: { size: 1, read: 'getUint8', invalid: 0xFF }, // enum
+    0x01: { size: 1, read: 'getInt8', invalid: 0x7F }, // sint8
+    0x02: { size: 1, read: 'getUint8', invalid: 0xFF }, // uint8
+    0x03: { size: 2, read: 'getInt16', invalid: 0x7FFF }, // sint16
+    0x04: { size: 2, read: 'getUint16', invalid: 0xFFFF }, // uint16
+    0x05: { size: 4, read: 'getInt32', invalid: 0x7FFFFFFF }, // sint32
+    0x06: { size: 4, read: 'getUint32', invalid: 0xFFFFFFFF }, // uint32
+    0x07: { size: 1, read: null, invalid: null }, // string
+    0x08: { size: 4, read: 'getFloat32', invalid: null }, // float32
+    0x09: { size: 8, read: 'getFloat64', invalid: null }, // float64
+    0x0A: { size: 1, read: 'getUint8', invalid: 0x00 }, // uint8z
+    0x0B: { size: 2, read: 'getUint16', invalid: 0x0000 }, // uint16z
+    0x0C: { size: 4, read: 'getUint32', invalid: 0x00000000 }, // uint32z
+    0x0D: { size: 1, read: null, invalid: null }, // byte
+    0x0E: { size: 8, read: null, invalid: null }, // sint64
+    0x0F: { size: 8, read: null, invalid: null }, // uint64
+    0x10: { size: 8, read: null, invalid: null }, // uint64z
+};
+
+// Sport enum values of session and sport messages, named so that activityService can map them to workout types
+const SPORTS = {
+    0: 'generic',
+    1: 'running',
+    2: 'cycling',
+    4: 'fitness equipment',
+    5: 'swimming',
+    10: 'training',
+    11: 'walking',
+    12: 'cross country skiing',
+    15: 'rowing',
+    17: 'hiking',
+    21: 'e-biking',
+};
+
+const CRC_TABLE = [
+    0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+    0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400,
+];
+
+/**
+ * Computes the FIT CRC-16 of a range of bytes.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @param {number} start - The first byte.
+ * @param {number} end - The byte after the last one.
+ * @returns {number} The CRC.
+ */
+const computeCrc = (bytes, start, end) => {
+    let crc = 0;
+    for (let i = start; i < end; i++) {
+        const byte = bytes[i];
+        let tmp = CRC_TABLE[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF];
+        tmp = CRC_TABLE[crc & 0xF];
+        crc = (crc >> 4) & 0x0FFF;
+        crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF];
+    }
+    return crc;
+};
+
+/**
+ * Reads a field value of a data message. Fields holding several values are read as arrays.
+ *
+ * @param {DataView} view - The file.
+ * @param {number} offset - The offset of the field.
+ * @param {object} field - The field definition, `{ size, baseType }`.
+ * @param {boolean} littleEndian - Whether the message is little-endian.
+ * @returns {*} The value, null if it is invalid or of a type that is not decoded.
+ */
+const readFieldValue = (view, offset, field, littleEndian) => {
+    const baseType = BASE_TYPES[field.baseType & 0x1F];
+    if (!baseType) {
+        return null;
+    }
+
+    if ((field.baseType & 0x1F) === 0x07) {
+        const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, field.size);
+        const end = bytes.indexOf(0);
+        return Buffer.from(bytes.subarray(0, end === -1 ? bytes.length : end)).toString('utf8') || null;
+    }
+    if (!baseType.read || field.size % baseType.size !== 0) {
+        return null;
+    }
+
+    const values = [];
+    for (let position = 0; position < field.size; position += baseType.size) {
+        const value = view[baseType.read](offset + position, littleEndian);
+        const isInvalid = baseType.invalid === null ? !Number.isFinite(value) : value === baseType.invalid;
+        values.push(isInvalid ? null : value);
+    }
+    return values.length === 1 ? values[0] : values;
+};
+
+/**
+ * Applies a scale and offset to a raw field value.
+ *
+ * @param {number|null} value - The raw value.
+ * @param {number} [scale=1] - The scale.
+ * @param {number} [offset=0] - The offset.
+ * @returns {number|null} The value in its unit, null for invalid values.
+ */
+const scaled = (value, scale = 1, offset = 0) => (typeof value === 'number' ? value / scale - offset : null);
+
+const round = (value, decimals = 1) => {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+};
+
+const average = (values) => (values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+const maximum = (values) => (values.length > 0 ? values.reduce((max, value) => Math.max(max, value), 0) : null);
+
+/**
+ * Converts a FIT timestamp to a Date.
+ *
+ * @param {number|null} value - The seconds since the FIT epoch.
+ * @returns {Date|null} The date, null for invalid values.
+ */
+const toDate = (value) => (typeof value === 'number' ? new Date((value + FIT_EPOCH_SECONDS) * 1000) : null);
+
+/**
+ * Names a sport enum value.
+ *
+ * @param {number|null} value - The sport enum value.
+ * @returns {string|null} The sport name, null for invalid values.
+ */
+const toSportName = (value) => (typeof value === 'number' ? SPORTS[value] || `sport ${value}` : null);
+
+/**
+ * Decodes the summary fields shared by session and lap messages, whose field numbers differ.
+ *
+ * @param {object} fields - The raw fields of the message, keyed by field number.
+ * @param {object} numbers - The field numbers of the message type.
+ * @returns {object} The summary with times in seconds, distances in meters and speeds in m/s.
+ */
+const decodeSummary = (fields, numbers) => ({
+    startTime: toDate(fields[2]),
+    endTime: toDate(fields[TIMESTAMP_FIELD]),
+    totalElapsedTime: scaled(fields[7], 1000),
+    totalTimerTime: scaled(fields[8], 1000),
+    totalDistance: scaled(fields[9], 100),
+    totalCalories: scaled(fields[11]),
+    avgSpeed: scaled(fields[numbers.avgSpeed], 1000),
+    maxSpeed: scaled(fields[numbers.maxSpeed], 1000),
+    avgHeartRate: scaled(fields[numbers.avgHeartRate]),
+    maxHeartRate: scaled(fields[numbers.maxHeartRate]),
+    avgCadence: scaled(fields[numbers.avgCadence]),
+    maxCadence: scaled(fields[numbers.maxCadence]),
+    totalAscent: scaled(fields[numbers.totalAscent]),
+    totalDescent: scaled(fields[numbers.totalDescent]),
+});
+
+const SESSION_FIELDS = { avgSpeed: 14, maxSpeed: 15, avgHeartRate: 16, maxHeartRate: 17, avgCadence: 18, maxCadence: 19, totalAscent: 22, totalDescent: 23 };
+const LAP_FIELDS = { avgSpeed: 13, maxSpeed: 14, avgHeartRate: 15, maxHeartRate: 16, avgCadence: 17, maxCadence: 18, totalAscent: 21, totalDescent: 22 };
+
+/**
+ * Decodes the record message of a single point in time.
+ *
+ * @param {object} fields - The raw fields of the message, keyed by field number.
+ * @returns {object} `{ time, lat, lon, ele, heartRate, cadence, distance, speed }`, null for missing values.
+ */
+const decodeRecord = (fields) => {
+    const lat = fields[0];
+    const lon = fields[1];
+    // The enhanced fields replace the 16-bit ones on devices that record both
+    const altitude = fields[78] !== undefined && fields[78] !== null ? scaled(fields[78], 5, 500) : scaled(fields[2], 5, 500);
+    const speed = fields[73] !== undefined && fields[73] !== null ? scaled(fields[73], 1000) : scaled(fields[6], 1000);
+    return {
+        time: toDate(fields[TIMESTAMP_FIELD]),
+        lat: typeof lat === 'number' ? lat * SEMICIRCLES_TO_DEGREES : null,
+        lon: typeof lon === 'number' ? lon * SEMICIRCLES_TO_DEGREES : null,
+        ele: altitude,
+        heartRate: scaled(fields[3]),
+        cadence: scaled(fields[4]),
+        distance: scaled(fields[5], 100),
+        speed,
+    };
+};
+
+/**
+ * Decodes the messages of a single FIT file of a possibly chained file.
+ *
+ * @param {Uint8Array} bytes - The whole upload.
+ * @param {number} start - The offset of the file header.
+ * @param {object} messages - The decoded messages, `{ records, laps, sessions, sports, activities }`, appended to.
+ * @returns {number} The offset after the file, where a chained file may start.
+ * @throws {Error} If the file is corrupt or truncated.
+ */
+const decodeFile = (bytes, start, messages) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const fail = (message, offset) => {
+        throw new Error(offset === undefined ? message : `${message} (at byte ${offset})`);
+    };
+
+    if (bytes.length - start < 12) {
+        fail('File is too short to be a FIT file', start);
+    }
+    const headerSize = bytes[start];
+    if (headerSize !== 12 && headerSize !== 14) {
+        fail(`Invalid FIT header size ${headerSize}`, start);
+    }
+    if (String.fromCharCode(...bytes.subarray(start + 8, start + 12)) !== '.FIT') {
+        fail('Missing .FIT signature, this is not a FIT file', start + 8);
+    }
+    if (bytes.length - start < headerSize) {
+        fail('File is truncated inside its header', start);
+    }
+    if (headerSize === 14) {
+        const headerCrc = view.getUint16(start + 12, true);
+        // A header CRC of 0 means it was not computed
+        if (headerCrc !== 0 && headerCrc !== computeCrc(bytes, start, start + 12)) {
+            fail('FIT header CRC mismatch, the file is corrupt', start + 12);
+        }
+    }
+
+    const dataSize = view.getUint32(start + 4, true);
+    const dataStart = start + headerSize;
+    const dataEnd = dataStart + dataSize;
+    if (dataEnd + 2 > bytes.length) {
+        fail(`File is truncated: the header declares ${dataSize} bytes of data and a CRC, but only ${Math.max(0, bytes.length - dataStart)} bytes follow it`);
+    }
+    if (view.getUint16(dataEnd, true) !== computeCrc(bytes, start, dataEnd)) {
+        fail('FIT file CRC mismatch, the file is corrupt', dataEnd);
+    }
+
+    const definitions = new Map();
+    let lastTimestamp = null;
+    let offset = dataStart;
+
+    const ensureAvailable = (size, what) => {
+        if (offset + size > dataEnd) {
+            fail(`${what} extends past the end of the data`, offset);
+        }
+    };
+
+    while (offset < dataEnd) {
+        const recordHeader = bytes[offset];
+        const recordStart = offset;
+        offset += 1;
+
+        // Compressed timestamp header: a data message of local type 0-3 with a 5-bit time offset
+        if (recordHeader & 0x80) {
+            const localType = (recordHeader >> 5) & 0x03;
+            if (lastTimestamp === null) {
+                fail('Compressed timestamp before any timestamp', recordStart);
+            }
+            const timeOffset = recordHeader & 0x1F;
+            let timestamp = (lastTimestamp & ~0x1F) + timeOffset;
+            if (timeOffset < (lastTimestamp & 0x1F)) timestamp += 0x20;
+            lastTimestamp = timestamp;
+            readDataMessage(localType, recordStart, timestamp);
+            continue;
+        }
+
+        const localType = recordHeader & 0x0F;
+        if (recordHeader & 0x40) {
+            // Definition message
+            ensureAvailable(5, 'Definition message');
+            const littleEndian = bytes[offset + 1] === 0;
+            const globalNumber = view.getUint16(offset + 2, littleEndian);
+            const fieldCount = bytes[offset + 4];
+            offset += 5;
+
+            ensureAvailable(fieldCount * 3, 'Definition message');
+            const fields = [];
+            for (let i = 0; i < fieldCount; i++) {
+                fields.push({ number: bytes[offset], size: bytes[offset + 1], baseType: bytes[offset + 2] });
+                offset += 3;
+            }
+
+            let developerSize = 0;
+            if (recordHeader & 0x20) {
+                ensureAvailable(1, 'Definition message');
+                const developerCount = bytes[offset];
+                offset += 1;
+                ensureAvailable(developerCount * 3, 'Definition message');
+                for (let i = 0; i < developerCount; i++) {
+                    developerSize += bytes[offset + 1];
+                    offset += 3;
+                }
+            }
+
+            const size = fields.reduce((sum, field) => sum + field.size, 0) + developerSize;
+            definitions.set(localType, { globalNumber, littleEndian, fields, size });
+        } else {
+            readDataMessage(localType, recordStart, null);
+        }
+    }
+
+    return dataEnd + 2;
+
+    // Reads a data message of a local type, collecting the messages this parser decodes
+    function readDataMessage(localType, recordStart, compressedTimestamp) {
+        const definition = definitions.get(localType);
+        if (!definition) {
+            fail(`Data message of undefined local message type ${localType}`, recordStart);
+        }
+        ensureAvailable(definition.size, 'Data message');
+
+        const fields = {};
+        let fieldOffset = offset;
+        for (const field of definition.fields) {
+            fields[field.number] = readFieldValue(view, fieldOffset, field, definition.littleEndian);
+            fieldOffset += field.size;
+        }
+        offset += definition.size;
+
+        if (typeof fields[TIMESTAMP_FIELD] === 'number') {
+            lastTimestamp = fields[TIMESTAMP_FIELD];
+        } else if (compressedTimestamp !== null) {
+            fields[TIMESTAMP_FIELD] = compressedTimestamp;
+        }
+
+        switch (definition.globalNumber) {
+            case MESSAGES.RECORD:
+                messages.records.push(decodeRecord(fields));
+                break;
+            case MESSAGES.LAP:
+                messages.laps.push(decodeSummary(fields, LAP_FIELDS));
+                break;
+            case MESSAGES.SESSION:
+                messages.sessions.push({ ...decodeSummary(fields, SESSION_FIELDS), sport: toSportName(fields[5]) });
+                break;
+            case MESSAGES.SPORT:
+                messages.sports.push(toSportName(fields[0]));
+                break;
+            case MESSAGES.ACTIVITY:
+                messages.activities.push({
+                    timestamp: toDate(fields[TIMESTAMP_FIELD]),
+                    totalTimerTime: scaled(fields[0], 1000),
+                    numSessions: scaled(fields[1]),
+                });
+                break;
+            default:
+                break;
+        }
+    }
+};
+
+/**
+ * Decodes the messages of a FIT file.
+ *
+ * @param {Buffer|Uint8Array} file - The FIT file, possibly several chained files.
+ * @returns {object} `{ records, laps, sessions, sports, activities }`, see `decodeRecord` and `decodeSummary`.
+ * @throws {Error} If the file is corrupt or truncated.
+ */
+const decodeFit = (file) => {
+    const bytes = new Uint8Array(file.buffer, file.byteOffset, file.byteLength);
+    const messages = { records: [], laps: [], sessions: [], sports: [], activities: [] };
+    let offset = 0;
+    do {
+        offset = decodeFile(bytes, offset, messages);
+    } while (offset < bytes.length);
+    return messages;
+};
+
+/**
+ * Parses the activities of a FIT file, one per session, in the shape of the GPX and TCX parsers. The records
+ * within the time of a session form its points; records without a position still count towards the session's
+ * heart rate and cadence, and a session without positions, such as a treadmill run, keeps the totals recorded
+ * by the device as its `deviceSummary`, in the shape of `summarizeTrack` with the device laps as its splits.
+ *
+ * @param {Buffer|Uint8Array} file - The FIT file.
+ * @returns {Array<object>} One `{ name, sport, points, laps, deviceSummary }` per session, where each point is
+ * `{ lat, lon, ele, time, heartRate, cadence }`, see api/utils/geo.js.
+ * @throws {Error} If the file is corrupt or truncated.
+ */
+const parseFit = (file) => {
+    const { records, laps, sessions, sports } = decodeFit(file);
+    const timedRecords = records.filter((record) => record.time !== null);
+
+    // Files without a session message are treated as a single session over all records
+    const sessionList = sessions.length > 0 ? sessions : [{
+        startTime: timedRecords.length > 0 ? timedRecords[0].time : null,
+        endTime: timedRecords.length > 0 ? timedRecords[timedRecords.length - 1].time : null,
+        sport: sports[0] || null,
+    }];
+
+    return sessionList
+        .filter((session) => session.startTime && session.endTime)
+        .map((session) => {
+            const within = (time) => time >= session.startTime && time <= session.endTime;
+            const sessionRecords = timedRecords.filter((record) => within(record.time));
+            const points = sessionRecords
+                .filter(isValidCoordinate)
+                .map(({ lat, lon, ele, time, heartRate, cadence }) => ({ lat, lon, ele, time, heartRate, cadence }));
+
+            const heartRates = sessionRecords.map((record) => record.heartRate).filter((value) => value > 0);
+            const cadences = sessionRecords.map((record) => record.cadence).filter((value) => value > 0);
+            const totalTime = typeof session.totalElapsedTime === 'number' ? session.totalElapsedTime : (session.endTime - session.startTime) / 1000;
+            const movingTime = typeof session.totalTimerTime === 'number' ? session.totalTimerTime : totalTime;
+            const distance = session.totalDistance || 0;
+            const sessionLaps = laps.filter((lap) => lap.startTime && within(lap.startTime));
+
+            return {
+                name: null,
+                sport: session.sport,
+                points,
+                laps: sessionLaps,
+                deviceSummary: {
+                    startTime: session.startTime,
+                    endTime: session.endTime,
+                    distance: round(distance),
+                    totalTime: round(totalTime),
+                    movingTime: round(movingTime),
+                    elevationGain: session.totalAscent || 0,
+                    elevationLoss: session.totalDescent || 0,
+                    averageSpeed: movingTime > 0 ? round((distance / movingTime) * 3.6, 2) : null,
+                    averagePace: distance > 0 ? round(movingTime / (distance / 1000)) : null,
+                    averageHeartRate: session.avgHeartRate || average(heartRates),
+                    maxHeartRate: session.maxHeartRate || maximum(heartRates),
+                    averageCadence: session.avgCadence || average(cadences),
+                    maxCadence: session.maxCadence || maximum(cadences),
+                    // Without positions the laps recorded by the device, often auto-laps per kilometer, are the splits
+                    splits: sessionLaps
+                        .filter((lap) => lap.totalDistance > 0)
+                        .map((lap, index) => ({
+                            index: index + 1,
+                            distance: round(lap.totalDistance),
+                            duration: typeof lap.totalTimerTime === 'number' ? round(lap.totalTimerTime) : null,
+                            pace: typeof lap.totalTimerTime === 'number' ? round(lap.totalTimerTime / (lap.totalDistance / 1000)) : null,
+                            speed: lap.totalTimerTime > 0 ? round((lap.totalDistance / lap.totalTimerTime) * 3.6, 2) : null,
+                        })),
+                },
+            };
+        });
+};
+
+export { parseFit };
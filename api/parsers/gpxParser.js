@@ -0,0 +1,79 @@
+// api/parsers/gpxParser.js
+import { parseXml } from '../utils/xmlParser';
+import { isValidCoordinate } from '../utils/geo';
+
+/**
+ * Parses GPX 1.0 and 1.1 files, the GPS exchange format most watches, apps and route planners export.
+ * Every track (`<trk>`) is an activity, the points of all its segments form its track. Heart rate and cadence
+ * are read from the Garmin TrackPointExtension (`<gpxtpx:hr>`, `<gpxtpx:cad>`) and similar extensions. Routes and waypoints are
+ * ignored, as they describe a plan rather than a recorded activity.
+ */
+
+/**
+ * Parses the tracks of a GPX document.
+ *
+ * @param {string} text - The GPX document.
+ * @returns {Array<object>} One `{ name, sport, points }` per track with at least one valid point, where `sport` is the
+ * free-text track type, if any, and each point is `{ lat, lon, ele, time, heartRate, cadence }`, see api/utils/geo.js.
+ * @throws {Error} If the document is not well-formed XML or its root element is not `<gpx>`.
+ */
+const parseGpx = (text) => {
+    const activities = [];
+    const elements = [];
+    let activity = null;
+    let point = null;
+    let textContent = '';
+
+    parseXml(text, {
+        onOpenTag(name, attributes) {
+            if (elements.length === 0 && name !== 'gpx') {
+                throw new Error(`Not a GPX file, the root element is <${name}>`);
+            }
+            elements.push(name);
+            textContent = '';
+
+            if (name === 'trk') {
+                activity = { name: null, sport: null, points: [] };
+            } else if (name === 'trkpt' && activity) {
+                point = { lat: parseFloat(attributes.lat), lon: parseFloat(attributes.lon) };
+            }
+        },
+        onText(content) {
+            textContent += content;
+        },
+        onCloseTag(name) {
+            elements.pop();
+            const parent = elements[elements.length - 1];
+            const value = textContent.trim();
+            textContent = '';
+
+            if (point) {
+                if (name === 'ele') {
+                    point.ele = parseFloat(value);
+                } else if (name === 'time') {
+                    point.time = new Date(value);
+                } else if (name === 'hr' || name === 'heartrate') {
+                    point.heartRate = parseFloat(value);
+                } else if (name === 'cad' || name === 'cadence') {
+                    point.cadence = parseFloat(value);
+                } else if (name === 'trkpt') {
+                    if (isValidCoordinate(point)) activity.points.push(point);
+                    point = null;
+                }
+            } else if (activity) {
+                if (name === 'name' && parent === 'trk') {
+                    activity.name = value || null;
+                } else if (name === 'type' && parent === 'trk') {
+                    activity.sport = value || null;
+                } else if (name === 'trk') {
+                    if (activity.points.length > 0) activities.push(activity);
+                    activity = null;
+                }
+            }
+        },
+    });
+
+    return activities;
+};
+
+export { parseGpx };
@@ -0,0 +1,82 @@
+// api/parsers/tcxParser.js
+import { parseXml } from '../utils/xmlParser';
+import { isValidCoordinate } from '../utils/geo';
+
+/**
+ * Parses Garmin Training Center (TCX) files. Every `<Activity>` is an activity, the trackpoints of all its laps
+ * form its track. Trackpoints without a position, which devices write while GPS is unavailable or indoors, are
+ * skipped, so the distance is computed from the positions rather than taken from the device.
+ */
+
+/**
+ * Parses the activities of a TCX document.
+ *
+ * @param {string} text - The TCX document.
+ * @returns {Array<object>} One `{ name, sport, points }` per activity with at least one positioned trackpoint, where `sport`
+ * is the Sport attribute ('Running', 'Biking' or 'Other'), `name` the activity notes, and each point is
+ * `{ lat, lon, ele, time, heartRate, cadence }`, see api/utils/geo.js.
+ * @throws {Error} If the document is not well-formed XML or its root element is not `<TrainingCenterDatabase>`.
+ */
+const parseTcx = (text) => {
+    const activities = [];
+    const elements = [];
+    let activity = null;
+    let point = null;
+    let textContent = '';
+
+    parseXml(text, {
+        onOpenTag(name, attributes) {
+            if (elements.length === 0 && name !== 'TrainingCenterDatabase') {
+                throw new Error(`Not a TCX file, the root element is <${name}>`);
+            }
+            elements.push(name);
+            textContent = '';
+
+            if (name === 'Activity') {
+                activity = { name: null, sport: attributes.Sport || null, points: [] };
+            } else if (name === 'Trackpoint' && activity) {
+                point = {};
+            }
+        },
+        onText(content) {
+            textContent += content;
+        },
+        onCloseTag(name) {
+            elements.pop();
+            const parent = elements[elements.length - 1];
+            const value = textContent.trim();
+            textContent = '';
+
+            if (point) {
+                if (name === 'Time') {
+                    point.time = new Date(value);
+                } else if (name === 'LatitudeDegrees') {
+                    point.lat = parseFloat(value);
+                } else if (name === 'LongitudeDegrees') {
+                    point.lon = parseFloat(value);
+                } else if (name === 'AltitudeMeters') {
+                    point.ele = parseFloat(value);
+                } else if (name === 'Value' && parent === 'HeartRateBpm') {
+                    point.heartRate = parseFloat(value);
+                } else if (name === 'Cadence' || name === 'RunCadence') {
+                    // Cadence holds bike cadence, running cadence is in the ActivityExtension
+                    point.cadence = parseFloat(value);
+                } else if (name === 'Trackpoint') {
+                    if (isValidCoordinate(point)) activity.points.push(point);
+                    point = null;
+                }
+            } else if (activity) {
+                if (name === 'Notes' && parent === 'Activity') {
+                    activity.name = value || null;
+                } else if (name === 'Activity') {
+                    if (activity.points.length > 0) activities.push(activity);
+                    activity = null;
+                }
+            }
+        },
+    });
+
+    return activities;
+};
+
+export { parseTcx };
@@ -0,0 +1,38 @@
+// api/routes/accountRoutes.js
+import express from 'express';
+import accountController from '../controllers/accountController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for the account as a whole using Express.js.
+ * This router is mounted under '/api/account' and handles route definitions for exporting
+ * and deleting the account of the authenticated user, delegating the actual logic to the accountController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router();
+
+/**
+ * GET route for exporting everything stored about the authenticated user as a zip of JSON files.
+ *
+ * Handles incoming GET requests to '/export' and forwards the request to the
+ * exportAccountHandler function in accountController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/export', authMiddleware.authenticate, accountController.exportAccountHandler);
+
+/**
+ * DELETE route for deleting the account of the authenticated user and all of the user's data.
+ *
+ * Handles incoming DELETE requests to '/' and forwards the request to the
+ * deleteAccountHandler function in accountController.js for processing.
+ * @param {express.Request} req - The incoming request object, with the `password` confirming the deletion in the body.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.delete('/', authMiddleware.authenticate, accountController.deleteAccountHandler);
+
+export default router;
@@ -0,0 +1,39 @@
+// api/routes/activityRoutes.js
+import express from 'express';
+import activityController from '../controllers/activityController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for activity files using Express.js.
+ * This router is mounted under '/api/activities' and handles route definitions for uploading
+ * activities recorded on GPS devices and reading their tracks, delegating the actual logic to the activityController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router();
+
+/**
+ * POST route for uploading a GPX, TCX or FIT activity file, logging its activities as workouts.
+ *
+ * Handles incoming POST requests to '/upload' and forwards the request to the
+ * uploadActivityHandler function in activityController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the file as the raw body.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/upload', authMiddleware.authenticate, activityController.uploadActivityHandler);
+
+
+/**
+ * GET route for retrieving the recorded track of an imported workout.
+ *
+ * Handles incoming GET requests to '/:workoutId/track' and forwards the request to the
+ * getTrackHandler function in activityController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/:workoutId/track', authMiddleware.authenticate, activityController.getTrackHandler);
+
+export default router;
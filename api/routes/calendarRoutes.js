@@ -0,0 +1,51 @@
+// api/routes/calendarRoutes.js
+import express from 'express';
+import calendarController from '../controllers/calendarController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for the iCalendar feed using Express.js.
+ * This router is mounted under '/api' and handles route definitions for the feed calendar apps
+ * subscribe to and its token, delegating the actual logic to the calendarController.js.
+ * The token routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them; the feed is protected by the token in its URL.
+ */
+
+const router = express.Router();
+
+/**
+ * POST route for creating the calendar feed token, replacing the previous one.
+ *
+ * Handles incoming POST requests to '/calendar/token' and forwards the request to the
+ * createTokenHandler function in calendarController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/calendar/token', authMiddleware.authenticate, calendarController.createTokenHandler);
+
+
+/**
+ * DELETE route for revoking the calendar feed token.
+ *
+ * Handles incoming DELETE requests to '/calendar/token' and forwards the request to the
+ * revokeTokenHandler function in calendarController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.delete('/calendar/token', authMiddleware.authenticate, calendarController.revokeTokenHandler);
+
+
+/**
+ * GET route for the iCalendar feed, authenticated by the `token` query parameter.
+ *
+ * Handles incoming GET requests to '/calendar.ics' and forwards the request to the
+ * getFeedHandler function in calendarController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/calendar.ics', calendarController.getFeedHandler);
+
+export default router;
@@ -0,0 +1,88 @@
+// api/routes/exerciseRoutes.js
+import express from 'express';
+import exerciseController from '../controllers/exerciseController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for the exercise catalog using Express.js.
+ * This router is mounted under '/api/exercises' and handles route definitions for listing and searching
+ * the catalog, and for managing custom exercises, delegating the actual logic to the exerciseController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router();
+
+/**
+ * GET route for listing the catalog exercises along with the custom exercises of the authenticated user.
+ *
+ * Handles incoming GET requests to '/' and forwards the request to the
+ * listExercisesHandler function in exerciseController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the listing filters.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/', authMiddleware.authenticate, exerciseController.listExercisesHandler);
+
+
+/**
+ * GET route for searching exercises by name and aliases.
+ *
+ * Handles incoming GET requests to '/search' and forwards the request to the
+ * searchExercisesHandler function in exerciseController.js for processing.
+ * Registered before '/:exerciseId' so it is not taken for an exercise ID.
+ * @param {express.Request} req - The incoming request object, containing the search text.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/search', authMiddleware.authenticate, exerciseController.searchExercisesHandler);
+
+
+/**
+ * POST route for adding a custom exercise.
+ *
+ * Handles incoming POST requests to '/' and forwards the request to the
+ * createExerciseHandler function in exerciseController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the exercise details.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/', authMiddleware.authenticate, exerciseController.createExerciseHandler);
+
+
+/**
+ * GET route for retrieving a specific exercise by its ID.
+ *
+ * Handles incoming GET requests to '/:exerciseId' and forwards the request to the
+ * getExerciseHandler function in exerciseController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/:exerciseId', authMiddleware.authenticate, exerciseController.getExerciseHandler);
+
+
+/**
+ * PUT route for updating a custom exercise by its ID.
+ *
+ * Handles incoming PUT requests to '/:exerciseId' and forwards the request to the
+ * updateExerciseHandler function in exerciseController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the updated exercise details.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.put('/:exerciseId', authMiddleware.authenticate, exerciseController.updateExerciseHandler);
+
+
+/**
+ * DELETE route for deleting a custom exercise by its ID.
+ *
+ * Handles incoming DELETE requests to '/:exerciseId' and forwards the request to the
+ * deleteExerciseHandler function in exerciseController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.delete('/:exerciseId', authMiddleware.authenticate, exerciseController.deleteExerciseHandler);
+
+export default router;
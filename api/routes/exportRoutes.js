@@ -0,0 +1,27 @@
+// api/routes/exportRoutes.js
+import express from 'express';
+import exportController from '../controllers/exportController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for data exports using Express.js.
+ * This router is mounted under '/api/export' and handles route definitions for downloading
+ * the data of the authenticated user, delegating the actual logic to the exportController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router();
+
+/**
+ * GET route for exporting every goal of the authenticated user along with its progress history.
+ *
+ * Handles incoming GET requests to '/goals' and forwards the request to the
+ * exportGoalsHandler function in exportController.js for processing.
+ * @param {express.Request} req - The incoming request object, with the `format` query parameter.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/goals', authMiddleware.authenticate, exportController.exportGoalsHandler);
+
+export default router;
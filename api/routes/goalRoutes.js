@@ -2,6 +2,9 @@
 import express from 'express';
 import goalController from '../controllers/goalController';
 import authMiddleware from '../middlewares/authMiddleware';
+import progressRoutes from './progressRoutes';
+import habitRoutes from './habitRoutes';
+import milestoneRoutes from './milestoneRoutes';
 
 /**
  * Defines API routes for fitness goal management using Express.js.
@@ -13,6 +16,81 @@ import authMiddleware from '../middlewares/authMiddleware';
 
 const router = express.Router();
 
+/**
+ * GET route for listing the trashed goals of the authenticated user.
+ *
+ * Handles incoming GET requests to '/trash' and forwards the request to the
+ * listTrashHandler function in goalController.js for processing.
+ * Registered before the '/:goalId' routes so that 'trash' is not taken for a goal ID.
+ * @param {express.Request} req - The incoming request object, containing the pagination options.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/trash', authMiddleware.authenticate, goalController.listTrashHandler);
+
+
+/**
+ * DELETE route for permanently deleting every goal in the trash.
+ *
+ * Handles incoming DELETE requests to '/trash' and forwards the request to the
+ * emptyTrashHandler function in goalController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.delete('/trash', authMiddleware.authenticate, goalController.emptyTrashHandler);
+
+
+/**
+ * DELETE route for permanently deleting a goal from the trash.
+ *
+ * Handles incoming DELETE requests to '/trash/:goalId' and forwards the request to the
+ * purgeGoalHandler function in goalController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.delete('/trash/:goalId', authMiddleware.authenticate, goalController.purgeGoalHandler);
+
+/**
+ * GET route for listing the tags of the authenticated user's goals with their usage counts.
+ *
+ * Handles incoming GET requests to '/tags' and forwards the request to the
+ * listTagsHandler function in goalController.js for processing.
+ * Registered before the '/:goalId' routes so that 'tags' is not taken for a goal ID.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/tags', authMiddleware.authenticate, goalController.listTagsHandler);
+
+
+/**
+ * PUT route for renaming or merging a tag across all goals of the authenticated user.
+ *
+ * Handles incoming PUT requests to '/tags/:tag' and forwards the request to the
+ * renameTagHandler function in goalController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the new name of the tag.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.put('/tags/:tag', authMiddleware.authenticate, goalController.renameTagHandler);
+
+/**
+ * Progress history routes of a goal, see progressRoutes.js.
+ */
+router.use('/:goalId/progress', progressRoutes);
+
+/**
+ * Milestone routes of a goal, see milestoneRoutes.js.
+ */
+router.use('/:goalId/milestones', milestoneRoutes);
+
+/**
+ * Check-in, streak and calendar routes of habit goals, see habitRoutes.js.
+ */
+router.use('/:goalId', habitRoutes);
+
 /**
  * POST route for creating a new goal.
  *
@@ -25,6 +103,20 @@ const router = express.Router();
 router.post('/', authMiddleware.authenticate, goalController.createGoalHandler);
 
 
+/**
+ * GET route for listing the goals of the authenticated user.
+ *
+ * Handles incoming GET requests to '/' and forwards the request to the
+ * listGoalsHandler function in goalController.js for processing.
+ * Supports the `limit`, `cursor`, `sortBy`, `sortOrder`, `minProgress`, `maxProgress`,
+ * `targetDateFrom`, `targetDateTo` and `q` query parameters.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/', authMiddleware.authenticate, goalController.listGoalsHandler);
+
+
 /**
  * GET route for retrieving a single goal by its ID.
  *
@@ -50,7 +142,31 @@ router.put('/:goalId', authMiddleware.authenticate, goalController.updateGoalHan
 
 
 /**
- * DELETE route for deleting a goal by its ID.
+ * POST route for moving a goal to another status of its lifecycle.
+ *
+ * Handles incoming POST requests to '/:goalId/status' and forwards the request to the
+ * changeGoalStatusHandler function in goalController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the new status and an optional reason.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/:goalId/status', authMiddleware.authenticate, goalController.changeGoalStatusHandler);
+
+
+/**
+ * POST route for restoring a goal from the trash.
+ *
+ * Handles incoming POST requests to '/:goalId/restore' and forwards the request to the
+ * restoreGoalHandler function in goalController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/:goalId/restore', authMiddleware.authenticate, goalController.restoreGoalHandler);
+
+
+/**
+ * DELETE route for deleting a goal by its ID, which moves the goal to the trash.
  *
  * Handles incoming DELETE requests to '/:goalId' and forwards the request to the
  * deleteGoalHandler function in goalController.js for processing.
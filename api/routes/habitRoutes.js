@@ -0,0 +1,63 @@
+// api/routes/habitRoutes.js
+import express from 'express';
+import habitController from '../controllers/habitController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for recurring habit goals using Express.js.
+ * This router is mounted under '/:goalId' of the goal routes and delegates
+ * the actual logic to the habitController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * POST route for checking in a habit goal.
+ *
+ * Handles incoming POST requests to '/checkins' and forwards the request to the
+ * checkInHandler function in habitController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the local date and note.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/checkins', authMiddleware.authenticate, habitController.checkInHandler);
+
+
+/**
+ * DELETE route for removing a check-in from a habit goal.
+ *
+ * Handles incoming DELETE requests to '/checkins/:checkInId' and forwards the request to the
+ * deleteCheckInHandler function in habitController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.delete('/checkins/:checkInId', authMiddleware.authenticate, habitController.deleteCheckInHandler);
+
+
+/**
+ * GET route for retrieving the current and longest streak of a habit goal.
+ *
+ * Handles incoming GET requests to '/streak' and forwards the request to the
+ * getStreakHandler function in habitController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/streak', authMiddleware.authenticate, habitController.getStreakHandler);
+
+
+/**
+ * GET route for retrieving the calendar of completed and missed periods of a habit goal.
+ *
+ * Handles incoming GET requests to '/calendar' and forwards the request to the
+ * getCalendarHandler function in habitController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/calendar', authMiddleware.authenticate, habitController.getCalendarHandler);
+
+export default router;
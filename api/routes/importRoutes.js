@@ -0,0 +1,51 @@
+// api/routes/importRoutes.js
+import express from 'express';
+import importController from '../controllers/importController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for data imports using Express.js.
+ * This router is mounted under '/api/import' and handles route definitions for bringing
+ * data into the account of the authenticated user, delegating the actual logic to the importController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router();
+
+/**
+ * POST route for importing goals from a CSV file.
+ *
+ * Handles incoming POST requests to '/goals' and forwards the request to the
+ * importGoalsHandler function in importController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the CSV file.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/goals', authMiddleware.authenticate, importController.importGoalsHandler);
+
+
+/**
+ * POST route for importing an Apple Health export, answered with the job running the import.
+ *
+ * Handles incoming POST requests to '/apple-health' and forwards the request to the
+ * importAppleHealthHandler function in importController.js for processing.
+ * @param {express.Request} req - The incoming request object, streaming the export.zip.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/apple-health', authMiddleware.authenticate, importController.importAppleHealthHandler);
+
+
+/**
+ * GET route for retrieving the progress of an import job.
+ *
+ * Handles incoming GET requests to '/jobs/:jobId' and forwards the request to the
+ * getImportJobHandler function in importController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/jobs/:jobId', authMiddleware.authenticate, importController.getImportJobHandler);
+
+export default router;
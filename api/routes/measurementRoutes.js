@@ -0,0 +1,87 @@
+// api/routes/measurementRoutes.js
+import express from 'express';
+import measurementController from '../controllers/measurementController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for body measurements using Express.js.
+ * This router is mounted under '/api/measurements' and handles route definitions for logging, listing,
+ * updating and deleting measurements and for their trends, delegating the actual logic to the measurementController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router();
+
+/**
+ * GET route for listing the body measurements of the authenticated user.
+ *
+ * Handles incoming GET requests to '/' and forwards the request to the
+ * listMeasurementsHandler function in measurementController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing pagination and filter options.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/', authMiddleware.authenticate, measurementController.listMeasurementsHandler);
+
+
+/**
+ * GET route for the moving-average trend of a measurement type.
+ *
+ * Handles incoming GET requests to '/trend' and forwards the request to the
+ * getMeasurementTrendHandler function in measurementController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the type and trend options.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/trend', authMiddleware.authenticate, measurementController.getMeasurementTrendHandler);
+
+
+/**
+ * POST route for logging a body measurement.
+ *
+ * Handles incoming POST requests to '/' and forwards the request to the
+ * createMeasurementHandler function in measurementController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the measurement details.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/', authMiddleware.authenticate, measurementController.createMeasurementHandler);
+
+
+/**
+ * GET route for retrieving a specific body measurement by its ID.
+ *
+ * Handles incoming GET requests to '/:measurementId' and forwards the request to the
+ * getMeasurementHandler function in measurementController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/:measurementId', authMiddleware.authenticate, measurementController.getMeasurementHandler);
+
+
+/**
+ * PUT route for updating a body measurement by its ID.
+ *
+ * Handles incoming PUT requests to '/:measurementId' and forwards the request to the
+ * updateMeasurementHandler function in measurementController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the updated measurement details.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.put('/:measurementId', authMiddleware.authenticate, measurementController.updateMeasurementHandler);
+
+
+/**
+ * DELETE route for deleting a body measurement by its ID.
+ *
+ * Handles incoming DELETE requests to '/:measurementId' and forwards the request to the
+ * deleteMeasurementHandler function in measurementController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.delete('/:measurementId', authMiddleware.authenticate, measurementController.deleteMeasurementHandler);
+
+export default router;
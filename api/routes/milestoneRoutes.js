@@ -0,0 +1,76 @@
+// api/routes/milestoneRoutes.js
+import express from 'express';
+import milestoneController from '../controllers/milestoneController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for the milestones of a goal using Express.js.
+ * This router is mounted under '/:goalId/milestones' of the goal routes and delegates
+ * the actual logic to the milestoneController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * GET route for listing the milestones of a goal in their order.
+ *
+ * Handles incoming GET requests to '/' and forwards the request to the
+ * listMilestonesHandler function in milestoneController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/', authMiddleware.authenticate, milestoneController.listMilestonesHandler);
+
+
+/**
+ * POST route for adding a milestone to a goal.
+ *
+ * Handles incoming POST requests to '/' and forwards the request to the
+ * addMilestoneHandler function in milestoneController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the title, target date and position.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/', authMiddleware.authenticate, milestoneController.addMilestoneHandler);
+
+
+/**
+ * PUT route for reordering the milestones of a goal.
+ *
+ * Handles incoming PUT requests to '/order' and forwards the request to the
+ * reorderMilestonesHandler function in milestoneController.js for processing.
+ * Registered before '/:milestoneId' so that 'order' is not taken for a milestone ID.
+ * @param {express.Request} req - The incoming request object, containing the milestone IDs in their new order.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.put('/order', authMiddleware.authenticate, milestoneController.reorderMilestonesHandler);
+
+
+/**
+ * PUT route for updating a milestone.
+ *
+ * Handles incoming PUT requests to '/:milestoneId' and forwards the request to the
+ * updateMilestoneHandler function in milestoneController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the updated title, target date or completion state.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.put('/:milestoneId', authMiddleware.authenticate, milestoneController.updateMilestoneHandler);
+
+
+/**
+ * DELETE route for removing a milestone from a goal.
+ *
+ * Handles incoming DELETE requests to '/:milestoneId' and forwards the request to the
+ * deleteMilestoneHandler function in milestoneController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.delete('/:milestoneId', authMiddleware.authenticate, milestoneController.deleteMilestoneHandler);
+
+export default router;
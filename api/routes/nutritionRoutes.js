@@ -0,0 +1,135 @@
+// api/routes/nutritionRoutes.js
+import express from 'express';
+import nutritionController from '../controllers/nutritionController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for daily nutrition logging using Express.js.
+ * This router is mounted under '/api/nutrition' and handles route definitions for nutrition targets,
+ * the meals and water intake of each day and the weekly summary, delegating the actual logic to the nutritionController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router();
+
+/**
+ * GET route for retrieving the daily nutrition targets of the authenticated user.
+ *
+ * Handles incoming GET requests to '/targets' and forwards the request to the
+ * getTargetsHandler function in nutritionController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/targets', authMiddleware.authenticate, nutritionController.getTargetsHandler);
+
+
+/**
+ * PUT route for updating the daily nutrition targets of the authenticated user.
+ *
+ * Handles incoming PUT requests to '/targets' and forwards the request to the
+ * updateTargetsHandler function in nutritionController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the targets.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.put('/targets', authMiddleware.authenticate, nutritionController.updateTargetsHandler);
+
+
+/**
+ * GET route for the weekly nutrition summary, scoring habit goals with a nutrition rule.
+ *
+ * Handles incoming GET requests to '/weekly' and forwards the request to the
+ * getWeeklySummaryHandler function in nutritionController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the week.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/weekly', authMiddleware.authenticate, nutritionController.getWeeklySummaryHandler);
+
+
+/**
+ * GET route for listing the days of a date range with their totals against the targets.
+ *
+ * Handles incoming GET requests to '/days' and forwards the request to the
+ * listDaysHandler function in nutritionController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the date range.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/days', authMiddleware.authenticate, nutritionController.listDaysHandler);
+
+
+/**
+ * GET route for retrieving the nutrition log of a day by its local date.
+ *
+ * Handles incoming GET requests to '/days/:date' and forwards the request to the
+ * getDayHandler function in nutritionController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/days/:date', authMiddleware.authenticate, nutritionController.getDayHandler);
+
+
+/**
+ * POST route for logging a meal on a day.
+ *
+ * Handles incoming POST requests to '/days/:date/meals' and forwards the request to the
+ * addMealHandler function in nutritionController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the meal details.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/days/:date/meals', authMiddleware.authenticate, nutritionController.addMealHandler);
+
+
+/**
+ * PUT route for updating a meal of a day by its ID.
+ *
+ * Handles incoming PUT requests to '/days/:date/meals/:mealId' and forwards the request to the
+ * updateMealHandler function in nutritionController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the updated meal details.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.put('/days/:date/meals/:mealId', authMiddleware.authenticate, nutritionController.updateMealHandler);
+
+
+/**
+ * DELETE route for removing a meal from a day by its ID.
+ *
+ * Handles incoming DELETE requests to '/days/:date/meals/:mealId' and forwards the request to the
+ * deleteMealHandler function in nutritionController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.delete('/days/:date/meals/:mealId', authMiddleware.authenticate, nutritionController.deleteMealHandler);
+
+
+/**
+ * POST route for logging water intake on a day.
+ *
+ * Handles incoming POST requests to '/days/:date/water' and forwards the request to the
+ * addWaterHandler function in nutritionController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the amount and unit.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/days/:date/water', authMiddleware.authenticate, nutritionController.addWaterHandler);
+
+
+/**
+ * DELETE route for removing a water intake entry from a day by its ID.
+ *
+ * Handles incoming DELETE requests to '/days/:date/water/:entryId' and forwards the request to the
+ * deleteWaterHandler function in nutritionController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.delete('/days/:date/water/:entryId', authMiddleware.authenticate, nutritionController.deleteWaterHandler);
+
+export default router;
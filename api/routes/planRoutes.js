@@ -0,0 +1,135 @@
+// api/routes/planRoutes.js
+import express from 'express';
+import planController from '../controllers/planController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for training plans using Express.js.
+ * This router is mounted under '/api/plans' and handles route definitions for creating, scheduling
+ * and following training plans, delegating the actual logic to the planController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router();
+
+/**
+ * GET route for listing the training plans of the authenticated user.
+ *
+ * Handles incoming GET requests to '/' and forwards the request to the
+ * listPlansHandler function in planController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/', authMiddleware.authenticate, planController.listPlansHandler);
+
+
+/**
+ * POST route for creating a training plan.
+ *
+ * Handles incoming POST requests to '/' and forwards the request to the
+ * createPlanHandler function in planController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the plan.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/', authMiddleware.authenticate, planController.createPlanHandler);
+
+
+/**
+ * GET route for listing the scheduled sessions of all training plans of the authenticated user on a date range.
+ *
+ * Handles incoming GET requests to '/sessions' and forwards the request to the
+ * listSessionsHandler function in planController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/sessions', authMiddleware.authenticate, planController.listSessionsHandler);
+
+
+/**
+ * GET route for retrieving a training plan by its ID.
+ *
+ * Handles incoming GET requests to '/:planId' and forwards the request to the
+ * getPlanHandler function in planController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/:planId', authMiddleware.authenticate, planController.getPlanHandler);
+
+
+/**
+ * PUT route for updating a training plan by its ID.
+ *
+ * Handles incoming PUT requests to '/:planId' and forwards the request to the
+ * updatePlanHandler function in planController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the fields to update.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.put('/:planId', authMiddleware.authenticate, planController.updatePlanHandler);
+
+
+/**
+ * DELETE route for deleting a training plan by its ID along with its sessions.
+ *
+ * Handles incoming DELETE requests to '/:planId' and forwards the request to the
+ * deletePlanHandler function in planController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.delete('/:planId', authMiddleware.authenticate, planController.deletePlanHandler);
+
+
+/**
+ * POST route for scheduling a training plan from a start date.
+ *
+ * Handles incoming POST requests to '/:planId/schedule' and forwards the request to the
+ * schedulePlanHandler function in planController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the start date.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/:planId/schedule', authMiddleware.authenticate, planController.schedulePlanHandler);
+
+
+/**
+ * DELETE route for taking a training plan off the schedule.
+ *
+ * Handles incoming DELETE requests to '/:planId/schedule' and forwards the request to the
+ * unschedulePlanHandler function in planController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.delete('/:planId/schedule', authMiddleware.authenticate, planController.unschedulePlanHandler);
+
+
+/**
+ * GET route for listing the scheduled sessions of a training plan.
+ *
+ * Handles incoming GET requests to '/:planId/sessions' and forwards the request to the
+ * listPlanSessionsHandler function in planController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/:planId/sessions', authMiddleware.authenticate, planController.listPlanSessionsHandler);
+
+
+/**
+ * GET route for the adherence report of a scheduled training plan.
+ *
+ * Handles incoming GET requests to '/:planId/adherence' and forwards the request to the
+ * getAdherenceHandler function in planController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/:planId/adherence', authMiddleware.authenticate, planController.getAdherenceHandler);
+
+export default router;
@@ -0,0 +1,39 @@
+// api/routes/progressRoutes.js
+import express from 'express';
+import progressController from '../controllers/progressController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for the progress history of a goal using Express.js.
+ * This router is mounted under '/:goalId/progress' of the goal routes and delegates
+ * the actual logic to the progressController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * POST route for adding a progress entry to a goal.
+ *
+ * Handles incoming POST requests to '/' and forwards the request to the
+ * addProgressEntryHandler function in progressController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the progress entry.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/', authMiddleware.authenticate, progressController.addProgressEntryHandler);
+
+
+/**
+ * GET route for listing the progress history of a goal.
+ *
+ * Handles incoming GET requests to '/' and forwards the request to the
+ * listProgressEntriesHandler function in progressController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/', authMiddleware.authenticate, progressController.listProgressEntriesHandler);
+
+export default router;
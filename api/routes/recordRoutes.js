@@ -0,0 +1,39 @@
+// api/routes/recordRoutes.js
+import express from 'express';
+import recordController from '../controllers/recordController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for personal records using Express.js.
+ * This router is mounted under '/api/records' and handles route definitions for reading the current
+ * records and the record history, delegating the actual logic to the recordController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router();
+
+/**
+ * GET route for listing the current personal records of the authenticated user.
+ *
+ * Handles incoming GET requests to '/' and forwards the request to the
+ * listRecordsHandler function in recordController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the listing filters.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/', authMiddleware.authenticate, recordController.listRecordsHandler);
+
+
+/**
+ * GET route for listing the record history of the authenticated user.
+ *
+ * Handles incoming GET requests to '/history' and forwards the request to the
+ * listRecordHistoryHandler function in recordController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing pagination and filter options.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/history', authMiddleware.authenticate, recordController.listRecordHistoryHandler);
+
+export default router;
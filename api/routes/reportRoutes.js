@@ -0,0 +1,72 @@
+// api/routes/reportRoutes.js
+import express from 'express';
+import reportController from '../controllers/reportController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for weekly reports using Express.js.
+ * This router is mounted under '/api/reports' and handles route definitions for previewing the report of a week,
+ * browsing the reports stored by the weekly report job and the report settings of the authenticated user,
+ * delegating the actual logic to the reportController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router();
+
+/**
+ * GET route for previewing the report of a week of the authenticated user.
+ *
+ * Handles incoming GET requests to '/weekly' and forwards the request to the
+ * previewWeeklyReportHandler function in reportController.js for processing.
+ * @param {express.Request} req - The incoming request object, with the `week` and `format` query parameters.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/weekly', authMiddleware.authenticate, reportController.previewWeeklyReportHandler);
+
+/**
+ * GET route for listing the stored weekly reports of the authenticated user.
+ *
+ * Handles incoming GET requests to '/weekly/history' and forwards the request to the
+ * listWeeklyReportsHandler function in reportController.js for processing.
+ * @param {express.Request} req - The incoming request object, with the `limit` and `cursor` query parameters.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/weekly/history', authMiddleware.authenticate, reportController.listWeeklyReportsHandler);
+
+/**
+ * GET route for retrieving a stored weekly report of the authenticated user.
+ *
+ * Handles incoming GET requests to '/weekly/:reportId' and forwards the request to the
+ * getWeeklyReportHandler function in reportController.js for processing.
+ * @param {express.Request} req - The incoming request object, with the `reportId` parameter and the `format` query parameter.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/weekly/:reportId', authMiddleware.authenticate, reportController.getWeeklyReportHandler);
+
+/**
+ * GET route for retrieving the weekly report settings of the authenticated user.
+ *
+ * Handles incoming GET requests to '/settings' and forwards the request to the
+ * getReportSettingsHandler function in reportController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/settings', authMiddleware.authenticate, reportController.getReportSettingsHandler);
+
+/**
+ * PUT route for updating the weekly report settings of the authenticated user.
+ *
+ * Handles incoming PUT requests to '/settings' and forwards the request to the
+ * updateReportSettingsHandler function in reportController.js for processing.
+ * @param {express.Request} req - The incoming request object, with `timezone` and `weeklyReportsEnabled` in the body.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.put('/settings', authMiddleware.authenticate, reportController.updateReportSettingsHandler);
+
+export default router;
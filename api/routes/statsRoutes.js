@@ -0,0 +1,49 @@
+// api/routes/statsRoutes.js
+import express from 'express';
+import statsController from '../controllers/statsController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for statistics using Express.js.
+ * This router is mounted under '/api/stats' and handles route definitions for the statistics
+ * of the authenticated user's goals and activity, delegating the actual logic to the statsController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router();
+
+/**
+ * GET route for computing the goal statistics of the authenticated user.
+ *
+ * Handles incoming GET requests to '/' and forwards the request to the
+ * getStatsHandler function in statsController.js for processing.
+ * @param {express.Request} req - The incoming request object, with the `from`, `to`, `timezone` and `interval` query parameters.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/', authMiddleware.authenticate, statsController.getStatsHandler);
+
+/**
+ * GET route for computing the logged activity of the authenticated user per day and per week.
+ *
+ * Handles incoming GET requests to '/activity' and forwards the request to the
+ * getActivityHandler function in statsController.js for processing.
+ * @param {express.Request} req - The incoming request object, with the `from`, `to` and `timezone` query parameters.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/activity', authMiddleware.authenticate, statsController.getActivityHandler);
+
+/**
+ * GET route for listing the progress history of the active goals of the authenticated user.
+ *
+ * Handles incoming GET requests to '/progress' and forwards the request to the
+ * getProgressHistoryHandler function in statsController.js for processing.
+ * @param {express.Request} req - The incoming request object, with the `from`, `to` and `timezone` query parameters.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/progress', authMiddleware.authenticate, statsController.getProgressHistoryHandler);
+
+export default router;
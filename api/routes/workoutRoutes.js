@@ -0,0 +1,75 @@
+// api/routes/workoutRoutes.js
+import express from 'express';
+import workoutController from '../controllers/workoutController';
+import authMiddleware from '../middlewares/authMiddleware';
+
+/**
+ * Defines API routes for workout logging using Express.js.
+ * This router is mounted under '/api/workouts' and handles route definitions for logging, reading,
+ * updating and deleting workouts, delegating the actual logic to the workoutController.js.
+ * All routes are protected via the authMiddleware.authenticate to ensure only
+ * authenticated users can access them.
+ */
+
+const router = express.Router();
+
+/**
+ * POST route for logging a new workout.
+ *
+ * Handles incoming POST requests to '/' and forwards the request to the
+ * createWorkoutHandler function in workoutController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the workout details.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.post('/', authMiddleware.authenticate, workoutController.createWorkoutHandler);
+
+
+/**
+ * GET route for listing the workouts of the authenticated user.
+ *
+ * Handles incoming GET requests to '/' and forwards the request to the
+ * listWorkoutsHandler function in workoutController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing pagination and filter options.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/', authMiddleware.authenticate, workoutController.listWorkoutsHandler);
+
+
+/**
+ * GET route for retrieving a specific workout by its ID.
+ *
+ * Handles incoming GET requests to '/:workoutId' and forwards the request to the
+ * getWorkoutHandler function in workoutController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.get('/:workoutId', authMiddleware.authenticate, workoutController.getWorkoutHandler);
+
+
+/**
+ * PUT route for updating an existing workout by its ID.
+ *
+ * Handles incoming PUT requests to '/:workoutId' and forwards the request to the
+ * updateWorkoutHandler function in workoutController.js for processing.
+ * @param {express.Request} req - The incoming request object, containing the updated workout details.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.put('/:workoutId', authMiddleware.authenticate, workoutController.updateWorkoutHandler);
+
+
+/**
+ * DELETE route for deleting a workout by its ID.
+ *
+ * Handles incoming DELETE requests to '/:workoutId' and forwards the request to the
+ * deleteWorkoutHandler function in workoutController.js for processing.
+ * @param {express.Request} req - The incoming request object.
+ * @param {express.Response} res - The outgoing response object.
+ * @returns {Promise<void>}
+ */
+router.delete('/:workoutId', authMiddleware.authenticate, workoutController.deleteWorkoutHandler);
+
+export default router;
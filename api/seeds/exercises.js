@@ -0,0 +1,83 @@
+// api/seeds/exercises.js
+
+/**
+ * The seeded exercise catalog shared by all users, see `ensureExerciseCatalog` in exerciseService.
+ * Entries are matched by name when seeding, so renaming an entry here adds a new exercise
+ * rather than renaming the existing one.
+ */
+const EXERCISE_CATALOG = [
+    // Chest
+    { name: 'Bench Press', aliases: ['BP', 'Barbell Bench Press', 'Flat Bench'], muscleGroups: ['chest', 'triceps', 'shoulders'], equipment: 'barbell', measurementType: 'weight' },
+    { name: 'Incline Bench Press', aliases: ['Incline Press'], muscleGroups: ['chest', 'shoulders', 'triceps'], equipment: 'barbell', measurementType: 'weight' },
+    { name: 'Dumbbell Bench Press', aliases: ['DB Bench Press', 'DB Press'], muscleGroups: ['chest', 'triceps', 'shoulders'], equipment: 'dumbbell', measurementType: 'weight' },
+    { name: 'Dumbbell Fly', aliases: ['Chest Fly', 'DB Fly'], muscleGroups: ['chest'], equipment: 'dumbbell', measurementType: 'weight' },
+    { name: 'Cable Crossover', aliases: ['Cable Fly'], muscleGroups: ['chest'], equipment: 'cable', measurementType: 'weight' },
+    { name: 'Push-up', aliases: ['Pushup', 'Press-up'], muscleGroups: ['chest', 'triceps', 'shoulders'], equipment: 'bodyweight', measurementType: 'reps' },
+    { name: 'Dip', aliases: ['Dips', 'Parallel Bar Dip'], muscleGroups: ['chest', 'triceps'], equipment: 'bodyweight', measurementType: 'reps' },
+
+    // Back
+    { name: 'Deadlift', aliases: ['DL', 'Conventional Deadlift'], muscleGroups: ['back', 'glutes', 'hamstrings'], equipment: 'barbell', measurementType: 'weight' },
+    { name: 'Romanian Deadlift', aliases: ['RDL', 'Stiff Leg Deadlift'], muscleGroups: ['hamstrings', 'glutes', 'back'], equipment: 'barbell', measurementType: 'weight' },
+    { name: 'Barbell Row', aliases: ['Bent Over Row', 'BB Row'], muscleGroups: ['back', 'biceps'], equipment: 'barbell', measurementType: 'weight' },
+    { name: 'Dumbbell Row', aliases: ['One Arm Row', 'DB Row'], muscleGroups: ['back', 'biceps'], equipment: 'dumbbell', measurementType: 'weight' },
+    { name: 'Pull-up', aliases: ['Pullup', 'Chin-up', 'Chinup'], muscleGroups: ['back', 'biceps'], equipment: 'pull_up_bar', measurementType: 'reps' },
+    { name: 'Lat Pulldown', aliases: ['Pulldown'], muscleGroups: ['back', 'biceps'], equipment: 'cable', measurementType: 'weight' },
+    { name: 'Seated Cable Row', aliases: ['Cable Row'], muscleGroups: ['back', 'biceps'], equipment: 'cable', measurementType: 'weight' },
+
+    // Shoulders
+    { name: 'Overhead Press', aliases: ['OHP', 'Military Press', 'Shoulder Press'], muscleGroups: ['shoulders', 'triceps'], equipment: 'barbell', measurementType: 'weight' },
+    { name: 'Dumbbell Shoulder Press', aliases: ['DB Shoulder Press'], muscleGroups: ['shoulders', 'triceps'], equipment: 'dumbbell', measurementType: 'weight' },
+    { name: 'Lateral Raise', aliases: ['Side Raise', 'Side Lateral Raise'], muscleGroups: ['shoulders'], equipment: 'dumbbell', measurementType: 'weight' },
+    { name: 'Face Pull', aliases: [], muscleGroups: ['shoulders', 'back'], equipment: 'cable', measurementType: 'weight' },
+
+    // Arms
+    { name: 'Barbell Curl', aliases: ['Bicep Curl', 'Biceps Curl'], muscleGroups: ['biceps'], equipment: 'barbell', measurementType: 'weight' },
+    { name: 'Dumbbell Curl', aliases: ['DB Curl'], muscleGroups: ['biceps'], equipment: 'dumbbell', measurementType: 'weight' },
+    { name: 'Hammer Curl', aliases: [], muscleGroups: ['biceps', 'forearms'], equipment: 'dumbbell', measurementType: 'weight' },
+    { name: 'Triceps Pushdown', aliases: ['Tricep Pushdown', 'Cable Pushdown'], muscleGroups: ['triceps'], equipment: 'cable', measurementType: 'weight' },
+    { name: 'Skull Crusher', aliases: ['Lying Triceps Extension'], muscleGroups: ['triceps'], equipment: 'barbell', measurementType: 'weight' },
+
+    // Legs
+    { name: 'Back Squat', aliases: ['Squat', 'Barbell Squat'], muscleGroups: ['quadriceps', 'glutes', 'hamstrings'], equipment: 'barbell', measurementType: 'weight' },
+    { name: 'Front Squat', aliases: [], muscleGroups: ['quadriceps', 'glutes', 'core'], equipment: 'barbell', measurementType: 'weight' },
+    { name: 'Goblet Squat', aliases: [], muscleGroups: ['quadriceps', 'glutes'], equipment: 'kettlebell', measurementType: 'weight' },
+    { name: 'Bodyweight Squat', aliases: ['Air Squat'], muscleGroups: ['quadriceps', 'glutes'], equipment: 'bodyweight', measurementType: 'reps' },
+    { name: 'Leg Press', aliases: [], muscleGroups: ['quadriceps', 'glutes'], equipment: 'machine', measurementType: 'weight' },
+    { name: 'Lunge', aliases: ['Lunges', 'Walking Lunge'], muscleGroups: ['quadriceps', 'glutes'], equipment: 'dumbbell', measurementType: 'weight' },
+    { name: 'Bulgarian Split Squat', aliases: ['BSS', 'Split Squat'], muscleGroups: ['quadriceps', 'glutes'], equipment: 'dumbbell', measurementType: 'weight' },
+    { name: 'Leg Curl', aliases: ['Hamstring Curl'], muscleGroups: ['hamstrings'], equipment: 'machine', measurementType: 'weight' },
+    { name: 'Leg Extension', aliases: [], muscleGroups: ['quadriceps'], equipment: 'machine', measurementType: 'weight' },
+    { name: 'Hip Thrust', aliases: ['Barbell Hip Thrust', 'Glute Bridge'], muscleGroups: ['glutes', 'hamstrings'], equipment: 'barbell', measurementType: 'weight' },
+    { name: 'Calf Raise', aliases: ['Standing Calf Raise'], muscleGroups: ['calves'], equipment: 'machine', measurementType: 'weight' },
+
+    // Core
+    { name: 'Plank', aliases: ['Front Plank'], muscleGroups: ['core'], equipment: 'bodyweight', measurementType: 'time' },
+    { name: 'Side Plank', aliases: [], muscleGroups: ['core'], equipment: 'bodyweight', measurementType: 'time' },
+    { name: 'Crunch', aliases: ['Crunches', 'Sit-up', 'Situp'], muscleGroups: ['core'], equipment: 'bodyweight', measurementType: 'reps' },
+    { name: 'Hanging Leg Raise', aliases: ['Leg Raise'], muscleGroups: ['core'], equipment: 'pull_up_bar', measurementType: 'reps' },
+    { name: 'Russian Twist', aliases: [], muscleGroups: ['core'], equipment: 'bodyweight', measurementType: 'reps' },
+
+    // Full body
+    { name: 'Kettlebell Swing', aliases: ['KB Swing'], muscleGroups: ['glutes', 'hamstrings', 'full_body'], equipment: 'kettlebell', measurementType: 'weight' },
+    { name: 'Power Clean', aliases: ['Clean'], muscleGroups: ['full_body'], equipment: 'barbell', measurementType: 'weight' },
+    { name: 'Burpee', aliases: ['Burpees'], muscleGroups: ['full_body', 'cardio'], equipment: 'bodyweight', measurementType: 'reps' },
+    { name: 'Farmer\'s Walk', aliases: ['Farmers Carry', 'Farmer Carry'], muscleGroups: ['forearms', 'full_body'], equipment: 'dumbbell', measurementType: 'distance' },
+
+    // Cardio
+    { name: 'Running', aliases: ['Run', 'Jogging', 'Jog'], muscleGroups: ['cardio'], equipment: 'bodyweight', measurementType: 'distance' },
+    { name: 'Treadmill Running', aliases: ['Treadmill'], muscleGroups: ['cardio'], equipment: 'cardio_machine', measurementType: 'distance' },
+    { name: 'Walking', aliases: ['Walk', 'Hiking'], muscleGroups: ['cardio'], equipment: 'bodyweight', measurementType: 'distance' },
+    { name: 'Cycling', aliases: ['Bike', 'Biking', 'Stationary Bike'], muscleGroups: ['cardio', 'quadriceps'], equipment: 'cardio_machine', measurementType: 'distance' },
+    { name: 'Swimming', aliases: ['Swim'], muscleGroups: ['cardio', 'full_body'], equipment: 'other', measurementType: 'distance' },
+    { name: 'Rowing Machine', aliases: ['Rower', 'Erg', 'Indoor Rowing'], muscleGroups: ['cardio', 'back'], equipment: 'cardio_machine', measurementType: 'distance' },
+    { name: 'Jump Rope', aliases: ['Skipping', 'Skipping Rope'], muscleGroups: ['cardio', 'calves'], equipment: 'other', measurementType: 'time' },
+    { name: 'Elliptical', aliases: ['Cross Trainer'], muscleGroups: ['cardio'], equipment: 'cardio_machine', measurementType: 'time' },
+    { name: 'Stair Climber', aliases: ['Stairmaster', 'Stair Climbing'], muscleGroups: ['cardio', 'glutes'], equipment: 'cardio_machine', measurementType: 'time' },
+
+    // Flexibility
+    { name: 'Hamstring Stretch', aliases: [], muscleGroups: ['hamstrings'], equipment: 'bodyweight', measurementType: 'time' },
+    { name: 'Hip Flexor Stretch', aliases: ['Couch Stretch'], muscleGroups: ['quadriceps', 'glutes'], equipment: 'bodyweight', measurementType: 'time' },
+    { name: 'Foam Rolling', aliases: ['Foam Roller'], muscleGroups: ['full_body'], equipment: 'other', measurementType: 'time' },
+];
+
+export { EXERCISE_CATALOG };
@@ -0,0 +1,107 @@
+// api/services/__tests__/accountService.test.js
+import bcrypt from 'bcrypt';
+import User from '../../models/User';
+import Goal from '../../models/Goal';
+import ImportJob from '../../models/ImportJob';
+import { findUser } from '../userService';
+import { deleteAccount } from '../accountService';
+
+// The models connect to the database when imported, so the deletion runs against these instead
+jest.mock('bcrypt', () => ({ compare: jest.fn() }));
+jest.mock('../userService', () => ({ findUser: jest.fn() }));
+jest.mock('../../models/User', () => ({ deleteOne: jest.fn() }));
+jest.mock('../../models/Goal', () => ({ deleteMany: jest.fn(async () => ({ deletedCount: 0 })) }));
+jest.mock('../../models/ProgressEntry', () => ({ deleteMany: jest.fn(async () => ({ deletedCount: 0 })) }));
+jest.mock('../../models/CheckIn', () => ({ deleteMany: jest.fn(async () => ({ deletedCount: 0 })) }));
+jest.mock('../../models/Workout', () => ({ deleteMany: jest.fn(async () => ({ deletedCount: 0 })) }));
+jest.mock('../../models/Exercise', () => ({ deleteMany: jest.fn(async () => ({ deletedCount: 0 })) }));
+jest.mock('../../models/PersonalRecord', () => ({ deleteMany: jest.fn(async () => ({ deletedCount: 0 })) }));
+jest.mock('../../models/BodyMeasurement', () => ({ deleteMany: jest.fn(async () => ({ deletedCount: 0 })) }));
+jest.mock('../../models/NutritionLog', () => ({ deleteMany: jest.fn(async () => ({ deletedCount: 0 })) }));
+jest.mock('../../models/TrainingPlan', () => ({ deleteMany: jest.fn(async () => ({ deletedCount: 0 })) }));
+jest.mock('../../models/ScheduledSession', () => ({ deleteMany: jest.fn(async () => ({ deletedCount: 0 })) }));
+jest.mock('../../models/ActivityTrack', () => ({ deleteMany: jest.fn(async () => ({ deletedCount: 0 })) }));
+jest.mock('../../models/WeeklyReport', () => ({ deleteMany: jest.fn(async () => ({ deletedCount: 0 })) }));
+jest.mock('../../models/ImportJob', () => ({
+    __esModule: true,
+    default: { exists: jest.fn(), deleteMany: jest.fn() },
+    STALE_JOB_MINUTES: 15,
+}));
+
+const USER_ID = '666e4a5989977f4298765d3c';
+const NOW = new Date('2024-05-12T10:00:00Z');
+
+/**
+ * Stores the import jobs of the user, answering `ImportJob.exists` the way the database would.
+ *
+ * @param {Array<{ status: string, updatedAt: Date }>} jobs - The jobs.
+ * @returns {void}
+ */
+const givenImportJobs = (jobs) => {
+    ImportJob.exists.mockImplementation(async ({ status, updatedAt }) => {
+        const match = jobs.find((job) => status.$in.includes(job.status) && job.updatedAt >= updatedAt.$gte);
+        return match ? { _id: 'job-1' } : null;
+    });
+};
+
+/**
+ * Returns the instant a number of minutes before now.
+ *
+ * @param {number} minutes - The number of minutes.
+ * @returns {Date} The instant.
+ */
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * 60 * 1000);
+
+describe('deleteAccount', () => {
+    let consoleError;
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: NOW });
+        consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        findUser.mockResolvedValue({ _id: USER_ID, password: 'hash' });
+        bcrypt.compare.mockResolvedValue(true);
+        Goal.deleteMany.mockResolvedValue({ deletedCount: 3 });
+        ImportJob.deleteMany.mockResolvedValue({ deletedCount: 1 });
+        User.deleteOne.mockResolvedValue({ deletedCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        consoleError.mockRestore();
+        jest.clearAllMocks();
+    });
+
+    it('refuses to delete the account while an import is still reporting progress', async () => {
+        givenImportJobs([{ status: 'running', updatedAt: minutesAgo(5) }]);
+
+        await expect(deleteAccount(USER_ID, 'secret')).rejects.toMatchObject({ code: 409, statusText: 'Conflict' });
+        expect(Goal.deleteMany).not.toHaveBeenCalled();
+        expect(User.deleteOne).not.toHaveBeenCalled();
+    });
+
+    it('deletes the account when the only running import stopped reporting progress long ago', async () => {
+        givenImportJobs([
+            { status: 'running', updatedAt: minutesAgo(16) },
+            { status: 'completed', updatedAt: minutesAgo(1) },
+        ]);
+
+        const { deleted } = await deleteAccount(USER_ID, 'secret');
+
+        expect(ImportJob.exists).toHaveBeenCalledWith({
+            userId: USER_ID,
+            status: { $in: ['queued', 'running'] },
+            updatedAt: { $gte: minutesAgo(15) },
+        });
+        expect(deleted).toMatchObject({ goals: 3, 'import-jobs': 1 });
+        expect(ImportJob.deleteMany).toHaveBeenCalledWith({ userId: USER_ID });
+        expect(User.deleteOne).toHaveBeenCalledWith({ _id: USER_ID });
+    });
+
+    it('checks the password before looking at imports', async () => {
+        bcrypt.compare.mockResolvedValue(false);
+
+        await expect(deleteAccount(USER_ID, 'wrong')).rejects.toMatchObject({ code: 403 });
+        expect(findUser).toHaveBeenCalledWith(USER_ID, '+password');
+        expect(ImportJob.exists).not.toHaveBeenCalled();
+    });
+});
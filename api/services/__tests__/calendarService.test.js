@@ -0,0 +1,72 @@
+// api/services/__tests__/calendarService.test.js
+import Goal from '../../models/Goal';
+import User from '../../models/User';
+import { getCalendarFeed } from '../calendarService';
+
+// The models connect to the database when imported, so the feed is built from these instead
+jest.mock('../../models/Goal', () => ({ find: jest.fn() }));
+jest.mock('../../models/User', () => ({ findOne: jest.fn() }));
+jest.mock('../../models/ScheduledSession', () => ({ find: () => ({ sort: async () => [] }) }));
+jest.mock('../../models/TrainingPlan', () => ({ find: () => ({ select: async () => [] }) }));
+jest.mock('../userService', () => ({ findUser: jest.fn() }));
+
+/**
+ * Builds an open habit goal created in Berlin on Saturday, 2024-03-30.
+ *
+ * @param {string} id - The ID of the goal.
+ * @param {object} recurrence - The recurrence rule of the goal.
+ * @returns {object} The goal.
+ */
+const habit = (id, recurrence) => ({
+    _id: id,
+    title: `Habit ${id}`,
+    goalType: 'habit',
+    status: 'active',
+    timezone: 'Europe/Berlin',
+    recurrence,
+    createdAt: new Date('2024-03-30T09:00:00Z'),
+    updatedAt: new Date('2024-03-30T09:00:00Z'),
+    milestones: [],
+});
+
+/**
+ * Finds the DTSTART and RRULE lines of an event in a feed.
+ *
+ * @param {string} feed - The iCalendar feed.
+ * @param {string} uid - The UID of the event.
+ * @returns {string[]} The lines.
+ */
+const scheduleOf = (feed, uid) => {
+    const event = feed.split('BEGIN:VEVENT').find((block) => block.includes(`UID:${uid}`));
+    return event.split('\r\n').filter((line) => line.startsWith('DTSTART') || line.startsWith('RRULE'));
+};
+
+describe('getCalendarFeed', () => {
+    beforeEach(() => {
+        User.findOne.mockResolvedValue({ _id: 'user-1', username: 'runner' });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('starts a weekdays habit on its first scheduled day, as DTSTART counts as an occurrence', async () => {
+        Goal.find.mockResolvedValue([
+            habit('weekdays', { frequency: 'weekdays', weekdays: [5, 1, 3] }),
+            habit('weekend', { frequency: 'weekdays', weekdays: [6, 0] }),
+            habit('daily', { frequency: 'daily' }),
+            habit('weekly', { frequency: 'weekly', timesPerWeek: 3 }),
+        ]);
+
+        const feed = await getCalendarFeed('token');
+
+        expect(scheduleOf(feed, 'habit-weekdays@fitness-tracker')).toEqual([
+            'DTSTART;VALUE=DATE:20240401',
+            'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR',
+        ]);
+        expect(scheduleOf(feed, 'habit-weekend@fitness-tracker')[0]).toBe('DTSTART;VALUE=DATE:20240330');
+        expect(scheduleOf(feed, 'habit-daily@fitness-tracker')[0]).toBe('DTSTART;VALUE=DATE:20240330');
+        expect(scheduleOf(feed, 'habit-weekly@fitness-tracker')[0]).toBe('DTSTART;VALUE=DATE:20240325');
+    });
+});
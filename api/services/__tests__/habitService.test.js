@@ -0,0 +1,117 @@
+// api/services/__tests__/habitService.test.js
+import { evaluatePeriods, computeStreaks } from '../habitService';
+import { toLocalDate } from '../../utils/dateUtils';
+
+// The models connect to the database when imported; the period and streak helpers do not use them
+jest.mock('../../models/Goal', () => ({}));
+jest.mock('../../models/CheckIn', () => ({}));
+jest.mock('../userService', () => ({ findUser: jest.fn() }));
+
+const statuses = (periods) => periods.map((period) => `${period.start} ${period.status}`);
+
+describe('evaluatePeriods and computeStreaks', () => {
+    describe('daily habits', () => {
+        const recurrence = { frequency: 'daily' };
+
+        it('resets the current streak after a missed day but keeps the longest streak', () => {
+            const dates = ['2024-03-24', '2024-03-25', '2024-03-26', '2024-03-28', '2024-03-29'];
+            const periods = evaluatePeriods(recurrence, dates, '2024-03-24', '2024-03-30', '2024-03-30');
+
+            expect(statuses(periods)).toEqual([
+                '2024-03-24 completed',
+                '2024-03-25 completed',
+                '2024-03-26 completed',
+                '2024-03-27 missed',
+                '2024-03-28 completed',
+                '2024-03-29 completed',
+                '2024-03-30 pending',
+            ]);
+            expect(computeStreaks(periods)).toEqual({ currentStreak: 2, longestStreak: 3 });
+        });
+
+        it('keeps the streak going across the day daylight saving time starts', () => {
+            // Check-ins logged shortly before local midnight in Berlin, before and after the switch to UTC+2
+            const dates = [
+                '2024-03-29T22:30:00Z',
+                '2024-03-30T22:30:00Z',
+                '2024-03-31T21:30:00Z',
+            ].map((instant) => toLocalDate(instant, 'Europe/Berlin'));
+            const periods = evaluatePeriods(recurrence, dates, '2024-03-29', '2024-04-01', '2024-04-01');
+
+            expect(dates).toEqual(['2024-03-29', '2024-03-30', '2024-03-31']);
+            expect(statuses(periods)).toEqual([
+                '2024-03-29 completed',
+                '2024-03-30 completed',
+                '2024-03-31 completed',
+                '2024-04-01 pending',
+            ]);
+            expect(computeStreaks(periods)).toEqual({ currentStreak: 3, longestStreak: 3 });
+        });
+
+        it('counts a check-in east of UTC on the local day, not the UTC day', () => {
+            // 00:30 on Monday in Auckland is still Sunday in UTC
+            const dates = ['2024-01-13T11:30:00Z', '2024-01-14T11:30:00Z']
+                .map((instant) => toLocalDate(instant, 'Pacific/Auckland'));
+            const periods = evaluatePeriods(recurrence, dates, '2024-01-14', '2024-01-15', '2024-01-15');
+
+            expect(statuses(periods)).toEqual(['2024-01-14 completed', '2024-01-15 completed']);
+            expect(computeStreaks(periods)).toEqual({ currentStreak: 2, longestStreak: 2 });
+        });
+    });
+
+    describe('weekdays habits', () => {
+        // Mondays, Wednesdays and Fridays
+        const recurrence = { frequency: 'weekdays', weekdays: [1, 3, 5] };
+
+        it('only evaluates the scheduled weekdays and ignores check-ins on other days', () => {
+            const dates = ['2024-03-25', '2024-03-26', '2024-03-29', '2024-03-30', '2024-04-01'];
+            const periods = evaluatePeriods(recurrence, dates, '2024-03-25', '2024-04-03', '2024-04-02');
+
+            expect(statuses(periods)).toEqual([
+                '2024-03-25 completed',
+                '2024-03-27 missed',
+                '2024-03-29 completed',
+                '2024-04-01 completed',
+                '2024-04-03 upcoming',
+            ]);
+            expect(computeStreaks(periods)).toEqual({ currentStreak: 2, longestStreak: 2 });
+        });
+    });
+
+    describe('weekly habits', () => {
+        const recurrence = { frequency: 'weekly', timesPerWeek: 2 };
+
+        it('evaluates Monday-to-Sunday weeks and resets the streak after a missed week', () => {
+            const dates = [
+                '2024-03-04', '2024-03-10',
+                '2024-03-13',
+                '2024-03-19', '2024-03-21',
+                '2024-03-25', '2024-03-31',
+                '2024-04-02',
+            ];
+            const periods = evaluatePeriods(recurrence, dates, '2024-03-06', '2024-04-03', '2024-04-03');
+
+            expect(periods.map(({ start, end, count, status }) => ({ start, end, count, status }))).toEqual([
+                { start: '2024-03-04', end: '2024-03-10', count: 2, status: 'completed' },
+                { start: '2024-03-11', end: '2024-03-17', count: 1, status: 'missed' },
+                { start: '2024-03-18', end: '2024-03-24', count: 2, status: 'completed' },
+                { start: '2024-03-25', end: '2024-03-31', count: 2, status: 'completed' },
+                { start: '2024-04-01', end: '2024-04-07', count: 1, status: 'pending' },
+            ]);
+            expect(computeStreaks(periods)).toEqual({ currentStreak: 2, longestStreak: 2 });
+        });
+
+        it('starts the new week at local midnight on Monday across the daylight saving switch', () => {
+            // 00:30 on Monday 2024-04-01 in Berlin, the day after the switch to UTC+2, is Sunday in UTC
+            const dates = ['2024-03-26T10:00:00Z', '2024-03-31T22:30:00Z']
+                .map((instant) => toLocalDate(instant, 'Europe/Berlin'));
+            const periods = evaluatePeriods(recurrence, dates, '2024-03-25', '2024-04-01', '2024-04-01');
+
+            expect(periods.map(({ start, count, status }) => `${start} ${count} ${status}`)).toEqual([
+                '2024-03-25 1 missed',
+                '2024-04-01 1 pending',
+            ]);
+            expect(computeStreaks(periods)).toEqual({ currentStreak: 0, longestStreak: 0 });
+        });
+    });
+});
@@ -0,0 +1,200 @@
+// api/services/accountService.js
+import bcrypt from 'bcrypt';
+import User from '../models/User';
+import Goal from '../models/Goal';
+import ProgressEntry from '../models/ProgressEntry';
+import CheckIn from '../models/CheckIn';
+import Workout from '../models/Workout';
+import Exercise from '../models/Exercise';
+import PersonalRecord from '../models/PersonalRecord';
+import BodyMeasurement from '../models/BodyMeasurement';
+import NutritionLog from '../models/NutritionLog';
+import TrainingPlan from '../models/TrainingPlan';
+import ScheduledSession from '../models/ScheduledSession';
+import ActivityTrack from '../models/ActivityTrack';
+import ImportJob, { STALE_JOB_MINUTES } from '../models/ImportJob';
+import WeeklyReport from '../models/WeeklyReport';
+import { generateZip } from '../utils/zip';
+import { sanitizeString, formatDate } from '../../src/utils/helpers';
+import { findUser } from './userService';
+
+/**
+ * Provides the business logic for the account of a user as a whole: a copy of everything stored about
+ * the user, and deleting the account. The export is a zip with one JSON file per collection, streamed from
+ * database cursors like the goal export. No data is shared between users (catalog exercises have no owner),
+ * so deleting an account removes the user's documents from every collection rather than anonymizing them.
+ */
+
+// Every collection holding documents of a user, keyed by `userId`. Both the export and the deletion cover
+// exactly these, so a new collection only has to be added here.
+const USER_COLLECTIONS = [
+    // Goals in the trash are the user's data too
+    { file: 'goals.json', model: Goal, options: { withDeleted: true } },
+    { file: 'progress-entries.json', model: ProgressEntry },
+    { file: 'check-ins.json', model: CheckIn },
+    { file: 'workouts.json', model: Workout },
+    { file: 'exercises.json', model: Exercise },
+    { file: 'personal-records.json', model: PersonalRecord },
+    { file: 'body-measurements.json', model: BodyMeasurement },
+    { file: 'nutrition-logs.json', model: NutritionLog },
+    { file: 'training-plans.json', model: TrainingPlan },
+    { file: 'scheduled-sessions.json', model: ScheduledSession },
+    { file: 'activity-tracks.json', model: ActivityTrack },
+    { file: 'import-jobs.json', model: ImportJob },
+    { file: 'weekly-reports.json', model: WeeklyReport },
+];
+
+/**
+ * Streams the documents of a user in a collection as a JSON array, counting them.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} collection - The collection, see `USER_COLLECTIONS`.
+ * @param {object} counts - The document counts per file, updated once the collection was read.
+ * @returns {AsyncGenerator<string>} The JSON text.
+ */
+async function* generateCollectionJson(userId, collection, counts) {
+    yield '[';
+    let count = 0;
+    const cursor = collection.model.find({ userId }, null, collection.options).sort({ _id: 1 }).lean().cursor();
+    for await (const document of cursor) {
+        yield `${count > 0 ? ',' : ''}\n${JSON.stringify(document)}`;
+        count += 1;
+    }
+    yield '\n]\n';
+    counts[collection.file] = count;
+}
+
+/**
+ * Writes the manifest of an export, listing its files with their document counts.
+ * Its chunks are produced last, after every collection was read.
+ *
+ * @param {Date} exportedAt - When the export started.
+ * @param {object} counts - The document counts per file.
+ * @returns {AsyncGenerator<string>} The JSON text.
+ */
+async function* generateManifest(exportedAt, counts) {
+    yield JSON.stringify({
+        exportedAt: exportedAt.toISOString(),
+        files: [
+            { name: 'profile.json', documents: 1 },
+            ...USER_COLLECTIONS.map(({ file }) => ({ name: file, documents: counts[file] })),
+        ],
+    }, null, 2);
+}
+
+
+/**
+ * Exports everything stored about a user as a zip of JSON files: `profile.json`, one file per collection
+ * in `USER_COLLECTIONS` and a `manifest.json` listing them. The password hash and calendar token hash are left out.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} A promise that resolves with `{ contentType, filename, chunks }`, where `chunks`
+ * is an async iterable of the zip bytes, or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const exportAccount = async (userId) => {
+    try {
+        const user = await findUser(userId);
+
+        const exportedAt = new Date();
+        const counts = {};
+        const files = [
+            { name: 'profile.json', chunks: [JSON.stringify(user.toObject(), null, 2)] },
+            ...USER_COLLECTIONS.map((collection) => ({ name: collection.file, chunks: generateCollectionJson(user._id, collection, counts) })),
+            { name: 'manifest.json', chunks: generateManifest(exportedAt, counts) },
+        ];
+        return {
+            contentType: 'application/zip',
+            filename: `account-${formatDate(exportedAt)}.zip`,
+            chunks: generateZip(files, exportedAt),
+        };
+    } catch (error) {
+        console.error('Failed to export account:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to export account',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Deletes the account of a user and all of the user's data, after confirming the user's password.
+ * The user is deleted last, so a deletion that fails part-way can be retried.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} password - The password of the user, to confirm the deletion.
+ * @returns {Promise<object>} A promise that resolves with `{ deleted }`, the number of deleted documents per
+ * collection, or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, a wrong password, a running import, or database access.
+ */
+const deleteAccount = async (userId, password) => {
+    const sanitizedPassword = sanitizeString(password);
+    if (!sanitizedPassword) {
+        console.error('Password confirmation missing for account deletion.');
+        throw {
+            message: 'Confirm the deletion with your password',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        const user = await findUser(userId, '+password');
+        const isMatch = await bcrypt.compare(sanitizedPassword, user.password);
+        if (!isMatch) {
+            // Not 401, which would end the session of the client
+            console.error('Wrong password confirmation for account deletion:', userId);
+            throw {
+                message: 'Password is incorrect',
+                code: 403,
+                statusText: 'Forbidden',
+            };
+        }
+
+        // A running import would keep writing documents of the deleted user, one interrupted long ago will not
+        const activeJob = await ImportJob.exists({
+            userId,
+            status: { $in: ['queued', 'running'] },
+            updatedAt: { $gte: new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000) },
+        });
+        if (activeJob) {
+            console.error('Account deletion while an import is running:', userId);
+            throw {
+                message: 'An import is running, wait for it to finish before deleting your account',
+                code: 409,
+                statusText: 'Conflict',
+            };
+        }
+
+        const deleted = {};
+        for (const { file, model } of USER_COLLECTIONS) {
+            const { deletedCount } = await model.deleteMany({ userId: user._id });
+            deleted[file.replace(/\.json$/, '')] = deletedCount;
+        }
+        await User.deleteOne({ _id: user._id });
+        return { deleted };
+    } catch (error) {
+        console.error('Failed to delete account:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to delete account',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export { exportAccount, deleteAccount };
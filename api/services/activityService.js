@@ -0,0 +1,289 @@
+// api/services/activityService.js
+import crypto from 'crypto';
+import ActivityTrack from '../models/ActivityTrack';
+import Workout, { WORKOUT_TYPES } from '../models/Workout';
+import { createWorkout } from './workoutService';
+import { parseGpx } from '../parsers/gpxParser';
+import { parseTcx } from '../parsers/tcxParser';
+import { parseFit } from '../parsers/fitParser';
+import { summarizeTrack } from '../utils/geo';
+import { isValidObjectId, sanitizeString } from '../../src/utils/helpers';
+import { findUser } from './userService';
+
+/**
+ * Provides the business logic for importing activities recorded on GPS watches and bike computers.
+ * An uploaded GPX, TCX or FIT file is parsed offline, each activity in it is summarized from its track points
+ * (haversine distance, total and moving time, elevation gain, splits per kilometer) and logged as a workout
+ * through workoutService, so it counts towards goals, records and training plans like any other workout.
+ * FIT sessions recorded without GPS, such as treadmill runs, use the totals and laps recorded by the device instead.
+ * The summary, splits and points are kept as the ActivityTrack of the workout.
+ */
+
+const MAX_ACTIVITIES_PER_FILE = 20;
+
+// Long recordings are thinned out evenly to this many stored points, the summary uses every point
+const MAX_STORED_POINTS = 5000;
+
+// The XML formats are parsed as text, FIT files are binary
+const PARSERS = {
+    gpx: (file) => parseGpx(file.toString('utf8')),
+    tcx: (file) => parseTcx(file.toString('utf8')),
+    fit: (file) => parseFit(file),
+};
+
+// Sport names used by devices and apps, matched against the lowercase sport of an activity
+const SPORT_TYPES = [
+    [/run|jog/, 'run'],
+    [/bik|cycl|ride/, 'cycle'],
+    [/walk|hik/, 'walk'],
+    [/swim/, 'swim'],
+];
+
+// Names of the exercise holding the distance and moving time of an imported workout
+const EXERCISE_NAMES = { run: 'Running', cycle: 'Cycling', walk: 'Walking', swim: 'Swimming' };
+
+/**
+ * Tells the format of an uploaded activity file from the '.FIT' signature of its header or its root element.
+ *
+ * @param {Buffer} file - The uploaded file.
+ * @returns {string|null} One of `ACTIVITY_SOURCES`, or null if the format is not supported.
+ */
+const detectFormat = (file) => {
+    if (file.length >= 12 && file.subarray(8, 12).toString('latin1') === '.FIT') return 'fit';
+    const head = file.subarray(0, 4096).toString('utf8');
+    if (/<gpx[\s>]/.test(head)) return 'gpx';
+    if (/<TrainingCenterDatabase[\s>]/.test(head)) return 'tcx';
+    return null;
+};
+
+/**
+ * Maps the sport named in an activity file to a workout type.
+ *
+ * @param {string|null} sport - The sport as named in the file.
+ * @returns {string} One of `WORKOUT_TYPES`, 'other' for unknown sports.
+ */
+const toWorkoutType = (sport) => {
+    const normalizedSport = (sport || '').toLowerCase();
+    const match = SPORT_TYPES.find(([pattern]) => pattern.test(normalizedSport));
+    return match ? match[1] : 'other';
+};
+
+/**
+ * Thins out a track evenly to at most `MAX_STORED_POINTS` points, keeping its first and last point.
+ *
+ * @param {Array<object>} points - The track points.
+ * @returns {Array<object>} The points to store.
+ */
+const downsamplePoints = (points) => {
+    if (points.length <= MAX_STORED_POINTS) {
+        return points;
+    }
+    const step = (points.length - 1) / (MAX_STORED_POINTS - 1);
+    return Array.from({ length: MAX_STORED_POINTS }, (_, index) => points[Math.round(index * step)]);
+};
+
+
+/**
+ * Parses an activity file into its summarized activities.
+ *
+ * @param {Buffer} file - The uploaded file.
+ * @returns {{ source: string, activities: Array<object> }} The format of the file and one
+ * `{ name, sport, points, summary }` per activity, see api/utils/geo.js for the summary.
+ * @throws {Error} If the file is not a supported activity file, is malformed or holds no usable activity.
+ */
+const parseActivityFile = (file) => {
+    const source = detectFormat(file);
+    if (!source) {
+        console.error('Unsupported activity file uploaded.');
+        throw {
+            message: 'Unsupported file, upload a GPX, TCX or FIT activity file',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    let activities;
+    try {
+        activities = PARSERS[source](file);
+    } catch (error) {
+        console.error(`Malformed ${source} file uploaded:`, error.message);
+        throw {
+            message: `The ${source.toUpperCase()} file could not be read: ${error.message}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (activities.length === 0 || activities.length > MAX_ACTIVITIES_PER_FILE) {
+        console.error('Invalid number of activities in uploaded file:', activities.length);
+        throw {
+            message: `The file must contain 1 to ${MAX_ACTIVITIES_PER_FILE} recorded activities`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const summarizedActivities = activities.map(({ deviceSummary, ...activity }) => ({
+        ...activity,
+        summary: deviceSummary && activity.points.length < 2 ? deviceSummary : summarizeTrack(activity.points),
+    }));
+    if (summarizedActivities.some(({ summary }) => summary.startTime === null)) {
+        console.error('Activity without timestamps uploaded.');
+        throw {
+            message: 'Every track point needs a time, planned routes cannot be imported as workouts',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    return { source, activities: summarizedActivities };
+};
+
+
+/**
+ * Imports the activities of a GPX, TCX or FIT file as workouts of a user. Each activity becomes a workout
+ * with a single exercise whose set holds the distance in kilometers and the moving time, and keeps its
+ * track as an ActivityTrack. A file that was imported before is rejected.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Buffer} file - The uploaded file.
+ * @param {object} [options={}] - Import options.
+ * @param {string} [options.type] - The workout type of every activity, by default derived from the sport named in the file.
+ * @param {string[]} [options.goalIds] - The goals to link the workouts to.
+ * @returns {Promise<object>} A promise that resolves with `{ activities: [{ workout, goalUpdates, records, track }] }`,
+ * the tracks without their points, or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, the file, user or goal lookup, or database access.
+ */
+const importActivityFile = async (userId, file, options = {}) => {
+    const { type, goalIds = [] } = options;
+
+    if (!Buffer.isBuffer(file) || file.length === 0) {
+        console.error('No activity file uploaded.');
+        throw {
+            message: 'An activity file is required',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (type !== undefined && !WORKOUT_TYPES.includes(type)) {
+        console.error('Invalid workout type provided:', type);
+        throw {
+            message: `type must be one of: ${WORKOUT_TYPES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const { source, activities } = parseActivityFile(file);
+    const fileHash = crypto.createHash('sha256').update(file).digest('hex');
+
+    try {
+        await findUser(userId);
+
+        const existingTrack = await ActivityTrack.findOne({ userId, fileHash });
+        if (existingTrack) {
+            console.error('Activity file already imported:', fileHash);
+            throw {
+                message: 'This file was already imported',
+                code: 409,
+                statusText: 'Conflict',
+            };
+        }
+
+        const imported = [];
+        for (const { name, sport, points, summary } of activities) {
+            const workoutType = type || toWorkoutType(sport);
+            const sanitizedName = sanitizeString(name).slice(0, 200);
+            const { workout, goalUpdates, records } = await createWorkout(userId, {
+                date: summary.startTime,
+                type: workoutType,
+                duration: Math.round((summary.movingTime / 60) * 100) / 100,
+                notes: `${sanitizedName || 'Activity'} (imported from ${source.toUpperCase()})`.slice(0, 500),
+                distanceUnit: 'km',
+                exercises: [{
+                    name: EXERCISE_NAMES[workoutType] || 'Activity',
+                    sets: [{ distance: Math.round(summary.distance) / 1000, duration: summary.movingTime }],
+                }],
+                goalIds,
+            });
+
+            const track = await ActivityTrack.create({
+                userId,
+                workoutId: workout._id,
+                source,
+                fileHash,
+                name: sanitizedName || undefined,
+                sport: sanitizeString(sport).slice(0, 50) || undefined,
+                ...summary,
+                points: downsamplePoints(points),
+            });
+            const { points: storedPoints, ...trackSummary } = track.toObject();
+            imported.push({ workout, goalUpdates, records, track: trackSummary });
+        }
+        return { activities: imported };
+    } catch (error) {
+        console.error('Failed to import activity file:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to import activity file',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Retrieves the recorded track of an imported workout, with its summary, splits and points.
+ *
+ * @param {string} workoutId - The ID of the workout.
+ * @param {string} userId - The ID of the user who owns the workout.
+ * @returns {Promise<object>} A promise that resolves with the track or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, track lookup, or database access.
+ */
+const getActivityTrack = async (workoutId, userId) => {
+    if (!workoutId || !isValidObjectId(workoutId)) {
+        console.error('Invalid workoutId provided:', workoutId);
+        throw {
+            message: 'Invalid workoutId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        await findUser(userId);
+
+        const track = await ActivityTrack.findOne({ workoutId, userId });
+        if (!track) {
+            const workoutExists = await Workout.exists({ _id: workoutId, userId });
+            console.error('Activity track not found with the given workoutId and userId:', workoutId, userId);
+            throw {
+                message: workoutExists ? 'Workout was not imported from an activity file' : 'Workout not found',
+                code: 404,
+                statusText: 'Not Found',
+            };
+        }
+        return track;
+    } catch (error) {
+        console.error('Failed to retrieve activity track:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to retrieve activity track',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export { importActivityFile, getActivityTrack };
@@ -0,0 +1,587 @@
+// api/services/appleHealthService.js
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import ImportJob, { STALE_JOB_MINUTES } from '../models/ImportJob';
+import Workout from '../models/Workout';
+import BodyMeasurement from '../models/BodyMeasurement';
+import { getExerciseKey, rebuildRecords } from './recordService';
+import { refreshPlansForWorkouts } from './planService';
+import { listZipEntries, openZipEntry } from '../utils/zip';
+import { createXmlParser } from '../utils/xmlParser';
+import { convertUnit } from '../utils/units';
+import { isValidObjectId } from '../../src/utils/helpers';
+import { findUser } from './userService';
+
+/**
+ * Provides the business logic for importing the Apple Health export of iOS users, a zip holding `export.xml`
+ * with the user's whole history. The upload is saved to a temporary file and imported by a background job
+ * whose progress clients poll. `export.xml` is inflated and parsed as a stream, and records are written in
+ * batches, so exports of several gigabytes are imported with bounded memory.
+ *
+ * Workouts are logged as workouts, body mass and resting heart rate as body measurements, and step counts
+ * and heart rate samples as daily totals and averages. Everything imported carries an `externalId` derived
+ * from the record, so importing a newer export adds only what is new. Imported history does not log goal
+ * progress, personal records and training plans are brought up to date once the import completes.
+ */
+
+const parsedMaxUploadGigabytes = Number.parseFloat(process.env.APPLE_HEALTH_MAX_UPLOAD_GB);
+const MAX_UPLOAD_BYTES = (Number.isFinite(parsedMaxUploadGigabytes) && parsedMaxUploadGigabytes > 0 ? parsedMaxUploadGigabytes : 8) * 1024 ** 3;
+
+const BATCH_SIZE = 500;
+const PROGRESS_INTERVAL_MS = 2000;
+
+const MAX_MEASUREMENT_VALUE = 1000;
+const MAX_DAILY_STEPS = 200000;
+const MAX_DURATION_MINUTES = 24 * 60;
+
+const EXTERNAL_ID_PREFIX = 'apple-health';
+const IMPORT_NOTE = 'Imported from Apple Health';
+
+// Apple Health record types and the body measurement types they are imported as
+const RECORD_TYPES = {
+    HKQuantityTypeIdentifierStepCount: 'steps',
+    HKQuantityTypeIdentifierHeartRate: 'heart_rate',
+    HKQuantityTypeIdentifierBodyMass: 'weight',
+    HKQuantityTypeIdentifierRestingHeartRate: 'resting_heart_rate',
+};
+
+// Apple Health workout activity types, without their 'HKWorkoutActivityType' prefix, and the workout types they map to
+const ACTIVITY_TYPES = [
+    [/Running/, 'run'],
+    [/Walking|Hiking/, 'walk'],
+    [/Cycling/, 'cycle'],
+    [/Swimming/, 'swim'],
+    [/StrengthTraining|CoreTraining/, 'strength'],
+    [/HighIntensityIntervalTraining|CrossTraining/, 'hiit'],
+    [/Yoga|Pilates/, 'yoga'],
+    [/Soccer|Basketball|Tennis|Football|Rugby|Hockey|Volleyball|Badminton|Golf|Cricket|Baseball|Softball|Squash|Handball|Racquetball|Pickleball/, 'sport'],
+];
+
+/**
+ * Parses the dates of Apple Health exports, such as '2024-03-05 07:41:12 +0100'.
+ *
+ * @param {string} value - The date as written in the export.
+ * @returns {{ date: Date, day: string, offset: string }|null} The date, the local calendar day as 'YYYY-MM-DD' and the
+ * UTC offset as '+01:00', or null if the value is not a date.
+ */
+const parseAppleDate = (value) => {
+    const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(value || '');
+    if (!match) {
+        return null;
+    }
+    const offset = `${match[3]}:${match[4]}`;
+    const date = new Date(`${match[1]}T${match[2]}${offset}`);
+    return isNaN(date) ? null : { date, day: match[1], offset };
+};
+
+/**
+ * Names an Apple Health workout activity type, such as 'Traditional Strength Training' for
+ * 'HKWorkoutActivityTypeTraditionalStrengthTraining'.
+ *
+ * @param {string} activityType - The activity type.
+ * @returns {string} The name.
+ */
+const toActivityName = (activityType) => (
+    (activityType || '').replace(/^HKWorkoutActivityType/, '').replace(/([a-z])([A-Z])/g, '$1 $2') || 'Workout'
+);
+
+/**
+ * Creates the state of an import, shared by the XML callbacks and the batch writes.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} counts - The counts of the import job, updated in place.
+ * @returns {object} The state.
+ */
+const createImportState = (userId, counts) => ({
+    userId,
+    counts,
+    workoutOps: [],
+    measurementOps: [],
+    // Steps per day and source: the iPhone and a watch both count the same steps, so the source with the most wins
+    dailySteps: new Map(),
+    // Heart rate sum and count per day
+    dailyHeartRates: new Map(),
+    // UTC offset seen per day, to date the daily values at local noon
+    dayOffsets: new Map(),
+    exerciseKeys: new Set(),
+    firstWorkoutDate: null,
+    lastWorkoutDate: null,
+    workout: null,
+});
+
+/**
+ * Reads a `<Record>` of a type that is imported, queueing a measurement or adding to the daily aggregates.
+ *
+ * @param {object} state - The import state.
+ * @param {object} attributes - The attributes of the record.
+ * @returns {void}
+ */
+const readRecord = (state, attributes) => {
+    const type = RECORD_TYPES[attributes.type];
+    if (!type) {
+        return;
+    }
+
+    const start = parseAppleDate(attributes.startDate);
+    let value = parseFloat(attributes.value);
+    let unit = attributes.unit;
+    if (type === 'weight' && unit === 'g') {
+        value /= 1000;
+        unit = 'kg';
+    }
+    const isValidUnit = type === 'weight' ? ['kg', 'lb'].includes(unit) : true;
+    if (!start || start.date > new Date() || !Number.isFinite(value) || value <= 0 || !isValidUnit) {
+        state.counts.skipped += 1;
+        return;
+    }
+    if (!state.dayOffsets.has(start.day)) state.dayOffsets.set(start.day, start.offset);
+
+    if (type === 'steps') {
+        const sources = state.dailySteps.get(start.day) || new Map();
+        const source = attributes.sourceName || '';
+        sources.set(source, (sources.get(source) || 0) + value);
+        state.dailySteps.set(start.day, sources);
+        return;
+    }
+    if (type === 'heart_rate') {
+        const total = state.dailyHeartRates.get(start.day) || { sum: 0, count: 0 };
+        total.sum += value;
+        total.count += 1;
+        state.dailyHeartRates.set(start.day, total);
+        return;
+    }
+
+    if (value > MAX_MEASUREMENT_VALUE) {
+        state.counts.skipped += 1;
+        return;
+    }
+    state.measurementOps.push({
+        updateOne: {
+            filter: { userId: state.userId, externalId: `${EXTERNAL_ID_PREFIX}:${type}:${attributes.startDate}` },
+            update: {
+                $setOnInsert: {
+                    type,
+                    value: Math.round(value * 100) / 100,
+                    unit: type === 'weight' ? unit : 'bpm',
+                    measuredAt: start.date,
+                    note: IMPORT_NOTE,
+                },
+            },
+            upsert: true,
+        },
+    });
+};
+
+/**
+ * Queues a `<Workout>` once it and its statistics have been read. The distance is read from the
+ * `totalDistance` attribute of older exports or the distance statistics of newer ones.
+ *
+ * @param {object} state - The import state.
+ * @returns {void}
+ */
+const finishWorkout = (state) => {
+    const { attributes, distance: statisticsDistance } = state.workout;
+    state.workout = null;
+
+    const start = parseAppleDate(attributes.startDate);
+    const duration = convertUnit(parseFloat(attributes.duration), attributes.durationUnit || 'min', 'min');
+    if (!start || start.date > new Date() || !Number.isFinite(duration) || duration <= 0) {
+        state.counts.skipped += 1;
+        return;
+    }
+
+    const distanceValue = attributes.totalDistance !== undefined
+        ? { value: parseFloat(attributes.totalDistance), unit: attributes.totalDistanceUnit }
+        : statisticsDistance;
+    const distance = distanceValue ? convertUnit(distanceValue.value, distanceValue.unit, 'km') : null;
+
+    const activityType = (attributes.workoutActivityType || '').replace(/^HKWorkoutActivityType/, '');
+    const match = ACTIVITY_TYPES.find(([pattern]) => pattern.test(activityType));
+    const minutes = Math.min(Math.round(duration * 100) / 100, MAX_DURATION_MINUTES);
+    const set = { duration: Math.round(minutes * 60) };
+    if (Number.isFinite(distance) && distance > 0) set.distance = Math.round(distance * 1000) / 1000;
+    const exercise = { name: toActivityName(attributes.workoutActivityType).slice(0, 100), sets: [set] };
+    const source = attributes.sourceName ? ` (${attributes.sourceName})` : '';
+
+    state.exerciseKeys.add(getExerciseKey(exercise));
+    if (!state.firstWorkoutDate || start.date < state.firstWorkoutDate) state.firstWorkoutDate = start.date;
+    if (!state.lastWorkoutDate || start.date > state.lastWorkoutDate) state.lastWorkoutDate = start.date;
+
+    state.workoutOps.push({
+        updateOne: {
+            filter: { userId: state.userId, externalId: `${EXTERNAL_ID_PREFIX}:workout:${activityType}:${attributes.startDate}` },
+            update: {
+                $setOnInsert: {
+                    date: start.date,
+                    type: match ? match[1] : 'other',
+                    duration: minutes,
+                    notes: `${IMPORT_NOTE}${source}`.slice(0, 500),
+                    weightUnit: 'kg',
+                    distanceUnit: 'km',
+                    exercises: [exercise],
+                    goalIds: [],
+                },
+            },
+            upsert: true,
+        },
+    });
+};
+
+/**
+ * Creates the XML callbacks reading `export.xml` into the import state.
+ *
+ * @param {object} state - The import state.
+ * @returns {object} The callbacks, see `createXmlParser`.
+ */
+const createExportHandlers = (state) => {
+    let isRoot = true;
+    return {
+        onOpenTag(name, attributes) {
+            if (isRoot && name !== 'HealthData') {
+                throw new Error(`Not an Apple Health export, the root element is <${name}>`);
+            }
+            isRoot = false;
+
+            if (name === 'Record') {
+                state.counts.records += 1;
+                readRecord(state, attributes);
+            } else if (name === 'Workout') {
+                state.counts.records += 1;
+                state.workout = { attributes, distance: null };
+            } else if (name === 'WorkoutStatistics' && state.workout && /Distance/.test(attributes.type || '')) {
+                state.workout.distance = { value: parseFloat(attributes.sum), unit: attributes.unit };
+            }
+        },
+        onCloseTag(name) {
+            if (name === 'Workout' && state.workout) {
+                finishWorkout(state);
+            }
+        },
+    };
+};
+
+/**
+ * Writes the queued workouts and measurements, counting what was created, updated or already there.
+ *
+ * @param {object} state - The import state.
+ * @returns {Promise<void>}
+ */
+const flushBatches = async (state) => {
+    if (state.workoutOps.length > 0) {
+        const result = await Workout.bulkWrite(state.workoutOps.splice(0), { ordered: false });
+        state.counts.workoutsCreated += result.upsertedCount;
+        state.counts.duplicates += result.matchedCount;
+    }
+    if (state.measurementOps.length > 0) {
+        const result = await BodyMeasurement.bulkWrite(state.measurementOps.splice(0), { ordered: false });
+        state.counts.measurementsCreated += result.upsertedCount;
+        state.counts.measurementsUpdated += result.modifiedCount;
+        state.counts.duplicates += result.matchedCount - result.modifiedCount;
+    }
+};
+
+/**
+ * Queues the daily step totals and heart rate averages, which are only complete once the whole export was read.
+ * The value of a day is updated by a later import, as the last day of an export is usually incomplete.
+ *
+ * @param {object} state - The import state.
+ * @returns {Promise<void>}
+ */
+const flushDailyValues = async (state) => {
+    const queueDailyValue = async (type, day, value, unit) => {
+        state.measurementOps.push({
+            updateOne: {
+                filter: { userId: state.userId, externalId: `${EXTERNAL_ID_PREFIX}:${type}:${day}` },
+                update: {
+                    // Dated at local noon, so the value stays on its day when viewed from nearby timezones
+                    $set: { value, measuredAt: new Date(`${day}T12:00:00${state.dayOffsets.get(day)}`) },
+                    $setOnInsert: { type, unit, note: IMPORT_NOTE },
+                },
+                upsert: true,
+            },
+        });
+        if (state.measurementOps.length >= BATCH_SIZE) await flushBatches(state);
+    };
+
+    for (const [day, sources] of state.dailySteps) {
+        const steps = Math.round(Math.max(...sources.values()));
+        if (steps > MAX_DAILY_STEPS) {
+            state.counts.skipped += 1;
+            continue;
+        }
+        await queueDailyValue('steps', day, steps, 'steps');
+    }
+    for (const [day, { sum, count }] of state.dailyHeartRates) {
+        await queueDailyValue('heart_rate', day, Math.round(sum / count), 'bpm');
+    }
+    await flushBatches(state);
+};
+
+
+/**
+ * Saves an upload to a temporary file, as the zip directory is at the end of the file.
+ *
+ * @param {stream.Readable} upload - The uploaded file.
+ * @returns {Promise<string>} A promise that resolves with the path of the file.
+ * @throws {Error} If the upload is empty or larger than `MAX_UPLOAD_BYTES`.
+ */
+const saveUpload = async (upload) => {
+    const filePath = path.join(os.tmpdir(), `apple-health-${crypto.randomUUID()}.zip`);
+    let size = 0;
+    const limit = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            callback(size > MAX_UPLOAD_BYTES ? new Error('Upload too large') : null, chunk);
+        },
+    });
+
+    try {
+        await pipeline(upload, limit, fs.createWriteStream(filePath));
+    } catch (error) {
+        await fs.promises.rm(filePath, { force: true });
+        if (size > MAX_UPLOAD_BYTES) {
+            console.error('Apple Health export too large:', size);
+            throw {
+                message: `The export must be at most ${MAX_UPLOAD_BYTES / 1024 ** 3} GB`,
+                code: 413,
+                statusText: 'Payload Too Large',
+            };
+        }
+        throw error;
+    }
+
+    if (size === 0) {
+        await fs.promises.rm(filePath, { force: true });
+        console.error('Empty Apple Health export uploaded.');
+        throw {
+            message: 'An Apple Health export is required',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    return filePath;
+};
+
+
+/**
+ * Finds `export.xml` in an Apple Health export, leaving out the clinical `export_cda.xml`.
+ *
+ * @param {string} filePath - The path of the saved export.
+ * @returns {Promise<object>} A promise that resolves with the zip entry.
+ * @throws {Error} If the file is not a zip or holds no `export.xml`.
+ */
+const findExportEntry = async (filePath) => {
+    let entries;
+    try {
+        entries = await listZipEntries(filePath);
+    } catch (error) {
+        console.error('Unreadable Apple Health export uploaded:', error.message);
+        throw {
+            message: `The file is not a readable zip archive: ${error.message}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const entry = entries.find(({ name }) => /(^|\/)export\.xml$/.test(name));
+    if (!entry) {
+        console.error('Zip without export.xml uploaded.');
+        throw {
+            message: 'The zip holds no export.xml, upload the export.zip shared from the Health app',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    return entry;
+};
+
+
+/**
+ * Runs an import job: streams `export.xml` out of the saved export, writes what it holds in batches and
+ * saves the progress as it goes. Failures are recorded on the job. The saved export is deleted afterwards.
+ *
+ * @param {mongoose.Document} job - The queued job.
+ * @param {string} filePath - The path of the saved export.
+ * @param {object} entry - The zip entry of `export.xml`.
+ * @returns {Promise<void>}
+ */
+const runImportJob = async (job, filePath, entry) => {
+    try {
+        job.status = 'running';
+        job.startedAt = new Date();
+        job.totalBytes = entry.uncompressedSize;
+        await job.save();
+
+        const state = createImportState(job.userId, job.counts);
+        const parser = createXmlParser(createExportHandlers(state));
+        const decoder = new TextDecoder('utf-8');
+        let lastSavedAt = Date.now();
+
+        const stream = await openZipEntry(filePath, entry);
+        for await (const chunk of stream) {
+            parser.write(decoder.decode(chunk, { stream: true }));
+            job.processedBytes += chunk.length;
+
+            if (state.workoutOps.length >= BATCH_SIZE || state.measurementOps.length >= BATCH_SIZE) {
+                await flushBatches(state);
+            }
+            if (Date.now() - lastSavedAt >= PROGRESS_INTERVAL_MS) {
+                job.progress = job.totalBytes > 0 ? Math.min(99, Math.floor((job.processedBytes / job.totalBytes) * 100)) : 0;
+                job.markModified('counts');
+                await job.save();
+                lastSavedAt = Date.now();
+            }
+        }
+        parser.write(decoder.decode());
+        parser.end();
+
+        await flushBatches(state);
+        await flushDailyValues(state);
+        if (state.counts.workoutsCreated > 0) {
+            await rebuildRecords(job.userId, [...state.exerciseKeys]);
+            await refreshPlansForWorkouts(job.userId, [state.firstWorkoutDate, state.lastWorkoutDate]);
+        }
+
+        job.status = 'completed';
+        job.progress = 100;
+    } catch (error) {
+        console.error('Failed to import Apple Health export:', error);
+        job.status = 'failed';
+        // Errors of the zip and XML readers describe the damage, other errors are internal
+        job.error = /^(Invalid|Not an)/.test(error.message || '') ? error.message.slice(0, 500) : 'Failed to import Apple Health export';
+    } finally {
+        job.finishedAt = new Date();
+        job.markModified('counts');
+        await job.save().catch((error) => console.error('Failed to save import job:', error));
+        await fs.promises.rm(filePath, { force: true });
+    }
+};
+
+
+/**
+ * Starts importing an Apple Health export for a user. The upload is saved and checked to be a zip holding
+ * `export.xml` before the import continues in the background; poll `getImportJob` for its progress.
+ * A user can run one import at a time.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {stream.Readable} upload - The uploaded export.zip.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the queued job or rejects with an error object.
+ * @throws {Error} If there is an issue with the upload, user lookup, a running import, or database access.
+ */
+const importAppleHealth = async (userId, upload) => {
+    if (!upload || typeof upload.pipe !== 'function') {
+        console.error('No Apple Health export uploaded.');
+        throw {
+            message: 'An Apple Health export is required',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    let filePath = null;
+    try {
+        await findUser(userId);
+
+        const activeJob = await ImportJob.findOne({
+            userId,
+            status: { $in: ['queued', 'running'] },
+            updatedAt: { $gte: new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000) },
+        });
+        if (activeJob) {
+            console.error('Import already running for user:', userId);
+            throw {
+                message: 'An import is already running, wait for it to finish',
+                code: 409,
+                statusText: 'Conflict',
+            };
+        }
+
+        filePath = await saveUpload(upload);
+        const entry = await findExportEntry(filePath);
+
+        const job = await ImportJob.create({ userId, kind: 'apple_health', totalBytes: entry.uncompressedSize });
+        // The job records its own failures, the request is answered right away
+        runImportJob(job, filePath, entry);
+        return job;
+    } catch (error) {
+        console.error('Failed to start Apple Health import:', error);
+        if (filePath) {
+            await fs.promises.rm(filePath, { force: true });
+        }
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to start Apple Health import',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Retrieves an import job of a user with its progress. A job that stopped reporting progress, such as
+ * after a server restart, is marked as failed.
+ *
+ * @param {string} jobId - The ID of the job.
+ * @param {string} userId - The ID of the user who started the job.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the job or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, job lookup, or database access.
+ */
+const getImportJob = async (jobId, userId) => {
+    if (!jobId || !isValidObjectId(jobId)) {
+        console.error('Invalid jobId provided:', jobId);
+        throw {
+            message: 'Invalid jobId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        await findUser(userId);
+
+        const job = await ImportJob.findOne({ _id: jobId, userId });
+        if (!job) {
+            console.error('Import job not found with the given jobId and userId:', jobId, userId);
+            throw {
+                message: 'Import job not found',
+                code: 404,
+                statusText: 'Not Found',
+            };
+        }
+
+        const isStale = ['queued', 'running'].includes(job.status)
+            && job.updatedAt < new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000);
+        if (isStale) {
+            job.status = 'failed';
+            job.error = 'The import was interrupted, please upload the export again';
+            job.finishedAt = new Date();
+            await job.save();
+        }
+        return job;
+    } catch (error) {
+        console.error('Failed to retrieve import job:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to retrieve import job',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export { importAppleHealth, getImportJob };
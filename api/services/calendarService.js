@@ -0,0 +1,274 @@
+// api/services/calendarService.js
+import crypto from 'crypto';
+import Goal from '../models/Goal';
+import ScheduledSession from '../models/ScheduledSession';
+import TrainingPlan from '../models/TrainingPlan';
+import User from '../models/User';
+import { buildCalendar } from '../utils/ical';
+import { toLocalDate, addDays, dayOfWeek, startOfWeek } from '../utils/dateUtils';
+import { findUser } from './userService';
+
+/**
+ * Provides the business logic for the iCalendar feed of a user: goal target dates, milestone due dates,
+ * habit schedules as recurring events and the sessions of scheduled training plans. Calendar apps poll the
+ * feed by URL and cannot send a JWT, so the feed is protected by a random token in its URL instead. Only
+ * the SHA-256 of the token is stored; it is shown once when created, and creating a new one or revoking it
+ * stops the old URL from working.
+ */
+
+const UID_DOMAIN = 'fitness-tracker';
+
+// Goals whose deadlines are still ahead of the user
+const OPEN_GOAL_STATUSES = ['active', 'paused'];
+
+// Past sessions stay in the calendar for this many days, older ones are left out to keep the feed small
+const PAST_SESSION_DAYS = 90;
+
+/**
+ * Hashes a calendar token for storage and lookup.
+ *
+ * @param {string} token - The token.
+ * @returns {string} The SHA-256 of the token, hex-encoded.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Describes a planned session for its event.
+ *
+ * @param {object} session - The scheduled session.
+ * @param {string|undefined} planTitle - The title of its plan.
+ * @returns {string} The description.
+ */
+const describeSession = (session, planTitle) => {
+    const details = [`Type: ${session.type}`];
+    if (session.duration) details.push(`Duration: ${session.duration} min`);
+    if (session.distance) details.push(`Distance: ${Math.round(session.distance / 10) / 100} km`);
+    if (session.notes) details.push(session.notes);
+    if (session.workoutId) details.push('Completed');
+    return [planTitle ? `Training plan: ${planTitle}` : null, ...details].filter(Boolean).join('\n');
+};
+
+/**
+ * Finds the first date of a 'weekdays' habit, as the start of a recurring event counts as its first occurrence.
+ *
+ * @param {string} startDate - The local date the habit starts on, as 'YYYY-MM-DD'.
+ * @param {number[]} weekdays - The days of the week of the habit, 0 for Sunday to 6 for Saturday.
+ * @returns {string} The first date on or after `startDate` that falls on one of the weekdays.
+ */
+const firstScheduledDate = (startDate, weekdays) => {
+    let date = startDate;
+    for (let day = 0; day < 6 && !weekdays.includes(dayOfWeek(date)); day++) {
+        date = addDays(date, 1);
+    }
+    return date;
+};
+
+/**
+ * Builds the events of a user's goals: the target date of each open goal, the due dates of its open
+ * milestones and, for habits, an event recurring on the habit's schedule.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array<object>>} A promise that resolves with the events, see api/utils/ical.js.
+ */
+const buildGoalEvents = async (userId) => {
+    const goals = await Goal.find({ userId, status: { $in: OPEN_GOAL_STATUSES } });
+    const events = [];
+
+    for (const goal of goals) {
+        // Dates are shown on the day they fall on in the goal's timezone
+        const timeZone = goal.timezone || 'UTC';
+
+        if (goal.goalType === 'habit' && goal.recurrence && goal.recurrence.frequency) {
+            const { frequency, timesPerWeek, weekdays } = goal.recurrence;
+            const startDate = toLocalDate(goal.createdAt, timeZone);
+            const recurrence = {
+                frequency: frequency === 'daily' ? 'DAILY' : 'WEEKLY',
+                weekdays: frequency === 'weekdays' ? [...weekdays].sort() : undefined,
+                until: goal.targetDate ? toLocalDate(goal.targetDate, timeZone) : undefined,
+            };
+            let date = startDate;
+            if (frequency === 'weekly') {
+                // Weekly habits are a reminder at the start of each week, as any days of the week count
+                date = startOfWeek(startDate);
+            } else if (frequency === 'weekdays') {
+                date = firstScheduledDate(startDate, weekdays);
+            }
+            events.push({
+                uid: `habit-${goal._id}@${UID_DOMAIN}`,
+                date,
+                summary: frequency === 'weekly' ? `${goal.title} (${timesPerWeek}× this week)` : goal.title,
+                description: goal.description,
+                updatedAt: goal.updatedAt,
+                recurrence,
+                categories: ['Habit'],
+            });
+        } else if (goal.targetDate) {
+            events.push({
+                uid: `goal-${goal._id}@${UID_DOMAIN}`,
+                date: toLocalDate(goal.targetDate, timeZone),
+                summary: `Goal due: ${goal.title}`,
+                description: [goal.description, `Progress: ${goal.progress}%`].filter(Boolean).join('\n'),
+                updatedAt: goal.updatedAt,
+                categories: ['Goal'],
+            });
+        }
+
+        for (const milestone of goal.milestones || []) {
+            if (milestone.completed || !milestone.targetDate) continue;
+            events.push({
+                uid: `milestone-${milestone._id}@${UID_DOMAIN}`,
+                date: toLocalDate(milestone.targetDate, timeZone),
+                summary: `Milestone due: ${milestone.title}`,
+                description: `Milestone of ${goal.title}`,
+                updatedAt: milestone.updatedAt || goal.updatedAt,
+                categories: ['Milestone'],
+            });
+        }
+    }
+    return events;
+};
+
+/**
+ * Builds the events of the sessions of a user's scheduled training plans, from `PAST_SESSION_DAYS` ago on.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array<object>>} A promise that resolves with the events, see api/utils/ical.js.
+ */
+const buildSessionEvents = async (userId) => {
+    // Session dates are local to their plan, a day of slack keeps plans in any timezone in range
+    const from = addDays(toLocalDate(new Date()), -PAST_SESSION_DAYS - 1);
+    const sessions = await ScheduledSession.find({ userId, date: { $gte: from } }).sort({ date: 1 });
+    const plans = await TrainingPlan.find({ _id: { $in: [...new Set(sessions.map((session) => String(session.planId)))] } }).select('title');
+    const planTitles = new Map(plans.map((plan) => [String(plan._id), plan.title]));
+
+    return sessions.map((session) => ({
+        uid: `session-${session._id}@${UID_DOMAIN}`,
+        date: session.date,
+        summary: session.workoutId ? `✓ ${session.title}` : session.title,
+        description: describeSession(session, planTitles.get(String(session.planId))),
+        updatedAt: session.updatedAt,
+        categories: ['Training'],
+    }));
+};
+
+
+/**
+ * Creates the calendar feed token of a user, replacing any previous one, whose feed URL stops working.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<{ token: string, createdAt: Date }>} A promise that resolves with the token, which is not stored
+ * and cannot be retrieved again, or rejects with an error object.
+ * @throws {Error} If there is an issue with user lookup or database access.
+ */
+const createCalendarToken = async (userId) => {
+    try {
+        const user = await findUser(userId);
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        user.calendarTokenHash = hashToken(token);
+        user.calendarTokenCreatedAt = new Date();
+        await user.save();
+        return { token, createdAt: user.calendarTokenCreatedAt };
+    } catch (error) {
+        console.error('Failed to create calendar token:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to create calendar token',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Revokes the calendar feed token of a user, so the feed URL stops working.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<void>} A promise that resolves once the token is revoked or rejects with an error object.
+ * @throws {Error} If there is an issue with user lookup, a missing token, or database access.
+ */
+const revokeCalendarToken = async (userId) => {
+    try {
+        const user = await findUser(userId);
+        if (!user.calendarTokenCreatedAt) {
+            console.error('No calendar token to revoke for user:', userId);
+            throw {
+                message: 'No calendar feed token exists',
+                code: 404,
+                statusText: 'Not Found',
+            };
+        }
+
+        user.calendarTokenHash = undefined;
+        user.calendarTokenCreatedAt = undefined;
+        await user.save();
+    } catch (error) {
+        console.error('Failed to revoke calendar token:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to revoke calendar token',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Builds the iCalendar feed of the user a calendar token belongs to.
+ *
+ * @param {string} token - The calendar token from the feed URL.
+ * @returns {Promise<string>} A promise that resolves with the feed or rejects with an error object.
+ * @throws {Error} If the token is missing, unknown or revoked, or there is an issue with database access.
+ */
+const getCalendarFeed = async (token) => {
+    if (typeof token !== 'string' || token.trim() === '') {
+        console.error('No calendar token provided.');
+        throw {
+            message: 'A calendar token is required',
+            code: 401,
+            statusText: 'Unauthorized',
+        };
+    }
+
+    try {
+        const user = await User.findOne({ calendarTokenHash: hashToken(token.trim()) });
+        if (!user) {
+            console.error('Unknown or revoked calendar token.');
+            throw {
+                message: 'Invalid or revoked calendar token',
+                code: 401,
+                statusText: 'Unauthorized',
+            };
+        }
+
+        const events = [...await buildGoalEvents(user._id), ...await buildSessionEvents(user._id)];
+        return buildCalendar({ name: `${user.username}'s fitness goals`, events });
+    } catch (error) {
+        console.error('Failed to build calendar feed:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to build calendar feed',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export { createCalendarToken, revokeCalendarToken, getCalendarFeed };
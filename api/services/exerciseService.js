@@ -0,0 +1,581 @@
+// api/services/exerciseService.js
+import Exercise, { MUSCLE_GROUPS, EQUIPMENT, EXERCISE_MEASUREMENT_TYPES } from '../models/Exercise';
+import Goal from '../models/Goal';
+import Workout from '../models/Workout';
+import { EXERCISE_CATALOG } from '../seeds/exercises';
+import { rebuildRecords } from './recordService';
+import { isValidObjectId, sanitizeString } from '../../src/utils/helpers';
+import { normalizeText, fuzzySearch } from '../utils/fuzzy';
+import { findUser } from './userService';
+
+
+/**
+ * Provides the business logic for the exercise catalog.
+ * The catalog is seeded from `api/seeds/exercises.js` and shared by all users, who can add their own
+ * custom exercises next to it. Workouts and measurable goals reference exercises by ID, so the same
+ * exercise logged as 'Bench press', 'bench' or 'BP' is recognized as one.
+ */
+
+const MAX_CUSTOM_EXERCISES = 200;
+const MAX_ALIASES = 10;
+const MAX_SEARCH_RESULTS = 50;
+
+// The goal metrics an exercise can drive, by the measurement type of the exercise. Every exercise counts sessions.
+const GOAL_METRICS_BY_MEASUREMENT_TYPE = {
+    reps: ['repetitions', 'count', 'custom'],
+    weight: ['weight', 'repetitions', 'count', 'custom'],
+    time: ['duration', 'count', 'custom'],
+    distance: ['distance', 'duration', 'count', 'custom'],
+};
+
+let catalogSeeded = null;
+
+/**
+ * Seeds the exercise catalog, once per process. Catalog entries are upserted by name,
+ * so changes to the seed list reach existing databases and seeding again is harmless.
+ *
+ * @returns {Promise<void>}
+ */
+const ensureExerciseCatalog = () => {
+    if (!catalogSeeded) {
+        catalogSeeded = Exercise.bulkWrite(EXERCISE_CATALOG.map((exercise) => {
+            const normalizedName = normalizeText(exercise.name);
+            return {
+                updateOne: {
+                    filter: { userId: null, normalizedName },
+                    update: { $set: { ...exercise, userId: null, normalizedName } },
+                    upsert: true,
+                },
+            };
+        })).then(() => undefined).catch((error) => {
+            // Try again on the next request rather than running without a catalog
+            catalogSeeded = null;
+            throw error;
+        });
+    }
+    return catalogSeeded;
+};
+
+
+/**
+ * Looks up an exercise that a user can reference, from the catalog or the user's own custom exercises.
+ *
+ * @param {string} exerciseId - The ID of the exercise.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the exercise.
+ * @throws {Error} If the exercise is not found.
+ */
+const findAccessibleExercise = async (exerciseId, userId) => {
+    const exercise = await Exercise.findOne({ _id: exerciseId, userId: { $in: [userId, null] } });
+    if (!exercise) {
+        console.error('Exercise not found with the given exerciseId and userId:', exerciseId, userId);
+        throw {
+            message: 'Exercise not found',
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+    return exercise;
+};
+
+
+/**
+ * Looks up a custom exercise owned by a user, throwing formatted errors if the ID is invalid,
+ * the exercise does not exist or it is part of the catalog.
+ *
+ * @param {string} exerciseId - The ID of the exercise.
+ * @param {string} userId - The ID of the user who owns the exercise.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the exercise.
+ */
+const findCustomExercise = async (exerciseId, userId) => {
+    if (!exerciseId || !isValidObjectId(exerciseId)) {
+        console.error('Invalid exerciseId provided:', exerciseId);
+        throw {
+            message: 'Invalid exerciseId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    await findUser(userId);
+
+    const exercise = await findAccessibleExercise(exerciseId, userId);
+    if (!exercise.userId) {
+        console.error('Attempt to change a catalog exercise:', exerciseId);
+        throw {
+            message: 'Catalog exercises cannot be changed, only custom exercises',
+            code: 403,
+            statusText: 'Forbidden',
+        };
+    }
+    return exercise;
+};
+
+
+/**
+ * Validates and normalizes the fields of a custom exercise.
+ *
+ * @param {object} fields - The exercise fields.
+ * @param {string} fields.name - The name, up to 100 characters.
+ * @param {string[]} [fields.aliases] - Other names of the exercise, up to 10.
+ * @param {string[]} [fields.muscleGroups] - The muscle groups trained, from `MUSCLE_GROUPS`.
+ * @param {string} [fields.equipment='bodyweight'] - One of `EQUIPMENT`.
+ * @param {string} fields.measurementType - 'reps', 'weight', 'time' or 'distance'.
+ * @returns {object} The normalized exercise fields.
+ * @throws {Error} If a field is invalid.
+ */
+const normalizeExercise = ({ name, aliases = [], muscleGroups = [], equipment = 'bodyweight', measurementType } = {}) => {
+    const sanitizedName = sanitizeString(name);
+    const normalizedName = normalizeText(sanitizedName);
+    if (!normalizedName || sanitizedName.length > 100) {
+        console.error('Invalid exercise name provided:', name);
+        throw {
+            message: 'Exercise name is required and must be at most 100 characters long',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!Array.isArray(aliases) || aliases.length > MAX_ALIASES) {
+        console.error('Invalid exercise aliases provided:', aliases);
+        throw {
+            message: `aliases must be a list of at most ${MAX_ALIASES} names`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    const sanitizedAliases = aliases.map(sanitizeString);
+    if (sanitizedAliases.some((alias) => !alias || alias.length > 100)) {
+        console.error('Invalid exercise alias provided:', aliases);
+        throw {
+            message: 'Every alias must be 1 to 100 characters long',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!Array.isArray(muscleGroups) || muscleGroups.some((muscleGroup) => !MUSCLE_GROUPS.includes(muscleGroup))) {
+        console.error('Invalid muscle groups provided:', muscleGroups);
+        throw {
+            message: `muscleGroups must be a list of: ${MUSCLE_GROUPS.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!EQUIPMENT.includes(equipment)) {
+        console.error('Invalid equipment provided:', equipment);
+        throw {
+            message: `equipment must be one of: ${EQUIPMENT.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!EXERCISE_MEASUREMENT_TYPES.includes(measurementType)) {
+        console.error('Invalid measurement type provided:', measurementType);
+        throw {
+            message: `measurementType must be one of: ${EXERCISE_MEASUREMENT_TYPES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    return {
+        name: sanitizedName,
+        normalizedName,
+        aliases: [...new Set(sanitizedAliases)],
+        muscleGroups: [...new Set(muscleGroups)],
+        equipment,
+        measurementType,
+    };
+};
+
+
+/**
+ * Checks that no other exercise visible to a user has the same name, in the catalog or among the user's custom exercises.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} normalizedName - The normalized name of the exercise.
+ * @param {string} [exerciseId] - The ID of the exercise being renamed, which may keep its name.
+ * @throws {Error} If the name is taken.
+ */
+const validateUniqueName = async (userId, normalizedName, exerciseId) => {
+    const existing = await Exercise.findOne({ userId: { $in: [userId, null] }, normalizedName });
+    if (existing && String(existing._id) !== String(exerciseId)) {
+        console.error('Exercise name already exists for the given userId:', normalizedName, userId);
+        throw {
+            message: existing.userId
+                ? `You already have an exercise named ${existing.name}`
+                : `The catalog already has an exercise named ${existing.name}, use it instead`,
+            code: 409,
+            statusText: 'Conflict',
+        };
+    }
+};
+
+
+/**
+ * Looks up exercises that a user can reference, which are catalog exercises and the user's own custom exercises.
+ * Used to validate the exercises referenced by workouts and goals.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string[]} exerciseIds - The IDs of the exercises.
+ * @returns {Promise<Map<string, mongoose.Document>>} A promise that resolves with the exercises by ID.
+ * @throws {Error} If an exercise is not found.
+ */
+const findAccessibleExercises = async (userId, exerciseIds) => {
+    const uniqueIds = [...new Set(exerciseIds.map(String))];
+    if (uniqueIds.length === 0) {
+        return new Map();
+    }
+
+    const exercises = await Exercise.find({ _id: { $in: uniqueIds }, userId: { $in: [userId, null] } });
+    if (exercises.length !== uniqueIds.length) {
+        console.error('Exercises not found for the given userId:', uniqueIds, userId);
+        throw {
+            message: 'One or more exercises were not found',
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+    return new Map(exercises.map((exercise) => [String(exercise._id), exercise]));
+};
+
+
+/**
+ * Looks up the exercise a measurable goal tracks and checks that it can drive the goal's metric,
+ * a weight goal cannot track running for instance.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} exerciseId - The ID of the exercise.
+ * @param {string} metricType - The metric type of the goal.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the exercise.
+ * @throws {Error} If the exercise is not found or does not fit the metric.
+ */
+const findGoalExercise = async (userId, exerciseId, metricType) => {
+    if (!isValidObjectId(exerciseId)) {
+        console.error('Invalid exerciseId provided:', exerciseId);
+        throw {
+            message: 'Invalid exerciseId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const exercise = await findAccessibleExercise(exerciseId, userId);
+    if (!GOAL_METRICS_BY_MEASUREMENT_TYPE[exercise.measurementType].includes(metricType)) {
+        console.error('Exercise does not fit the goal metric:', exerciseId, metricType);
+        throw {
+            message: `${exercise.name} is measured in ${exercise.measurementType} and cannot track a ${metricType} goal`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    return exercise;
+};
+
+
+/**
+ * Lists the catalog exercises along with the custom exercises of a user, sorted by name.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} [filters={}] - Listing filters.
+ * @param {string} [filters.muscleGroup] - Only include exercises training this muscle group.
+ * @param {string} [filters.equipment] - Only include exercises using this equipment.
+ * @param {string} [filters.measurementType] - Only include exercises with this measurement type.
+ * @param {boolean} [filters.custom] - true for only the user's custom exercises, false for only the catalog.
+ * @returns {Promise<object>} A promise that resolves with `{ exercises }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const listExercises = async (userId, filters = {}) => {
+    const { muscleGroup, equipment, measurementType, custom } = filters;
+
+    if ((muscleGroup !== undefined && !MUSCLE_GROUPS.includes(muscleGroup))
+        || (equipment !== undefined && !EQUIPMENT.includes(equipment))
+        || (measurementType !== undefined && !EXERCISE_MEASUREMENT_TYPES.includes(measurementType))) {
+        console.error('Invalid exercise filters provided:', filters);
+        throw {
+            message: 'Invalid muscleGroup, equipment or measurementType filter',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const filter = {};
+    if (custom === true) {
+        filter.userId = userId;
+    } else if (custom === false) {
+        filter.userId = null;
+    } else {
+        filter.userId = { $in: [userId, null] };
+    }
+    if (muscleGroup) filter.muscleGroups = muscleGroup;
+    if (equipment) filter.equipment = equipment;
+    if (measurementType) filter.measurementType = measurementType;
+
+    try {
+        await findUser(userId);
+        await ensureExerciseCatalog();
+
+        const exercises = await Exercise.find(filter).sort({ normalizedName: 1 });
+        return { exercises };
+    } catch (error) {
+        console.error('Failed to list exercises:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list exercises',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Searches the catalog and the custom exercises of a user by name and aliases, tolerating typos
+ * and abbreviations, best match first.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} query - The search text.
+ * @param {object} [options={}] - Search options.
+ * @param {number} [options.limit=10] - The maximum number of results (1 to 50).
+ * @param {string} [options.measurementType] - Only include exercises with this measurement type.
+ * @returns {Promise<object>} A promise that resolves with `{ exercises: [{ exercise, score }] }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const searchExercises = async (userId, query, options = {}) => {
+    const { limit = 10, measurementType } = options;
+
+    const sanitizedQuery = sanitizeString(query);
+    if (!normalizeText(sanitizedQuery) || sanitizedQuery.length > 100) {
+        console.error('Invalid search query provided:', query);
+        throw {
+            message: 'A search query of at most 100 characters is required',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const parsedLimit = Number(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_SEARCH_RESULTS) {
+        console.error('Invalid search limit provided:', limit);
+        throw {
+            message: `Limit must be an integer between 1 and ${MAX_SEARCH_RESULTS}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (measurementType !== undefined && !EXERCISE_MEASUREMENT_TYPES.includes(measurementType)) {
+        console.error('Invalid measurement type filter provided:', measurementType);
+        throw {
+            message: `measurementType must be one of: ${EXERCISE_MEASUREMENT_TYPES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const filter = { userId: { $in: [userId, null] } };
+    if (measurementType) filter.measurementType = measurementType;
+
+    try {
+        await findUser(userId);
+        await ensureExerciseCatalog();
+
+        // The catalog and a user's custom exercises are bounded, so they are scored in memory
+        const exercises = await Exercise.find(filter);
+        const results = fuzzySearch(sanitizedQuery, exercises, (exercise) => [exercise.name, ...exercise.aliases], { limit: parsedLimit });
+        return { exercises: results.map(({ item, score }) => ({ exercise: item, score })) };
+    } catch (error) {
+        console.error('Failed to search exercises:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to search exercises',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Retrieves a single exercise, from the catalog or the custom exercises of a user.
+ *
+ * @param {string} exerciseId - The ID of the exercise.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} A promise that resolves with the exercise or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, exercise lookup, or database access.
+ */
+const getExercise = async (exerciseId, userId) => {
+    if (!exerciseId || !isValidObjectId(exerciseId)) {
+        console.error('Invalid exerciseId provided:', exerciseId);
+        throw {
+            message: 'Invalid exerciseId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        await findUser(userId);
+        return await findAccessibleExercise(exerciseId, userId);
+    } catch (error) {
+        console.error('Failed to retrieve exercise:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to retrieve exercise',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Adds a custom exercise for a user. Its name must not match a catalog exercise or another custom exercise of the user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} fields - The exercise fields, see `normalizeExercise`.
+ * @returns {Promise<object>} A promise that resolves with the new exercise or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const createExercise = async (userId, fields) => {
+    const normalizedExercise = normalizeExercise(fields);
+
+    try {
+        await findUser(userId);
+        await ensureExerciseCatalog();
+
+        const customCount = await Exercise.countDocuments({ userId });
+        if (customCount >= MAX_CUSTOM_EXERCISES) {
+            console.error('Custom exercise limit reached for the given userId:', userId);
+            throw {
+                message: `A user can have at most ${MAX_CUSTOM_EXERCISES} custom exercises`,
+                code: 409,
+                statusText: 'Conflict',
+            };
+        }
+
+        await validateUniqueName(userId, normalizedExercise.normalizedName);
+        return await Exercise.create({ userId, ...normalizedExercise });
+    } catch (error) {
+        console.error('Failed to create exercise:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to create exercise',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Updates a custom exercise of a user. Only the provided fields change, catalog exercises cannot be updated.
+ *
+ * @param {string} exerciseId - The ID of the exercise.
+ * @param {string} userId - The ID of the user who owns the exercise.
+ * @param {object} updates - The fields to update, see `normalizeExercise`.
+ * @returns {Promise<object>} A promise that resolves with the updated exercise or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, exercise lookup, or database access.
+ */
+const updateExercise = async (exerciseId, userId, updates) => {
+    try {
+        const exercise = await findCustomExercise(exerciseId, userId);
+
+        const merged = exercise.toObject();
+        for (const [field, value] of Object.entries(updates)) {
+            if (value !== undefined) merged[field] = value;
+        }
+        const normalizedExercise = normalizeExercise(merged);
+
+        await validateUniqueName(userId, normalizedExercise.normalizedName, exercise._id);
+        exercise.set(normalizedExercise);
+        return await exercise.save();
+    } catch (error) {
+        console.error('Failed to update exercise:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to update exercise',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Deletes a custom exercise of a user. Workouts keep the exercise under its name, and so do its
+ * personal records, while goals tracking it go back to counting every exercise of their linked workouts.
+ *
+ * @param {string} exerciseId - The ID of the exercise.
+ * @param {string} userId - The ID of the user who owns the exercise.
+ * @returns {Promise<object>} A promise that resolves with a success message object or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, exercise lookup, or database access.
+ */
+const deleteExercise = async (exerciseId, userId) => {
+    try {
+        const exercise = await findCustomExercise(exerciseId, userId);
+
+        await Workout.updateMany(
+            { userId, 'exercises.exerciseId': exercise._id },
+            { $unset: { 'exercises.$[linked].exerciseId': '' } },
+            { arrayFilters: [{ 'linked.exerciseId': exercise._id }] },
+        );
+        await Goal.updateMany({ userId, exerciseId: exercise._id }, { $set: { exerciseId: null } }, { withDeleted: true });
+        await Exercise.deleteOne({ _id: exercise._id });
+        // The records of the exercise carry over to its name
+        await rebuildRecords(exercise.userId, [String(exercise._id), `name:${exercise.normalizedName}`]);
+        return { message: 'Exercise deleted successfully' };
+    } catch (error) {
+        console.error('Failed to delete exercise:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to delete exercise',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export {
+    listExercises,
+    searchExercises,
+    getExercise,
+    createExercise,
+    updateExercise,
+    deleteExercise,
+    findAccessibleExercises,
+    findGoalExercise,
+};
@@ -0,0 +1,200 @@
+// api/services/exportService.js
+import Goal from '../models/Goal';
+import ProgressEntry from '../models/ProgressEntry';
+import { formatDate } from '../../src/utils/helpers';
+import { CSV_BYTE_ORDER_MARK, toCsvRow } from '../utils/csv';
+import { findUser } from './userService';
+
+/**
+ * Provides the business logic for exporting the goals of a user with their progress history.
+ * Exports are produced as an async iterable of text chunks read from database cursors, one goal and
+ * one progress entry at a time, so large accounts are streamed without holding them in memory.
+ * Goals in the trash are not exported.
+ */
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// The goal fields of an export, in the order of the CSV columns
+const GOAL_FIELDS = [
+    'title',
+    'description',
+    'goalType',
+    'status',
+    'category',
+    'tags',
+    'metricType',
+    'unit',
+    'direction',
+    'startValue',
+    'targetValue',
+    'currentValue',
+    'progress',
+    'progressSource',
+    'targetDate',
+    'createdAt',
+    'completedAt',
+];
+
+// Calendar dates are formatted as YYYY-MM-DD, points in time keep their time of day as ISO 8601 in UTC
+const DATE_FIELDS = ['targetDate'];
+const TIMESTAMP_FIELDS = ['createdAt', 'completedAt'];
+
+const CSV_HEADER = ['goalId', ...GOAL_FIELDS, 'entryRecordedAt', 'entryValue', 'entryNote'];
+
+/**
+ * Formats a point in time as an ISO 8601 timestamp in UTC, so it keeps its time of day
+ * whatever the timezone of the server.
+ *
+ * @param {Date|null} value - The point in time.
+ * @returns {string} The timestamp, or an empty string if there is none.
+ */
+const formatTimestamp = (value) => (value ? new Date(value).toISOString() : '');
+
+/**
+ * Picks the exported fields of a goal, with its dates formatted.
+ *
+ * @param {object} goal - The goal, as a plain object.
+ * @returns {object} The exported goal fields, keyed by field name and starting with its `goalId`.
+ */
+const pickGoalFields = (goal) => {
+    const fields = { goalId: String(goal._id) };
+    for (const field of GOAL_FIELDS) {
+        const value = goal[field];
+        if (DATE_FIELDS.includes(field)) {
+            fields[field] = formatDate(value);
+        } else if (TIMESTAMP_FIELDS.includes(field)) {
+            fields[field] = formatTimestamp(value);
+        } else {
+            fields[field] = value;
+        }
+    }
+    return fields;
+};
+
+/**
+ * Picks the exported fields of a progress entry, with its timestamp formatted.
+ *
+ * @param {object} entry - The progress entry, as a plain object.
+ * @returns {object} The exported entry fields.
+ */
+const pickEntryFields = (entry) => ({
+    recordedAt: formatTimestamp(entry.recordedAt),
+    value: entry.value,
+    note: entry.note,
+});
+
+/**
+ * Opens a cursor over the goals of a user, oldest first.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {AsyncIterable<object>} The goals, as plain objects.
+ */
+const findGoalsCursor = (userId) => Goal.find({ userId }).sort({ createdAt: 1, _id: 1 }).lean().cursor();
+
+/**
+ * Opens a cursor over the progress history of a goal, oldest first.
+ *
+ * @param {mongoose.Types.ObjectId} goalId - The ID of the goal.
+ * @returns {AsyncIterable<object>} The progress entries, as plain objects.
+ */
+const findEntriesCursor = (goalId) => ProgressEntry.find({ goalId }).sort({ recordedAt: 1, _id: 1 }).lean().cursor();
+
+/**
+ * Produces a CSV export with one row per progress entry, repeating the goal fields on each row.
+ * Goals without progress entries are exported as a single row with empty entry fields.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {AsyncGenerator<string>} The CSV text, row by row.
+ */
+async function* generateGoalsCsv(userId) {
+    yield CSV_BYTE_ORDER_MARK + toCsvRow(CSV_HEADER);
+
+    for await (const goal of findGoalsCursor(userId)) {
+        const goalValues = Object.values(pickGoalFields(goal));
+        let hasEntries = false;
+        for await (const entry of findEntriesCursor(goal._id)) {
+            const { recordedAt, value, note } = pickEntryFields(entry);
+            hasEntries = true;
+            yield toCsvRow([...goalValues, recordedAt, value, note]);
+        }
+        if (!hasEntries) {
+            yield toCsvRow([...goalValues, '', '', '']);
+        }
+    }
+}
+
+/**
+ * Produces a JSON export of the shape `{ exportedAt, goals: [{ ...goal, progressHistory: [entry] }] }`.
+ * The JSON is written piecewise, so the progress history of a goal is streamed as well.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {AsyncGenerator<string>} The JSON text, goal by goal and entry by entry.
+ */
+async function* generateGoalsJson(userId) {
+    yield `{"exportedAt":${JSON.stringify(new Date().toISOString())},"goals":[`;
+
+    let goalCount = 0;
+    for await (const goal of findGoalsCursor(userId)) {
+        // Reopen the goal object to append its progress history
+        const goalJson = JSON.stringify(pickGoalFields(goal));
+        yield `${goalCount > 0 ? ',' : ''}${goalJson.slice(0, -1)},"progressHistory":[`;
+        goalCount += 1;
+
+        let entryCount = 0;
+        for await (const entry of findEntriesCursor(goal._id)) {
+            yield `${entryCount > 0 ? ',' : ''}${JSON.stringify(pickEntryFields(entry))}`;
+            entryCount += 1;
+        }
+        yield ']}';
+    }
+
+    yield ']}';
+}
+
+
+/**
+ * Prepares the export of every goal of a user along with its progress history.
+ * Input and user are validated up front, so errors are raised before anything is streamed;
+ * the returned chunks read the goals from the database as they are consumed.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} [format='csv'] - The export format, 'csv' or 'json'.
+ * @returns {Promise<object>} A promise that resolves with `{ contentType, filename, chunks }`, where `chunks`
+ * is an async iterable of the export text, or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const exportGoals = async (userId, format = 'csv') => {
+    if (!EXPORT_FORMATS.includes(format)) {
+        console.error('Invalid export format provided:', format);
+        throw {
+            message: `format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        await findUser(userId);
+
+        const filename = `goals-${formatDate(new Date())}.${format}`;
+        if (format === 'csv') {
+            return { contentType: 'text/csv; charset=utf-8', filename, chunks: generateGoalsCsv(userId) };
+        }
+        return { contentType: 'application/json; charset=utf-8', filename, chunks: generateGoalsJson(userId) };
+    } catch (error) {
+        console.error('Failed to export goals:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to export goals',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export { EXPORT_FORMATS, exportGoals };
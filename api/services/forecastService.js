@@ -0,0 +1,215 @@
+// api/services/forecastService.js
+import ProgressEntry from '../models/ProgressEntry';
+
+/**
+ * Provides completion date forecasts for active target goals. A straight line is fitted by least squares to
+ * the progress of the goal's recent entries, and the day it reaches 100% is the estimated completion date.
+ * The confidence band comes from the standard error of the fitted rate: the faster and slower rates of the band
+ * give the earliest and latest likely completion dates. Goals are then classified against their target date as
+ * 'ahead', 'on_track' or 'behind', or as 'stalled' when their progress has not grown for a while.
+ */
+
+const FORECAST_CLASSIFICATIONS = ['ahead', 'on_track', 'behind', 'stalled'];
+
+// Only entries of this many recent days are fitted, so the trend follows the current pace
+const TREND_WINDOW_DAYS = 90;
+
+// The fewest entries a trend is fitted to, the band needs at least one degree of freedom
+const MIN_TREND_POINTS = 3;
+
+// An active goal whose progress has not grown for this many days is stalled
+const STALLED_DAYS = 21;
+
+// Share of estimates expected to fall inside the band, and the matching normal quantile
+const CONFIDENCE_LEVEL = 0.8;
+const CONFIDENCE_Z = 1.2816;
+
+// A goal is ahead if it is estimated to finish this share of its remaining time, and at least a week, early
+const AHEAD_SHARE = 0.15;
+const AHEAD_MIN_DAYS = 7;
+
+// Completion dates further out are not estimated
+const MAX_FORECAST_DAYS = 3650;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a forecast applies to a goal: active goals working towards a target, not habits.
+ *
+ * @param {mongoose.Document} goal - The goal.
+ * @returns {boolean} True if the goal can be forecast.
+ */
+const isForecastable = (goal) => goal.goalType !== 'habit' && goal.status === 'active';
+
+/**
+ * Fits a line to points by ordinary least squares.
+ *
+ * @param {Array<{ x: number, y: number }>} points - The points, at least two with different `x`.
+ * @returns {{ slope: number, slopeError: number, meanX: number, meanY: number }|null} The rate, its standard error
+ * and the centroid the line passes through, or null if the points do not span any time.
+ */
+const fitLine = (points) => {
+    const n = points.length;
+    const meanX = points.reduce((sum, point) => sum + point.x, 0) / n;
+    const meanY = points.reduce((sum, point) => sum + point.y, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    for (const { x, y } of points) {
+        sxx += (x - meanX) ** 2;
+        sxy += (x - meanX) * (y - meanY);
+    }
+    if (sxx === 0) {
+        return null;
+    }
+    const slope = sxy / sxx;
+    const squaredErrors = points.reduce((sum, { x, y }) => sum + (y - (meanY + slope * (x - meanX))) ** 2, 0);
+    const slopeError = n > 2 ? Math.sqrt(squaredErrors / (n - 2) / sxx) : Infinity;
+    return { slope, slopeError, meanX, meanY };
+};
+
+/**
+ * Projects the day, relative to now, on which a fitted line reaches 100% at a given rate.
+ *
+ * @param {object} fit - The fitted line, see `fitLine`.
+ * @param {number} rate - The rate in percentage points per day.
+ * @returns {number|null} The days from now, 0 if the line is past 100% already, or null if it does not reach 100%
+ * within `MAX_FORECAST_DAYS`.
+ */
+const projectCompletionDays = (fit, rate) => {
+    if (!(rate > 0)) {
+        return null;
+    }
+    const days = fit.meanX + (100 - fit.meanY) / rate;
+    if (days > MAX_FORECAST_DAYS) {
+        return null;
+    }
+    return Math.max(days, 0);
+};
+
+/**
+ * Classifies a goal by its estimated completion against its target date.
+ *
+ * @param {number|null} estimateDays - The estimated days until completion, null if it could not be estimated.
+ * @param {number|null} targetDays - The days until the target date, negative once it has passed, null without one.
+ * @returns {string|null} 'ahead', 'on_track' or 'behind', or null if there is nothing to compare.
+ */
+const classifyEstimate = (estimateDays, targetDays) => {
+    if (targetDays === null) {
+        return null;
+    }
+    // Overdue goals and goals that will not finish at the current pace are behind
+    if (targetDays < 0 || estimateDays === null) {
+        return 'behind';
+    }
+    if (estimateDays > targetDays) {
+        return 'behind';
+    }
+    if (targetDays - estimateDays >= Math.max(AHEAD_MIN_DAYS, targetDays * AHEAD_SHARE)) {
+        return 'ahead';
+    }
+    return 'on_track';
+};
+
+/**
+ * Forecasts the completion of a goal from its recent progress entries.
+ *
+ * @param {mongoose.Document} goal - The goal.
+ * @param {Array<object>} entries - The progress entries of the goal of the last `TREND_WINDOW_DAYS` days, oldest first.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {object|null} The forecast `{ classification, ratePerDay, trendPoints, estimatedCompletionDate, confidence,
+ * targetDate, daysFromTarget }`, or null if the goal cannot be forecast.
+ */
+const forecastFromEntries = (goal, entries, now = new Date()) => {
+    if (!isForecastable(goal)) {
+        return null;
+    }
+
+    const daysFromNow = (date) => (new Date(date).getTime() - now.getTime()) / DAY_IN_MS;
+    const points = entries.map((entry) => ({ x: daysFromNow(entry.recordedAt), y: goal.computeProgress(entry.value) }));
+
+    // Progress grows when an entry is above the one before it; a goal that was just (re)activated is not stalled yet
+    let lastGain = daysFromNow(goal.activatedAt || goal.createdAt);
+    for (let i = 1; i < points.length; i++) {
+        if (points[i].y > points[i - 1].y) {
+            lastGain = Math.max(lastGain, points[i].x);
+        }
+    }
+
+    const fit = points.length >= MIN_TREND_POINTS ? fitLine(points) : null;
+    const estimateDays = fit ? projectCompletionDays(fit, fit.slope) : null;
+    const band = fit && Number.isFinite(fit.slopeError)
+        ? {
+            earliest: projectCompletionDays(fit, fit.slope + CONFIDENCE_Z * fit.slopeError),
+            latest: projectCompletionDays(fit, fit.slope - CONFIDENCE_Z * fit.slopeError),
+        }
+        : null;
+    const targetDays = goal.targetDate ? daysFromNow(goal.targetDate) : null;
+
+    let classification = null;
+    if (-lastGain >= STALLED_DAYS || (fit && fit.slope <= 0)) {
+        classification = 'stalled';
+    } else if (fit) {
+        classification = classifyEstimate(estimateDays, targetDays);
+    }
+
+    const toDate = (days) => (days === null ? null : new Date(now.getTime() + days * DAY_IN_MS));
+    return {
+        classification,
+        // Percentage points per day
+        ratePerDay: fit ? Math.round(fit.slope * 100) / 100 : null,
+        trendPoints: fit ? points.length : 0,
+        estimatedCompletionDate: toDate(estimateDays),
+        confidence: band ? { level: CONFIDENCE_LEVEL, earliest: toDate(band.earliest), latest: toDate(band.latest) } : null,
+        targetDate: goal.targetDate || null,
+        // Positive if the goal is estimated to finish after its target date
+        daysFromTarget: estimateDays !== null && targetDays !== null ? Math.round(estimateDays - targetDays) : null,
+    };
+};
+
+/**
+ * Forecasts the completion of a goal.
+ *
+ * @param {mongoose.Document} goal - The goal.
+ * @returns {Promise<object|null>} A promise that resolves with the forecast, see `forecastFromEntries`.
+ */
+const forecastGoal = async (goal) => {
+    if (!isForecastable(goal)) {
+        return null;
+    }
+    const now = new Date();
+    const entries = await ProgressEntry.find({
+        goalId: goal._id,
+        recordedAt: { $gte: new Date(now.getTime() - TREND_WINDOW_DAYS * DAY_IN_MS) },
+    }).sort({ recordedAt: 1, _id: 1 }).select('value recordedAt').lean();
+    return forecastFromEntries(goal, entries, now);
+};
+
+/**
+ * Forecasts the completion of several goals, reading their entries in a single query.
+ *
+ * @param {Array<mongoose.Document>} goals - The goals.
+ * @returns {Promise<Map<string, object|null>>} A promise that resolves with the forecasts by goal ID.
+ */
+const forecastGoals = async (goals) => {
+    const now = new Date();
+    const forecastable = goals.filter(isForecastable);
+    const entries = forecastable.length > 0
+        ? await ProgressEntry.find({
+            goalId: { $in: forecastable.map((goal) => goal._id) },
+            recordedAt: { $gte: new Date(now.getTime() - TREND_WINDOW_DAYS * DAY_IN_MS) },
+        }).sort({ recordedAt: 1, _id: 1 }).select('goalId value recordedAt').lean()
+        : [];
+
+    const entriesByGoal = new Map();
+    for (const entry of entries) {
+        const key = String(entry.goalId);
+        if (!entriesByGoal.has(key)) entriesByGoal.set(key, []);
+        entriesByGoal.get(key).push(entry);
+    }
+    return new Map(goals.map((goal) => [
+        String(goal._id),
+        forecastFromEntries(goal, entriesByGoal.get(String(goal._id)) || [], now),
+    ]));
+};
+
+export { FORECAST_CLASSIFICATIONS, forecastFromEntries, forecastGoal, forecastGoals };
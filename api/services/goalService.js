@@ -1,43 +1,379 @@
 // api/services/goalService.js
 import mongoose from 'mongoose';
-import Goal from '../models/Goal';
-import User from '../models/User';
+import Goal, {
+    METRIC_TYPES,
+    GOAL_DIRECTIONS,
+    GOAL_TYPES,
+    RECURRENCE_FREQUENCIES,
+    NUTRITION_COMPARISONS,
+    PROGRESS_SOURCES,
+    GOAL_STATUSES,
+    GOAL_STATUS_TRANSITIONS,
+    GOAL_CATEGORIES,
+} from '../models/Goal';
+import { recordProgressEntry, syncGoalProgress } from './progressService';
+import { refreshStreaks } from './habitService';
+import { rollupMilestoneProgress } from './milestoneService';
+import { rollupPlanProgress } from './planService';
+import { findGoalExercise } from './exerciseService';
+import { rescoreNutritionGoal } from './nutritionService';
+import { forecastGoal, forecastGoals } from './forecastService';
+import { MEASUREMENT_TYPES, MEASUREMENT_UNITS } from '../models/BodyMeasurement';
+import { NUTRITION_METRICS, NUTRITION_METRIC_UNITS } from '../models/NutritionLog';
 import { connectDB } from '../config/db';
-import { isValidObjectId, sanitizeString } from '../../src/utils/helpers';
+import { isValidObjectId, sanitizeString, escapeRegExp } from '../../src/utils/helpers';
+import { parsePageSize, encodeCursor, decodeCursor, buildCursorFilter } from '../utils/pagination';
+import { isValidTimeZone } from '../utils/dateUtils';
+import { MAX_TAGS_PER_GOAL, MAX_TAG_LENGTH, normalizeTag } from '../utils/tags';
+import { convertUnit } from '../utils/units';
+import { findUser } from './userService';
 
 
 /**
  * Provides the business logic for managing user fitness goals, including creation,
- * retrieval, updating, and deletion of goals.
+ * retrieval, listing, updating, and deletion of goals.
  */
 
+// Fields the goal list can be sorted by
+const GOAL_SORT_FIELDS = ['targetDate', 'progress', 'createdAt', 'updatedAt'];
+
 /**
- * Creates a new fitness goal for a user, including input validation, user existence check,
- * and saving the goal to the database.
+ * Validates and normalizes the measurement settings of a goal.
+ * 'percentage' goals need no further settings, measurable goals need a unit, a start value,
+ * a target value and a direction that is consistent with the two values.
+ *
+ * @param {object} measurement - The measurement settings.
+ * @param {string} [measurement.metricType='percentage'] - The metric type, one of METRIC_TYPES.
+ * @param {string} [measurement.unit] - The unit values are logged in, e.g. 'km' or 'kg'.
+ * @param {number} [measurement.startValue] - The baseline value.
+ * @param {number} [measurement.targetValue] - The value at which the goal is reached.
+ * @param {string} [measurement.direction='increase'] - 'increase' or 'decrease'.
+ * @returns {object} The normalized measurement settings.
+ * @throws {Error} If the settings are invalid.
+ */
+const normalizeMeasurement = ({ metricType = 'percentage', unit, startValue, targetValue, direction = 'increase' } = {}) => {
+    if (!METRIC_TYPES.includes(metricType)) {
+        console.error('Invalid metric type provided:', metricType);
+        throw {
+            message: `metricType must be one of: ${METRIC_TYPES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (metricType === 'percentage') {
+        return { metricType };
+    }
+
+    const sanitizedUnit = sanitizeString(unit);
+    if (!sanitizedUnit || sanitizedUnit.length > 20) {
+        console.error('Invalid unit provided for measurable goal:', unit);
+        throw {
+            message: 'A unit of at most 20 characters is required for measurable goals',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    for (const [name, value] of [['startValue', startValue], ['targetValue', targetValue]]) {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            console.error(`Invalid ${name} provided for measurable goal:`, value);
+            throw {
+                message: `${name} must be a non-negative number for measurable goals`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+
+    if (!GOAL_DIRECTIONS.includes(direction)) {
+        console.error('Invalid direction provided:', direction);
+        throw {
+            message: `direction must be one of: ${GOAL_DIRECTIONS.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if ((direction === 'increase' && targetValue <= startValue) || (direction === 'decrease' && targetValue >= startValue)) {
+        console.error('Target value does not match the goal direction:', startValue, targetValue, direction);
+        throw {
+            message: direction === 'increase'
+                ? 'targetValue must be greater than startValue for increasing goals'
+                : 'targetValue must be less than startValue for decreasing goals',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    return { metricType, unit: sanitizedUnit, startValue, targetValue, direction };
+};
+
+/**
+ * Validates the progress source of a goal. Only percentage target goals can roll up their progress
+ * from milestones or a training plan, measurable goals and habits are driven by logged values and check-ins.
+ *
+ * @param {string} progressSource - 'entries', 'milestones' or 'plan'.
+ * @param {boolean} isMeasurable - Whether the goal is a measurable goal.
+ * @param {boolean} isHabit - Whether the goal is a habit goal.
+ * @throws {Error} If the progress source is invalid for the goal.
+ */
+const validateProgressSource = (progressSource, isMeasurable, isHabit) => {
+    if (!PROGRESS_SOURCES.includes(progressSource)) {
+        console.error('Invalid progress source provided:', progressSource);
+        throw {
+            message: `progressSource must be one of: ${PROGRESS_SOURCES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (progressSource !== 'entries' && (isMeasurable || isHabit)) {
+        console.error('Rolled up progress requested for a measurable or habit goal:', progressSource);
+        throw {
+            message: 'Only percentage target goals can roll up their progress from milestones or a training plan',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+};
+
+
+/**
+ * Validates the body measurement type a measurable goal tracks, logged measurements
+ * of the type have to be convertible to the goal's unit.
+ *
+ * @param {string} measurementType - One of MEASUREMENT_TYPES.
+ * @param {string} unit - The unit of the goal.
+ * @throws {Error} If the measurement type is invalid or does not fit the unit.
+ */
+const validateMeasurementType = (measurementType, unit) => {
+    if (!MEASUREMENT_TYPES.includes(measurementType)) {
+        console.error('Invalid measurement type provided:', measurementType);
+        throw {
+            message: `measurementType must be one of: ${MEASUREMENT_TYPES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const units = MEASUREMENT_UNITS[measurementType];
+    if (convertUnit(1, units[0], unit) === null) {
+        console.error('Goal unit does not fit the measurement type:', unit, measurementType);
+        throw {
+            message: `Goals tracking ${measurementType} must be in one of: ${units.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+};
+
+
+/**
+ * Validates and normalizes the schedule of a goal.
+ * 'target' goals need no schedule, 'habit' goals need a recurrence rule and an IANA timezone
+ * in which their periods and streaks are computed.
+ *
+ * @param {object} schedule - The schedule settings.
+ * @param {string} [schedule.goalType='target'] - 'target' or 'habit'.
+ * @param {object} [schedule.recurrence] - The recurrence rule of a habit goal.
+ * @param {string} schedule.recurrence.frequency - 'daily', 'weekly' or 'weekdays'.
+ * @param {number} [schedule.recurrence.timesPerWeek] - Required check-ins per week, for 'weekly' habits (1 to 7).
+ * @param {number[]} [schedule.recurrence.weekdays] - Scheduled days, 0 for Sunday to 6 for Saturday, for 'weekdays' habits.
+ * @param {string} [schedule.timezone='UTC'] - The IANA timezone of a habit goal.
+ * @returns {object} The normalized schedule settings.
+ * @throws {Error} If the settings are invalid.
+ */
+const normalizeSchedule = ({ goalType = 'target', recurrence, timezone = 'UTC' } = {}) => {
+    if (!GOAL_TYPES.includes(goalType)) {
+        console.error('Invalid goal type provided:', goalType);
+        throw {
+            message: `goalType must be one of: ${GOAL_TYPES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (goalType === 'target') {
+        return { goalType };
+    }
+
+    if (!recurrence || typeof recurrence !== 'object' || !RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) {
+        console.error('Invalid recurrence provided for habit goal:', recurrence);
+        throw {
+            message: `Habit goals require a recurrence with a frequency of: ${RECURRENCE_FREQUENCIES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const { frequency, timesPerWeek, weekdays } = recurrence;
+    const normalizedRecurrence = { frequency };
+
+    if (frequency === 'weekly') {
+        if (!Number.isInteger(timesPerWeek) || timesPerWeek < 1 || timesPerWeek > 7) {
+            console.error('Invalid timesPerWeek provided:', timesPerWeek);
+            throw {
+                message: 'timesPerWeek must be an integer between 1 and 7 for weekly habits',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+        normalizedRecurrence.timesPerWeek = timesPerWeek;
+    }
+
+    if (frequency === 'weekdays') {
+        if (!Array.isArray(weekdays) || weekdays.length === 0
+            || !weekdays.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            console.error('Invalid weekdays provided:', weekdays);
+            throw {
+                message: 'weekdays must be a non-empty list of days from 0 (Sunday) to 6 (Saturday)',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+        normalizedRecurrence.weekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+    }
+
+    if (!isValidTimeZone(timezone)) {
+        console.error('Invalid timezone provided:', timezone);
+        throw {
+            message: 'timezone must be a valid IANA timezone, such as Europe/Berlin',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    return { goalType, recurrence: normalizedRecurrence, timezone };
+};
+
+
+/**
+ * Validates and normalizes the nutrition rule of a habit goal, the daily nutrition target
+ * a day has to meet for the habit to be checked in on it.
+ *
+ * @param {object} rule - The nutrition rule.
+ * @param {string} rule.metric - One of `NUTRITION_METRICS`.
+ * @param {string} [rule.comparison='at_least'] - 'at_least' or 'at_most'.
+ * @param {number} rule.amount - The daily amount in the unit of the metric, see `NUTRITION_METRIC_UNITS`.
+ * @returns {object} The normalized nutrition rule.
+ * @throws {Error} If the rule is invalid.
+ */
+const normalizeNutritionRule = (rule) => {
+    if (!rule || typeof rule !== 'object' || !NUTRITION_METRICS.includes(rule.metric)) {
+        console.error('Invalid nutrition rule provided:', rule);
+        throw {
+            message: `nutritionRule requires a metric of: ${NUTRITION_METRICS.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const { metric, comparison = 'at_least', amount } = rule;
+    if (!NUTRITION_COMPARISONS.includes(comparison)) {
+        console.error('Invalid nutrition rule comparison provided:', comparison);
+        throw {
+            message: `nutritionRule comparison must be one of: ${NUTRITION_COMPARISONS.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+        console.error('Invalid nutrition rule amount provided:', amount);
+        throw {
+            message: `nutritionRule amount must be a positive number of ${NUTRITION_METRIC_UNITS[metric]}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    return { metric, comparison, amount };
+};
+
+
+/**
+ * Validates and normalizes the category and tags of a goal. Only the provided settings are returned,
+ * so that updates leave the others untouched.
+ *
+ * @param {object} labels - The label settings.
+ * @param {string} [labels.category] - One of `GOAL_CATEGORIES`.
+ * @param {string[]} [labels.tags] - User-defined tags, normalized with `normalizeTag` and deduplicated.
+ * @returns {object} The normalized label settings.
+ * @throws {Error} If the settings are invalid.
+ */
+const normalizeLabels = ({ category, tags } = {}) => {
+    const normalizedLabels = {};
+
+    if (category !== undefined) {
+        if (!GOAL_CATEGORIES.includes(category)) {
+            console.error('Invalid goal category provided:', category);
+            throw {
+                message: `category must be one of: ${GOAL_CATEGORIES.join(', ')}`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+        normalizedLabels.category = category;
+    }
+
+    if (tags !== undefined) {
+        if (!Array.isArray(tags)) {
+            console.error('Invalid tags provided:', tags);
+            throw {
+                message: 'tags must be a list of strings',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        const normalizedTags = tags.map(normalizeTag);
+        if (normalizedTags.includes(null)) {
+            console.error('Invalid tag provided:', tags);
+            throw {
+                message: `Tags must be 1 to ${MAX_TAG_LENGTH} characters of letters, digits, spaces, hyphens and underscores`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        const uniqueTags = [...new Set(normalizedTags)];
+        if (uniqueTags.length > MAX_TAGS_PER_GOAL) {
+            console.error('Too many tags provided:', uniqueTags.length);
+            throw {
+                message: `A goal can have at most ${MAX_TAGS_PER_GOAL} tags`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+        normalizedLabels.tags = uniqueTags;
+    }
+
+    return normalizedLabels;
+};
+
+
+/**
+ * Validates and normalizes the fields of a new goal, applying every rule a goal is created with
+ * short of the database lookups of its user and exercise. Shared by createGoal and the CSV import.
  *
- * @param {string} userId - The ID of the user creating the goal.
  * @param {string} title - The title of the fitness goal.
  * @param {string} description - The description of the fitness goal.
  * @param {string} targetDate - The target date for the fitness goal.
- * @param {number} progress - The progress of the goal.
- * @returns {Promise<object>} A promise that resolves with the newly created goal object or rejects with an error object.
- * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ * @param {number} [progress] - The initial progress of a percentage goal.
+ * @param {object} [measurement={}] - The measurement settings of the goal, see `createGoal`.
+ * @param {object} [schedule={}] - The goal type, recurrence, timezone and nutrition rule of the goal, see `createGoal`.
+ * @param {object} [labels={}] - The category and tags of the goal, see `normalizeLabels`.
+ * @returns {{ fields: object, isMeasurable: boolean, initialProgress: number }} The normalized goal fields, whether
+ * the goal is measurable and the progress a percentage goal starts at.
+ * @throws {Error} If a field is invalid.
  */
-const createGoal = async (userId, title, description, targetDate, progress) => {
+const validateGoalInput = (title, description, targetDate, progress, measurement = {}, schedule = {}, labels = {}) => {
     // Sanitize inputs
     const sanitizedTitle = sanitizeString(title);
     const sanitizedDescription = sanitizeString(description);
 
     // Validate inputs
-    if (!userId || !isValidObjectId(userId)) {
-        console.error('Invalid userId provided:', userId);
-         throw {
-            message: 'Invalid userId provided',
-            code: 400,
-            statusText: 'Bad Request',
-        };
-    }
-
     if (!sanitizedTitle || sanitizedTitle.trim() === '') {
         console.error('Goal title is required.');
          throw {
@@ -66,7 +402,25 @@ const createGoal = async (userId, title, description, targetDate, progress) => {
     }
 
 
-    if (!targetDate) {
+    const normalizedSchedule = normalizeSchedule(schedule);
+    const normalizedLabels = normalizeLabels(labels);
+    const isHabit = normalizedSchedule.goalType === 'habit';
+
+    let nutritionRule = null;
+    if (schedule.nutritionRule !== undefined && schedule.nutritionRule !== null) {
+        if (!isHabit) {
+            console.error('Nutrition rule provided for a target goal.');
+            throw {
+                message: 'Only habit goals can have a nutritionRule',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+        nutritionRule = normalizeNutritionRule(schedule.nutritionRule);
+    }
+
+    // Habits recur indefinitely, so only one-off target goals require a target date
+    if (!targetDate && !isHabit) {
          console.error('Target date is required.');
          throw {
             message: 'Target date is required',
@@ -75,8 +429,8 @@ const createGoal = async (userId, title, description, targetDate, progress) => {
         };
     }
 
-    const targetDateObj = new Date(targetDate);
-    if (isNaN(targetDateObj)) {
+    const targetDateObj = targetDate ? new Date(targetDate) : undefined;
+    if (targetDateObj && isNaN(targetDateObj)) {
         console.error('Invalid target date format.');
           throw {
             message: 'Invalid target date format',
@@ -84,7 +438,7 @@ const createGoal = async (userId, title, description, targetDate, progress) => {
             statusText: 'Bad Request',
         };
     }
-    if (targetDateObj <= new Date()) {
+    if (targetDateObj && targetDateObj <= new Date()) {
       console.error('Target date must be in the future.');
       throw {
         message: 'Target date must be in the future',
@@ -92,37 +446,143 @@ const createGoal = async (userId, title, description, targetDate, progress) => {
         statusText: 'Bad Request',
       };
     }
-    if (typeof progress !== 'number' || progress < 0 || progress > 100) {
-        console.error('Progress must be a number between 0 and 100.');
+    const normalizedMeasurement = normalizeMeasurement(measurement);
+    const isMeasurable = normalizedMeasurement.metricType !== 'percentage';
+
+    if (isHabit && isMeasurable) {
+        console.error('Habit goals cannot be measurable goals.');
         throw {
-            message: 'Progress must be a number between 0 and 100',
+            message: 'Habit goals are tracked by check-ins and cannot have a measurable metricType',
             code: 400,
             statusText: 'Bad Request',
         };
     }
 
+    if (isMeasurable && progress !== undefined) {
+        console.error('Progress cannot be supplied for measurable goals.');
+        throw {
+            message: 'Progress of measurable goals is computed from logged values and cannot be supplied',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
 
-    try {
+    const progressSource = measurement.progressSource === undefined ? 'entries' : measurement.progressSource;
+    validateProgressSource(progressSource, isMeasurable, isHabit);
 
-         // Check if the user exists
-        const user = await User.findById(userId);
-        if (!user) {
-           console.error('User not found with the given userId:', userId);
-             throw {
-                message: 'User not found',
-                code: 404,
-                statusText: 'Not Found',
-             };
+    const exerciseId = measurement.exerciseId === undefined ? null : measurement.exerciseId;
+    if (exerciseId !== null && !isMeasurable) {
+        console.error('Exercise provided for a goal that is not measurable:', exerciseId);
+        throw {
+            message: 'Only measurable goals can track an exercise',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const measurementType = measurement.measurementType === undefined ? null : measurement.measurementType;
+    if (measurementType !== null) {
+        if (!isMeasurable || exerciseId !== null) {
+            console.error('Measurement type provided for a goal that is not measurable or tracks an exercise:', measurementType);
+            throw {
+                message: 'Only measurable goals that do not track an exercise can track a body measurement',
+                code: 400,
+                statusText: 'Bad Request',
+            };
         }
-        const newGoal = new Goal({
-            userId,
+        validateMeasurementType(measurementType, normalizedMeasurement.unit);
+    }
+
+    if (progressSource !== 'entries' && progress !== undefined) {
+        console.error('Progress cannot be supplied for goals rolling up milestones or a training plan.');
+        throw {
+            message: `Progress of this goal rolls up from its ${progressSource === 'plan' ? 'training plan' : 'milestones'} and cannot be supplied`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const initialProgress = progress === undefined ? 0 : progress;
+    if (!isMeasurable && (typeof initialProgress !== 'number' || initialProgress < 0 || initialProgress > 100)) {
+        console.error('Progress must be a number between 0 and 100.');
+        throw {
+            message: 'Progress must be a number between 0 and 100',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    return {
+        fields: {
             title: sanitizedTitle,
             description: sanitizedDescription,
             targetDate: targetDateObj,
-            progress,
-        });
+            ...normalizedSchedule,
+            ...normalizedMeasurement,
+            ...normalizedLabels,
+            progressSource,
+            exerciseId,
+            measurementType,
+            nutritionRule,
+        },
+        isMeasurable,
+        initialProgress,
+    };
+};
+
+
+/**
+ * Creates a new fitness goal for a user, including input validation, user existence check,
+ * and saving the goal to the database.
+ *
+ * @param {string} userId - The ID of the user creating the goal.
+ * @param {string} title - The title of the fitness goal.
+ * @param {string} description - The description of the fitness goal.
+ * @param {string} targetDate - The target date for the fitness goal.
+ * @param {number} [progress=0] - The initial progress of a percentage goal. Measurable goals start at their startValue.
+ * @param {object} [measurement={}] - The measurement settings of the goal, see `normalizeMeasurement`, its
+ * `progressSource` ('entries', 'milestones' or 'plan') and, for measurable goals, the `exerciseId` of the exercise it tracks
+ * or the body `measurementType` it tracks.
+ * @param {object} [schedule={}] - The goal type and, for habit goals, the recurrence and timezone, see `normalizeSchedule`,
+ * and an optional `nutritionRule` checking the habit in on the days it is met, see `normalizeNutritionRule`.
+ * @param {object} [labels={}] - The category and tags of the goal, see `normalizeLabels`.
+ * @returns {Promise<object>} A promise that resolves with the newly created goal object or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const createGoal = async (userId, title, description, targetDate, progress, measurement = {}, schedule = {}, labels = {}) => {
+    // Validate inputs
+    if (!userId || !isValidObjectId(userId)) {
+        console.error('Invalid userId provided:', userId);
+         throw {
+            message: 'Invalid userId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const { fields, isMeasurable, initialProgress } = validateGoalInput(title, description, targetDate, progress, measurement, schedule, labels);
+    const { exerciseId, nutritionRule } = fields;
+
+
+    try {
+
+        await findUser(userId);
+        if (exerciseId) {
+            await findGoalExercise(userId, exerciseId, fields.metricType);
+        }
+        const newGoal = new Goal({ userId, ...fields });
         const savedGoal = await newGoal.save();
-        return savedGoal;
+
+        // Days already logged today may meet the nutrition rule
+        if (nutritionRule) {
+            await rescoreNutritionGoal(savedGoal);
+        }
+
+        // Record the starting point as the first entry of the goal's progress history
+        const { goal } = isMeasurable
+            ? await recordProgressEntry(savedGoal, fields.startValue, savedGoal.createdAt, 'Starting value')
+            : await recordProgressEntry(savedGoal, initialProgress, savedGoal.createdAt, 'Initial progress');
+        return goal;
     } catch (error) {
       console.error('Failed to create goal:', error);
 
@@ -141,11 +601,12 @@ const createGoal = async (userId, title, description, targetDate, progress) => {
 
 
 /**
- * Retrieves a single fitness goal by its ID and user ID from the database.
+ * Retrieves a single fitness goal by its ID and user ID from the database, with the forecast of its completion.
  *
  * @param {string} goalId - The ID of the goal to retrieve.
  * @param {string} userId - The ID of the user who owns the goal.
- * @returns {Promise<object>} A promise that resolves with the goal object or rejects with an error object.
+ * @returns {Promise<object>} A promise that resolves with the goal object and its `forecast`, null for goals that
+ * are not active or are habits (see forecastService), or rejects with an error object.
  * @throws {Error} If there is an issue with input validation, goal lookup, or database access.
  */
 const getGoal = async (goalId, userId) => {
@@ -170,16 +631,7 @@ const getGoal = async (goalId, userId) => {
     }
 
     try {
-         // Check if the user exists
-        const user = await User.findById(userId);
-        if (!user) {
-            console.error('User not found with the given userId:', userId);
-            throw {
-              message: 'User not found',
-              code: 404,
-              statusText: 'Not Found',
-            };
-        }
+        await findUser(userId);
 
 
         const goal = await Goal.findOne({ _id: goalId, userId: userId });
@@ -191,7 +643,7 @@ const getGoal = async (goalId, userId) => {
                 statusText: 'Not Found',
             };
         }
-        return goal;
+        return { ...goal.toJSON(), forecast: await forecastGoal(goal) };
     } catch (error) {
          console.error('Failed to retrieve goal:', error);
 
@@ -209,6 +661,232 @@ const getGoal = async (goalId, userId) => {
 };
 
 
+/**
+ * Lists the fitness goals of a user, one page at a time.
+ * Supports cursor pagination, filtering by status, category, tags, progress range, target date window and text,
+ * and sorting by `targetDate`, `progress`, `createdAt` or `updatedAt`.
+ *
+ * @param {string} userId - The ID of the user who owns the goals.
+ * @param {object} [options={}] - Listing options.
+ * @param {number} [options.limit=20] - The page size (1 to 100).
+ * @param {string} [options.cursor] - The `nextCursor` returned with the previous page.
+ * @param {string} [options.sortBy='createdAt'] - The field to sort by.
+ * @param {string} [options.sortOrder='desc'] - The sort order ('asc' or 'desc').
+ * @param {number} [options.minProgress] - Only include goals with at least this progress.
+ * @param {number} [options.maxProgress] - Only include goals with at most this progress.
+ * @param {string} [options.targetDateFrom] - Only include goals with a target date on or after this date.
+ * @param {string} [options.targetDateTo] - Only include goals with a target date on or before this date.
+ * @param {string} [options.search] - Only include goals whose title or description contains this text.
+ * @param {string|string[]} [options.status] - Only include goals in these statuses, as an array or a comma separated list.
+ * Archived goals are left out unless they are asked for.
+ * @param {string} [options.category] - Only include goals in this category.
+ * @param {string|string[]} [options.tag] - Only include goals with all of these tags, as an array or a comma separated list.
+ * @returns {Promise<object>} A promise that resolves with `{ goals, total, totalUnfiltered, nextCursor, hasMore }`,
+ * each goal with the `forecast` of its completion, or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const listGoals = async (userId, options = {}) => {
+    const {
+        limit,
+        cursor,
+        sortBy = 'createdAt',
+        sortOrder = 'desc',
+        minProgress,
+        maxProgress,
+        targetDateFrom,
+        targetDateTo,
+        search,
+        status,
+        category,
+        tag,
+    } = options;
+
+    // Validate inputs
+    if (!userId || !isValidObjectId(userId)) {
+        console.error('Invalid userId provided:', userId);
+        throw {
+            message: 'Invalid userId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const pageSize = parsePageSize(limit);
+    if (pageSize === null) {
+        console.error('Invalid page size provided:', limit);
+        throw {
+            message: 'Limit must be an integer between 1 and 100',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!GOAL_SORT_FIELDS.includes(sortBy)) {
+        console.error('Invalid sort field provided:', sortBy);
+        throw {
+            message: `sortBy must be one of: ${GOAL_SORT_FIELDS.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (sortOrder !== 'asc' && sortOrder !== 'desc') {
+        console.error('Invalid sort order provided:', sortOrder);
+        throw {
+            message: 'sortOrder must be either asc or desc',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    for (const [name, value] of [['minProgress', minProgress], ['maxProgress', maxProgress]]) {
+        if (value !== undefined && (typeof value !== 'number' || isNaN(value) || value < 0 || value > 100)) {
+            console.error(`Invalid ${name} provided:`, value);
+            throw {
+                message: `${name} must be a number between 0 and 100`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+
+    if (minProgress !== undefined && maxProgress !== undefined && minProgress > maxProgress) {
+        console.error('minProgress is greater than maxProgress:', minProgress, maxProgress);
+        throw {
+            message: 'minProgress must not be greater than maxProgress',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const targetDateFromObj = targetDateFrom ? new Date(targetDateFrom) : null;
+    const targetDateToObj = targetDateTo ? new Date(targetDateTo) : null;
+    if ((targetDateFromObj && isNaN(targetDateFromObj)) || (targetDateToObj && isNaN(targetDateToObj))) {
+        console.error('Invalid target date window provided:', targetDateFrom, targetDateTo);
+        throw {
+            message: 'Invalid target date format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const statuses = typeof status === 'string'
+        ? status.split(',').map((value) => value.trim()).filter(Boolean)
+        : status;
+    if (statuses !== undefined && (!Array.isArray(statuses) || statuses.some((value) => !GOAL_STATUSES.includes(value)))) {
+        console.error('Invalid status filter provided:', status);
+        throw {
+            message: `status must be one or more of: ${GOAL_STATUSES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (category !== undefined && !GOAL_CATEGORIES.includes(category)) {
+        console.error('Invalid category filter provided:', category);
+        throw {
+            message: `category must be one of: ${GOAL_CATEGORIES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const requestedTags = typeof tag === 'string' ? tag.split(',') : tag;
+    const tagFilter = Array.isArray(requestedTags) ? requestedTags.map(normalizeTag) : [];
+    if ((tag !== undefined && !Array.isArray(requestedTags)) || tagFilter.includes(null)) {
+        console.error('Invalid tag filter provided:', tag);
+        throw {
+            message: 'tag must be one or more valid tags',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    let decodedCursor = null;
+    if (cursor) {
+        decodedCursor = decodeCursor(cursor, sortBy);
+        if (!decodedCursor) {
+            console.error('Invalid cursor provided:', cursor);
+            throw {
+                message: 'Invalid cursor',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+
+    // Build the filter shared by the page query and the total count
+    const filter = {
+        userId,
+        status: statuses && statuses.length > 0 ? { $in: statuses } : { $ne: 'archived' },
+    };
+    if (category) {
+        filter.category = category;
+    }
+    if (tagFilter.length > 0) {
+        filter.tags = { $all: tagFilter };
+    }
+    if (minProgress !== undefined || maxProgress !== undefined) {
+        filter.progress = {};
+        if (minProgress !== undefined) filter.progress.$gte = minProgress;
+        if (maxProgress !== undefined) filter.progress.$lte = maxProgress;
+    }
+    if (targetDateFromObj || targetDateToObj) {
+        filter.targetDate = {};
+        if (targetDateFromObj) filter.targetDate.$gte = targetDateFromObj;
+        if (targetDateToObj) filter.targetDate.$lte = targetDateToObj;
+    }
+    const sanitizedSearch = sanitizeString(search);
+    if (sanitizedSearch) {
+        const pattern = new RegExp(escapeRegExp(sanitizedSearch), 'i');
+        filter.$or = [{ title: pattern }, { description: pattern }];
+    }
+
+    const pageQuery = decodedCursor
+        ? { $and: [filter, buildCursorFilter(sortBy, direction, decodedCursor)] }
+        : filter;
+
+    try {
+        await findUser(userId);
+
+        // Fetch one extra goal to find out whether there is a next page
+        const [goals, total, totalUnfiltered] = await Promise.all([
+            Goal.find(pageQuery)
+                .sort({ [sortBy]: direction, _id: direction })
+                .limit(pageSize + 1),
+            Goal.countDocuments(filter),
+            Goal.countDocuments({ userId }),
+        ]);
+
+        const hasMore = goals.length > pageSize;
+        const page = hasMore ? goals.slice(0, pageSize) : goals;
+        const forecasts = await forecastGoals(page);
+
+        return {
+            goals: page.map((goal) => ({ ...goal.toJSON(), forecast: forecasts.get(String(goal._id)) })),
+            total,
+            totalUnfiltered,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1], sortBy) : null,
+            hasMore,
+        };
+    } catch (error) {
+        console.error('Failed to list goals:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list goals',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
 /**
  * Updates an existing fitness goal with the specified parameters, including input validation,
  * user existence check, and updating the goal in the database.
@@ -218,15 +896,22 @@ const getGoal = async (goalId, userId) => {
  * @param {string} title - The updated title of the fitness goal.
  * @param {string} description - The updated description of the fitness goal.
   * @param {string} targetDate - The updated target date for the fitness goal.
- * @param {number} progress - The updated progress of the goal.
+ * @param {number} [progress] - The updated progress of a percentage goal, recorded as a new progress entry.
+ * @param {object} [measurement={}] - Updated `startValue`, `targetValue`, `direction`, `exerciseId` and `measurementType`
+ * (null to unlink) of a measurable goal, or an updated `progressSource` of a percentage goal.
+ * The `metricType` and `unit` of a goal cannot be changed, as logged values are expressed in them.
+ * @param {object} [schedule={}] - Updated `recurrence`, `timezone` and `nutritionRule` (null to remove it) of a habit goal.
+ * The `goalType` cannot be changed.
+ * @param {object} [labels={}] - Updated `category` and `tags` of the goal, the tags replace the current ones.
  * @returns {Promise<object>} A promise that resolves with the updated goal object or rejects with an error object.
  * @throws {Error} If there is an issue with input validation, goal lookup, user lookup, or database access.
  */
-const updateGoal = async (goalId, userId, title, description, targetDate, progress) => {
+const updateGoal = async (goalId, userId, title, description, targetDate, progress, measurement = {}, schedule = {}, labels = {}) => {
 
     // Sanitize inputs
     const sanitizedTitle = sanitizeString(title);
     const sanitizedDescription = sanitizeString(description);
+    const normalizedLabels = normalizeLabels(labels);
 
     // Validate inputs
     if (!goalId || !isValidObjectId(goalId)) {
@@ -273,17 +958,9 @@ const updateGoal = async (goalId, userId, title, description, targetDate, progre
                 statusText: 'Bad Request',
              };
         }
-      if (targetDateObj <= new Date()) {
-          console.error('Target date must be in the future.');
-          throw {
-            message: 'Target date must be in the future',
-            code: 400,
-            statusText: 'Bad Request',
-          };
-        }
     }
 
-    if (typeof progress !== 'number' || progress < 0 || progress > 100) {
+    if (progress !== undefined && (typeof progress !== 'number' || progress < 0 || progress > 100)) {
        console.error('Progress must be a number between 0 and 100.');
         throw {
             message: 'Progress must be a number between 0 and 100',
@@ -294,16 +971,7 @@ const updateGoal = async (goalId, userId, title, description, targetDate, progre
 
 
     try {
-          // Check if the user exists
-        const user = await User.findById(userId);
-        if (!user) {
-           console.error('User not found with the given userId:', userId);
-            throw {
-              message: 'User not found',
-              code: 404,
-              statusText: 'Not Found',
-            };
-        }
+        await findUser(userId);
         const goal = await Goal.findOne({ _id: goalId, userId: userId });
         if (!goal) {
            console.error('Goal not found with the given goalId and userId:', goalId, userId);
@@ -315,11 +983,189 @@ const updateGoal = async (goalId, userId, title, description, targetDate, progre
         }
 
 
+        // Only a changed target date has to be in the future, expired goals can still be edited otherwise
+        if (targetDate) {
+            const targetDateObj = new Date(targetDate);
+            const targetDateChanged = !goal.targetDate || goal.targetDate.getTime() !== targetDateObj.getTime();
+            if (targetDateChanged && targetDateObj <= new Date()) {
+                console.error('Target date must be in the future.');
+                throw {
+                    message: 'Target date must be in the future',
+                    code: 400,
+                    statusText: 'Bad Request',
+                };
+            }
+        }
+
+        if (progress !== undefined && goal.isMeasurable()) {
+            console.error('Progress cannot be supplied for measurable goals.');
+            throw {
+                message: 'Progress of measurable goals is computed from logged values and cannot be supplied',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        const { metricType, unit, startValue, targetValue, direction, progressSource, exerciseId, measurementType } = measurement;
+        const progressSourceChanged = progressSource !== undefined && progressSource !== goal.progressSource;
+        if (progressSourceChanged) {
+            validateProgressSource(progressSource, goal.isMeasurable(), goal.goalType === 'habit');
+            goal.progressSource = progressSource;
+        }
+
+        if (progress !== undefined && goal.progressSource !== 'entries') {
+            console.error('Progress cannot be supplied for goals rolling up milestones or a training plan.');
+            throw {
+                message: `Progress of this goal rolls up from its ${goal.progressSource === 'plan' ? 'training plan' : 'milestones'} and cannot be supplied`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        // Resending the current progress logs nothing, so only a changed value is refused
+        if (progress !== undefined && progress !== goal.progress && !goal.acceptsProgress()) {
+            console.error('Progress cannot be logged for goals that are on hold:', goal._id, goal.status);
+            throw {
+                message: `Progress cannot be logged while the goal is ${goal.status}`,
+                code: 409,
+                statusText: 'Conflict',
+            };
+        }
+
+        if ((metricType !== undefined && metricType !== goal.metricType) || (unit !== undefined && sanitizeString(unit) !== goal.unit)) {
+            console.error('Attempt to change the metric type or unit of goal:', goalId);
+            throw {
+                message: 'The metricType and unit of a goal cannot be changed',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        // A new exercise only changes which sets of future workouts count, logged progress stays as it is
+        if (exerciseId !== undefined) {
+            if (exerciseId !== null) {
+                const tracksMeasurement = measurementType !== undefined ? measurementType !== null : Boolean(goal.measurementType);
+                if (!goal.isMeasurable() || tracksMeasurement) {
+                    console.error('Exercise provided for a goal that is not measurable or tracks a body measurement:', goalId);
+                    throw {
+                        message: 'Only measurable goals that do not track a body measurement can track an exercise',
+                        code: 400,
+                        statusText: 'Bad Request',
+                    };
+                }
+                await findGoalExercise(userId, exerciseId, goal.metricType);
+            }
+            goal.exerciseId = exerciseId;
+        }
+
+        // Likewise a new measurement type only applies to measurements logged from now on
+        if (measurementType !== undefined) {
+            if (measurementType !== null) {
+                if (!goal.isMeasurable() || goal.exerciseId) {
+                    console.error('Measurement type provided for a goal that is not measurable or tracks an exercise:', goalId);
+                    throw {
+                        message: 'Only measurable goals that do not track an exercise can track a body measurement',
+                        code: 400,
+                        statusText: 'Bad Request',
+                    };
+                }
+                validateMeasurementType(measurementType, goal.unit);
+            }
+            goal.measurementType = measurementType;
+        }
+
+        const measurementChanged = startValue !== undefined || targetValue !== undefined || direction !== undefined;
+        if (measurementChanged) {
+            if (!goal.isMeasurable()) {
+                console.error('Attempt to set measurement values on a percentage goal:', goalId);
+                throw {
+                    message: 'startValue, targetValue and direction only apply to measurable goals',
+                    code: 400,
+                    statusText: 'Bad Request',
+                };
+            }
+            // Validate the resulting settings as a whole, so a new target stays consistent with the direction
+            const normalizedMeasurement = normalizeMeasurement({
+                metricType: goal.metricType,
+                unit: goal.unit,
+                startValue: startValue !== undefined ? startValue : goal.startValue,
+                targetValue: targetValue !== undefined ? targetValue : goal.targetValue,
+                direction: direction !== undefined ? direction : goal.direction,
+            });
+            goal.startValue = normalizedMeasurement.startValue;
+            goal.targetValue = normalizedMeasurement.targetValue;
+            goal.direction = normalizedMeasurement.direction;
+        }
+
+        const { goalType, recurrence, timezone, nutritionRule } = schedule;
+        if (goalType !== undefined && goalType !== goal.goalType) {
+            console.error('Attempt to change the goal type of goal:', goalId);
+            throw {
+                message: 'The goalType of a goal cannot be changed',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        if (recurrence !== undefined || timezone !== undefined) {
+            if (goal.goalType !== 'habit') {
+                console.error('Attempt to set a recurrence on a target goal:', goalId);
+                throw {
+                    message: 'recurrence and timezone only apply to habit goals',
+                    code: 400,
+                    statusText: 'Bad Request',
+                };
+            }
+            const normalizedSchedule = normalizeSchedule({
+                goalType: goal.goalType,
+                recurrence: recurrence !== undefined ? recurrence : goal.toObject().recurrence,
+                timezone: timezone !== undefined ? timezone : goal.timezone,
+            });
+            goal.recurrence = normalizedSchedule.recurrence;
+            goal.timezone = normalizedSchedule.timezone;
+        }
+
+        if (nutritionRule !== undefined) {
+            if (goal.goalType !== 'habit') {
+                console.error('Attempt to set a nutrition rule on a target goal:', goalId);
+                throw {
+                    message: 'Only habit goals can have a nutritionRule',
+                    code: 400,
+                    statusText: 'Bad Request',
+                };
+            }
+            goal.nutritionRule = nutritionRule === null ? null : normalizeNutritionRule(nutritionRule);
+        }
+
         if(sanitizedTitle) goal.title = sanitizedTitle;
         if(sanitizedDescription) goal.description = sanitizedDescription;
         if(targetDate) goal.targetDate = new Date(targetDate);
-        if(progress) goal.progress = progress;
-        const updatedGoal = await goal.save();
+        Object.assign(goal, normalizedLabels);
+        // New start or target values change what the logged values are worth
+        let updatedGoal;
+        if (progressSourceChanged && progressSource === 'milestones') {
+            // Switching to milestones takes the rolled up progress right away
+            updatedGoal = await rollupMilestoneProgress(goal, 'Progress rolled up from milestones');
+        } else if (progressSourceChanged && progressSource === 'plan') {
+            // Likewise for the sessions of an attached training plan
+            updatedGoal = await rollupPlanProgress(await goal.save(), 'Progress rolled up from training plan');
+        } else {
+            updatedGoal = measurementChanged ? await syncGoalProgress(goal) : await goal.save();
+        }
+
+        // A new recurrence or timezone changes which periods the existing check-ins complete,
+        // and a new nutrition rule or schedule which logged days meet the rule
+        if (nutritionRule !== undefined || (updatedGoal.nutritionRule && (recurrence !== undefined || timezone !== undefined))) {
+            await rescoreNutritionGoal(updatedGoal);
+        } else if (recurrence !== undefined || timezone !== undefined) {
+            await refreshStreaks(updatedGoal);
+        }
+
+        // Progress is never overwritten in place, a changed value is appended to the progress history
+        if (progress !== undefined && progress !== updatedGoal.progress) {
+            const { goal: progressedGoal } = await recordProgressEntry(updatedGoal, progress);
+            return progressedGoal;
+        }
         return updatedGoal;
     } catch (error) {
       console.error('Failed to update goal:', error);
@@ -340,7 +1186,102 @@ const updateGoal = async (goalId, userId, title, description, targetDate, progre
 
 
 /**
- * Deletes a fitness goal by its ID and user ID from the database.
+ * Moves a fitness goal to another status of its lifecycle, see `GOAL_STATUS_TRANSITIONS` in the Goal model.
+ * Every transition is stamped and appended to the status history of the goal.
+ *
+ * @param {string} goalId - The ID of the goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @param {string} status - The status to move to: 'active', 'paused', 'completed', 'abandoned' or 'archived'.
+ * @param {string} [reason] - Why the status changed, up to 200 characters.
+ * @returns {Promise<object>} A promise that resolves with the updated goal object or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, a disallowed transition, goal lookup, or database access.
+ */
+const changeGoalStatus = async (goalId, userId, status, reason) => {
+    // Sanitize inputs
+    const sanitizedReason = sanitizeString(reason);
+
+    // Validate inputs
+    if (!goalId || !isValidObjectId(goalId)) {
+        console.error('Invalid goalId provided:', goalId);
+        throw {
+            message: 'Invalid goalId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!userId || !isValidObjectId(userId)) {
+        console.error('Invalid userId provided:', userId);
+        throw {
+            message: 'Invalid userId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!GOAL_STATUSES.includes(status)) {
+        console.error('Invalid goal status provided:', status);
+        throw {
+            message: `status must be one of: ${GOAL_STATUSES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (sanitizedReason.length > 200) {
+        console.error('Status reason must be less than 200 characters long.');
+        throw {
+            message: 'Status reason must be less than 200 characters long',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        await findUser(userId);
+
+        const goal = await Goal.findOne({ _id: goalId, userId: userId });
+        if (!goal) {
+            console.error('Goal not found with the given goalId and userId:', goalId, userId);
+            throw {
+                message: 'Goal not found',
+                code: 404,
+                statusText: 'Not Found',
+            };
+        }
+
+        if (!goal.canTransitionTo(status)) {
+            console.error(`Goal cannot move from ${goal.status} to ${status}:`, goalId);
+            const allowed = GOAL_STATUS_TRANSITIONS[goal.status];
+            throw {
+                message: `Goal is ${goal.status} and can only move to: ${allowed.join(', ')}`,
+                code: 409,
+                statusText: 'Conflict',
+            };
+        }
+
+        goal.applyStatus(status, sanitizedReason);
+        return await goal.save();
+    } catch (error) {
+        console.error('Failed to change goal status:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to change goal status',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Deletes a fitness goal by its ID and user ID by moving it to the trash.
+ * The goal is left out of all goal queries from then on, and can be restored until it is purged.
  *
  * @param {string} goalId - The ID of the goal to delete.
  * @param {string} userId - The ID of the user who owns the goal.
@@ -369,16 +1310,7 @@ const deleteGoal = async (goalId, userId) => {
 
 
     try {
-         // Check if the user exists
-      const user = await User.findById(userId);
-        if (!user) {
-           console.error('User not found with the given userId:', userId);
-            throw {
-               message: 'User not found',
-               code: 404,
-               statusText: 'Not Found',
-            };
-       }
+        await findUser(userId);
 
       const goal = await Goal.findOne({ _id: goalId, userId: userId });
 
@@ -391,8 +1323,10 @@ const deleteGoal = async (goalId, userId) => {
         };
         }
 
-        await Goal.deleteOne({ _id: goalId, userId: userId });
-        return { message: 'Goal deleted successfully' };
+        // Soft delete, the goal and its history stay restorable until the trash is purged, see trashService
+        goal.deletedAt = new Date();
+        await goal.save();
+        return { message: 'Goal moved to trash' };
     } catch (error) {
          console.error('Failed to delete goal:', error);
 
@@ -410,4 +1344,4 @@ const deleteGoal = async (goalId, userId) => {
 
 
 
-export { createGoal, getGoal, updateGoal, deleteGoal };
\ No newline at end of file
+export { validateGoalInput, createGoal, getGoal, listGoals, updateGoal, changeGoalStatus, deleteGoal };
\ No newline at end of file
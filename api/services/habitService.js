@@ -0,0 +1,452 @@
+// api/services/habitService.js
+import Goal from '../models/Goal';
+import CheckIn from '../models/CheckIn';
+import { isValidObjectId, sanitizeString } from '../../src/utils/helpers';
+import { isValidLocalDate, toLocalDate, addDays, dayOfWeek, startOfWeek, diffInDays } from '../utils/dateUtils';
+import { findUser } from './userService';
+
+
+/**
+ * Provides the business logic for recurring habit goals: per-period check-ins,
+ * current and longest streaks, and the calendar of completed and missed periods.
+ * All periods are computed on local calendar dates in the timezone of the goal.
+ * A period is a day for 'daily' and 'weekdays' habits and a Monday-to-Sunday week for 'weekly' habits.
+ */
+
+// Longest date range a calendar can be requested for
+const MAX_CALENDAR_DAYS = 366;
+
+/**
+ * Builds the periods of a habit goal that overlap a local date range, in chronological order.
+ *
+ * @param {object} recurrence - The recurrence rule of the goal.
+ * @param {string} from - The first local date of the range.
+ * @param {string} to - The last local date of the range.
+ * @returns {Array<{ start: string, end: string, required: number }>} The periods.
+ */
+const buildPeriods = (recurrence, from, to) => {
+    const periods = [];
+
+    if (recurrence.frequency === 'weekly') {
+        for (let start = startOfWeek(from); start <= to; start = addDays(start, 7)) {
+            periods.push({ start, end: addDays(start, 6), required: recurrence.timesPerWeek });
+        }
+        return periods;
+    }
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        if (recurrence.frequency === 'daily' || recurrence.weekdays.includes(dayOfWeek(date))) {
+            periods.push({ start: date, end: date, required: 1 });
+        }
+    }
+    return periods;
+};
+
+
+/**
+ * Evaluates the periods of a habit goal against its check-ins.
+ * Periods that are over are 'completed' or 'missed'; the period containing today is 'completed'
+ * once enough check-ins are logged and 'pending' until then. Future periods are 'upcoming'.
+ *
+ * @param {object} recurrence - The recurrence rule of the goal.
+ * @param {string[]} checkInDates - The local dates of the check-ins, in any order.
+ * @param {string} from - The first local date to evaluate.
+ * @param {string} to - The last local date to evaluate.
+ * @param {string} today - Today's local date in the goal's timezone.
+ * @returns {Array<object>} The periods with their `count` of check-ins and `status`.
+ */
+const evaluatePeriods = (recurrence, checkInDates, from, to, today) => {
+    const periods = buildPeriods(recurrence, from, to);
+    const sortedDates = [...checkInDates].sort();
+
+    let index = 0;
+    return periods.map((period) => {
+        // Skip check-ins before the period, e.g. on unscheduled weekdays
+        while (index < sortedDates.length && sortedDates[index] < period.start) index++;
+        let count = 0;
+        while (index < sortedDates.length && sortedDates[index] <= period.end) {
+            count++;
+            index++;
+        }
+
+        let status;
+        if (count >= period.required) status = 'completed';
+        else if (period.start > today) status = 'upcoming';
+        else if (period.end >= today) status = 'pending';
+        else status = 'missed';
+
+        return { ...period, count, status };
+    });
+};
+
+
+/**
+ * Computes the current and longest streak of consecutive completed periods.
+ * The period in progress does not break the current streak until it is over.
+ *
+ * @param {Array<object>} periods - Evaluated periods in chronological order, see `evaluatePeriods`.
+ * @returns {{ currentStreak: number, longestStreak: number }} The streaks, counted in periods.
+ */
+const computeStreaks = (periods) => {
+    let run = 0;
+    let longestStreak = 0;
+
+    for (const period of periods) {
+        if (period.status === 'completed') {
+            run++;
+            longestStreak = Math.max(longestStreak, run);
+        } else if (period.status === 'missed') {
+            run = 0;
+        }
+    }
+
+    return { currentStreak: run, longestStreak };
+};
+
+
+/**
+ * Looks up a habit goal owned by a user, throwing formatted errors if the user or goal does not exist
+ * or if the goal is not a habit.
+ *
+ * @param {string} goalId - The ID of the goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the goal.
+ */
+const findUserHabit = async (goalId, userId) => {
+    await findUser(userId);
+
+    const goal = await Goal.findOne({ _id: goalId, userId: userId });
+    if (!goal) {
+        console.error('Goal not found with the given goalId and userId:', goalId, userId);
+        throw {
+            message: 'Goal not found',
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+
+    if (goal.goalType !== 'habit') {
+        console.error('Goal is not a habit goal:', goalId);
+        throw {
+            message: 'Check-ins, streaks and calendars are only available for habit goals',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    return goal;
+};
+
+
+/**
+ * Recomputes the streaks of a habit goal from all of its check-ins and caches them on the goal.
+ *
+ * @param {mongoose.Document} goal - The habit goal.
+ * @returns {Promise<{ currentStreak: number, longestStreak: number }>} A promise that resolves with the streaks.
+ */
+const refreshStreaks = async (goal) => {
+    const checkIns = await CheckIn.find({ goalId: goal._id }).select('date').sort({ date: 1 });
+    const dates = checkIns.map((checkIn) => checkIn.date);
+    const today = toLocalDate(new Date(), goal.timezone);
+
+    // Count from the goal's creation, or from the first check-in if earlier ones were backfilled
+    const createdOn = toLocalDate(goal.createdAt, goal.timezone);
+    const from = dates.length > 0 && dates[0] < createdOn ? dates[0] : createdOn;
+
+    const streaks = computeStreaks(evaluatePeriods(goal.recurrence, dates, from, today, today));
+
+    if (goal.currentStreak !== streaks.currentStreak || goal.longestStreak !== streaks.longestStreak) {
+        goal.currentStreak = streaks.currentStreak;
+        goal.longestStreak = streaks.longestStreak;
+        await goal.save();
+    }
+    return streaks;
+};
+
+
+/**
+ * Validates the goal and user IDs shared by all habit operations.
+ *
+ * @param {string} goalId - The ID of the goal.
+ * @param {string} userId - The ID of the user.
+ * @throws {Error} If one of the IDs is invalid.
+ */
+const validateIds = (goalId, userId) => {
+    if (!goalId || !isValidObjectId(goalId)) {
+        console.error('Invalid goalId provided:', goalId);
+        throw {
+            message: 'Invalid goalId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!userId || !isValidObjectId(userId)) {
+        console.error('Invalid userId provided:', userId);
+        throw {
+            message: 'Invalid userId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+};
+
+
+/**
+ * Checks in a habit goal for a local date.
+ *
+ * @param {string} goalId - The ID of the habit goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @param {string} [date] - The local date as 'YYYY-MM-DD', defaults to today in the goal's timezone.
+ * @param {string} [note] - An optional note, up to 500 characters.
+ * @returns {Promise<object>} A promise that resolves with `{ checkIn, currentStreak, longestStreak }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, goal lookup, a duplicate check-in, or database access.
+ */
+const checkIn = async (goalId, userId, date, note) => {
+    // Sanitize inputs
+    const sanitizedDate = sanitizeString(date);
+    const sanitizedNote = sanitizeString(note);
+
+    // Validate inputs
+    validateIds(goalId, userId);
+
+    if (sanitizedDate && !isValidLocalDate(sanitizedDate)) {
+        console.error('Invalid check-in date provided:', date);
+        throw {
+            message: 'Check-in date must be a valid date in YYYY-MM-DD format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (sanitizedNote.length > 500) {
+        console.error('Check-in note must be less than 500 characters long.');
+        throw {
+            message: 'Check-in note must be less than 500 characters long',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        const goal = await findUserHabit(goalId, userId);
+        if (!goal.acceptsProgress()) {
+            console.error('Habit cannot be checked in while on hold:', goalId, goal.status);
+            throw {
+                message: `Goal cannot be checked in while it is ${goal.status}`,
+                code: 409,
+                statusText: 'Conflict',
+            };
+        }
+
+        const today = toLocalDate(new Date(), goal.timezone);
+        const checkInDate = sanitizedDate || today;
+
+        if (checkInDate > today) {
+            console.error('Check-in date is in the future:', checkInDate);
+            throw {
+                message: 'Check-in date must not be in the future',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        if (goal.recurrence.frequency === 'weekdays' && !goal.recurrence.weekdays.includes(dayOfWeek(checkInDate))) {
+            console.error('Check-in date is not a scheduled weekday:', checkInDate);
+            throw {
+                message: 'Check-in date is not one of the scheduled weekdays of this habit',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        const existingCheckIn = await CheckIn.findOne({ goalId: goal._id, date: checkInDate });
+        if (existingCheckIn) {
+            console.error('Goal already checked in on date:', goalId, checkInDate);
+            throw {
+                message: 'Goal is already checked in on this date',
+                code: 409,
+                statusText: 'Conflict',
+            };
+        }
+
+        const newCheckIn = await CheckIn.create({
+            goalId: goal._id,
+            userId: goal.userId,
+            date: checkInDate,
+            note: sanitizedNote || undefined,
+        });
+        const streaks = await refreshStreaks(goal);
+        return { checkIn: newCheckIn, ...streaks };
+    } catch (error) {
+        console.error('Failed to check in goal:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to check in goal',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Removes a check-in from a habit goal.
+ *
+ * @param {string} goalId - The ID of the habit goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @param {string} checkInId - The ID of the check-in to remove.
+ * @returns {Promise<object>} A promise that resolves with `{ message, currentStreak, longestStreak }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, goal or check-in lookup, or database access.
+ */
+const deleteCheckIn = async (goalId, userId, checkInId) => {
+    // Validate inputs
+    validateIds(goalId, userId);
+
+    if (!checkInId || !isValidObjectId(checkInId)) {
+        console.error('Invalid checkInId provided:', checkInId);
+        throw {
+            message: 'Invalid checkInId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        const goal = await findUserHabit(goalId, userId);
+
+        const result = await CheckIn.deleteOne({ _id: checkInId, goalId: goal._id });
+        if (result.deletedCount === 0) {
+            console.error('Check-in not found with the given checkInId and goalId:', checkInId, goalId);
+            throw {
+                message: 'Check-in not found',
+                code: 404,
+                statusText: 'Not Found',
+            };
+        }
+
+        const streaks = await refreshStreaks(goal);
+        return { message: 'Check-in deleted successfully', ...streaks };
+    } catch (error) {
+        console.error('Failed to delete check-in:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to delete check-in',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Retrieves the current and longest streak of a habit goal, computed as of today in the goal's timezone.
+ *
+ * @param {string} goalId - The ID of the habit goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @returns {Promise<object>} A promise that resolves with `{ currentStreak, longestStreak, frequency, timezone }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, goal lookup, or database access.
+ */
+const getStreak = async (goalId, userId) => {
+    // Validate inputs
+    validateIds(goalId, userId);
+
+    try {
+        const goal = await findUserHabit(goalId, userId);
+        const streaks = await refreshStreaks(goal);
+        return { ...streaks, frequency: goal.recurrence.frequency, timezone: goal.timezone };
+    } catch (error) {
+        console.error('Failed to retrieve streak:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to retrieve streak',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Retrieves the calendar of a habit goal: every period overlapping a local date range with
+ * its number of check-ins and its status ('completed', 'missed', 'pending' or 'upcoming').
+ *
+ * @param {string} goalId - The ID of the habit goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @param {string} [from] - The first local date as 'YYYY-MM-DD', defaults to 12 weeks before `to`.
+ * @param {string} [to] - The last local date as 'YYYY-MM-DD', defaults to today in the goal's timezone.
+ * @returns {Promise<object>} A promise that resolves with `{ timezone, from, to, periods }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, goal lookup, or database access.
+ */
+const getCalendar = async (goalId, userId, from, to) => {
+    // Sanitize inputs
+    const sanitizedFrom = sanitizeString(from);
+    const sanitizedTo = sanitizeString(to);
+
+    // Validate inputs
+    validateIds(goalId, userId);
+
+    if ((sanitizedFrom && !isValidLocalDate(sanitizedFrom)) || (sanitizedTo && !isValidLocalDate(sanitizedTo))) {
+        console.error('Invalid calendar range provided:', from, to);
+        throw {
+            message: 'from and to must be valid dates in YYYY-MM-DD format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        const goal = await findUserHabit(goalId, userId);
+        const today = toLocalDate(new Date(), goal.timezone);
+        const rangeEnd = sanitizedTo || today;
+        const rangeStart = sanitizedFrom || addDays(rangeEnd, -83);
+
+        if (rangeStart > rangeEnd || diffInDays(rangeStart, rangeEnd) >= MAX_CALENDAR_DAYS) {
+            console.error('Invalid calendar range provided:', rangeStart, rangeEnd);
+            throw {
+                message: `from must not be after to, and the range must not exceed ${MAX_CALENDAR_DAYS} days`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        // Weekly periods may start before the range, include their check-ins as well
+        const checkIns = await CheckIn.find({
+            goalId: goal._id,
+            date: { $gte: startOfWeek(rangeStart), $lte: addDays(rangeEnd, 6) },
+        }).select('date');
+
+        const periods = evaluatePeriods(goal.recurrence, checkIns.map((c) => c.date), rangeStart, rangeEnd, today);
+        return { timezone: goal.timezone, from: rangeStart, to: rangeEnd, periods };
+    } catch (error) {
+        console.error('Failed to retrieve habit calendar:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to retrieve habit calendar',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+export { checkIn, deleteCheckIn, getStreak, getCalendar, evaluatePeriods, computeStreaks, refreshStreaks };
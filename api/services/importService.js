@@ -0,0 +1,369 @@
+// api/services/importService.js
+import mongoose from 'mongoose';
+import Goal from '../models/Goal';
+import ProgressEntry from '../models/ProgressEntry';
+import { validateGoalInput } from './goalService';
+import { sanitizeString } from '../../src/utils/helpers';
+import { parseCsv } from '../utils/csv';
+import { findUser } from './userService';
+
+/**
+ * Provides the business logic for importing goals from CSV files, such as spreadsheets users migrate from.
+ * The first row of a file holds the column headers, and a mapping names the column each goal field is read from;
+ * columns named like a goal field are mapped to it by default. Every row is validated with the rules goals are
+ * created with, see goalService.validateGoalInput. A dry run reports the errors of each row without writing
+ * anything, and an import saves either every row in one transaction or, if any row is invalid, none of them.
+ */
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Error code of a standalone MongoDB server refusing to start a transaction
+const ILLEGAL_OPERATION_CODE = 20;
+
+// List fields separate their items with semicolons, as the goal export writes them
+const LIST_SEPARATOR = ';';
+
+// The goal fields a column can be mapped to, with how the text of a cell is read
+const IMPORT_FIELDS = {
+    title: 'text',
+    description: 'text',
+    targetDate: 'text',
+    progress: 'number',
+    category: 'text',
+    tags: 'list',
+    goalType: 'text',
+    frequency: 'text',
+    timesPerWeek: 'number',
+    weekdays: 'numberList',
+    timezone: 'text',
+    metricType: 'text',
+    unit: 'text',
+    direction: 'text',
+    startValue: 'number',
+    targetValue: 'number',
+};
+
+/**
+ * Reads the value of a goal field from the text of a cell.
+ *
+ * @param {string} field - The goal field.
+ * @param {string} text - The cell text.
+ * @returns {*} The value, undefined for an empty cell.
+ * @throws {Error} If a number or list of numbers cannot be read.
+ */
+const readCell = (field, text) => {
+    const trimmed = text.trim();
+    if (trimmed === '') {
+        return undefined;
+    }
+
+    const kind = IMPORT_FIELDS[field];
+    if (kind === 'list' || kind === 'numberList') {
+        const items = trimmed.split(LIST_SEPARATOR).map((item) => item.trim()).filter((item) => item !== '');
+        if (kind === 'list') {
+            return items;
+        }
+        const numbers = items.map(Number);
+        if (numbers.some((number) => !Number.isFinite(number))) {
+            console.error(`Invalid ${field} provided for import:`, trimmed);
+            throw {
+                message: `${field} must be a list of numbers separated by '${LIST_SEPARATOR}'`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+        return numbers;
+    }
+    if (kind === 'number') {
+        const number = Number(trimmed);
+        if (!Number.isFinite(number)) {
+            console.error(`Invalid ${field} provided for import:`, trimmed);
+            throw {
+                message: `${field} must be a number`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+        return number;
+    }
+    return trimmed;
+};
+
+/**
+ * Validates a column mapping against the headers of a file, filling in the columns named like a goal field.
+ *
+ * @param {object|undefined} mapping - The requested mapping of goal fields to column headers.
+ * @param {string[]} headers - The column headers of the file.
+ * @returns {object} The mapping of goal fields to column indexes.
+ * @throws {Error} If the mapping names an unknown field or column, or no column holds the title.
+ */
+const resolveMapping = (mapping, headers) => {
+    if (mapping !== undefined && (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping))) {
+        console.error('Invalid import mapping provided:', mapping);
+        throw {
+            message: 'mapping must be an object of goal fields to column headers',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const normalizedHeaders = headers.map((header) => header.trim().toLowerCase());
+    const columns = {};
+
+    // Columns named like a goal field map to it unless the mapping says otherwise
+    for (const field of Object.keys(IMPORT_FIELDS)) {
+        const index = normalizedHeaders.indexOf(field.toLowerCase());
+        if (index !== -1) columns[field] = index;
+    }
+
+    for (const [field, header] of Object.entries(mapping || {})) {
+        if (!Object.prototype.hasOwnProperty.call(IMPORT_FIELDS, field)) {
+            console.error('Unknown goal field in import mapping:', field);
+            throw {
+                message: `Unknown goal field '${field}' in mapping, fields are: ${Object.keys(IMPORT_FIELDS).join(', ')}`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+        // null leaves a field unmapped, even if a column is named like it
+        if (header === null) {
+            delete columns[field];
+            continue;
+        }
+        const index = typeof header === 'string' ? normalizedHeaders.indexOf(header.trim().toLowerCase()) : -1;
+        if (index === -1) {
+            console.error('Unknown column in import mapping:', field, header);
+            throw {
+                message: `Column '${header}' mapped to ${field} is not in the file`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+        columns[field] = index;
+    }
+
+    if (columns.title === undefined) {
+        console.error('No title column in import:', headers);
+        throw {
+            message: 'A column must be mapped to the goal title',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    return columns;
+};
+
+/**
+ * Validates a row of the file, reading its mapped cells into the arguments goals are created with.
+ *
+ * @param {string[]} cells - The cells of the row.
+ * @param {object} columns - The mapping of goal fields to column indexes.
+ * @returns {object} The validated goal, see goalService.validateGoalInput.
+ * @throws {Error} If a cell cannot be read or the goal is invalid.
+ */
+const validateRow = (cells, columns) => {
+    const values = {};
+    for (const [field, index] of Object.entries(columns)) {
+        values[field] = readCell(field, cells[index] === undefined ? '' : cells[index]);
+    }
+
+    const recurrence = values.frequency === undefined ? undefined : {
+        frequency: values.frequency,
+        timesPerWeek: values.timesPerWeek,
+        weekdays: values.weekdays,
+    };
+    return validateGoalInput(
+        values.title,
+        values.description,
+        values.targetDate,
+        values.progress,
+        {
+            metricType: values.metricType,
+            unit: values.unit,
+            startValue: values.startValue,
+            targetValue: values.targetValue,
+            direction: values.direction,
+        },
+        { goalType: values.goalType, recurrence, timezone: values.timezone },
+        { category: values.category, tags: values.tags },
+    );
+};
+
+
+/**
+ * Saves validated goals with the first entry of their progress history.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<object>} validGoals - The validated goals, see goalService.validateGoalInput.
+ * @param {mongoose.ClientSession} [session] - The session of the transaction to save them in, if any.
+ * @returns {Promise<Array<mongoose.Document>>} A promise that resolves with the saved goals; it rejects with the
+ * error of the first failed save, and `error.savedGoals` lists the goals saved before it.
+ */
+const insertGoals = async (userId, validGoals, session) => {
+    const savedGoals = [];
+    const entries = [];
+    try {
+        for (const { fields, isMeasurable, initialProgress } of validGoals) {
+            const goal = new Goal({ userId, ...fields });
+            const startingValue = isMeasurable ? fields.startValue : initialProgress;
+            goal.currentValue = startingValue;
+            goal.progress = goal.computeProgress(startingValue);
+            savedGoals.push(await goal.save({ session }));
+            entries.push({
+                goalId: goal._id,
+                userId: goal.userId,
+                value: startingValue,
+                recordedAt: goal.createdAt,
+                note: isMeasurable ? 'Starting value' : 'Initial progress',
+            });
+        }
+        await ProgressEntry.insertMany(entries, { session });
+    } catch (error) {
+        error.savedGoals = savedGoals;
+        throw error;
+    }
+    return savedGoals;
+};
+
+
+/**
+ * Saves validated goals with the first entry of their progress history, all in one transaction.
+ * Transactions need a replica set, so on a standalone MongoDB server the goals are saved one by
+ * one instead, and the goals saved so far are removed again if one of them fails.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<object>} validGoals - The validated goals, see goalService.validateGoalInput.
+ * @returns {Promise<Array<mongoose.Document>>} A promise that resolves with the saved goals.
+ */
+const saveGoals = async (userId, validGoals) => {
+    const session = await mongoose.startSession();
+    try {
+        let savedGoals = [];
+        // The callback may be retried on transient errors, so start over each time
+        await session.withTransaction(async () => {
+            savedGoals = await insertGoals(userId, validGoals, session);
+        });
+        return savedGoals;
+    } catch (error) {
+        if (error.code !== ILLEGAL_OPERATION_CODE) {
+            throw error;
+        }
+    } finally {
+        await session.endSession();
+    }
+
+    console.error('Transactions are not supported by the database server, importing goals without one.');
+    try {
+        return await insertGoals(userId, validGoals);
+    } catch (error) {
+        const goalIds = error.savedGoals.map((goal) => goal._id);
+        await ProgressEntry.deleteMany({ goalId: { $in: goalIds } });
+        await Goal.deleteMany({ _id: { $in: goalIds } });
+        throw error;
+    }
+};
+
+
+/**
+ * Imports goals for a user from a CSV file.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} csv - The CSV text, with a header row followed by one goal per row.
+ * @param {object} [options={}] - Import options.
+ * @param {object} [options.mapping] - Goal fields mapped to the header of the column they are read from, null
+ * leaves a field unmapped. Columns named like a goal field are mapped to it by default.
+ * @param {boolean} [options.dryRun=false] - Whether to only validate the rows.
+ * @returns {Promise<object>} A promise that resolves with `{ dryRun, totalRows, validRows, errors, goals }`,
+ * where `goals` are the created goals, empty for a dry run, or rejects with an error object. An import with
+ * invalid rows rejects with a 422 error object whose `errors` list the row errors.
+ * @throws {Error} If there is an issue with input validation, the file, invalid rows, user lookup, or database access.
+ */
+const importGoals = async (userId, csv, options = {}) => {
+    const { mapping, dryRun = false } = options;
+
+    if (typeof csv !== 'string' || csv.trim() === '') {
+        console.error('No CSV provided for import.');
+        throw {
+            message: 'A CSV file with a header row is required',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const { rows, error: syntaxError } = parseCsv(csv);
+    if (syntaxError) {
+        console.error('Malformed CSV provided for import:', syntaxError);
+        throw {
+            message: `Malformed CSV: ${syntaxError}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const [headers = [], ...dataRows] = rows;
+    const columns = resolveMapping(mapping, headers);
+
+    // Row numbers count the header as row 1, as spreadsheets do; blank rows are skipped
+    const numberedRows = dataRows
+        .map((cells, index) => ({ row: index + 2, cells }))
+        .filter(({ cells }) => cells.some((cell) => cell.trim() !== ''));
+    if (numberedRows.length === 0 || numberedRows.length > MAX_IMPORT_ROWS) {
+        console.error('Invalid number of rows provided for import:', numberedRows.length);
+        throw {
+            message: `The file must contain 1 to ${MAX_IMPORT_ROWS} goals`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        await findUser(userId);
+
+        const validGoals = [];
+        const errors = [];
+        for (const { row, cells } of numberedRows) {
+            try {
+                validGoals.push(validateRow(cells, columns));
+            } catch (rowError) {
+                errors.push({
+                    row,
+                    title: sanitizeString(cells[columns.title] || ''),
+                    message: rowError.message || 'Invalid row',
+                });
+            }
+        }
+
+        const report = { dryRun, totalRows: numberedRows.length, validRows: validGoals.length, errors };
+        if (dryRun) {
+            return { ...report, goals: [] };
+        }
+
+        if (errors.length > 0) {
+            console.error('Goal import rejected, invalid rows:', errors.length);
+            throw {
+                message: `${errors.length} of ${numberedRows.length} rows are invalid, no goals were imported`,
+                code: 422,
+                statusText: 'Unprocessable Entity',
+                errors,
+            };
+        }
+
+        const goals = await saveGoals(userId, validGoals);
+        return { ...report, goals };
+    } catch (error) {
+        console.error('Failed to import goals:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to import goals',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export { IMPORT_FIELDS, importGoals };
@@ -0,0 +1,582 @@
+// api/services/measurementService.js
+import BodyMeasurement, { MEASUREMENT_TYPES, MEASUREMENT_UNITS } from '../models/BodyMeasurement';
+import Goal from '../models/Goal';
+import ProgressEntry from '../models/ProgressEntry';
+import { recordProgressEntry, removeMeasurementEntries } from './progressService';
+import { isValidObjectId, sanitizeString } from '../../src/utils/helpers';
+import { parsePageSize, encodeCursor, decodeCursor, buildCursorFilter } from '../utils/pagination';
+import { convertUnit } from '../utils/units';
+import { findUser } from './userService';
+
+
+/**
+ * Provides the business logic for body measurements, such as weigh-ins, body fat and circumferences.
+ * Measurements form a time series per type, and the trend of a type is smoothed with a moving average
+ * so that day-to-day noise does not hide it. Measurable goals tracking a measurement type get a
+ * progress entry for every measurement of the type, converted to the goal's unit, which is taken
+ * back out when the measurement is updated or deleted.
+ */
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const MAX_VALUE = 1000;
+const MAX_STEPS = 200000;
+const DEFAULT_TREND_WINDOW_DAYS = 7;
+const MAX_TREND_WINDOW_DAYS = 90;
+const DEFAULT_TREND_RANGE_DAYS = 90;
+const MAX_TREND_RANGE_DAYS = 366;
+const MAX_TREND_POINTS = 5000;
+
+/**
+ * Validates and normalizes the fields of a body measurement.
+ *
+ * @param {object} data - The measurement fields.
+ * @param {string} data.type - One of `MEASUREMENT_TYPES`.
+ * @param {number} data.value - The measured value, a percentage for body fat.
+ * @param {string} [data.unit] - The unit of the value, required for types that can be logged in several units.
+ * @param {string|Date} [data.measuredAt] - When the measurement was taken, defaults to now.
+ * @param {string} [data.note] - A note, up to 500 characters.
+ * @returns {object} The normalized measurement fields.
+ * @throws {Error} If a field is invalid.
+ */
+const normalizeBodyMeasurement = ({ type, value, unit, measuredAt, note } = {}) => {
+    if (!MEASUREMENT_TYPES.includes(type)) {
+        console.error('Invalid measurement type provided:', type);
+        throw {
+            message: `type must be one of: ${MEASUREMENT_TYPES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const units = MEASUREMENT_UNITS[type];
+    const measurementUnit = unit === undefined && units.length === 1 ? units[0] : unit;
+    if (!units.includes(measurementUnit)) {
+        console.error('Invalid measurement unit provided:', type, unit);
+        throw {
+            message: `unit of ${type} must be one of: ${units.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const maxValue = { '%': 100, steps: MAX_STEPS }[measurementUnit] || MAX_VALUE;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > maxValue) {
+        console.error('Invalid measurement value provided:', value);
+        throw {
+            message: `value must be a positive number of at most ${maxValue} ${measurementUnit}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const measuredAtObj = measuredAt ? new Date(measuredAt) : new Date();
+    if (isNaN(measuredAtObj)) {
+        console.error('Invalid measuredAt provided:', measuredAt);
+        throw {
+            message: 'Invalid measuredAt date format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    if (measuredAtObj > new Date()) {
+        console.error('Measurement date is in the future:', measuredAt);
+        throw {
+            message: 'measuredAt must not be in the future',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const sanitizedNote = sanitizeString(note);
+    if (sanitizedNote.length > 500) {
+        console.error('Measurement note must be less than 500 characters long.');
+        throw {
+            message: 'Measurement note must be less than 500 characters long',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    return {
+        type,
+        value,
+        unit: measurementUnit,
+        measuredAt: measuredAtObj,
+        note: sanitizedNote || undefined,
+    };
+};
+
+
+/**
+ * Logs a measurement as a progress entry of the goals tracking its type.
+ *
+ * @param {mongoose.Document} measurement - The saved measurement.
+ * @returns {Promise<Array<object>>} A promise that resolves with one `{ goalId, applied, reason, progress, currentValue }` per tracking goal.
+ */
+const applyMeasurementToGoals = async (measurement) => {
+    const goals = await Goal.find({ userId: measurement.userId, measurementType: measurement.type });
+    const goalUpdates = [];
+
+    for (const goal of goals) {
+        if (!goal.acceptsProgress()) {
+            goalUpdates.push({ goalId: goal._id, applied: false, reason: `Goal is ${goal.status}` });
+            continue;
+        }
+
+        const value = convertUnit(measurement.value, measurement.unit, goal.unit);
+        if (value === null) {
+            goalUpdates.push({ goalId: goal._id, applied: false, reason: `Goal unit ${goal.unit} does not fit ${measurement.unit}` });
+            continue;
+        }
+
+        const { goal: updatedGoal } = await recordProgressEntry(
+            goal,
+            Math.round(value * 100) / 100,
+            measurement.measuredAt,
+            `Measurement: ${measurement.type}`,
+            undefined,
+            measurement._id,
+        );
+        goalUpdates.push({ goalId: goal._id, applied: true, progress: updatedGoal.progress, currentValue: updatedGoal.currentValue });
+    }
+    return goalUpdates;
+};
+
+
+/**
+ * Takes back the progress entries a measurement logged, including for goals that were moved to the trash since.
+ *
+ * @param {mongoose.Document} measurement - The measurement.
+ * @returns {Promise<void>}
+ */
+const revertMeasurementFromGoals = async (measurement) => {
+    const goalIds = await ProgressEntry.distinct('goalId', { measurementId: measurement._id });
+    const goals = await Goal.find({ _id: { $in: goalIds } }, null, { withDeleted: true });
+    for (const goal of goals) {
+        await removeMeasurementEntries(goal, measurement._id);
+    }
+};
+
+
+/**
+ * Looks up a measurement owned by a user, throwing formatted errors if the ID is invalid or the measurement does not exist.
+ *
+ * @param {string} measurementId - The ID of the measurement.
+ * @param {string} userId - The ID of the user who owns the measurement.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the measurement.
+ */
+const findUserMeasurement = async (measurementId, userId) => {
+    if (!measurementId || !isValidObjectId(measurementId)) {
+        console.error('Invalid measurementId provided:', measurementId);
+        throw {
+            message: 'Invalid measurementId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    await findUser(userId);
+
+    const measurement = await BodyMeasurement.findOne({ _id: measurementId, userId });
+    if (!measurement) {
+        console.error('Measurement not found with the given measurementId and userId:', measurementId, userId);
+        throw {
+            message: 'Measurement not found',
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+    return measurement;
+};
+
+
+/**
+ * Logs a body measurement for a user and applies it to the goals tracking its type.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} data - The measurement fields, see `normalizeBodyMeasurement`.
+ * @returns {Promise<object>} A promise that resolves with `{ measurement, goalUpdates }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const createMeasurement = async (userId, data) => {
+    const normalizedMeasurement = normalizeBodyMeasurement(data);
+
+    try {
+        await findUser(userId);
+
+        const measurement = await BodyMeasurement.create({ userId, ...normalizedMeasurement });
+        const goalUpdates = await applyMeasurementToGoals(measurement);
+        return { measurement, goalUpdates };
+    } catch (error) {
+        console.error('Failed to create measurement:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to create measurement',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Retrieves a single body measurement of a user.
+ *
+ * @param {string} measurementId - The ID of the measurement.
+ * @param {string} userId - The ID of the user who owns the measurement.
+ * @returns {Promise<object>} A promise that resolves with the measurement or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, measurement lookup, or database access.
+ */
+const getMeasurement = async (measurementId, userId) => {
+    try {
+        return await findUserMeasurement(measurementId, userId);
+    } catch (error) {
+        console.error('Failed to retrieve measurement:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to retrieve measurement',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Parses an optional date range filter.
+ *
+ * @param {string} [from] - The start of the range.
+ * @param {string} [to] - The end of the range.
+ * @returns {{ fromObj: Date|null, toObj: Date|null }} The parsed dates, null where not provided.
+ * @throws {Error} If a date is invalid.
+ */
+const parseDateRange = (from, to) => {
+    const fromObj = from ? new Date(from) : null;
+    const toObj = to ? new Date(to) : null;
+    if ((fromObj && isNaN(fromObj)) || (toObj && isNaN(toObj))) {
+        console.error('Invalid measurement date range provided:', from, to);
+        throw {
+            message: 'Invalid date format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    return { fromObj, toObj };
+};
+
+
+/**
+ * Lists the body measurements of a user, newest first, one page at a time.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} [options={}] - Listing options.
+ * @param {number} [options.limit=20] - The page size (1 to 100).
+ * @param {string} [options.cursor] - The `nextCursor` returned with the previous page.
+ * @param {string} [options.type] - Only include measurements of this type.
+ * @param {string} [options.from] - Only include measurements taken on or after this date.
+ * @param {string} [options.to] - Only include measurements taken on or before this date.
+ * @returns {Promise<object>} A promise that resolves with `{ measurements, total, nextCursor, hasMore }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const listMeasurements = async (userId, options = {}) => {
+    const { limit, cursor, type, from, to } = options;
+
+    const pageSize = parsePageSize(limit);
+    if (pageSize === null) {
+        console.error('Invalid page size provided:', limit);
+        throw {
+            message: 'Limit must be an integer between 1 and 100',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (type !== undefined && !MEASUREMENT_TYPES.includes(type)) {
+        console.error('Invalid measurement type filter provided:', type);
+        throw {
+            message: `type must be one of: ${MEASUREMENT_TYPES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const { fromObj, toObj } = parseDateRange(from, to);
+
+    let decodedCursor = null;
+    if (cursor) {
+        decodedCursor = decodeCursor(cursor, 'measuredAt');
+        if (!decodedCursor) {
+            console.error('Invalid cursor provided:', cursor);
+            throw {
+                message: 'Invalid cursor',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+
+    // Build the filter shared by the page query and the total count
+    const filter = { userId };
+    if (type) filter.type = type;
+    if (fromObj || toObj) {
+        filter.measuredAt = {};
+        if (fromObj) filter.measuredAt.$gte = fromObj;
+        if (toObj) filter.measuredAt.$lte = toObj;
+    }
+
+    const pageQuery = decodedCursor
+        ? { $and: [filter, buildCursorFilter('measuredAt', -1, decodedCursor)] }
+        : filter;
+
+    try {
+        await findUser(userId);
+
+        // Fetch one extra measurement to find out whether there is a next page
+        const [measurements, total] = await Promise.all([
+            BodyMeasurement.find(pageQuery)
+                .sort({ measuredAt: -1, _id: -1 })
+                .limit(pageSize + 1),
+            BodyMeasurement.countDocuments(filter),
+        ]);
+
+        const hasMore = measurements.length > pageSize;
+        const page = hasMore ? measurements.slice(0, pageSize) : measurements;
+
+        return {
+            measurements: page,
+            total,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'measuredAt') : null,
+            hasMore,
+        };
+    } catch (error) {
+        console.error('Failed to list measurements:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list measurements',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Computes the trend of a measurement type: every measurement in the range along with the moving average
+ * of the measurements taken in the `window` days up to it. Measurements before the range feed the first averages.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} options - Trend options.
+ * @param {string} options.type - The measurement type.
+ * @param {string} [options.unit] - The unit to report values in, defaults to the unit of the latest measurement.
+ * @param {number} [options.window=7] - The moving average window in days (1 to 90).
+ * @param {string} [options.from] - The start of the range, defaults to 90 days before `to`.
+ * @param {string} [options.to] - The end of the range, defaults to now. The range spans at most 366 days.
+ * @returns {Promise<object>} A promise that resolves with `{ type, unit, window, from, to, points, average, change }`
+ * or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const getMeasurementTrend = async (userId, options = {}) => {
+    const { type, unit, window = DEFAULT_TREND_WINDOW_DAYS, from, to } = options;
+
+    if (!MEASUREMENT_TYPES.includes(type)) {
+        console.error('Invalid measurement type provided:', type);
+        throw {
+            message: `type must be one of: ${MEASUREMENT_TYPES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (unit !== undefined && !MEASUREMENT_UNITS[type].includes(unit)) {
+        console.error('Invalid trend unit provided:', type, unit);
+        throw {
+            message: `unit of ${type} must be one of: ${MEASUREMENT_UNITS[type].join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const windowDays = Number(window);
+    if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > MAX_TREND_WINDOW_DAYS) {
+        console.error('Invalid trend window provided:', window);
+        throw {
+            message: `window must be a number of days between 1 and ${MAX_TREND_WINDOW_DAYS}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const range = parseDateRange(from, to);
+    const toObj = range.toObj || new Date();
+    const fromObj = range.fromObj || new Date(toObj.getTime() - DEFAULT_TREND_RANGE_DAYS * DAY_IN_MS);
+    if (fromObj > toObj || toObj - fromObj > MAX_TREND_RANGE_DAYS * DAY_IN_MS) {
+        console.error('Invalid trend range provided:', from, to);
+        throw {
+            message: `from must be before to, at most ${MAX_TREND_RANGE_DAYS} days apart`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        await findUser(userId);
+
+        const windowMs = windowDays * DAY_IN_MS;
+        const measurements = await BodyMeasurement.find({
+            userId,
+            type,
+            measuredAt: { $gt: new Date(fromObj.getTime() - windowMs), $lte: toObj },
+        })
+            .sort({ measuredAt: 1, _id: 1 })
+            .limit(MAX_TREND_POINTS);
+
+        const trendUnit = unit || (measurements.length > 0 ? measurements[measurements.length - 1].unit : MEASUREMENT_UNITS[type][0]);
+        const values = measurements.map((measurement) => convertUnit(measurement.value, measurement.unit, trendUnit));
+        const round = (value) => Math.round(value * 100) / 100;
+
+        // Slide the window along the measurements, dropping the ones that fall out of it
+        const points = [];
+        let windowStart = 0;
+        let windowSum = 0;
+        measurements.forEach((measurement, index) => {
+            windowSum += values[index];
+            while (measurements[windowStart].measuredAt.getTime() <= measurement.measuredAt.getTime() - windowMs) {
+                windowSum -= values[windowStart];
+                windowStart++;
+            }
+            if (measurement.measuredAt >= fromObj) {
+                points.push({
+                    _id: measurement._id,
+                    measuredAt: measurement.measuredAt,
+                    value: round(values[index]),
+                    average: round(windowSum / (index - windowStart + 1)),
+                });
+            }
+        });
+
+        return {
+            type,
+            unit: trendUnit,
+            window: windowDays,
+            from: fromObj,
+            to: toObj,
+            points,
+            average: points.length > 0 ? points[points.length - 1].average : null,
+            change: points.length > 0 ? round(points[points.length - 1].average - points[0].average) : null,
+        };
+    } catch (error) {
+        console.error('Failed to compute measurement trend:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to compute measurement trend',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Updates a body measurement. Only the provided fields change, and the goals tracking the measurement
+ * are brought in line by taking back what it logged before and applying it again.
+ *
+ * @param {string} measurementId - The ID of the measurement.
+ * @param {string} userId - The ID of the user who owns the measurement.
+ * @param {object} updates - The fields to update, see `normalizeBodyMeasurement`.
+ * @returns {Promise<object>} A promise that resolves with `{ measurement, goalUpdates }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, measurement lookup, or database access.
+ */
+const updateMeasurement = async (measurementId, userId, updates) => {
+    try {
+        const measurement = await findUserMeasurement(measurementId, userId);
+
+        const merged = measurement.toObject();
+        for (const [field, value] of Object.entries(updates)) {
+            if (value !== undefined) merged[field] = value;
+        }
+        // A new type comes with its own unit
+        if (updates.type !== undefined && updates.unit === undefined) {
+            delete merged.unit;
+        }
+        const normalizedMeasurement = normalizeBodyMeasurement(merged);
+
+        await revertMeasurementFromGoals(measurement);
+        measurement.set(normalizedMeasurement);
+        const updatedMeasurement = await measurement.save();
+        const goalUpdates = await applyMeasurementToGoals(updatedMeasurement);
+        return { measurement: updatedMeasurement, goalUpdates };
+    } catch (error) {
+        console.error('Failed to update measurement:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to update measurement',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Deletes a body measurement and takes back the progress entries it logged.
+ *
+ * @param {string} measurementId - The ID of the measurement.
+ * @param {string} userId - The ID of the user who owns the measurement.
+ * @returns {Promise<object>} A promise that resolves with a success message object or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, measurement lookup, or database access.
+ */
+const deleteMeasurement = async (measurementId, userId) => {
+    try {
+        const measurement = await findUserMeasurement(measurementId, userId);
+        await revertMeasurementFromGoals(measurement);
+        await BodyMeasurement.deleteOne({ _id: measurement._id });
+        return { message: 'Measurement deleted successfully' };
+    } catch (error) {
+        console.error('Failed to delete measurement:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to delete measurement',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export {
+    createMeasurement,
+    getMeasurement,
+    listMeasurements,
+    getMeasurementTrend,
+    updateMeasurement,
+    deleteMeasurement,
+};
@@ -0,0 +1,417 @@
+// api/services/milestoneService.js
+import Goal from '../models/Goal';
+import { isValidObjectId, sanitizeString } from '../../src/utils/helpers';
+import { recordProgressEntry } from './progressService';
+import { findUser } from './userService';
+
+
+/**
+ * Provides the business logic for the milestones of fitness goals.
+ * Milestones are ordered checkpoints embedded in their goal. Goals with a `progressSource` of
+ * 'milestones' derive their progress from the share of completed milestones, and every change of
+ * that share is recorded as a progress entry so the progress history stays complete.
+ */
+
+const MAX_MILESTONES = 50;
+
+/**
+ * Rolls the progress of a goal up from its milestones and saves the goal.
+ * A progress entry is recorded when the rolled up progress differs from the current progress.
+ * Goals that do not roll up their milestones are saved unchanged.
+ *
+ * @param {mongoose.Document} goal - The goal document, including unsaved milestone changes.
+ * @param {string} [note] - The note of the recorded progress entry.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the saved goal.
+ */
+const rollupMilestoneProgress = async (goal, note) => {
+    if (goal.progressSource !== 'milestones') {
+        return goal.save();
+    }
+
+    const rolledUpProgress = goal.computeMilestoneProgress();
+    if (rolledUpProgress === goal.progress) {
+        return goal.save();
+    }
+
+    // Recording the entry re-derives the progress and saves the goal along with its milestones
+    const { goal: updatedGoal } = await recordProgressEntry(goal, rolledUpProgress, new Date(), note);
+    return updatedGoal;
+};
+
+
+/**
+ * Looks up a goal owned by a user, throwing formatted errors if the IDs are invalid or the user or goal does not exist.
+ *
+ * @param {string} goalId - The ID of the goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the goal.
+ */
+const findUserGoal = async (goalId, userId) => {
+    if (!goalId || !isValidObjectId(goalId)) {
+        console.error('Invalid goalId provided:', goalId);
+        throw {
+            message: 'Invalid goalId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    await findUser(userId);
+
+    const goal = await Goal.findOne({ _id: goalId, userId: userId });
+    if (!goal) {
+        console.error('Goal not found with the given goalId and userId:', goalId, userId);
+        throw {
+            message: 'Goal not found',
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+    return goal;
+};
+
+
+/**
+ * Looks up a milestone of a goal, throwing formatted errors if the ID is invalid or the milestone does not exist.
+ *
+ * @param {mongoose.Document} goal - The goal the milestone belongs to.
+ * @param {string} milestoneId - The ID of the milestone.
+ * @returns {mongoose.Document} The milestone subdocument.
+ */
+const findMilestone = (goal, milestoneId) => {
+    if (!milestoneId || !isValidObjectId(milestoneId)) {
+        console.error('Invalid milestoneId provided:', milestoneId);
+        throw {
+            message: 'Invalid milestoneId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const milestone = goal.milestones.id(milestoneId);
+    if (!milestone) {
+        console.error('Milestone not found with the given milestoneId:', milestoneId);
+        throw {
+            message: 'Milestone not found',
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+    return milestone;
+};
+
+
+/**
+ * Validates the title of a milestone.
+ *
+ * @param {string} title - The sanitized title.
+ * @throws {Error} If the title is missing or too long.
+ */
+const validateTitle = (title) => {
+    if (!title) {
+        console.error('Milestone title is required.');
+        throw {
+            message: 'Milestone title is required',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (title.length > 100) {
+        console.error('Milestone title must be less than 100 characters long.');
+        throw {
+            message: 'Milestone title must be less than 100 characters long',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+};
+
+
+/**
+ * Parses the target date of a milestone. Milestones cannot be due after their goal.
+ *
+ * @param {mongoose.Document} goal - The goal the milestone belongs to.
+ * @param {string} targetDate - The target date of the milestone.
+ * @returns {Date} The parsed target date.
+ * @throws {Error} If the date is invalid or after the goal's target date.
+ */
+const parseTargetDate = (goal, targetDate) => {
+    const targetDateObj = new Date(targetDate);
+    if (isNaN(targetDateObj)) {
+        console.error('Invalid milestone targetDate format.');
+        throw {
+            message: 'Invalid milestone targetDate format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (goal.targetDate && targetDateObj > goal.targetDate) {
+        console.error('Milestone targetDate is after the goal targetDate.');
+        throw {
+            message: 'Milestone targetDate must not be after the targetDate of the goal',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    return targetDateObj;
+};
+
+
+/**
+ * Retrieves the milestones of a goal in their order, along with the rolled up progress.
+ *
+ * @param {string} goalId - The ID of the goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @returns {Promise<object>} A promise that resolves with `{ milestones, progressSource, progress }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, goal lookup, or database access.
+ */
+const listMilestones = async (goalId, userId) => {
+    try {
+        const goal = await findUserGoal(goalId, userId);
+        return {
+            milestones: goal.milestones,
+            progressSource: goal.progressSource,
+            progress: goal.progress,
+        };
+    } catch (error) {
+        console.error('Failed to retrieve milestones:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to retrieve milestones',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Adds a milestone to a goal, at the end or at the given position.
+ *
+ * @param {string} goalId - The ID of the goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @param {string} title - The title of the milestone.
+ * @param {string} [targetDate] - The target date of the milestone, not after the goal's target date.
+ * @param {number} [position] - The zero-based position to insert the milestone at, defaults to the end.
+ * @returns {Promise<object>} A promise that resolves with `{ milestone, goal }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, goal lookup, or database access.
+ */
+const addMilestone = async (goalId, userId, title, targetDate, position) => {
+    // Sanitize inputs
+    const sanitizedTitle = sanitizeString(title);
+
+    validateTitle(sanitizedTitle);
+
+    try {
+        const goal = await findUserGoal(goalId, userId);
+
+        if (goal.milestones.length >= MAX_MILESTONES) {
+            console.error('Goal already has the maximum number of milestones:', goalId);
+            throw {
+                message: `A goal can have at most ${MAX_MILESTONES} milestones`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        const insertAt = position === undefined ? goal.milestones.length : position;
+        if (!Number.isInteger(insertAt) || insertAt < 0 || insertAt > goal.milestones.length) {
+            console.error('Invalid milestone position provided:', position);
+            throw {
+                message: `position must be an integer between 0 and ${goal.milestones.length}`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        goal.milestones.splice(insertAt, 0, {
+            title: sanitizedTitle,
+            targetDate: targetDate ? parseTargetDate(goal, targetDate) : undefined,
+        });
+        const milestone = goal.milestones[insertAt];
+
+        const updatedGoal = await rollupMilestoneProgress(goal, `Milestone added: ${sanitizedTitle}`);
+        return { milestone, goal: updatedGoal };
+    } catch (error) {
+        console.error('Failed to add milestone:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to add milestone',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Updates the title, target date or completion state of a milestone.
+ * Completing a milestone stamps `completedAt`, reopening it clears the stamp.
+ *
+ * @param {string} goalId - The ID of the goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @param {string} milestoneId - The ID of the milestone.
+ * @param {object} updates - The fields to update.
+ * @param {string} [updates.title] - The new title.
+ * @param {string|null} [updates.targetDate] - The new target date, or null to clear it.
+ * @param {boolean} [updates.completed] - The new completion state.
+ * @returns {Promise<object>} A promise that resolves with `{ milestone, goal }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, goal or milestone lookup, or database access.
+ */
+const updateMilestone = async (goalId, userId, milestoneId, updates) => {
+    const { title, targetDate, completed } = updates;
+
+    if (completed !== undefined && typeof completed !== 'boolean') {
+        console.error('Milestone completed must be a boolean.');
+        throw {
+            message: 'completed must be a boolean',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        const goal = await findUserGoal(goalId, userId);
+        const milestone = findMilestone(goal, milestoneId);
+
+        if (title !== undefined) {
+            const sanitizedTitle = sanitizeString(title);
+            validateTitle(sanitizedTitle);
+            milestone.title = sanitizedTitle;
+        }
+
+        if (targetDate !== undefined) {
+            milestone.targetDate = targetDate === null ? undefined : parseTargetDate(goal, targetDate);
+        }
+
+        let note = `Milestone updated: ${milestone.title}`;
+        if (completed !== undefined && completed !== milestone.completed) {
+            milestone.completed = completed;
+            milestone.completedAt = completed ? new Date() : undefined;
+            note = `${completed ? 'Milestone completed' : 'Milestone reopened'}: ${milestone.title}`;
+        }
+
+        const updatedGoal = await rollupMilestoneProgress(goal, note);
+        return { milestone: updatedGoal.milestones.id(milestoneId), goal: updatedGoal };
+    } catch (error) {
+        console.error('Failed to update milestone:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to update milestone',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Removes a milestone from a goal.
+ *
+ * @param {string} goalId - The ID of the goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @param {string} milestoneId - The ID of the milestone.
+ * @returns {Promise<object>} A promise that resolves with `{ message, goal }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, goal or milestone lookup, or database access.
+ */
+const deleteMilestone = async (goalId, userId, milestoneId) => {
+    try {
+        const goal = await findUserGoal(goalId, userId);
+        const milestone = findMilestone(goal, milestoneId);
+        const title = milestone.title;
+
+        milestone.deleteOne();
+
+        const updatedGoal = await rollupMilestoneProgress(goal, `Milestone removed: ${title}`);
+        return { message: 'Milestone deleted successfully', goal: updatedGoal };
+    } catch (error) {
+        console.error('Failed to delete milestone:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to delete milestone',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Reorders the milestones of a goal.
+ *
+ * @param {string} goalId - The ID of the goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @param {string[]} milestoneIds - The IDs of all milestones of the goal, in their new order.
+ * @returns {Promise<object>} A promise that resolves with `{ milestones }` or rejects with an error object.
+ * @throws {Error} If the IDs are not exactly the milestones of the goal, or if there is an issue with goal lookup or database access.
+ */
+const reorderMilestones = async (goalId, userId, milestoneIds) => {
+    if (!Array.isArray(milestoneIds) || milestoneIds.some((id) => !isValidObjectId(id))) {
+        console.error('Invalid milestoneIds provided:', milestoneIds);
+        throw {
+            message: 'milestoneIds must be an array of milestone IDs',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        const goal = await findUserGoal(goalId, userId);
+
+        const currentIds = goal.milestones.map((milestone) => milestone._id.toString());
+        const requestedIds = milestoneIds.map(String);
+        const isPermutation = requestedIds.length === currentIds.length
+            && new Set(requestedIds).size === requestedIds.length
+            && requestedIds.every((id) => currentIds.includes(id));
+        if (!isPermutation) {
+            console.error('milestoneIds do not match the milestones of the goal:', goalId);
+            throw {
+                message: 'milestoneIds must contain every milestone of the goal exactly once',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        // Ordering does not change the share of completed milestones, so there is nothing to roll up
+        goal.milestones = requestedIds.map((id) => goal.milestones.id(id));
+        const updatedGoal = await goal.save();
+        return { milestones: updatedGoal.milestones };
+    } catch (error) {
+        console.error('Failed to reorder milestones:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to reorder milestones',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export { listMilestones, addMilestone, updateMilestone, deleteMilestone, reorderMilestones, rollupMilestoneProgress };
@@ -0,0 +1,851 @@
+// api/services/nutritionService.js
+import NutritionLog, { NUTRITION_METRICS, NUTRITION_METRIC_UNITS, MACROS, MEAL_TYPES } from '../models/NutritionLog';
+import Goal from '../models/Goal';
+import CheckIn from '../models/CheckIn';
+import { refreshStreaks } from './habitService';
+import { isValidObjectId, sanitizeString } from '../../src/utils/helpers';
+import { isValidLocalDate, toLocalDate, addDays, dayOfWeek, startOfWeek, diffInDays } from '../utils/dateUtils';
+import { VOLUME_UNITS, convertUnit } from '../utils/units';
+import { findUser } from './userService';
+
+
+/**
+ * Provides the business logic for daily nutrition logging: the meals with their calories and macros
+ * and the water intake of a user, kept in one log per local calendar date, and the totals of each
+ * day against the user's nutrition targets.
+ * Habit goals can carry a nutrition rule, such as at least 150 g of protein a day, and are checked
+ * in automatically on every day whose log meets the rule. A goal like "150 g of protein 5 days a week"
+ * is a weekly habit of 5 times per week with that rule, and the weekly summary scores it.
+ */
+
+const MAX_MEALS_PER_DAY = 50;
+const MAX_WATER_ENTRIES_PER_DAY = 50;
+const MAX_CALORIES = 10000;
+const MAX_MACRO_GRAMS = 1000;
+const MAX_WATER_ML = 10000;
+const MAX_LISTED_DAYS = 93;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Adds up the meals and water intake of a day.
+ *
+ * @param {mongoose.Document|null} log - The nutrition log of the day, null if nothing was logged.
+ * @returns {object} The total of each metric, see `NUTRITION_METRICS`.
+ */
+const computeTotals = (log) => {
+    const totals = Object.fromEntries(NUTRITION_METRICS.map((metric) => [metric, 0]));
+    if (!log) {
+        return totals;
+    }
+    for (const meal of log.meals) {
+        totals.calories += meal.calories;
+        for (const macro of MACROS) totals[macro] += meal[macro] || 0;
+    }
+    for (const entry of log.water) {
+        totals.water += entry.amount;
+    }
+    return Object.fromEntries(Object.entries(totals).map(([metric, total]) => [metric, round(total)]));
+};
+
+
+/**
+ * Whether the totals of a day meet a nutrition rule. A day only counts once something the rule
+ * is about was logged, so an empty day does not meet an 'at_most' calorie rule.
+ *
+ * @param {object} rule - The nutrition rule of a goal, `{ metric, comparison, amount }`.
+ * @param {mongoose.Document|null} log - The nutrition log of the day.
+ * @param {object} totals - The totals of the day, see `computeTotals`.
+ * @returns {boolean} True if the day meets the rule.
+ */
+const meetsRule = (rule, log, totals) => {
+    const entries = !log ? [] : rule.metric === 'water' ? log.water : log.meals;
+    if (entries.length === 0) {
+        return false;
+    }
+    return rule.comparison === 'at_most' ? totals[rule.metric] <= rule.amount : totals[rule.metric] >= rule.amount;
+};
+
+
+/**
+ * Builds the summary of a day: its meals, water intake and totals, and the progress towards each target that is set.
+ *
+ * @param {string} date - The local date of the day.
+ * @param {mongoose.Document|null} log - The nutrition log of the day, null if nothing was logged.
+ * @param {object} [targets={}] - The nutrition targets of the user.
+ * @returns {object} `{ date, logged, meals, water, totals, targets }`, where each target is `{ target, total, remaining, percent }`.
+ */
+const summarizeDay = (date, log, targets = {}) => {
+    const totals = computeTotals(log);
+    const targetProgress = {};
+    for (const metric of NUTRITION_METRICS) {
+        const target = targets[metric];
+        if (typeof target !== 'number') continue;
+        targetProgress[metric] = {
+            target,
+            total: totals[metric],
+            remaining: round(target - totals[metric]),
+            percent: target > 0 ? round((totals[metric] / target) * 100) : null,
+        };
+    }
+    return {
+        date,
+        logged: Boolean(log) && (log.meals.length > 0 || log.water.length > 0),
+        meals: log ? log.meals : [],
+        water: log ? log.water : [],
+        totals,
+        targets: targetProgress,
+    };
+};
+
+
+/**
+ * Checks in or takes back the check-in of a habit goal with a nutrition rule for the day of a log.
+ * Check-ins the user logged by hand are left alone, and days before the goal was created do not count.
+ *
+ * @param {mongoose.Document} goal - The habit goal with a nutrition rule.
+ * @param {mongoose.Document} log - The nutrition log.
+ * @param {object} totals - The totals of the log, see `computeTotals`.
+ * @returns {Promise<boolean|null>} True if the day was checked in, false if its check-in was taken back, null if nothing changed.
+ */
+const syncNutritionCheckIn = async (goal, log, totals) => {
+    const createdOn = toLocalDate(goal.createdAt, goal.timezone);
+    const scheduled = goal.recurrence.frequency !== 'weekdays' || goal.recurrence.weekdays.includes(dayOfWeek(log.date));
+    const met = scheduled && log.date >= createdOn && meetsRule(goal.nutritionRule, log, totals);
+    const existingCheckIn = await CheckIn.findOne({ goalId: goal._id, date: log.date });
+
+    if (met && !existingCheckIn && goal.acceptsProgress() && log.date <= toLocalDate(new Date(), goal.timezone)) {
+        await CheckIn.create({
+            goalId: goal._id,
+            userId: goal.userId,
+            date: log.date,
+            note: `Nutrition: ${goal.nutritionRule.metric}`,
+            nutritionLogId: log._id,
+        });
+        return true;
+    }
+    if (!met && existingCheckIn && existingCheckIn.nutritionLogId) {
+        await CheckIn.deleteOne({ _id: existingCheckIn._id });
+        return false;
+    }
+    return null;
+};
+
+
+/**
+ * Scores a changed nutrition log against the nutrition rules of the user's habit goals.
+ *
+ * @param {mongoose.Document} log - The saved nutrition log.
+ * @returns {Promise<Array<object>>} A promise that resolves with one `{ goalId, checkedIn, currentStreak, longestStreak }`
+ * per goal whose check-in changed.
+ */
+const applyLogToGoals = async (log) => {
+    const goals = await Goal.find({ userId: log.userId, goalType: 'habit', 'nutritionRule.metric': { $in: NUTRITION_METRICS } });
+    const totals = computeTotals(log);
+    const goalUpdates = [];
+
+    for (const goal of goals) {
+        const checkedIn = await syncNutritionCheckIn(goal, log, totals);
+        if (checkedIn !== null) {
+            const streaks = await refreshStreaks(goal);
+            goalUpdates.push({ goalId: goal._id, checkedIn, ...streaks });
+        }
+    }
+    return goalUpdates;
+};
+
+
+/**
+ * Scores all nutrition logs since a goal was created against its nutrition rule, after the rule or
+ * the recurrence of the goal changed. Without a rule, the check-ins the rule logged are taken back.
+ *
+ * @param {mongoose.Document} goal - The saved habit goal.
+ * @returns {Promise<{ currentStreak: number, longestStreak: number }>} A promise that resolves with the refreshed streaks.
+ */
+const rescoreNutritionGoal = async (goal) => {
+    if (!goal.nutritionRule) {
+        await CheckIn.deleteMany({ goalId: goal._id, nutritionLogId: { $exists: true } });
+        return refreshStreaks(goal);
+    }
+
+    const createdOn = toLocalDate(goal.createdAt, goal.timezone);
+    const logs = await NutritionLog.find({ userId: goal.userId, date: { $gte: createdOn } }).sort({ date: 1 });
+    for (const log of logs) {
+        await syncNutritionCheckIn(goal, log, computeTotals(log));
+    }
+    return refreshStreaks(goal);
+};
+
+
+/**
+ * Validates the local date of a nutrition log. Dates up to a day ahead of UTC are accepted, as it is
+ * already tomorrow in the timezones east of UTC.
+ *
+ * @param {string} date - The local date as 'YYYY-MM-DD'.
+ * @returns {string} The date.
+ * @throws {Error} If the date is invalid or in the future.
+ */
+const validateLogDate = (date) => {
+    if (!isValidLocalDate(date)) {
+        console.error('Invalid nutrition log date provided:', date);
+        throw {
+            message: 'Date must be a valid date in YYYY-MM-DD format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    if (date > addDays(toLocalDate(new Date()), 1)) {
+        console.error('Nutrition log date is in the future:', date);
+        throw {
+            message: 'Date must not be in the future',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    return date;
+};
+
+
+/**
+ * Validates an optional time an entry was logged at.
+ *
+ * @param {string|Date} [loggedAt] - The time, defaults to now.
+ * @returns {Date} The parsed time.
+ * @throws {Error} If the time is invalid.
+ */
+const parseLoggedAt = (loggedAt) => {
+    const loggedAtObj = loggedAt ? new Date(loggedAt) : new Date();
+    if (isNaN(loggedAtObj)) {
+        console.error('Invalid loggedAt provided:', loggedAt);
+        throw {
+            message: 'Invalid loggedAt date format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    return loggedAtObj;
+};
+
+
+/**
+ * Validates and normalizes the fields of a meal.
+ *
+ * @param {object} data - The meal fields.
+ * @param {string} data.name - The name of the meal, up to 100 characters.
+ * @param {string} [data.mealType='snack'] - One of `MEAL_TYPES`.
+ * @param {number} data.calories - The energy of the meal in kcal.
+ * @param {number} [data.protein=0] - The protein of the meal in grams.
+ * @param {number} [data.carbs=0] - The carbohydrates of the meal in grams.
+ * @param {number} [data.fat=0] - The fat of the meal in grams.
+ * @param {string|Date} [data.loggedAt] - When the meal was eaten, defaults to now.
+ * @returns {object} The normalized meal fields.
+ * @throws {Error} If a field is invalid.
+ */
+const normalizeMeal = ({ name, mealType = 'snack', calories, protein = 0, carbs = 0, fat = 0, loggedAt } = {}) => {
+    const sanitizedName = sanitizeString(name);
+    if (!sanitizedName || sanitizedName.length > 100) {
+        console.error('Invalid meal name provided:', name);
+        throw {
+            message: 'A meal name of at most 100 characters is required',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!MEAL_TYPES.includes(mealType)) {
+        console.error('Invalid meal type provided:', mealType);
+        throw {
+            message: `mealType must be one of: ${MEAL_TYPES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    for (const [field, value, max] of [['calories', calories, MAX_CALORIES], ['protein', protein, MAX_MACRO_GRAMS],
+        ['carbs', carbs, MAX_MACRO_GRAMS], ['fat', fat, MAX_MACRO_GRAMS]]) {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > max) {
+            console.error(`Invalid meal ${field} provided:`, value);
+            throw {
+                message: `${field} must be a number between 0 and ${max} ${NUTRITION_METRIC_UNITS[field]}`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+
+    return { name: sanitizedName, mealType, calories, protein, carbs, fat, loggedAt: parseLoggedAt(loggedAt) };
+};
+
+
+/**
+ * Validates and normalizes a water intake entry, converting its amount to milliliters.
+ *
+ * @param {object} data - The entry fields.
+ * @param {number} data.amount - The amount of water.
+ * @param {string} [data.unit='ml'] - The unit of the amount, one of `VOLUME_UNITS`.
+ * @param {string|Date} [data.loggedAt] - When the water was drunk, defaults to now.
+ * @returns {object} The normalized entry fields.
+ * @throws {Error} If a field is invalid.
+ */
+const normalizeWaterEntry = ({ amount, unit = 'ml', loggedAt } = {}) => {
+    if (!VOLUME_UNITS.includes(unit)) {
+        console.error('Invalid water unit provided:', unit);
+        throw {
+            message: `unit must be one of: ${VOLUME_UNITS.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const amountInMl = typeof amount === 'number' && Number.isFinite(amount) ? round(convertUnit(amount, unit, 'ml')) : NaN;
+    if (!(amountInMl >= 1 && amountInMl <= MAX_WATER_ML)) {
+        console.error('Invalid water amount provided:', amount, unit);
+        throw {
+            message: `amount must be a positive number of at most ${MAX_WATER_ML} ml`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    return { amount: amountInMl, loggedAt: parseLoggedAt(loggedAt) };
+};
+
+
+/**
+ * Looks up a nutrition log entry, throwing formatted errors if the ID is invalid or the entry does not exist.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} date - The local date of the log.
+ * @param {string} field - 'meals' or 'water'.
+ * @param {string} entryId - The ID of the meal or water entry.
+ * @returns {Promise<{ log: mongoose.Document, entry: mongoose.Document }>} A promise that resolves with the log and the entry.
+ */
+const findLogEntry = async (userId, date, field, entryId) => {
+    const label = field === 'meals' ? 'Meal' : 'Water entry';
+    if (!entryId || !isValidObjectId(entryId)) {
+        console.error(`Invalid ${field} entry ID provided:`, entryId);
+        throw {
+            message: `Invalid ${field === 'meals' ? 'mealId' : 'entryId'} provided`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const log = await NutritionLog.findOne({ userId, date });
+    const entry = log ? log[field].id(entryId) : null;
+    if (!entry) {
+        console.error(`${label} not found with the given ID, userId and date:`, entryId, userId, date);
+        throw {
+            message: `${label} not found`,
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+    return { log, entry };
+};
+
+
+/**
+ * Adds an entry to the nutrition log of a day, creating the log on the first entry, and scores the day.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} date - The local date of the log.
+ * @param {string} field - 'meals' or 'water'.
+ * @param {object} entry - The normalized entry.
+ * @returns {Promise<object>} A promise that resolves with `{ day, goalUpdates }`.
+ */
+const addLogEntry = async (userId, date, field, entry) => {
+    const user = await findUser(userId);
+
+    const log = await NutritionLog.findOneAndUpdate(
+        { userId, date },
+        { $setOnInsert: { userId, date } },
+        { upsert: true, new: true },
+    );
+    const maxEntries = field === 'meals' ? MAX_MEALS_PER_DAY : MAX_WATER_ENTRIES_PER_DAY;
+    if (log[field].length >= maxEntries) {
+        console.error(`Too many ${field} entries on date:`, userId, date);
+        throw {
+            message: `A day can have at most ${maxEntries} ${field === 'meals' ? 'meals' : 'water entries'}`,
+            code: 409,
+            statusText: 'Conflict',
+        };
+    }
+
+    log[field].push(entry);
+    const savedLog = await log.save();
+    const goalUpdates = await applyLogToGoals(savedLog);
+    return { day: summarizeDay(date, savedLog, user.nutritionTargets), goalUpdates };
+};
+
+
+/**
+ * Retrieves the daily nutrition targets of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} A promise that resolves with `{ targets, units }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const getNutritionTargets = async (userId) => {
+    try {
+        const user = await findUser(userId);
+        return { targets: user.toObject().nutritionTargets || {}, units: NUTRITION_METRIC_UNITS };
+    } catch (error) {
+        console.error('Failed to retrieve nutrition targets:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to retrieve nutrition targets',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Updates the daily nutrition targets of a user. Only the provided targets change, null clears one.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} targets - The targets by metric, see `NUTRITION_METRICS`, in kcal, grams and milliliters.
+ * @returns {Promise<object>} A promise that resolves with `{ targets, units }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const updateNutritionTargets = async (userId, targets) => {
+    if (!targets || typeof targets !== 'object' || Array.isArray(targets)) {
+        console.error('Invalid nutrition targets provided:', targets);
+        throw {
+            message: 'targets must be an object of daily targets by metric',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    for (const [metric, target] of Object.entries(targets)) {
+        if (!NUTRITION_METRICS.includes(metric)) {
+            console.error('Invalid nutrition target metric provided:', metric);
+            throw {
+                message: `Targets can be set for: ${NUTRITION_METRICS.join(', ')}`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+        if (target !== null && (typeof target !== 'number' || !Number.isFinite(target) || target < 0)) {
+            console.error('Invalid nutrition target provided:', metric, target);
+            throw {
+                message: `The ${metric} target must be a non-negative number of ${NUTRITION_METRIC_UNITS[metric]}, or null to clear it`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+
+    try {
+        const user = await findUser(userId);
+        for (const [metric, target] of Object.entries(targets)) {
+            user.set(`nutritionTargets.${metric}`, target === null ? undefined : target);
+        }
+        const updatedUser = await user.save();
+        return { targets: updatedUser.toObject().nutritionTargets || {}, units: NUTRITION_METRIC_UNITS };
+    } catch (error) {
+        console.error('Failed to update nutrition targets:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to update nutrition targets',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Retrieves the nutrition log of a day with its totals against the user's targets. Days without a log have zero totals.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} date - The local date as 'YYYY-MM-DD'.
+ * @returns {Promise<object>} A promise that resolves with the day summary, see `summarizeDay`, or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const getDay = async (userId, date) => {
+    if (!isValidLocalDate(date)) {
+        console.error('Invalid nutrition log date provided:', date);
+        throw {
+            message: 'Date must be a valid date in YYYY-MM-DD format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        const user = await findUser(userId);
+        const log = await NutritionLog.findOne({ userId, date });
+        return summarizeDay(date, log, user.nutritionTargets);
+    } catch (error) {
+        console.error('Failed to retrieve nutrition day:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to retrieve nutrition day',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Lists the days of a local date range with their totals against the user's targets, oldest first.
+ * Every day of the range is included, days without a log have zero totals.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} [from] - The first local date, defaults to 6 days before `to`.
+ * @param {string} [to] - The last local date, defaults to today (UTC). The range spans at most 93 days.
+ * @returns {Promise<object>} A promise that resolves with `{ from, to, days }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const listDays = async (userId, from, to) => {
+    if ((from && !isValidLocalDate(from)) || (to && !isValidLocalDate(to))) {
+        console.error('Invalid nutrition range provided:', from, to);
+        throw {
+            message: 'from and to must be valid dates in YYYY-MM-DD format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const rangeEnd = to || toLocalDate(new Date());
+    const rangeStart = from || addDays(rangeEnd, -6);
+    if (rangeStart > rangeEnd || diffInDays(rangeStart, rangeEnd) >= MAX_LISTED_DAYS) {
+        console.error('Invalid nutrition range provided:', rangeStart, rangeEnd);
+        throw {
+            message: `from must not be after to, and the range must not exceed ${MAX_LISTED_DAYS} days`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        const user = await findUser(userId);
+        const logs = await NutritionLog.find({ userId, date: { $gte: rangeStart, $lte: rangeEnd } });
+        const logsByDate = new Map(logs.map((log) => [log.date, log]));
+
+        const days = [];
+        for (let date = rangeStart; date <= rangeEnd; date = addDays(date, 1)) {
+            days.push(summarizeDay(date, logsByDate.get(date) || null, user.nutritionTargets));
+        }
+        return { from: rangeStart, to: rangeEnd, days };
+    } catch (error) {
+        console.error('Failed to list nutrition days:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list nutrition days',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Logs a meal on a day and scores the day against the nutrition rules of the user's habit goals.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} date - The local date as 'YYYY-MM-DD'.
+ * @param {object} data - The meal fields, see `normalizeMeal`.
+ * @returns {Promise<object>} A promise that resolves with `{ day, goalUpdates }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const addMeal = async (userId, date, data) => {
+    validateLogDate(date);
+    const meal = normalizeMeal(data);
+
+    try {
+        return await addLogEntry(userId, date, 'meals', meal);
+    } catch (error) {
+        console.error('Failed to add meal:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to add meal',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Updates a meal of a day, only the provided fields change, and scores the day again.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} date - The local date of the log.
+ * @param {string} mealId - The ID of the meal.
+ * @param {object} updates - The fields to update, see `normalizeMeal`.
+ * @returns {Promise<object>} A promise that resolves with `{ day, goalUpdates }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, meal lookup, or database access.
+ */
+const updateMeal = async (userId, date, mealId, updates) => {
+    validateLogDate(date);
+
+    try {
+        const user = await findUser(userId);
+        const { log, entry } = await findLogEntry(userId, date, 'meals', mealId);
+
+        const merged = entry.toObject();
+        for (const [field, value] of Object.entries(updates)) {
+            if (value !== undefined) merged[field] = value;
+        }
+        entry.set(normalizeMeal(merged));
+
+        const savedLog = await log.save();
+        const goalUpdates = await applyLogToGoals(savedLog);
+        return { day: summarizeDay(date, savedLog, user.nutritionTargets), goalUpdates };
+    } catch (error) {
+        console.error('Failed to update meal:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to update meal',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Removes a meal or water entry from a day and scores the day again.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} date - The local date of the log.
+ * @param {string} field - 'meals' or 'water'.
+ * @param {string} entryId - The ID of the meal or water entry.
+ * @returns {Promise<object>} A promise that resolves with `{ day, goalUpdates }`.
+ */
+const removeLogEntry = async (userId, date, field, entryId) => {
+    const user = await findUser(userId);
+    const { log, entry } = await findLogEntry(userId, date, field, entryId);
+
+    entry.deleteOne();
+    const savedLog = await log.save();
+    const goalUpdates = await applyLogToGoals(savedLog);
+    return { day: summarizeDay(date, savedLog, user.nutritionTargets), goalUpdates };
+};
+
+
+/**
+ * Removes a meal from a day and scores the day again.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} date - The local date of the log.
+ * @param {string} mealId - The ID of the meal.
+ * @returns {Promise<object>} A promise that resolves with `{ day, goalUpdates }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, meal lookup, or database access.
+ */
+const deleteMeal = async (userId, date, mealId) => {
+    try {
+        return await removeLogEntry(userId, date, 'meals', mealId);
+    } catch (error) {
+        console.error('Failed to delete meal:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to delete meal',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Logs water intake on a day and scores the day against the nutrition rules of the user's habit goals.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} date - The local date as 'YYYY-MM-DD'.
+ * @param {object} data - The entry fields, see `normalizeWaterEntry`.
+ * @returns {Promise<object>} A promise that resolves with `{ day, goalUpdates }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const addWater = async (userId, date, data) => {
+    validateLogDate(date);
+    const entry = normalizeWaterEntry(data);
+
+    try {
+        return await addLogEntry(userId, date, 'water', entry);
+    } catch (error) {
+        console.error('Failed to add water intake:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to add water intake',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Removes a water intake entry from a day and scores the day again.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} date - The local date of the log.
+ * @param {string} entryId - The ID of the water entry.
+ * @returns {Promise<object>} A promise that resolves with `{ day, goalUpdates }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, entry lookup, or database access.
+ */
+const deleteWater = async (userId, date, entryId) => {
+    try {
+        return await removeLogEntry(userId, date, 'water', entryId);
+    } catch (error) {
+        console.error('Failed to delete water intake:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to delete water intake',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Summarizes a Monday-to-Sunday week of nutrition: the totals of each day, the averages of the logged
+ * days, and the score of every habit goal with a nutrition rule, the number of days meeting the rule
+ * against the days the goal requires that week.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} [week] - Any local date of the week, defaults to today (UTC).
+ * @returns {Promise<object>} A promise that resolves with `{ weekStart, weekEnd, days, averages, goals }`, where each goal is
+ * `{ goalId, title, nutritionRule, daysMet, required, score, status }`, or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const getWeeklySummary = async (userId, week) => {
+    if (week && !isValidLocalDate(week)) {
+        console.error('Invalid week provided:', week);
+        throw {
+            message: 'week must be a valid date in YYYY-MM-DD format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const weekStart = startOfWeek(week || toLocalDate(new Date()));
+    const weekEnd = addDays(weekStart, 6);
+
+    try {
+        const user = await findUser(userId);
+        const [logs, goals] = await Promise.all([
+            NutritionLog.find({ userId, date: { $gte: weekStart, $lte: weekEnd } }),
+            Goal.find({ userId, goalType: 'habit', 'nutritionRule.metric': { $in: NUTRITION_METRICS } }),
+        ]);
+        const logsByDate = new Map(logs.map((log) => [log.date, log]));
+
+        const days = [];
+        for (let date = weekStart; date <= weekEnd; date = addDays(date, 1)) {
+            days.push(summarizeDay(date, logsByDate.get(date) || null, user.nutritionTargets));
+        }
+
+        const loggedDays = days.filter((day) => day.logged);
+        const averages = Object.fromEntries(NUTRITION_METRICS.map((metric) => [
+            metric,
+            loggedDays.length > 0 ? round(loggedDays.reduce((sum, day) => sum + day.totals[metric], 0) / loggedDays.length) : null,
+        ]));
+
+        const goalScores = goals.map((goal) => {
+            const { recurrence, nutritionRule } = goal;
+            const scheduledDays = days.filter((day) => recurrence.frequency !== 'weekdays' || recurrence.weekdays.includes(dayOfWeek(day.date)));
+            const daysMet = scheduledDays
+                .filter((day) => meetsRule(nutritionRule, logsByDate.get(day.date) || null, day.totals))
+                .map((day) => day.date);
+            const required = recurrence.frequency === 'weekly' ? recurrence.timesPerWeek : scheduledDays.length;
+            const today = toLocalDate(new Date(), goal.timezone);
+
+            let status;
+            if (daysMet.length >= required) status = 'completed';
+            else if (weekStart > today) status = 'upcoming';
+            else if (weekEnd >= today) status = 'pending';
+            else status = 'missed';
+
+            return {
+                goalId: goal._id,
+                title: goal.title,
+                nutritionRule,
+                daysMet,
+                required,
+                score: required > 0 ? round(Math.min(daysMet.length / required, 1) * 100) : 100,
+                status,
+            };
+        });
+
+        return { weekStart, weekEnd, days, averages, goals: goalScores };
+    } catch (error) {
+        console.error('Failed to summarize nutrition week:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to summarize nutrition week',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export {
+    getNutritionTargets,
+    updateNutritionTargets,
+    getDay,
+    listDays,
+    addMeal,
+    updateMeal,
+    deleteMeal,
+    addWater,
+    deleteWater,
+    getWeeklySummary,
+    rescoreNutritionGoal,
+};
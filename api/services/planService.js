@@ -0,0 +1,920 @@
+// api/services/planService.js
+import TrainingPlan from '../models/TrainingPlan';
+import ScheduledSession from '../models/ScheduledSession';
+import Workout, { WORKOUT_TYPES } from '../models/Workout';
+import Goal from '../models/Goal';
+import { recordProgressEntry } from './progressService';
+import { isValidObjectId, sanitizeString } from '../../src/utils/helpers';
+import { isValidTimeZone, isValidLocalDate, toLocalDate, addDays, diffInDays } from '../utils/dateUtils';
+import { findUser } from './userService';
+
+
+/**
+ * Provides the business logic for training plans: multi-week programs of planned workouts that are
+ * scheduled from a start date into dated sessions. A session is completed by a logged workout of its
+ * type on its date in the plan's timezone, sessions planned as 'other' are completed by any workout.
+ * Sessions are matched again whenever a workout on the plan's dates is logged, updated or deleted,
+ * and a plan attached to a percentage goal rolls the share of completed sessions up into its progress.
+ */
+
+const MAX_WEEKS = 52;
+const MAX_WORKOUTS_PER_DAY = 3;
+const MAX_DURATION_MINUTES = 24 * 60;
+const MAX_DISTANCE_METERS = 1000000;
+const MAX_LISTED_DAYS = 93;
+
+/**
+ * Validates and normalizes the weeks of a training plan.
+ *
+ * @param {Array<object>} weeks - The weeks, each `{ notes, days: [{ day, workouts: [{ type, title, duration, distance, notes }] }] }`,
+ * where `day` counts from 1 for the weekday the plan starts on to 7, `duration` is in minutes and `distance` in meters.
+ * @returns {Array<object>} The normalized weeks, with their days in order.
+ * @throws {Error} If a week, day or planned workout is invalid.
+ */
+const normalizeWeeks = (weeks) => {
+    if (!Array.isArray(weeks) || weeks.length === 0 || weeks.length > MAX_WEEKS) {
+        console.error('Invalid plan weeks provided:', weeks);
+        throw {
+            message: `weeks must be a list of 1 to ${MAX_WEEKS} weeks`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    return weeks.map((week, weekIndex) => {
+        const { notes, days = [] } = week || {};
+        const sanitizedNotes = sanitizeString(notes);
+        if (!Array.isArray(days) || sanitizedNotes.length > 500) {
+            console.error('Invalid plan week provided:', weekIndex + 1);
+            throw {
+                message: `Week ${weekIndex + 1} must have a list of days and notes of at most 500 characters`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        const seenDays = new Set();
+        const normalizedDays = days.map(({ day, workouts } = {}) => {
+            if (!Number.isInteger(day) || day < 1 || day > 7 || seenDays.has(day)) {
+                console.error('Invalid plan day provided:', weekIndex + 1, day);
+                throw {
+                    message: `Days of week ${weekIndex + 1} must be distinct integers from 1 to 7`,
+                    code: 400,
+                    statusText: 'Bad Request',
+                };
+            }
+            seenDays.add(day);
+
+            if (!Array.isArray(workouts) || workouts.length === 0 || workouts.length > MAX_WORKOUTS_PER_DAY) {
+                console.error('Invalid planned workouts provided:', weekIndex + 1, day);
+                throw {
+                    message: `Day ${day} of week ${weekIndex + 1} must plan 1 to ${MAX_WORKOUTS_PER_DAY} workouts`,
+                    code: 400,
+                    statusText: 'Bad Request',
+                };
+            }
+
+            return {
+                day,
+                workouts: workouts.map((workout) => normalizePlannedWorkout(workout, `day ${day} of week ${weekIndex + 1}`)),
+            };
+        });
+
+        return {
+            notes: sanitizedNotes || undefined,
+            days: normalizedDays.sort((a, b) => a.day - b.day),
+        };
+    });
+};
+
+
+/**
+ * Validates and normalizes a planned workout.
+ *
+ * @param {object} workout - The planned workout.
+ * @param {string} location - Where the workout is planned, for error messages.
+ * @returns {object} The normalized planned workout.
+ * @throws {Error} If a field is invalid.
+ */
+const normalizePlannedWorkout = ({ type, title, duration, distance, notes } = {}, location) => {
+    if (!WORKOUT_TYPES.includes(type)) {
+        console.error('Invalid planned workout type provided:', type);
+        throw {
+            message: `Workouts on ${location} need a type of: ${WORKOUT_TYPES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const sanitizedTitle = sanitizeString(title);
+    const sanitizedNotes = sanitizeString(notes);
+    if (!sanitizedTitle || sanitizedTitle.length > 100 || sanitizedNotes.length > 500) {
+        console.error('Invalid planned workout title or notes provided:', location);
+        throw {
+            message: `Workouts on ${location} need a title of at most 100 characters and notes of at most 500 characters`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    for (const [field, value, max] of [['duration', duration, MAX_DURATION_MINUTES], ['distance', distance, MAX_DISTANCE_METERS]]) {
+        if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > max)) {
+            console.error(`Invalid planned workout ${field} provided:`, value);
+            throw {
+                message: `The ${field} of workouts on ${location} must be a positive number of at most ${max}`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+
+    return { type, title: sanitizedTitle, duration, distance, notes: sanitizedNotes || undefined };
+};
+
+
+/**
+ * Validates and normalizes the fields of a training plan.
+ *
+ * @param {object} data - The plan fields.
+ * @param {string} data.title - The title, up to 100 characters.
+ * @param {string} [data.description] - The description, up to 1000 characters.
+ * @param {Array<object>} data.weeks - The weeks of the plan, see `normalizeWeeks`.
+ * @returns {object} The normalized plan fields.
+ * @throws {Error} If a field is invalid.
+ */
+const normalizePlan = ({ title, description, weeks } = {}) => {
+    const sanitizedTitle = sanitizeString(title);
+    if (!sanitizedTitle || sanitizedTitle.length > 100) {
+        console.error('Invalid plan title provided:', title);
+        throw {
+            message: 'A plan title of at most 100 characters is required',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const sanitizedDescription = sanitizeString(description);
+    if (sanitizedDescription.length > 1000) {
+        console.error('Plan description must be less than 1000 characters long.');
+        throw {
+            message: 'Plan description must be less than 1000 characters long',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    return { title: sanitizedTitle, description: sanitizedDescription || undefined, weeks: normalizeWeeks(weeks) };
+};
+
+
+/**
+ * Returns the status of a scheduled session as of today.
+ *
+ * @param {object} session - The session.
+ * @param {string} today - Today's local date in the plan's timezone.
+ * @returns {string} 'completed' once a workout is matched, 'missed' if its date has passed without one, 'planned' otherwise.
+ */
+const getSessionStatus = (session, today) => {
+    if (session.workoutId) return 'completed';
+    return session.date < today ? 'missed' : 'planned';
+};
+
+
+/**
+ * Matches the sessions of a scheduled plan to the workouts logged on their dates and stores the matches.
+ * Each workout completes at most one session of the plan, sessions of the same type are matched first.
+ *
+ * @param {mongoose.Document} plan - The scheduled plan.
+ * @returns {Promise<{ sessions: Array<mongoose.Document>, unplannedWorkouts: number }>} A promise that resolves with
+ * the sessions in date order and the number of workouts on the plan's dates that completed no session.
+ */
+const matchPlanSessions = async (plan) => {
+    const sessions = await ScheduledSession.find({ planId: plan._id }).sort({ date: 1, week: 1, day: 1, _id: 1 });
+    if (!plan.startDate) {
+        return { sessions, unplannedWorkouts: 0 };
+    }
+
+    // Local dates can be up to a day off UTC, fetch a day more on each side and filter by local date
+    const workouts = await Workout.find({
+        userId: plan.userId,
+        date: { $gte: new Date(`${addDays(plan.startDate, -1)}T00:00:00Z`), $lt: new Date(`${addDays(plan.endDate, 2)}T00:00:00Z`) },
+    }).select('date type').sort({ date: 1, _id: 1 });
+
+    const workoutsByDate = new Map();
+    for (const workout of workouts) {
+        const date = toLocalDate(workout.date, plan.timezone);
+        if (date < plan.startDate || date > plan.endDate) continue;
+        if (!workoutsByDate.has(date)) workoutsByDate.set(date, []);
+        workoutsByDate.get(date).push(workout);
+    }
+
+    const matches = new Map();
+    const usedWorkoutIds = new Set();
+    const claim = (session, accepts) => {
+        const workout = (workoutsByDate.get(session.date) || []).find((w) => !usedWorkoutIds.has(String(w._id)) && accepts(w));
+        if (workout) {
+            usedWorkoutIds.add(String(workout._id));
+            matches.set(String(session._id), workout._id);
+        }
+    };
+    sessions.forEach((session) => claim(session, (workout) => workout.type === session.type));
+    sessions
+        .filter((session) => session.type === 'other' && !matches.has(String(session._id)))
+        .forEach((session) => claim(session, () => true));
+
+    const updates = [];
+    for (const session of sessions) {
+        const workoutId = matches.get(String(session._id)) || null;
+        if (String(workoutId) !== String(session.workoutId)) {
+            session.workoutId = workoutId;
+            updates.push({ updateOne: { filter: { _id: session._id }, update: { $set: { workoutId } } } });
+        }
+    }
+    if (updates.length > 0) {
+        await ScheduledSession.bulkWrite(updates);
+    }
+
+    let unplannedWorkouts = 0;
+    for (const dateWorkouts of workoutsByDate.values()) {
+        unplannedWorkouts += dateWorkouts.filter((workout) => !usedWorkoutIds.has(String(workout._id))).length;
+    }
+    return { sessions, unplannedWorkouts };
+};
+
+
+/**
+ * Rolls the progress of a goal up from the training plan attached to it, the share of completed sessions.
+ * A progress entry is recorded when the rolled up progress differs from the current progress. Goals that
+ * do not follow a plan, are on hold or whose plan is not scheduled are returned unchanged.
+ *
+ * @param {mongoose.Document} goal - The saved goal.
+ * @param {string} [note] - The note of the recorded progress entry.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the goal.
+ */
+const rollupPlanProgress = async (goal, note) => {
+    if (goal.progressSource !== 'plan' || !goal.acceptsProgress()) {
+        return goal;
+    }
+
+    const plan = await TrainingPlan.findOne({ goalId: goal._id, userId: goal.userId });
+    if (!plan || !plan.startDate) {
+        return goal;
+    }
+
+    const [total, completed] = await Promise.all([
+        ScheduledSession.countDocuments({ planId: plan._id }),
+        ScheduledSession.countDocuments({ planId: plan._id, workoutId: { $ne: null } }),
+    ]);
+    const progress = total > 0 ? Math.round((completed / total) * 10000) / 100 : 0;
+    if (progress === goal.progress) {
+        return goal;
+    }
+
+    const { goal: updatedGoal } = await recordProgressEntry(goal, progress, new Date(), note);
+    return updatedGoal;
+};
+
+
+/**
+ * Matches the sessions of a plan again and rolls up the progress of the goal it is attached to.
+ *
+ * @param {mongoose.Document} plan - The plan.
+ * @returns {Promise<{ sessions: Array<mongoose.Document>, unplannedWorkouts: number }>} A promise that resolves with the matched sessions.
+ */
+const refreshPlan = async (plan) => {
+    const result = await matchPlanSessions(plan);
+    if (plan.goalId) {
+        const goal = await Goal.findOne({ _id: plan.goalId, userId: plan.userId });
+        if (goal) {
+            await rollupPlanProgress(goal, 'Progress rolled up from training plan');
+        }
+    }
+    return result;
+};
+
+
+/**
+ * Refreshes the scheduled plans of a user covering the dates of logged, updated or deleted workouts.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<Date>} dates - The dates of the workouts.
+ * @returns {Promise<void>}
+ */
+const refreshPlansForWorkouts = async (userId, dates) => {
+    const localDates = dates.map((date) => toLocalDate(date)).sort();
+    if (localDates.length === 0) {
+        return;
+    }
+
+    // Plans may be in any timezone, so include plans within a day of the workouts
+    const plans = await TrainingPlan.find({
+        userId,
+        startDate: { $ne: null, $lte: addDays(localDates[localDates.length - 1], 1) },
+        endDate: { $gte: addDays(localDates[0], -1) },
+    });
+    for (const plan of plans) {
+        await refreshPlan(plan);
+    }
+};
+
+
+/**
+ * Looks up a training plan owned by a user, throwing formatted errors if the ID is invalid or the plan does not exist.
+ *
+ * @param {string} planId - The ID of the plan.
+ * @param {string} userId - The ID of the user who owns the plan.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the plan.
+ */
+const findUserPlan = async (planId, userId) => {
+    if (!planId || !isValidObjectId(planId)) {
+        console.error('Invalid planId provided:', planId);
+        throw {
+            message: 'Invalid planId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    await findUser(userId);
+
+    const plan = await TrainingPlan.findOne({ _id: planId, userId });
+    if (!plan) {
+        console.error('Training plan not found with the given planId and userId:', planId, userId);
+        throw {
+            message: 'Training plan not found',
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+    return plan;
+};
+
+
+/**
+ * Looks up a goal a plan can be attached to: a percentage target goal of the user that does not roll up
+ * its milestones and follows no other plan.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} goalId - The ID of the goal.
+ * @param {mongoose.Types.ObjectId} [planId] - The ID of the plan being attached, if it exists already.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the goal.
+ */
+const findAttachableGoal = async (userId, goalId, planId) => {
+    if (!isValidObjectId(goalId)) {
+        console.error('Invalid goalId provided:', goalId);
+        throw {
+            message: 'Invalid goalId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const goal = await Goal.findOne({ _id: goalId, userId });
+    if (!goal) {
+        console.error('Goal not found with the given goalId and userId:', goalId, userId);
+        throw {
+            message: 'Goal not found',
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+
+    if (goal.goalType === 'habit' || goal.isMeasurable()) {
+        console.error('Training plan attached to a habit or measurable goal:', goalId);
+        throw {
+            message: 'Only percentage target goals can follow a training plan',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (goal.progressSource === 'milestones') {
+        console.error('Training plan attached to a goal rolling up milestones:', goalId);
+        throw {
+            message: 'Goal rolls up its progress from milestones and cannot follow a training plan',
+            code: 409,
+            statusText: 'Conflict',
+        };
+    }
+
+    const otherPlan = await TrainingPlan.findOne({ goalId: goal._id, _id: { $ne: planId } });
+    if (otherPlan) {
+        console.error('Goal already follows another training plan:', goalId, otherPlan._id);
+        throw {
+            message: 'Goal already follows another training plan',
+            code: 409,
+            statusText: 'Conflict',
+        };
+    }
+    return goal;
+};
+
+
+/**
+ * Hands a goal back to its logged progress entries when its training plan is detached, keeping its current progress.
+ *
+ * @param {mongoose.Types.ObjectId} goalId - The ID of the goal the plan was attached to.
+ * @param {mongoose.Types.ObjectId} userId - The ID of the user.
+ * @returns {Promise<void>}
+ */
+const detachGoal = async (goalId, userId) => {
+    await Goal.updateOne({ _id: goalId, userId, progressSource: 'plan' }, { $set: { progressSource: 'entries' } }, { withDeleted: true });
+};
+
+
+/**
+ * Turns the planned workouts of a plan into sessions dated from the plan's start date, replacing its previous sessions.
+ *
+ * @param {mongoose.Document} plan - The plan, with its startDate set.
+ * @returns {Promise<void>}
+ */
+const buildSessions = async (plan) => {
+    await ScheduledSession.deleteMany({ planId: plan._id });
+
+    const sessions = [];
+    plan.weeks.forEach((week, weekIndex) => {
+        for (const { day, workouts } of week.days) {
+            for (const { type, title, duration, distance, notes } of workouts) {
+                sessions.push({
+                    userId: plan.userId,
+                    planId: plan._id,
+                    date: addDays(plan.startDate, weekIndex * 7 + day - 1),
+                    week: weekIndex + 1,
+                    day,
+                    type,
+                    title,
+                    duration,
+                    distance,
+                    notes,
+                });
+            }
+        }
+    });
+    if (sessions.length > 0) {
+        await ScheduledSession.insertMany(sessions);
+    }
+};
+
+
+/**
+ * Creates a training plan for a user, optionally attached to one of their goals.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} data - The plan fields, see `normalizePlan`, and an optional `goalId` of the goal to attach it to.
+ * @returns {Promise<object>} A promise that resolves with the new plan or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user or goal lookup, or database access.
+ */
+const createPlan = async (userId, data) => {
+    const normalizedPlan = normalizePlan(data);
+
+    try {
+        await findUser(userId);
+
+        let goal = null;
+        if (data.goalId) {
+            goal = await findAttachableGoal(userId, data.goalId);
+        }
+
+        const plan = await TrainingPlan.create({ userId, ...normalizedPlan, goalId: goal ? goal._id : null });
+        if (goal) {
+            goal.progressSource = 'plan';
+            await goal.save();
+        }
+        return plan;
+    } catch (error) {
+        console.error('Failed to create training plan:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to create training plan',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Lists the training plans of a user, most recently created first, without their weeks.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} A promise that resolves with `{ plans }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const listPlans = async (userId) => {
+    try {
+        await findUser(userId);
+        const plans = await TrainingPlan.find({ userId }).select('-weeks').sort({ createdAt: -1, _id: -1 });
+        return { plans };
+    } catch (error) {
+        console.error('Failed to list training plans:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list training plans',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Retrieves a single training plan of a user.
+ *
+ * @param {string} planId - The ID of the plan.
+ * @param {string} userId - The ID of the user who owns the plan.
+ * @returns {Promise<object>} A promise that resolves with the plan or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, plan lookup, or database access.
+ */
+const getPlan = async (planId, userId) => {
+    try {
+        return await findUserPlan(planId, userId);
+    } catch (error) {
+        console.error('Failed to retrieve training plan:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to retrieve training plan',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Updates a training plan. Only the provided fields change; new weeks of a scheduled plan reschedule it
+ * from the same start date, and a `goalId` attaches the plan to another goal, null detaches it.
+ *
+ * @param {string} planId - The ID of the plan.
+ * @param {string} userId - The ID of the user who owns the plan.
+ * @param {object} updates - The fields to update, see `normalizePlan`, and `goalId`.
+ * @returns {Promise<object>} A promise that resolves with the updated plan or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, plan or goal lookup, or database access.
+ */
+const updatePlan = async (planId, userId, updates) => {
+    try {
+        const plan = await findUserPlan(planId, userId);
+
+        const current = plan.toObject();
+        const normalizedPlan = normalizePlan({
+            title: updates.title !== undefined ? updates.title : current.title,
+            description: updates.description !== undefined ? updates.description : current.description,
+            weeks: updates.weeks !== undefined ? updates.weeks : current.weeks,
+        });
+
+        let goal = null;
+        if (updates.goalId) {
+            goal = await findAttachableGoal(userId, updates.goalId, plan._id);
+        }
+
+        const previousGoalId = plan.goalId;
+        plan.set(normalizedPlan);
+        if (updates.goalId !== undefined) {
+            plan.goalId = goal ? goal._id : null;
+        }
+        if (plan.startDate) {
+            plan.endDate = addDays(plan.startDate, plan.weeks.length * 7 - 1);
+        }
+        const updatedPlan = await plan.save();
+
+        if (previousGoalId && !previousGoalId.equals(updatedPlan.goalId)) {
+            await detachGoal(previousGoalId, updatedPlan.userId);
+        }
+        if (goal && goal.progressSource !== 'plan') {
+            goal.progressSource = 'plan';
+            await goal.save();
+        }
+
+        if (updatedPlan.startDate && updates.weeks !== undefined) {
+            await buildSessions(updatedPlan);
+        }
+        await refreshPlan(updatedPlan);
+        return updatedPlan;
+    } catch (error) {
+        console.error('Failed to update training plan:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to update training plan',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Deletes a training plan along with its sessions. The goal it was attached to keeps its progress.
+ *
+ * @param {string} planId - The ID of the plan.
+ * @param {string} userId - The ID of the user who owns the plan.
+ * @returns {Promise<object>} A promise that resolves with a success message object or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, plan lookup, or database access.
+ */
+const deletePlan = async (planId, userId) => {
+    try {
+        const plan = await findUserPlan(planId, userId);
+        await ScheduledSession.deleteMany({ planId: plan._id });
+        await TrainingPlan.deleteOne({ _id: plan._id });
+        if (plan.goalId) {
+            await detachGoal(plan.goalId, plan.userId);
+        }
+        return { message: 'Training plan deleted successfully' };
+    } catch (error) {
+        console.error('Failed to delete training plan:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to delete training plan',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Schedules a training plan from a start date, turning its planned workouts into dated sessions.
+ * Scheduling a plan again replaces its sessions. Workouts already logged on the new dates complete their sessions.
+ *
+ * @param {string} planId - The ID of the plan.
+ * @param {string} userId - The ID of the user who owns the plan.
+ * @param {string} startDate - The local date of day 1 of week 1, as 'YYYY-MM-DD'.
+ * @param {string} [timezone] - The IANA timezone workouts are matched to the session dates in, defaults to the plan's timezone.
+ * @returns {Promise<object>} A promise that resolves with `{ plan, sessions }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, plan lookup, or database access.
+ */
+const schedulePlan = async (planId, userId, startDate, timezone) => {
+    if (!isValidLocalDate(startDate)) {
+        console.error('Invalid plan start date provided:', startDate);
+        throw {
+            message: 'startDate must be a valid date in YYYY-MM-DD format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+        console.error('Invalid timezone provided:', timezone);
+        throw {
+            message: 'timezone must be a valid IANA timezone, such as Europe/Berlin',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        const plan = await findUserPlan(planId, userId);
+        plan.startDate = startDate;
+        plan.endDate = addDays(startDate, plan.weeks.length * 7 - 1);
+        if (timezone !== undefined) plan.timezone = timezone;
+        const updatedPlan = await plan.save();
+
+        await buildSessions(updatedPlan);
+        const { sessions } = await refreshPlan(updatedPlan);
+        const today = toLocalDate(new Date(), updatedPlan.timezone);
+        return {
+            plan: updatedPlan,
+            sessions: sessions.map((session) => ({ ...session.toObject(), status: getSessionStatus(session, today) })),
+        };
+    } catch (error) {
+        console.error('Failed to schedule training plan:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to schedule training plan',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Takes a training plan off the schedule, removing its sessions. The goal it is attached to keeps its progress.
+ *
+ * @param {string} planId - The ID of the plan.
+ * @param {string} userId - The ID of the user who owns the plan.
+ * @returns {Promise<object>} A promise that resolves with the plan or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, plan lookup, or database access.
+ */
+const unschedulePlan = async (planId, userId) => {
+    try {
+        const plan = await findUserPlan(planId, userId);
+        await ScheduledSession.deleteMany({ planId: plan._id });
+        plan.startDate = null;
+        plan.endDate = null;
+        return await plan.save();
+    } catch (error) {
+        console.error('Failed to unschedule training plan:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to unschedule training plan',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Lists the scheduled sessions of all training plans of a user on a local date range, in date order.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} [options={}] - Listing options.
+ * @param {string} [options.from] - The first local date, defaults to today (UTC).
+ * @param {string} [options.to] - The last local date, defaults to 6 days after `from`. The range spans at most 93 days.
+ * @param {string} [options.planId] - Only include the sessions of this plan.
+ * @returns {Promise<object>} A promise that resolves with `{ from, to, sessions }`, each session with its `status`,
+ * or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const listSessions = async (userId, options = {}) => {
+    const { from, to, planId } = options;
+
+    if ((from && !isValidLocalDate(from)) || (to && !isValidLocalDate(to))) {
+        console.error('Invalid session range provided:', from, to);
+        throw {
+            message: 'from and to must be valid dates in YYYY-MM-DD format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const rangeStart = from || toLocalDate(new Date());
+    const rangeEnd = to || addDays(rangeStart, 6);
+    if (rangeStart > rangeEnd || diffInDays(rangeStart, rangeEnd) >= MAX_LISTED_DAYS) {
+        console.error('Invalid session range provided:', rangeStart, rangeEnd);
+        throw {
+            message: `from must not be after to, and the range must not exceed ${MAX_LISTED_DAYS} days`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (planId !== undefined && !isValidObjectId(planId)) {
+        console.error('Invalid planId filter provided:', planId);
+        throw {
+            message: 'Invalid planId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        await findUser(userId);
+
+        const filter = { userId, date: { $gte: rangeStart, $lte: rangeEnd } };
+        if (planId) filter.planId = planId;
+        const [sessions, plans] = await Promise.all([
+            ScheduledSession.find(filter).sort({ date: 1, week: 1, day: 1, _id: 1 }),
+            TrainingPlan.find({ userId }).select('timezone'),
+        ]);
+
+        // Each session is missed or not as of today in the timezone of its plan
+        const todayByPlan = new Map(plans.map((plan) => [String(plan._id), toLocalDate(new Date(), plan.timezone)]));
+        return {
+            from: rangeStart,
+            to: rangeEnd,
+            sessions: sessions.map((session) => ({
+                ...session.toObject(),
+                status: getSessionStatus(session, todayByPlan.get(String(session.planId)) || toLocalDate(new Date())),
+            })),
+        };
+    } catch (error) {
+        console.error('Failed to list scheduled sessions:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list scheduled sessions',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Reports how closely a user follows a scheduled training plan, comparing its sessions to the logged workouts.
+ * Adherence is the share of completed sessions among the sessions that are due, i.e. dated before today or
+ * already completed; progress is the share of completed sessions among all sessions of the plan.
+ *
+ * @param {string} planId - The ID of the plan.
+ * @param {string} userId - The ID of the user who owns the plan.
+ * @returns {Promise<object>} A promise that resolves with `{ planId, goalId, startDate, endDate, timezone, totals,
+ * adherence, progress, unplannedWorkouts, weeks, sessions }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, plan lookup, a plan that is not scheduled, or database access.
+ */
+const getPlanAdherence = async (planId, userId) => {
+    try {
+        const plan = await findUserPlan(planId, userId);
+        if (!plan.startDate) {
+            console.error('Adherence requested for a plan that is not scheduled:', planId);
+            throw {
+                message: 'Training plan is not scheduled',
+                code: 409,
+                statusText: 'Conflict',
+            };
+        }
+
+        const { sessions, unplannedWorkouts } = await refreshPlan(plan);
+        const today = toLocalDate(new Date(), plan.timezone);
+        const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : null);
+
+        const summarize = (group) => {
+            const statuses = group.map((session) => getSessionStatus(session, today));
+            const completed = statuses.filter((status) => status === 'completed').length;
+            const missed = statuses.filter((status) => status === 'missed').length;
+            return {
+                planned: group.length,
+                completed,
+                missed,
+                upcoming: group.length - completed - missed,
+                adherence: percentage(completed, completed + missed),
+            };
+        };
+
+        const weeks = plan.weeks.map((week, weekIndex) => ({
+            week: weekIndex + 1,
+            startDate: addDays(plan.startDate, weekIndex * 7),
+            ...summarize(sessions.filter((session) => session.week === weekIndex + 1)),
+        }));
+        const totals = summarize(sessions);
+
+        return {
+            planId: plan._id,
+            goalId: plan.goalId,
+            startDate: plan.startDate,
+            endDate: plan.endDate,
+            timezone: plan.timezone,
+            totals,
+            adherence: totals.adherence,
+            progress: percentage(totals.completed, totals.planned),
+            unplannedWorkouts,
+            weeks,
+            sessions: sessions.map((session) => ({ ...session.toObject(), status: getSessionStatus(session, today) })),
+        };
+    } catch (error) {
+        console.error('Failed to report training plan adherence:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to report training plan adherence',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export {
+    createPlan,
+    listPlans,
+    getPlan,
+    updatePlan,
+    deletePlan,
+    schedulePlan,
+    unschedulePlan,
+    listSessions,
+    getPlanAdherence,
+    rollupPlanProgress,
+    refreshPlansForWorkouts,
+};
@@ -0,0 +1,441 @@
+// api/services/progressService.js
+import Goal from '../models/Goal';
+import ProgressEntry from '../models/ProgressEntry';
+import { isValidObjectId, sanitizeString } from '../../src/utils/helpers';
+import { parsePageSize, encodeCursor, decodeCursor, buildCursorFilter } from '../utils/pagination';
+import { findUser } from './userService';
+
+
+/**
+ * Provides the business logic for the progress history of fitness goals.
+ * Every progress update is stored as a progress entry, and the `progress` of a goal
+ * is derived from its most recent entry. Measurable goals log values in their own unit,
+ * which are converted to a progress percentage by `Goal#computeProgress`.
+ */
+
+/**
+ * Recomputes the `currentValue` and `progress` of a goal from its most recent progress entry and saves the goal.
+ * Goals without entries are at their start value, with a progress of 0.
+ *
+ * @param {mongoose.Document} goal - The goal document to update.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the saved goal.
+ */
+const syncGoalProgress = async (goal) => {
+    const latestEntry = await ProgressEntry.findOne({ goalId: goal._id })
+        .sort({ recordedAt: -1, _id: -1 });
+
+    if (latestEntry) {
+        goal.currentValue = latestEntry.value;
+        goal.progress = goal.computeProgress(latestEntry.value);
+    } else {
+        goal.currentValue = goal.isMeasurable() ? goal.startValue : 0;
+        goal.progress = 0;
+    }
+    return goal.save();
+};
+
+
+/**
+ * Validates a logged value against the kind of goal it is logged for.
+ *
+ * @param {mongoose.Document} goal - The goal the value is logged for.
+ * @param {number} value - The logged value.
+ * @throws {Error} If the value is not valid for the goal.
+ */
+const validateProgressValue = (goal, value) => {
+    if (goal.progressSource === 'milestones') {
+        console.error('Progress cannot be logged for goals rolling up milestones.');
+        throw {
+            message: 'Progress of this goal rolls up from its milestones and cannot be logged',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    if (goal.progressSource === 'plan') {
+        console.error('Progress cannot be logged for goals following a training plan.');
+        throw {
+            message: 'Progress of this goal follows its training plan and cannot be logged',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    if (!goal.acceptsProgress()) {
+        console.error('Progress cannot be logged for goals that are on hold:', goal._id, goal.status);
+        throw {
+            message: `Progress cannot be logged while the goal is ${goal.status}`,
+            code: 409,
+            statusText: 'Conflict',
+        };
+    }
+    if (!goal.isMeasurable() && (value < 0 || value > 100)) {
+        console.error('Progress value must be a number between 0 and 100.');
+        throw {
+            message: 'Progress value must be a number between 0 and 100',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    if (goal.isMeasurable() && value < 0) {
+        console.error('Logged value must not be negative.');
+        throw {
+            message: `Logged value must be a non-negative number of ${goal.unit}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+};
+
+
+/**
+ * Stores a progress entry for an already validated goal and re-derives the goal's progress.
+ * Used by the progress routes as well as by goalService when a goal is created or updated.
+ *
+ * @param {mongoose.Document} goal - The goal the entry belongs to.
+ * @param {number} value - The progress value.
+ * @param {Date} [recordedAt=new Date()] - When the progress was reached.
+ * @param {string} [note] - An optional note.
+ * @param {string} [workoutId] - The workout the progress was logged by.
+ * @param {string} [measurementId] - The body measurement the progress was logged by.
+ * @returns {Promise<{ entry: mongoose.Document, goal: mongoose.Document }>} A promise that resolves with the new entry and the updated goal.
+ */
+const recordProgressEntry = async (goal, value, recordedAt = new Date(), note, workoutId, measurementId) => {
+    const entry = await ProgressEntry.create({
+        goalId: goal._id,
+        userId: goal.userId,
+        value,
+        recordedAt,
+        note: note || undefined,
+        workoutId: workoutId || undefined,
+        measurementId: measurementId || undefined,
+    });
+    const updatedGoal = await syncGoalProgress(goal);
+    return { entry, goal: updatedGoal };
+};
+
+
+/**
+ * Records an amount added to a cumulative measurable goal, such as the distance of a run towards a total distance.
+ * The entry continues the running total as of `recordedAt`, and entries recorded after it are raised by the
+ * same amount, so that backdated additions keep the whole history consistent.
+ *
+ * @param {mongoose.Document} goal - The goal the amount is added to.
+ * @param {number} delta - The added amount, in the goal's unit.
+ * @param {Date} recordedAt - When the amount was added.
+ * @param {string} [note] - An optional note.
+ * @param {string} [workoutId] - The workout the amount was logged by.
+ * @returns {Promise<{ entry: mongoose.Document, goal: mongoose.Document }>} A promise that resolves with the new entry and the updated goal.
+ */
+const recordCumulativeEntry = async (goal, delta, recordedAt, note, workoutId) => {
+    const previousEntry = await ProgressEntry.findOne({ goalId: goal._id, recordedAt: { $lte: recordedAt } })
+        .sort({ recordedAt: -1, _id: -1 });
+    const runningTotal = previousEntry ? previousEntry.value : (goal.startValue || 0);
+
+    await ProgressEntry.updateMany({ goalId: goal._id, recordedAt: { $gt: recordedAt } }, { $inc: { value: delta } });
+    const entry = await ProgressEntry.create({
+        goalId: goal._id,
+        userId: goal.userId,
+        value: runningTotal + delta,
+        recordedAt,
+        note: note || undefined,
+        workoutId: workoutId || undefined,
+        delta,
+    });
+    const updatedGoal = await syncGoalProgress(goal);
+    return { entry, goal: updatedGoal };
+};
+
+
+/**
+ * Removes the progress entries a workout logged for a goal and re-derives the goal's progress.
+ * Entries recorded after a cumulative entry are lowered by the amount it added.
+ *
+ * @param {mongoose.Document} goal - The goal the entries belong to.
+ * @param {string} workoutId - The ID of the workout.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the updated goal.
+ */
+const removeWorkoutEntries = async (goal, workoutId) => {
+    const entries = await ProgressEntry.find({ goalId: goal._id, workoutId });
+    if (entries.length === 0) {
+        return goal;
+    }
+
+    for (const entry of entries) {
+        if (entry.delta) {
+            await ProgressEntry.updateMany(
+                { goalId: goal._id, recordedAt: { $gt: entry.recordedAt } },
+                { $inc: { value: -entry.delta } },
+            );
+        }
+        await entry.deleteOne();
+    }
+    return syncGoalProgress(goal);
+};
+
+
+/**
+ * Removes the progress entries a body measurement logged for a goal and re-derives the goal's progress.
+ *
+ * @param {mongoose.Document} goal - The goal the entries belong to.
+ * @param {string} measurementId - The ID of the body measurement.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the updated goal.
+ */
+const removeMeasurementEntries = async (goal, measurementId) => {
+    const { deletedCount } = await ProgressEntry.deleteMany({ goalId: goal._id, measurementId });
+    return deletedCount > 0 ? syncGoalProgress(goal) : goal;
+};
+
+
+/**
+ * Looks up a goal owned by a user, throwing formatted errors if the user or the goal does not exist.
+ *
+ * @param {string} goalId - The ID of the goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the goal.
+ */
+const findUserGoal = async (goalId, userId) => {
+    await findUser(userId);
+
+    const goal = await Goal.findOne({ _id: goalId, userId: userId });
+    if (!goal) {
+        console.error('Goal not found with the given goalId and userId:', goalId, userId);
+        throw {
+            message: 'Goal not found',
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+    return goal;
+};
+
+
+/**
+ * Adds a progress entry to a goal, including input validation and goal ownership check.
+ *
+ * @param {string} goalId - The ID of the goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @param {number} value - The progress value, between 0 and 100 for percentage goals or a value in the goal's unit for measurable goals.
+ * @param {string} [recordedAt] - When the progress was reached, defaults to now.
+ * @param {string} [note] - An optional note, up to 500 characters.
+ * @returns {Promise<object>} A promise that resolves with `{ entry, goal }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, goal lookup, or database access.
+ */
+const addProgressEntry = async (goalId, userId, value, recordedAt, note) => {
+    // Sanitize inputs
+    const sanitizedNote = sanitizeString(note);
+
+    // Validate inputs
+    if (!goalId || !isValidObjectId(goalId)) {
+        console.error('Invalid goalId provided:', goalId);
+        throw {
+            message: 'Invalid goalId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!userId || !isValidObjectId(userId)) {
+        console.error('Invalid userId provided:', userId);
+        throw {
+            message: 'Invalid userId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        console.error('Progress value must be a number.');
+        throw {
+            message: 'Progress value must be a number',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    let recordedAtObj = new Date();
+    if (recordedAt) {
+        recordedAtObj = new Date(recordedAt);
+        if (isNaN(recordedAtObj)) {
+            console.error('Invalid recordedAt format.');
+            throw {
+                message: 'Invalid recordedAt format',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+        if (recordedAtObj > new Date()) {
+            console.error('recordedAt must not be in the future.');
+            throw {
+                message: 'recordedAt must not be in the future',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+
+    if (sanitizedNote.length > 500) {
+        console.error('Progress note must be less than 500 characters long.');
+        throw {
+            message: 'Progress note must be less than 500 characters long',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        const goal = await findUserGoal(goalId, userId);
+        validateProgressValue(goal, value);
+        return await recordProgressEntry(goal, value, recordedAtObj, sanitizedNote);
+    } catch (error) {
+        console.error('Failed to add progress entry:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to add progress entry',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Lists the progress history of a goal, one page at a time, in chronological order by default.
+ *
+ * @param {string} goalId - The ID of the goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @param {object} [options={}] - Listing options.
+ * @param {number} [options.limit=20] - The page size (1 to 100).
+ * @param {string} [options.cursor] - The `nextCursor` returned with the previous page.
+ * @param {string} [options.sortOrder='asc'] - The sort order of `recordedAt` ('asc' or 'desc').
+ * @param {string} [options.from] - Only include entries recorded on or after this date.
+ * @param {string} [options.to] - Only include entries recorded on or before this date.
+ * @returns {Promise<object>} A promise that resolves with `{ entries, total, nextCursor, hasMore }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, goal lookup, or database access.
+ */
+const listProgressEntries = async (goalId, userId, options = {}) => {
+    const { limit, cursor, sortOrder = 'asc', from, to } = options;
+
+    // Validate inputs
+    if (!goalId || !isValidObjectId(goalId)) {
+        console.error('Invalid goalId provided:', goalId);
+        throw {
+            message: 'Invalid goalId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!userId || !isValidObjectId(userId)) {
+        console.error('Invalid userId provided:', userId);
+        throw {
+            message: 'Invalid userId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const pageSize = parsePageSize(limit);
+    if (pageSize === null) {
+        console.error('Invalid page size provided:', limit);
+        throw {
+            message: 'Limit must be an integer between 1 and 100',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (sortOrder !== 'asc' && sortOrder !== 'desc') {
+        console.error('Invalid sort order provided:', sortOrder);
+        throw {
+            message: 'sortOrder must be either asc or desc',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const fromObj = from ? new Date(from) : null;
+    const toObj = to ? new Date(to) : null;
+    if ((fromObj && isNaN(fromObj)) || (toObj && isNaN(toObj))) {
+        console.error('Invalid date window provided:', from, to);
+        throw {
+            message: 'Invalid date format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    let decodedCursor = null;
+    if (cursor) {
+        decodedCursor = decodeCursor(cursor, 'recordedAt');
+        if (!decodedCursor) {
+            console.error('Invalid cursor provided:', cursor);
+            throw {
+                message: 'Invalid cursor',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+
+    try {
+        const goal = await findUserGoal(goalId, userId);
+
+        const filter = { goalId: goal._id };
+        if (fromObj || toObj) {
+            filter.recordedAt = {};
+            if (fromObj) filter.recordedAt.$gte = fromObj;
+            if (toObj) filter.recordedAt.$lte = toObj;
+        }
+        const pageQuery = decodedCursor
+            ? { $and: [filter, buildCursorFilter('recordedAt', direction, decodedCursor)] }
+            : filter;
+
+        // Fetch one extra entry to find out whether there is a next page
+        const [entries, total] = await Promise.all([
+            ProgressEntry.find(pageQuery)
+                .sort({ recordedAt: direction, _id: direction })
+                .limit(pageSize + 1),
+            ProgressEntry.countDocuments(filter),
+        ]);
+
+        const hasMore = entries.length > pageSize;
+        const page = hasMore ? entries.slice(0, pageSize) : entries;
+
+        return {
+            entries: page,
+            total,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'recordedAt') : null,
+            hasMore,
+        };
+    } catch (error) {
+        console.error('Failed to list progress entries:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list progress entries',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+export {
+    addProgressEntry,
+    listProgressEntries,
+    recordProgressEntry,
+    recordCumulativeEntry,
+    removeWorkoutEntries,
+    removeMeasurementEntries,
+    syncGoalProgress,
+    validateProgressValue,
+};
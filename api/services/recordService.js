@@ -0,0 +1,377 @@
+// api/services/recordService.js
+import mongoose from 'mongoose';
+import PersonalRecord, { RECORD_METRICS } from '../models/PersonalRecord';
+import Workout from '../models/Workout';
+import { isValidObjectId } from '../../src/utils/helpers';
+import { parsePageSize, encodeCursor, decodeCursor, buildCursorFilter } from '../utils/pagination';
+import { normalizeText } from '../utils/fuzzy';
+import { convertUnit } from '../utils/units';
+import { findUser } from './userService';
+
+
+/**
+ * Provides the business logic for personal records.
+ * Workouts are scanned for new bests per exercise as they are logged: the heaviest weight, the highest
+ * estimated one-rep max, the most reps of a bodyweight set, the longest distance and duration of a set,
+ * and the fastest times over running distances. A new best is stored as a record, so the records of
+ * an exercise and metric form its history. Editing or deleting workouts, or logging one dated before
+ * existing records, replays the workouts of the affected exercises to rebuild their history.
+ */
+
+// The one-rep max is only estimated from sets of up to this many reps, the estimate gets unreliable beyond
+const MAX_ESTIMATED_1RM_REPS = 12;
+
+/**
+ * Returns the key identifying an exercise across workouts: its catalog ID, or its normalized name
+ * for exercises logged as free text, so 'Bench press' and 'bench  press' share their records.
+ *
+ * @param {object} exercise - An exercise of a workout.
+ * @returns {string} The exercise key.
+ */
+const getExerciseKey = (exercise) => (
+    exercise.exerciseId ? String(exercise.exerciseId) : `name:${normalizeText(exercise.name)}`
+);
+
+/**
+ * Returns the keys of the exercises of a workout, see `getExerciseKey`.
+ *
+ * @param {object} workout - The workout.
+ * @returns {string[]} The distinct exercise keys.
+ */
+const getWorkoutExerciseKeys = (workout) => [...new Set(workout.exercises.map(getExerciseKey))];
+
+/**
+ * Whether a value beats the best value of a metric so far.
+ *
+ * @param {string} metric - The record metric.
+ * @param {number} value - The new value.
+ * @param {number|null|undefined} best - The best value so far, if any.
+ * @returns {boolean} True if the value is a new record.
+ */
+const isBetter = (metric, value, best) => {
+    if (best === null || best === undefined) {
+        return true;
+    }
+    return RECORD_METRICS[metric].lowerIsBetter ? value < best : value > best;
+};
+
+/**
+ * Collects the best value of a workout per exercise and metric.
+ *
+ * @param {object} workout - The workout.
+ * @returns {Array<object>} One `{ exerciseKey, exerciseId, exerciseName, metric, value }` per exercise and metric.
+ */
+const extractCandidates = (workout) => {
+    const candidates = new Map();
+    const consider = (exercise, metric, value) => {
+        if (!(value > 0)) return;
+        const exerciseKey = getExerciseKey(exercise);
+        const key = `${exerciseKey}|${metric}`;
+        const roundedValue = Math.round(value * 100) / 100;
+        const current = candidates.get(key);
+        if (current && !isBetter(metric, roundedValue, current.value)) return;
+        candidates.set(key, {
+            exerciseKey,
+            exerciseId: exercise.exerciseId || null,
+            exerciseName: exercise.name,
+            metric,
+            value: roundedValue,
+        });
+    };
+
+    for (const exercise of workout.exercises) {
+        for (const set of exercise.sets) {
+            const weight = set.weight ? convertUnit(set.weight, workout.weightUnit, 'kg') : 0;
+            const distance = set.distance ? convertUnit(set.distance, workout.distanceUnit, 'm') : 0;
+
+            if (weight > 0) {
+                consider(exercise, 'max_weight', weight);
+                // Epley formula, a single rep is the one-rep max itself
+                if (set.reps >= 1 && set.reps <= MAX_ESTIMATED_1RM_REPS) {
+                    consider(exercise, 'estimated_1rm', set.reps === 1 ? weight : weight * (1 + set.reps / 30));
+                }
+            } else if (set.reps > 0) {
+                consider(exercise, 'max_reps', set.reps);
+            }
+
+            if (distance > 0) {
+                consider(exercise, 'longest_distance', distance);
+            }
+            if (set.duration > 0) {
+                consider(exercise, 'longest_duration', set.duration);
+                for (const [metric, { distance: recordDistance }] of Object.entries(RECORD_METRICS)) {
+                    if (recordDistance && distance >= recordDistance) {
+                        consider(exercise, metric, set.duration * (recordDistance / distance));
+                    }
+                }
+            }
+        }
+    }
+    return [...candidates.values()];
+};
+
+
+/**
+ * Rebuilds the record history of exercises of a user by replaying the user's workouts in date order.
+ *
+ * @param {string|mongoose.Types.ObjectId} userId - The ID of the user.
+ * @param {string[]} exerciseKeys - The keys of the exercises, see `getExerciseKey`.
+ * @returns {Promise<Array<mongoose.Document>>} A promise that resolves with the rebuilt records.
+ */
+const rebuildRecords = async (userId, exerciseKeys) => {
+    if (exerciseKeys.length === 0) {
+        return [];
+    }
+    await PersonalRecord.deleteMany({ userId, exerciseKey: { $in: exerciseKeys } });
+
+    // Exercises logged as free text can be in any workout, catalog exercises are looked up by ID
+    const filter = { userId };
+    if (exerciseKeys.every((key) => !key.startsWith('name:'))) {
+        filter['exercises.exerciseId'] = { $in: exerciseKeys };
+    }
+
+    const best = new Map();
+    const records = [];
+    const cursor = Workout.find(filter).sort({ date: 1, _id: 1 }).cursor();
+    for await (const workout of cursor) {
+        for (const candidate of extractCandidates(workout)) {
+            if (!exerciseKeys.includes(candidate.exerciseKey)) continue;
+
+            const key = `${candidate.exerciseKey}|${candidate.metric}`;
+            const previousValue = best.has(key) ? best.get(key) : null;
+            if (!isBetter(candidate.metric, candidate.value, previousValue)) continue;
+
+            best.set(key, candidate.value);
+            records.push({
+                ...candidate,
+                userId,
+                unit: RECORD_METRICS[candidate.metric].unit,
+                previousValue,
+                workoutId: workout._id,
+                achievedAt: workout.date,
+            });
+        }
+    }
+    return records.length > 0 ? PersonalRecord.insertMany(records) : [];
+};
+
+
+/**
+ * Scans a newly logged workout for personal records and stores the records it sets.
+ * A workout dated before existing records of an exercise may change what was a record since,
+ * so the history of that exercise is rebuilt instead.
+ *
+ * @param {mongoose.Document} workout - The saved workout.
+ * @returns {Promise<Array<mongoose.Document>>} A promise that resolves with the records set by the workout.
+ */
+const detectRecords = async (workout) => {
+    const records = [];
+    const backdatedKeys = new Set();
+
+    for (const candidate of extractCandidates(workout)) {
+        if (backdatedKeys.has(candidate.exerciseKey)) continue;
+
+        // Records are only added when they beat the previous one, so the latest record is the best
+        const latest = await PersonalRecord.findOne({
+            userId: workout.userId,
+            exerciseKey: candidate.exerciseKey,
+            metric: candidate.metric,
+        }).sort({ achievedAt: -1, _id: -1 });
+
+        if (latest && latest.achievedAt > workout.date) {
+            backdatedKeys.add(candidate.exerciseKey);
+            continue;
+        }
+        if (latest && !isBetter(candidate.metric, candidate.value, latest.value)) continue;
+
+        records.push(await PersonalRecord.create({
+            ...candidate,
+            userId: workout.userId,
+            unit: RECORD_METRICS[candidate.metric].unit,
+            previousValue: latest ? latest.value : null,
+            workoutId: workout._id,
+            achievedAt: workout.date,
+        }));
+    }
+
+    if (backdatedKeys.size > 0) {
+        const rebuiltRecords = await rebuildRecords(workout.userId, [...backdatedKeys]);
+        records.push(...rebuiltRecords.filter((record) => record.workoutId.equals(workout._id)));
+    }
+    return records;
+};
+
+
+/**
+ * Validates the exercise and metric filters of the record endpoints.
+ *
+ * @param {object} filters - The filters.
+ * @param {string} [filters.exerciseId] - The ID of an exercise.
+ * @param {string} [filters.metric] - One of the keys of `RECORD_METRICS`.
+ * @returns {object} The MongoDB filter for the exercise and metric.
+ * @throws {Error} If a filter is invalid.
+ */
+const buildRecordFilter = ({ exerciseId, metric }) => {
+    if (exerciseId !== undefined && !isValidObjectId(exerciseId)) {
+        console.error('Invalid exerciseId filter provided:', exerciseId);
+        throw {
+            message: 'Invalid exerciseId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (metric !== undefined && !RECORD_METRICS[metric]) {
+        console.error('Invalid record metric provided:', metric);
+        throw {
+            message: `metric must be one of: ${Object.keys(RECORD_METRICS).join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const filter = {};
+    if (exerciseId) filter.exerciseKey = String(exerciseId);
+    if (metric) filter.metric = metric;
+    return filter;
+};
+
+
+/**
+ * Lists the current personal records of a user, one per exercise and metric, most recent first.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} [filters={}] - Listing filters.
+ * @param {string} [filters.exerciseId] - Only include records of this catalog or custom exercise.
+ * @param {string} [filters.metric] - Only include records in this metric.
+ * @param {string} [filters.since] - Only include records set on or after this date, e.g. the start of the week.
+ * @returns {Promise<object>} A promise that resolves with `{ records }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const listRecords = async (userId, filters = {}) => {
+    const recordFilter = buildRecordFilter(filters);
+
+    const sinceObj = filters.since ? new Date(filters.since) : null;
+    if (sinceObj && isNaN(sinceObj)) {
+        console.error('Invalid since date provided:', filters.since);
+        throw {
+            message: 'Invalid since date format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        await findUser(userId);
+
+        const pipeline = [
+            { $match: { userId: new mongoose.Types.ObjectId(userId), ...recordFilter } },
+            { $sort: { achievedAt: -1, _id: -1 } },
+            { $group: { _id: { exerciseKey: '$exerciseKey', metric: '$metric' }, record: { $first: '$$ROOT' } } },
+            { $replaceRoot: { newRoot: '$record' } },
+        ];
+        if (sinceObj) {
+            pipeline.push({ $match: { achievedAt: { $gte: sinceObj } } });
+        }
+        pipeline.push({ $sort: { achievedAt: -1, _id: -1 } });
+
+        const records = await PersonalRecord.aggregate(pipeline);
+        return { records };
+    } catch (error) {
+        console.error('Failed to list records:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list records',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Lists the record history of a user, every record including the ones beaten since, newest first, one page at a time.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} [options={}] - Listing options.
+ * @param {number} [options.limit=20] - The page size (1 to 100).
+ * @param {string} [options.cursor] - The `nextCursor` returned with the previous page.
+ * @param {string} [options.exerciseId] - Only include records of this catalog or custom exercise.
+ * @param {string} [options.metric] - Only include records in this metric.
+ * @returns {Promise<object>} A promise that resolves with `{ records, total, nextCursor, hasMore }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const listRecordHistory = async (userId, options = {}) => {
+    const { limit, cursor } = options;
+
+    const pageSize = parsePageSize(limit);
+    if (pageSize === null) {
+        console.error('Invalid page size provided:', limit);
+        throw {
+            message: 'Limit must be an integer between 1 and 100',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    let decodedCursor = null;
+    if (cursor) {
+        decodedCursor = decodeCursor(cursor, 'achievedAt');
+        if (!decodedCursor) {
+            console.error('Invalid cursor provided:', cursor);
+            throw {
+                message: 'Invalid cursor',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+
+    // Build the filter shared by the page query and the total count
+    const filter = { userId, ...buildRecordFilter(options) };
+    const pageQuery = decodedCursor
+        ? { $and: [filter, buildCursorFilter('achievedAt', -1, decodedCursor)] }
+        : filter;
+
+    try {
+        await findUser(userId);
+
+        // Fetch one extra record to find out whether there is a next page
+        const [records, total] = await Promise.all([
+            PersonalRecord.find(pageQuery)
+                .sort({ achievedAt: -1, _id: -1 })
+                .limit(pageSize + 1),
+            PersonalRecord.countDocuments(filter),
+        ]);
+
+        const hasMore = records.length > pageSize;
+        const page = hasMore ? records.slice(0, pageSize) : records;
+
+        return {
+            records: page,
+            total,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'achievedAt') : null,
+            hasMore,
+        };
+    } catch (error) {
+        console.error('Failed to list record history:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list record history',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export { getExerciseKey, getWorkoutExerciseKeys, detectRecords, rebuildRecords, listRecords, listRecordHistory };
@@ -0,0 +1,783 @@
+// api/services/reportService.js
+import { readFileSync } from 'fs';
+import User from '../models/User';
+import Goal from '../models/Goal';
+import ProgressEntry from '../models/ProgressEntry';
+import CheckIn from '../models/CheckIn';
+import Workout from '../models/Workout';
+import PersonalRecord from '../models/PersonalRecord';
+import WeeklyReport from '../models/WeeklyReport';
+import { forecastGoals } from './forecastService';
+import { evaluatePeriods, computeStreaks } from './habitService';
+import { round, coveringInstants, localDateOf } from './statsService';
+import { compileTemplate, escapeHtml } from '../utils/template';
+import { isValidTimeZone, isValidLocalDate, toLocalDate, toLocalHour, addDays, dayOfWeek, startOfWeek } from '../utils/dateUtils';
+import { parsePageSize, encodeCursor, decodeCursor, buildCursorFilter } from '../utils/pagination';
+import { isValidObjectId } from '../../src/utils/helpers';
+import { findUser } from './userService';
+
+/**
+ * Provides the business logic for the weekly reports of a user: a recap of one week, from Monday to Sunday in
+ * the user's timezone, covering the goals progressed and completed, the streaks of the habits, the personal
+ * records set and the goals falling behind. A report is built as a summary of plain data first and then rendered
+ * as HTML and as plain text from the templates in api/templates. Reports can be previewed for any week up to
+ * the current one; the weekly report job stores each user's report once their Sunday evening has come, so past
+ * weeks can be browsed as they were generated.
+ */
+
+const REPORT_FORMATS = ['json', 'html', 'text'];
+
+// Hour of the user's Sunday from which the report of the week is generated, configurable via WEEKLY_REPORT_HOUR
+const parsedReportHour = Number.parseInt(process.env.WEEKLY_REPORT_HOUR, 10);
+const WEEKLY_REPORT_HOUR = Number.isInteger(parsedReportHour) && parsedReportHour >= 0 && parsedReportHour <= 23
+    ? parsedReportHour
+    : 18;
+
+// Forecast classifications listed as falling behind, see forecastService
+const FALLING_BEHIND = ['behind', 'stalled'];
+
+// Display names of the record metrics, as in the RecordList component
+const RECORD_METRIC_LABELS = {
+    max_weight: 'Heaviest weight',
+    estimated_1rm: 'Estimated 1RM',
+    max_reps: 'Most reps',
+    longest_distance: 'Longest distance',
+    longest_duration: 'Longest duration',
+    fastest_1k: 'Fastest 1k',
+    fastest_5k: 'Fastest 5k',
+    fastest_10k: 'Fastest 10k',
+    fastest_half_marathon: 'Fastest half marathon',
+    fastest_marathon: 'Fastest marathon',
+};
+
+// The compiled templates, read on first use
+let templates = null;
+
+/**
+ * Returns the compiled report templates, reading them from api/templates on first use.
+ *
+ * @returns {{ html: function(object): string, text: function(object): string }} The templates.
+ */
+const getTemplates = () => {
+    if (!templates) {
+        const read = (file) => readFileSync(new URL(`../templates/${file}`, import.meta.url), 'utf8');
+        templates = {
+            html: compileTemplate(read('weeklyReport.html'), { escape: escapeHtml }),
+            text: compileTemplate(read('weeklyReport.txt')),
+        };
+    }
+    return templates;
+};
+
+/**
+ * Formats a local date for a report.
+ *
+ * @param {string} localDate - The date as 'YYYY-MM-DD'.
+ * @param {object} [options={ month: 'short', day: 'numeric', year: 'numeric' }] - `Intl.DateTimeFormat` options.
+ * @returns {string} The formatted date, such as 'Oct 18, 2026'.
+ */
+const formatLocalDate = (localDate, options = { month: 'short', day: 'numeric', year: 'numeric' }) =>
+    new Date(`${localDate}T00:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+
+/**
+ * Formats a number of minutes as hours and minutes.
+ *
+ * @param {number} minutes - The minutes.
+ * @returns {string} The formatted duration, such as '3 h 20 min'.
+ */
+const formatMinutes = (minutes) => {
+    const rounded = Math.round(minutes);
+    const hours = Math.floor(rounded / 60);
+    return hours > 0 ? `${hours} h ${rounded % 60} min` : `${rounded} min`;
+};
+
+/**
+ * Formats a record value in its unit, seconds as h:mm:ss and meters as kilometers from 1 km on.
+ *
+ * @param {number} value - The record value.
+ * @param {string} unit - The unit of the value, 'kg', 'reps', 'm' or 's'.
+ * @returns {string} The formatted value.
+ */
+const formatRecordValue = (value, unit) => {
+    if (unit === 's') {
+        const totalSeconds = Math.round(value);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+    }
+    if (unit === 'm' && value >= 1000) {
+        return `${Math.round(value / 10) / 100} km`;
+    }
+    return `${value} ${unit}`;
+};
+
+/**
+ * Formats a number of habit periods, days or weeks depending on the habit's frequency.
+ *
+ * @param {number} count - The number of periods.
+ * @param {string} frequency - The recurrence frequency of the habit.
+ * @returns {string} The formatted count, such as '5 days'.
+ */
+const formatPeriods = (count, frequency) => {
+    const unit = frequency === 'weekly' ? 'week' : 'day';
+    return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+
+/**
+ * Validates a report format.
+ *
+ * @param {string} format - The format, see `REPORT_FORMATS`.
+ * @throws {Error} If the format is unknown.
+ */
+const validateFormat = (format) => {
+    if (!REPORT_FORMATS.includes(format)) {
+        console.error('Invalid report format provided:', format);
+        throw {
+            message: `format must be one of: ${REPORT_FORMATS.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+};
+
+/**
+ * Picks the rendering of a report in a format.
+ *
+ * @param {object} report - The report, with its summary, HTML and text.
+ * @param {string} format - The format, see `REPORT_FORMATS`.
+ * @returns {{ contentType: string, body: object|string }} The content type and the body of the response.
+ */
+const formatReport = (report, format) => {
+    if (format === 'html') {
+        return { contentType: 'text/html; charset=utf-8', body: report.html };
+    }
+    if (format === 'text') {
+        return { contentType: 'text/plain; charset=utf-8', body: report.text };
+    }
+    return { contentType: 'application/json', body: report };
+};
+
+/**
+ * Computes the streaks of the active habits of a user as of the end of a week, and how the week went.
+ * Streaks are evaluated in each habit's own timezone, like habitService does; periods of the current week
+ * that are not over yet do not break a streak.
+ *
+ * @param {Array<mongoose.Document>} habits - The active habit goals.
+ * @param {string} weekStart - The Monday of the week as 'YYYY-MM-DD'.
+ * @param {string} weekEnd - The Sunday of the week as 'YYYY-MM-DD'.
+ * @param {Date} now - The current time.
+ * @returns {Promise<Array<object>>} A promise that resolves with the streaks of the habits scheduled in the week,
+ * the longest current streak first.
+ */
+const buildStreaks = async (habits, weekStart, weekEnd, now) => {
+    if (habits.length === 0) {
+        return [];
+    }
+    const checkIns = await CheckIn.find({ goalId: { $in: habits.map((habit) => habit._id) }, date: { $lte: weekEnd } })
+        .select('goalId date')
+        .lean();
+    const datesByGoal = new Map();
+    for (const { goalId, date } of checkIns) {
+        const key = String(goalId);
+        if (!datesByGoal.has(key)) datesByGoal.set(key, []);
+        datesByGoal.get(key).push(date);
+    }
+
+    const streaks = [];
+    for (const habit of habits) {
+        const dates = (datesByGoal.get(String(habit._id)) || []).sort();
+        const today = toLocalDate(now, habit.timezone);
+        const asOf = weekEnd < today ? weekEnd : today;
+        // Count from the habit's creation, or from the first check-in if earlier ones were backfilled
+        const createdOn = toLocalDate(habit.createdAt, habit.timezone);
+        const from = dates.length > 0 && dates[0] < createdOn ? dates[0] : createdOn;
+        if (from > asOf) {
+            continue;
+        }
+
+        const periods = evaluatePeriods(habit.recurrence, dates, from, asOf, today);
+        const weekPeriods = periods.filter((period) => period.end >= weekStart && period.start <= weekEnd);
+        if (weekPeriods.length === 0) {
+            continue;
+        }
+        const { currentStreak, longestStreak } = computeStreaks(periods);
+        streaks.push({
+            goalId: habit._id,
+            title: habit.title,
+            frequency: habit.recurrence.frequency,
+            currentStreak,
+            longestStreak,
+            completedPeriods: weekPeriods.filter((period) => period.status === 'completed').length,
+            scheduledPeriods: weekPeriods.length,
+            checkIns: dates.filter((date) => date >= weekStart && date <= weekEnd).length,
+        });
+    }
+    return streaks.sort((a, b) => b.currentStreak - a.currentStreak);
+};
+
+/**
+ * Builds the summary of a week of a user: totals of what was logged, the goals progressed and completed,
+ * the streaks of the active habits, the personal records set and the active goals falling behind.
+ * Progress is compared to the last entry before the week. Whether a goal falls behind comes from its
+ * forecast as of now, so in the report of a past week it reflects the goal's current pace.
+ *
+ * @param {mongoose.Document} user - The user.
+ * @param {string} weekStart - The Monday of the week as 'YYYY-MM-DD'.
+ * @param {string} timezone - The IANA timezone the week is in.
+ * @param {Date} now - The current time.
+ * @returns {Promise<object>} A promise that resolves with the summary. Goals in the trash are left out by the Goal model.
+ */
+const buildWeeklySummary = async (user, weekStart, timezone, now) => {
+    const userId = user._id;
+    const weekEnd = addDays(weekStart, 6);
+    const inWeek = { $gte: weekStart, $lte: weekEnd };
+    const instants = coveringInstants(weekStart, weekEnd);
+    const isInWeek = (date) => {
+        const localDate = toLocalDate(date, timezone);
+        return localDate >= weekStart && localDate <= weekEnd;
+    };
+
+    const [weekEntries, workoutTotals, checkIns, records, completedGoals, activeGoals] = await Promise.all([
+        // The last value of the week of every goal with entries
+        ProgressEntry.aggregate([
+            { $match: { userId, recordedAt: instants } },
+            { $addFields: { localDate: localDateOf('$recordedAt', timezone) } },
+            { $match: { localDate: inWeek } },
+            { $sort: { recordedAt: 1, _id: 1 } },
+            { $group: { _id: '$goalId', value: { $last: '$value' }, entries: { $sum: 1 } } },
+        ]),
+        Workout.aggregate([
+            { $match: { userId, date: instants } },
+            { $addFields: { localDate: localDateOf('$date', timezone) } },
+            { $match: { localDate: inWeek } },
+            { $group: { _id: null, workouts: { $sum: 1 }, minutes: { $sum: { $ifNull: ['$duration', 0] } } } },
+        ]),
+        CheckIn.countDocuments({ userId, date: inWeek }),
+        PersonalRecord.find({ userId, achievedAt: instants }).sort({ achievedAt: 1, _id: 1 }).lean(),
+        Goal.find({ userId, status: 'completed', completedAt: instants }).sort({ completedAt: 1 }),
+        Goal.find({ userId, status: 'active' }),
+    ]);
+
+    // The last value before the week of the goals progressed, to compare the week's progress with
+    const goalIds = weekEntries.map((entry) => entry._id);
+    const [progressedGoals, previousEntries] = goalIds.length > 0
+        ? await Promise.all([
+            Goal.find({ _id: { $in: goalIds }, userId }),
+            ProgressEntry.aggregate([
+                { $match: { goalId: { $in: goalIds }, recordedAt: { $lt: instants.$lt } } },
+                { $addFields: { localDate: localDateOf('$recordedAt', timezone) } },
+                { $match: { localDate: { $lt: weekStart } } },
+                { $sort: { recordedAt: 1, _id: 1 } },
+                { $group: { _id: '$goalId', value: { $last: '$value' } } },
+            ]),
+        ])
+        : [[], []];
+
+    const weekValues = new Map(weekEntries.map((entry) => [String(entry._id), entry]));
+    const previousValues = new Map(previousEntries.map((entry) => [String(entry._id), entry.value]));
+    const goalsProgressed = progressedGoals.map((goal) => {
+        const key = String(goal._id);
+        const previousValue = previousValues.get(key);
+        const fromProgress = previousValue === undefined ? 0 : goal.computeProgress(previousValue);
+        const toProgress = goal.computeProgress(weekValues.get(key).value);
+        return {
+            goalId: goal._id,
+            title: goal.title,
+            fromProgress,
+            toProgress,
+            change: round(toProgress - fromProgress),
+            entries: weekValues.get(key).entries,
+        };
+    }).sort((a, b) => b.change - a.change);
+
+    const habits = activeGoals.filter((goal) => goal.goalType === 'habit');
+    const targetGoals = activeGoals.filter((goal) => goal.goalType !== 'habit');
+    const [streaks, forecasts] = await Promise.all([
+        buildStreaks(habits, weekStart, weekEnd, now),
+        forecastGoals(targetGoals),
+    ]);
+
+    const behind = targetGoals
+        .filter((goal) => {
+            const forecast = forecasts.get(String(goal._id));
+            return forecast && FALLING_BEHIND.includes(forecast.classification);
+        })
+        .map((goal) => {
+            const forecast = forecasts.get(String(goal._id));
+            return {
+                goalId: goal._id,
+                title: goal.title,
+                classification: forecast.classification,
+                progress: goal.progress,
+                targetDate: goal.targetDate ? toLocalDate(goal.targetDate, timezone) : null,
+                estimatedCompletionDate: forecast.estimatedCompletionDate
+                    ? toLocalDate(forecast.estimatedCompletionDate, timezone)
+                    : null,
+            };
+        });
+
+    const completed = completedGoals
+        .filter((goal) => isInWeek(goal.completedAt))
+        .map((goal) => ({ goalId: goal._id, title: goal.title, completedOn: toLocalDate(goal.completedAt, timezone) }));
+
+    const weekRecords = records
+        .filter((record) => isInWeek(record.achievedAt))
+        .map((record) => ({
+            recordId: record._id,
+            exerciseName: record.exerciseName,
+            metric: record.metric,
+            value: record.value,
+            unit: record.unit,
+            previousValue: record.previousValue,
+            achievedOn: toLocalDate(record.achievedAt, timezone),
+        }));
+
+    return {
+        weekStart,
+        weekEnd,
+        timezone,
+        totals: {
+            workouts: workoutTotals.length > 0 ? workoutTotals[0].workouts : 0,
+            minutes: workoutTotals.length > 0 ? workoutTotals[0].minutes : 0,
+            checkIns,
+            progressEntries: weekEntries.reduce((sum, entry) => sum + entry.entries, 0),
+            goalsCompleted: completed.length,
+            records: weekRecords.length,
+        },
+        goalsProgressed,
+        goalsCompleted: completed,
+        streaks,
+        records: weekRecords,
+        behind,
+    };
+};
+
+/**
+ * Renders a weekly summary as HTML and plain text, formatting its values for the templates.
+ *
+ * @param {object} summary - The summary, see `buildWeeklySummary`.
+ * @param {mongoose.Document} user - The user the report is for.
+ * @returns {{ html: string, text: string }} The renderings.
+ */
+const renderWeeklyReport = (summary, user) => {
+    const { totals } = summary;
+    const view = {
+        username: user.username,
+        timezone: summary.timezone,
+        weekLabel: `${formatLocalDate(summary.weekStart, { month: 'short', day: 'numeric' })} - ${formatLocalDate(summary.weekEnd)}`,
+        totals: { ...totals, duration: formatMinutes(totals.minutes) },
+        isQuietWeek: totals.workouts + totals.checkIns + totals.progressEntries === 0,
+        goalsProgressed: summary.goalsProgressed.map((goal) => ({
+            title: goal.title,
+            fromProgress: `${Math.round(goal.fromProgress)}%`,
+            toProgress: `${Math.round(goal.toProgress)}%`,
+            change: `${goal.change >= 0 ? '+' : ''}${Math.round(goal.change)} points`,
+        })),
+        goalsCompleted: summary.goalsCompleted.map((goal) => ({
+            title: goal.title,
+            completedOn: formatLocalDate(goal.completedOn, { weekday: 'long' }),
+        })),
+        streaks: summary.streaks.map((streak) => ({
+            title: streak.title,
+            currentStreak: formatPeriods(streak.currentStreak, streak.frequency),
+            longestStreak: formatPeriods(streak.longestStreak, streak.frequency),
+            completedPeriods: `${streak.completedPeriods} of ${formatPeriods(streak.scheduledPeriods, streak.frequency)}`,
+            isBest: streak.currentStreak > 0 && streak.currentStreak === streak.longestStreak,
+        })),
+        records: summary.records.map((record) => ({
+            exerciseName: record.exerciseName,
+            metric: RECORD_METRIC_LABELS[record.metric] || record.metric,
+            value: formatRecordValue(record.value, record.unit),
+            previousValue: record.previousValue === null || record.previousValue === undefined
+                ? null
+                : formatRecordValue(record.previousValue, record.unit),
+        })),
+        behind: summary.behind.map((goal) => ({
+            title: goal.title,
+            status: goal.classification === 'stalled' ? 'Stalled' : 'Behind',
+            progress: `${Math.round(goal.progress)}%`,
+            targetDate: goal.targetDate ? formatLocalDate(goal.targetDate) : null,
+            estimatedCompletionDate: goal.estimatedCompletionDate ? formatLocalDate(goal.estimatedCompletionDate) : null,
+        })),
+    };
+
+    const { html, text } = getTemplates();
+    return { html: html(view), text: text(view) };
+};
+
+/**
+ * Builds and renders the report of a week of a user.
+ *
+ * @param {mongoose.Document} user - The user.
+ * @param {string} weekStart - The Monday of the week as 'YYYY-MM-DD'.
+ * @param {string} timezone - The IANA timezone the week is in.
+ * @param {Date} now - The current time.
+ * @returns {Promise<object>} A promise that resolves with `{ weekStart, weekEnd, timezone, summary, html, text, generatedAt }`.
+ */
+const buildWeeklyReport = async (user, weekStart, timezone, now) => {
+    const summary = await buildWeeklySummary(user, weekStart, timezone, now);
+    const { html, text } = renderWeeklyReport(summary, user);
+    return { weekStart, weekEnd: summary.weekEnd, timezone, summary, html, text, generatedAt: now };
+};
+
+
+/**
+ * Previews the report of a week of the authenticated user, built from the data as it is now. Nothing is stored.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} [week] - Any date of the week as 'YYYY-MM-DD', defaults to the current week in the user's timezone.
+ * @param {string} [format='json'] - The format, 'json' for the summary with both renderings, 'html' or 'text'.
+ * @returns {Promise<object>} A promise that resolves with `{ contentType, body }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const previewWeeklyReport = async (userId, week, format = 'json') => {
+    validateFormat(format);
+
+    if (week && !isValidLocalDate(week)) {
+        console.error('Invalid week provided:', week);
+        throw {
+            message: 'week must be a valid date in YYYY-MM-DD format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        const user = await findUser(userId);
+
+        const now = new Date();
+        const timezone = user.timezone || 'UTC';
+        const currentWeekStart = startOfWeek(toLocalDate(now, timezone));
+        const weekStart = week ? startOfWeek(week) : currentWeekStart;
+        if (weekStart > currentWeekStart) {
+            console.error('Future week provided:', week);
+            throw {
+                message: 'week must not be after the current week',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        const report = await buildWeeklyReport(user, weekStart, timezone, now);
+        return formatReport(report, format);
+    } catch (error) {
+        console.error('Failed to preview weekly report:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to preview weekly report',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Lists the stored weekly reports of a user, the most recent week first, one page at a time.
+ * The renderings are left out of the list; retrieve a report to read it.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} [options={}] - Listing options.
+ * @param {number} [options.limit=20] - The page size (1 to 100).
+ * @param {string} [options.cursor] - The `nextCursor` returned with the previous page.
+ * @returns {Promise<object>} A promise that resolves with `{ reports, total, nextCursor, hasMore }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const listWeeklyReports = async (userId, { limit, cursor } = {}) => {
+    const pageSize = parsePageSize(limit);
+    if (pageSize === null) {
+        console.error('Invalid page size provided:', limit);
+        throw {
+            message: 'Limit must be an integer between 1 and 100',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    let decodedCursor = null;
+    if (cursor) {
+        decodedCursor = decodeCursor(cursor, 'weekStart');
+        if (!decodedCursor) {
+            console.error('Invalid cursor provided:', cursor);
+            throw {
+                message: 'Invalid cursor',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+
+    // Build the filter shared by the page query and the total count
+    const filter = { userId };
+    const pageQuery = decodedCursor
+        ? { $and: [filter, buildCursorFilter('weekStart', -1, decodedCursor)] }
+        : filter;
+
+    try {
+        await findUser(userId);
+
+        // Fetch one extra report to find out whether there is a next page
+        const [reports, total] = await Promise.all([
+            WeeklyReport.find(pageQuery)
+                .select('-html -text')
+                .sort({ weekStart: -1, _id: -1 })
+                .limit(pageSize + 1),
+            WeeklyReport.countDocuments(filter),
+        ]);
+
+        const hasMore = reports.length > pageSize;
+        const page = hasMore ? reports.slice(0, pageSize) : reports;
+
+        return {
+            reports: page,
+            total,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'weekStart') : null,
+            hasMore,
+        };
+    } catch (error) {
+        console.error('Failed to list weekly reports:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list weekly reports',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Retrieves a stored weekly report of a user, as it was generated.
+ *
+ * @param {string} reportId - The ID of the report.
+ * @param {string} userId - The ID of the user who owns the report.
+ * @param {string} [format='json'] - The format, 'json' for the report with both renderings, 'html' or 'text'.
+ * @returns {Promise<object>} A promise that resolves with `{ contentType, body }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, report lookup, or database access.
+ */
+const getWeeklyReport = async (reportId, userId, format = 'json') => {
+    validateFormat(format);
+
+    if (!reportId || !isValidObjectId(reportId)) {
+        console.error('Invalid reportId provided:', reportId);
+        throw {
+            message: 'Invalid reportId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        await findUser(userId);
+
+        const report = await WeeklyReport.findOne({ _id: reportId, userId });
+        if (!report) {
+            console.error('Report not found with the given reportId and userId:', reportId, userId);
+            throw {
+                message: 'Report not found',
+                code: 404,
+                statusText: 'Not Found',
+            };
+        }
+        return formatReport(report.toJSON(), format);
+    } catch (error) {
+        console.error('Failed to retrieve weekly report:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to retrieve weekly report',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Retrieves the weekly report settings of a user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} A promise that resolves with `{ timezone, weeklyReportsEnabled, reportHour }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const getReportSettings = async (userId) => {
+    try {
+        const user = await findUser(userId);
+        return {
+            timezone: user.timezone || 'UTC',
+            weeklyReportsEnabled: user.weeklyReportsEnabled !== false,
+            reportHour: WEEKLY_REPORT_HOUR,
+        };
+    } catch (error) {
+        console.error('Failed to retrieve report settings:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to retrieve report settings',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Updates the weekly report settings of a user: the timezone weeks are computed in, and whether a report
+ * is generated every Sunday.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} settings - The settings to change.
+ * @param {string} [settings.timezone] - The IANA timezone, such as 'Europe/Berlin'.
+ * @param {boolean} [settings.weeklyReportsEnabled] - Whether reports are generated.
+ * @returns {Promise<object>} A promise that resolves with the updated settings or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const updateReportSettings = async (userId, { timezone, weeklyReportsEnabled } = {}) => {
+    if (timezone === undefined && weeklyReportsEnabled === undefined) {
+        console.error('No report settings provided for user:', userId);
+        throw {
+            message: 'Provide timezone or weeklyReportsEnabled',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+        console.error('Invalid timezone provided:', timezone);
+        throw {
+            message: 'Invalid timezone, use an IANA timezone such as Europe/Berlin',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (weeklyReportsEnabled !== undefined && typeof weeklyReportsEnabled !== 'boolean') {
+        console.error('Invalid weeklyReportsEnabled provided:', weeklyReportsEnabled);
+        throw {
+            message: 'weeklyReportsEnabled must be a boolean',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        const user = await findUser(userId);
+        if (timezone !== undefined) user.timezone = timezone;
+        if (weeklyReportsEnabled !== undefined) user.weeklyReportsEnabled = weeklyReportsEnabled;
+        await user.save();
+
+        return {
+            timezone: user.timezone,
+            weeklyReportsEnabled: user.weeklyReportsEnabled,
+            reportHour: WEEKLY_REPORT_HOUR,
+        };
+    } catch (error) {
+        console.error('Failed to update report settings:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to update report settings',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Returns the Monday of the most recent week whose report is due for a user: the current week from
+ * WEEKLY_REPORT_HOUR on Sunday, the week before until then.
+ *
+ * @param {Date} now - The current time.
+ * @param {string} timezone - The user's IANA timezone.
+ * @returns {string} The Monday of the week as 'YYYY-MM-DD'.
+ */
+const dueWeekStart = (now, timezone) => {
+    const today = toLocalDate(now, timezone);
+    const weekStart = startOfWeek(today);
+    const isReportTime = dayOfWeek(today) === 0 && toLocalHour(now, timezone) >= WEEKLY_REPORT_HOUR;
+    return isReportTime ? weekStart : addDays(weekStart, -7);
+};
+
+/**
+ * Generates and stores the due weekly report of every user with reports enabled, skipping weeks whose
+ * report is stored already and weeks that ended before the user signed up. A report missed while the
+ * server was down is generated on the next run, until the following week's report is due.
+ * Run periodically by the weekly report job, see api/jobs/weeklyReportJob.js.
+ *
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<number>} A promise that resolves with the number of generated reports.
+ */
+const generateWeeklyReports = async (now = new Date()) => {
+    let generated = 0;
+    const cursor = User.find({ weeklyReportsEnabled: { $ne: false } }).cursor();
+    for await (const user of cursor) {
+        const timezone = isValidTimeZone(user.timezone) ? user.timezone : 'UTC';
+        const weekStart = dueWeekStart(now, timezone);
+        if (toLocalDate(user.createdAt, timezone) > addDays(weekStart, 6)) {
+            continue;
+        }
+
+        try {
+            if (await WeeklyReport.exists({ userId: user._id, weekStart })) {
+                continue;
+            }
+            const report = await buildWeeklyReport(user, weekStart, timezone, now);
+            // Another run may have stored the report meanwhile, the unique index keeps the first one
+            const result = await WeeklyReport.updateOne(
+                { userId: user._id, weekStart },
+                {
+                    $setOnInsert: {
+                        weekEnd: report.weekEnd,
+                        timezone,
+                        summary: report.summary,
+                        html: report.html,
+                        text: report.text,
+                        generatedAt: report.generatedAt,
+                    },
+                },
+                { upsert: true }
+            );
+            generated += result.upsertedCount;
+        } catch (error) {
+            // The report is retried on the next run, the other users' reports are still generated
+            console.error('Failed to generate weekly report for user:', user._id, error);
+        }
+    }
+    return generated;
+};
+
+export {
+    previewWeeklyReport,
+    listWeeklyReports,
+    getWeeklyReport,
+    getReportSettings,
+    updateReportSettings,
+    generateWeeklyReports,
+    REPORT_FORMATS,
+    WEEKLY_REPORT_HOUR,
+};
@@ -0,0 +1,551 @@
+// api/services/statsService.js
+import mongoose from 'mongoose';
+import Goal, { GOAL_STATUSES } from '../models/Goal';
+import Workout, { WORKOUT_TYPES } from '../models/Workout';
+import CheckIn from '../models/CheckIn';
+import ProgressEntry from '../models/ProgressEntry';
+import { isValidTimeZone, isValidLocalDate, toLocalDate, addDays, startOfWeek, diffInDays } from '../utils/dateUtils';
+import { findUser } from './userService';
+
+/**
+ * Provides the business logic for the statistics of a user, computed by aggregations in the database.
+ * Dates are bucketed in the requested timezone, so a goal completed late on Sunday evening counts towards the
+ * week it was completed in locally. Goal counts by status, average progress and goals at risk describe the
+ * goals as they are now; completions, days to completion, logged activity and progress histories cover the
+ * requested range. The activity and progress histories feed the charts of the Dashboard.
+ */
+
+// Lengths of the periods the completion rate is reported for
+const STATS_INTERVALS = ['day', 'week', 'month'];
+
+// The longest range statistics are computed for, in days
+const MAX_RANGE_DAYS = 366;
+
+// An active goal is at risk once its progress trails the share of its time that has passed by more than this many points
+const AT_RISK_MARGIN = 15;
+
+// Goals with a progress history, the most recently updated active goals first
+const MAX_PROGRESS_GOALS = 20;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rounds a number to two decimals.
+ *
+ * @param {number} value - The number.
+ * @returns {number} The rounded number.
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Computes a completion rate as a percentage.
+ *
+ * @param {number} completed - The goals completed on time.
+ * @param {number} due - The goals that were due.
+ * @returns {number|null} The rate, rounded to two decimals, or null if no goal was due.
+ */
+const completionRate = (completed, due) => (due > 0 ? round((completed / due) * 100) : null);
+
+/**
+ * Returns the first day of the period a local date belongs to.
+ *
+ * @param {string} localDate - The local date as 'YYYY-MM-DD'.
+ * @param {string} interval - The period length, see `STATS_INTERVALS`.
+ * @returns {string} The first day of the period as 'YYYY-MM-DD'. Weeks start on Monday.
+ */
+const startOfPeriod = (localDate, interval) => {
+    if (interval === 'week') return startOfWeek(localDate);
+    if (interval === 'month') return `${localDate.slice(0, 7)}-01`;
+    return localDate;
+};
+
+/**
+ * Returns the first day of the period following the one starting on a local date.
+ *
+ * @param {string} periodStart - The first day of a period as 'YYYY-MM-DD'.
+ * @param {string} interval - The period length, see `STATS_INTERVALS`.
+ * @returns {string} The first day of the next period.
+ */
+const nextPeriod = (periodStart, interval) => {
+    if (interval === 'week') return addDays(periodStart, 7);
+    if (interval === 'month') {
+        const [year, month] = periodStart.split('-').map(Number);
+        return month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+    }
+    return addDays(periodStart, 1);
+};
+
+/**
+ * Validates the range of a statistic and fills in its defaults.
+ *
+ * @param {object} options - The range options.
+ * @param {string} [options.from] - The first local date as 'YYYY-MM-DD', defaults to `defaultDays` - 1 days before `to`.
+ * @param {string} [options.to] - The last local date as 'YYYY-MM-DD', defaults to today in the timezone.
+ * @param {string} [options.timezone='UTC'] - The IANA timezone local dates are in.
+ * @param {number} defaultDays - The length of the default range in days.
+ * @returns {{ from: string, to: string, today: string, timezone: string, now: Date }} The range.
+ * @throws {Error} If the timezone or a date is invalid, or the range is reversed or too long.
+ */
+const resolveRange = ({ from, to, timezone = 'UTC' }, defaultDays) => {
+    if (!isValidTimeZone(timezone)) {
+        console.error('Invalid timezone provided:', timezone);
+        throw {
+            message: 'Invalid timezone, use an IANA timezone such as Europe/Berlin',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if ((from && !isValidLocalDate(from)) || (to && !isValidLocalDate(to))) {
+        console.error('Invalid stats range provided:', from, to);
+        throw {
+            message: 'from and to must be valid dates in YYYY-MM-DD format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const now = new Date();
+    const today = toLocalDate(now, timezone);
+    const rangeEnd = to || today;
+    const rangeStart = from || addDays(rangeEnd, -(defaultDays - 1));
+    if (rangeStart > rangeEnd || diffInDays(rangeStart, rangeEnd) >= MAX_RANGE_DAYS) {
+        console.error('Invalid stats range provided:', rangeStart, rangeEnd);
+        throw {
+            message: `from must not be after to, and the range must not exceed ${MAX_RANGE_DAYS} days`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+    return { from: rangeStart, to: rangeEnd, today, timezone, now };
+};
+
+/**
+ * Converts a local date range to an instant range that surely covers it in any timezone.
+ * Documents found in it are narrowed down to the range by their local date.
+ *
+ * @param {string} from - The first local date as 'YYYY-MM-DD'.
+ * @param {string} to - The last local date as 'YYYY-MM-DD'.
+ * @returns {{ $gte: Date, $lt: Date }} The instant range, a day wider on either side.
+ */
+const coveringInstants = (from, to) => ({
+    $gte: new Date(`${addDays(from, -1)}T00:00:00Z`),
+    $lt: new Date(`${addDays(to, 2)}T00:00:00Z`),
+});
+
+/**
+ * Builds the aggregation expression formatting a date field as the local date it falls on.
+ *
+ * @param {string} field - The field path, such as '$date'.
+ * @param {string} timezone - The IANA timezone.
+ * @returns {object} The `$dateToString` expression.
+ */
+const localDateOf = (field, timezone) => ({ $dateToString: { date: field, format: '%Y-%m-%d', timezone } });
+
+/**
+ * Builds the aggregation over the goals of a user, one `$facet` per statistic.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} range - The range and how to bucket it.
+ * @param {string} range.from - The first local date as 'YYYY-MM-DD'.
+ * @param {string} range.to - The last local date as 'YYYY-MM-DD'.
+ * @param {string} range.today - Today as 'YYYY-MM-DD' in the timezone.
+ * @param {string} range.timezone - The IANA timezone dates are bucketed in.
+ * @param {string} range.interval - The period length, see `STATS_INTERVALS`.
+ * @param {Date} now - The current time.
+ * @returns {Array<object>} The aggregation pipeline. Goals in the trash are left out by the Goal model.
+ */
+const buildStatsPipeline = (userId, { from, to, today, timezone, interval }, now) => {
+    const localDate = (field) => localDateOf(field, timezone);
+    const periodOf = (field) => ({
+        $dateToString: {
+            date: { $dateTrunc: { date: field, unit: interval, timezone, startOfWeek: 'monday' } },
+            format: '%Y-%m-%d',
+            timezone,
+        },
+    });
+    // Goals that reopened after completing are not counted as completed
+    const completedInRange = [
+        { $match: { status: 'completed', completedAt: { $ne: null } } },
+        { $addFields: { completedOn: localDate('$completedAt') } },
+        { $match: { completedOn: { $gte: from, $lte: to } } },
+    ];
+
+    return [
+        { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+        {
+            $facet: {
+                byStatus: [
+                    { $group: { _id: '$status', count: { $sum: 1 } } },
+                ],
+                activeProgress: [
+                    { $match: { status: 'active' } },
+                    { $group: { _id: null, averageProgress: { $avg: '$progress' } } },
+                ],
+                completed: [
+                    ...completedInRange,
+                    { $group: { _id: periodOf('$completedAt'), completed: { $sum: 1 } } },
+                ],
+                // Target goals due in the range up to today, and whether they were completed by their target date.
+                // Archived goals are left out, as archiving hides how they ended
+                due: [
+                    { $match: { goalType: { $ne: 'habit' }, targetDate: { $ne: null }, status: { $ne: 'archived' } } },
+                    { $addFields: { dueOn: localDate('$targetDate') } },
+                    { $match: { dueOn: { $gte: from, $lte: to < today ? to : today } } },
+                    {
+                        $group: {
+                            _id: periodOf('$targetDate'),
+                            due: { $sum: 1 },
+                            completedOnTime: {
+                                $sum: {
+                                    $cond: [{
+                                        $and: [
+                                            { $eq: ['$status', 'completed'] },
+                                            { $ne: [{ $ifNull: ['$completedAt', null] }, null] },
+                                            { $lte: [localDate('$completedAt'), '$dueOn'] },
+                                        ],
+                                    }, 1, 0],
+                                },
+                            },
+                        },
+                    },
+                ],
+                daysToCompletion: [
+                    ...completedInRange,
+                    {
+                        $group: {
+                            _id: '$category',
+                            completed: { $sum: 1 },
+                            averageDays: { $avg: { $divide: [{ $subtract: ['$completedAt', '$createdAt'] }, DAY_IN_MS] } },
+                        },
+                    },
+                    { $sort: { averageDays: 1, _id: 1 } },
+                ],
+                // Active target goals that are overdue or whose progress trails the time that has passed.
+                // Paused goals are on hold and not at risk
+                atRisk: [
+                    { $match: { status: 'active', goalType: { $ne: 'habit' }, targetDate: { $ne: null } } },
+                    {
+                        $addFields: {
+                            expectedProgress: {
+                                $min: [100, {
+                                    $max: [0, {
+                                        $multiply: [100, {
+                                            $divide: [
+                                                { $subtract: [now, '$createdAt'] },
+                                                { $max: [1, { $subtract: ['$targetDate', '$createdAt'] }] },
+                                            ],
+                                        }],
+                                    }],
+                                }],
+                            },
+                            overdue: { $lt: ['$targetDate', now] },
+                        },
+                    },
+                    { $match: { $expr: { $or: ['$overdue', { $gt: [{ $subtract: ['$expectedProgress', '$progress'] }, AT_RISK_MARGIN] }] } } },
+                    { $sort: { targetDate: 1, _id: 1 } },
+                    {
+                        $project: {
+                            _id: 0,
+                            goalId: '$_id',
+                            title: 1,
+                            category: 1,
+                            targetDate: 1,
+                            progress: 1,
+                            expectedProgress: { $round: ['$expectedProgress', 2] },
+                            overdue: 1,
+                        },
+                    },
+                ],
+            },
+        },
+    ];
+};
+
+
+/**
+ * Computes the goal statistics of a user over a local date range.
+ *
+ * A goal counts as completed on time if it is completed and was completed on or before the day of its target date.
+ * The completion rate of a period is the share of the target goals due in it (up to today) completed on time.
+ * Days to completion are counted from the creation of a goal to its completion.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} [options={}] - Statistics options.
+ * @param {string} [options.from] - The first local date as 'YYYY-MM-DD', defaults to 12 weeks before `to`.
+ * @param {string} [options.to] - The last local date as 'YYYY-MM-DD', defaults to today in the timezone.
+ * @param {string} [options.timezone='UTC'] - The IANA timezone local dates are in.
+ * @param {string} [options.interval='week'] - The period length of the completion rate, see `STATS_INTERVALS`.
+ * @returns {Promise<object>} A promise that resolves with `{ timezone, from, to, interval, goals, completion, atRisk, daysToCompletion }`
+ * or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const getStats = async (userId, { from, to, timezone, interval = 'week' } = {}) => {
+    if (!STATS_INTERVALS.includes(interval)) {
+        console.error('Invalid interval provided:', interval);
+        throw {
+            message: `interval must be one of: ${STATS_INTERVALS.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const { from: rangeStart, to: rangeEnd, today, timezone: rangeTimezone, now } = resolveRange({ from, to, timezone }, 84);
+
+    try {
+        await findUser(userId);
+
+        const range = { from: rangeStart, to: rangeEnd, today, timezone: rangeTimezone, interval };
+        const [facets] = await Goal.aggregate(buildStatsPipeline(userId, range, now));
+
+        const byStatus = Object.fromEntries(GOAL_STATUSES.map((status) => [status, 0]));
+        for (const { _id, count } of facets.byStatus) {
+            byStatus[_id] = count;
+        }
+        const averageProgress = facets.activeProgress.length > 0 ? round(facets.activeProgress[0].averageProgress) : null;
+
+        // Every period of the range is listed, periods without completions or due goals have zero counts
+        const completedByPeriod = new Map(facets.completed.map((period) => [period._id, period.completed]));
+        const dueByPeriod = new Map(facets.due.map((period) => [period._id, period]));
+        const periods = [];
+        for (let start = startOfPeriod(rangeStart, interval); start <= rangeEnd; start = nextPeriod(start, interval)) {
+            const due = dueByPeriod.get(start) || { due: 0, completedOnTime: 0 };
+            periods.push({
+                start,
+                completed: completedByPeriod.get(start) || 0,
+                due: due.due,
+                completedOnTime: due.completedOnTime,
+                completionRate: completionRate(due.completedOnTime, due.due),
+            });
+        }
+        const totalDue = periods.reduce((sum, period) => sum + period.due, 0);
+        const totalCompletedOnTime = periods.reduce((sum, period) => sum + period.completedOnTime, 0);
+
+        return {
+            timezone: rangeTimezone,
+            from: rangeStart,
+            to: rangeEnd,
+            interval,
+            goals: {
+                total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+                active: byStatus.active,
+                completed: byStatus.completed,
+                byStatus,
+                averageProgress,
+            },
+            completion: {
+                completed: periods.reduce((sum, period) => sum + period.completed, 0),
+                due: totalDue,
+                completedOnTime: totalCompletedOnTime,
+                completionRate: completionRate(totalCompletedOnTime, totalDue),
+                periods,
+            },
+            atRisk: {
+                count: facets.atRisk.length,
+                goals: facets.atRisk,
+            },
+            daysToCompletion: facets.daysToCompletion.map(({ _id, completed, averageDays }) => ({
+                category: _id,
+                completed,
+                averageDays: round(averageDays),
+            })),
+        };
+    } catch (error) {
+        console.error('Failed to compute stats:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to compute stats',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Computes the logged activity of a user per day and per week over a local date range, for the activity charts.
+ * Activity is what the user logged by hand: workouts, habit check-ins and progress entries. Check-ins and entries
+ * logged by a workout, a body measurement or a nutrition log are left out, as the workout or log already counts.
+ * Check-ins fall on the local date of their goal's timezone.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} [options={}] - Activity options.
+ * @param {string} [options.from] - The first local date as 'YYYY-MM-DD', defaults to 364 days before `to`.
+ * @param {string} [options.to] - The last local date as 'YYYY-MM-DD', defaults to today in the timezone.
+ * @param {string} [options.timezone='UTC'] - The IANA timezone local dates are in.
+ * @returns {Promise<object>} A promise that resolves with `{ timezone, from, to, workoutTypes, days, weeks }` or rejects
+ * with an error object. Every day and every week (from Monday) of the range is listed.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const getActivity = async (userId, { from, to, timezone } = {}) => {
+    const range = resolveRange({ from, to, timezone }, 365);
+
+    try {
+        await findUser(userId);
+
+        const userObjectId = new mongoose.Types.ObjectId(userId);
+        const inRange = { $gte: range.from, $lte: range.to };
+        const [workouts, checkIns, entries] = await Promise.all([
+            Workout.aggregate([
+                { $match: { userId: userObjectId, date: coveringInstants(range.from, range.to) } },
+                { $addFields: { localDate: localDateOf('$date', range.timezone) } },
+                { $match: { localDate: inRange } },
+                {
+                    $group: {
+                        _id: { date: '$localDate', type: '$type' },
+                        count: { $sum: 1 },
+                        minutes: { $sum: { $ifNull: ['$duration', 0] } },
+                    },
+                },
+            ]),
+            CheckIn.aggregate([
+                { $match: { userId: userObjectId, date: inRange, workoutId: null, nutritionLogId: null } },
+                { $group: { _id: '$date', count: { $sum: 1 } } },
+            ]),
+            ProgressEntry.aggregate([
+                {
+                    $match: {
+                        userId: userObjectId,
+                        recordedAt: coveringInstants(range.from, range.to),
+                        workoutId: null,
+                        measurementId: null,
+                    },
+                },
+                { $addFields: { localDate: localDateOf('$recordedAt', range.timezone) } },
+                { $match: { localDate: inRange } },
+                { $group: { _id: '$localDate', count: { $sum: 1 } } },
+            ]),
+        ]);
+
+        const checkInsByDate = new Map(checkIns.map(({ _id, count }) => [_id, count]));
+        const entriesByDate = new Map(entries.map(({ _id, count }) => [_id, count]));
+        const workoutsByDate = new Map();
+        const weeksByStart = new Map();
+        for (const { _id, count, minutes } of workouts) {
+            workoutsByDate.set(_id.date, (workoutsByDate.get(_id.date) || 0) + count);
+
+            const weekStart = startOfWeek(_id.date);
+            if (!weeksByStart.has(weekStart)) weeksByStart.set(weekStart, {});
+            const byType = weeksByStart.get(weekStart);
+            byType[_id.type] = {
+                workouts: ((byType[_id.type] && byType[_id.type].workouts) || 0) + count,
+                minutes: ((byType[_id.type] && byType[_id.type].minutes) || 0) + minutes,
+            };
+        }
+
+        const days = [];
+        for (let date = range.from; date <= range.to; date = addDays(date, 1)) {
+            const day = {
+                date,
+                workouts: workoutsByDate.get(date) || 0,
+                checkIns: checkInsByDate.get(date) || 0,
+                progressEntries: entriesByDate.get(date) || 0,
+            };
+            day.total = day.workouts + day.checkIns + day.progressEntries;
+            days.push(day);
+        }
+
+        const weeks = [];
+        for (let start = startOfWeek(range.from); start <= range.to; start = addDays(start, 7)) {
+            const byType = weeksByStart.get(start) || {};
+            weeks.push({
+                start,
+                workouts: Object.values(byType).reduce((sum, type) => sum + type.workouts, 0),
+                minutes: Object.values(byType).reduce((sum, type) => sum + type.minutes, 0),
+                byType: Object.fromEntries(WORKOUT_TYPES.map((type) => [type, byType[type] || { workouts: 0, minutes: 0 }])),
+            });
+        }
+
+        return { timezone: range.timezone, from: range.from, to: range.to, workoutTypes: WORKOUT_TYPES, days, weeks };
+    } catch (error) {
+        console.error('Failed to compute activity:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to compute activity',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Lists the progress history of a user's active target goals over a local date range, for the progress charts.
+ * Each goal has one point per day with entries, the progress of the last entry of that day; target dates are local dates.
+ * At most `MAX_PROGRESS_GOALS` goals are listed, the most recently updated first.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} [options={}] - History options.
+ * @param {string} [options.from] - The first local date as 'YYYY-MM-DD', defaults to 89 days before `to`.
+ * @param {string} [options.to] - The last local date as 'YYYY-MM-DD', defaults to today in the timezone.
+ * @param {string} [options.timezone='UTC'] - The IANA timezone local dates are in.
+ * @returns {Promise<object>} A promise that resolves with `{ timezone, from, to, goals }`, each goal as
+ * `{ goalId, title, targetDate, progress, points: [{ date, progress }] }`, or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const getProgressHistory = async (userId, { from, to, timezone } = {}) => {
+    const range = resolveRange({ from, to, timezone }, 90);
+
+    try {
+        await findUser(userId);
+
+        const goals = await Goal.find({ userId, status: 'active', goalType: { $ne: 'habit' } })
+            .sort({ updatedAt: -1, _id: -1 })
+            .limit(MAX_PROGRESS_GOALS);
+        const dailyValues = goals.length > 0
+            ? await ProgressEntry.aggregate([
+                { $match: { goalId: { $in: goals.map((goal) => goal._id) }, recordedAt: coveringInstants(range.from, range.to) } },
+                { $addFields: { localDate: localDateOf('$recordedAt', range.timezone) } },
+                { $match: { localDate: { $gte: range.from, $lte: range.to } } },
+                { $sort: { recordedAt: 1, _id: 1 } },
+                { $group: { _id: { goalId: '$goalId', date: '$localDate' }, value: { $last: '$value' } } },
+                { $sort: { '_id.date': 1 } },
+            ])
+            : [];
+
+        const pointsByGoal = new Map(goals.map((goal) => [String(goal._id), []]));
+        const goalsById = new Map(goals.map((goal) => [String(goal._id), goal]));
+        for (const { _id, value } of dailyValues) {
+            const key = String(_id.goalId);
+            pointsByGoal.get(key).push({ date: _id.date, progress: goalsById.get(key).computeProgress(value) });
+        }
+
+        return {
+            timezone: range.timezone,
+            from: range.from,
+            to: range.to,
+            goals: goals.map((goal) => ({
+                goalId: goal._id,
+                title: goal.title,
+                targetDate: goal.targetDate ? toLocalDate(goal.targetDate, range.timezone) : null,
+                progress: goal.progress,
+                points: pointsByGoal.get(String(goal._id)),
+            })),
+        };
+    } catch (error) {
+        console.error('Failed to list progress history:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list progress history',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export { getStats, getActivity, getProgressHistory, round, coveringInstants, localDateOf, STATS_INTERVALS };
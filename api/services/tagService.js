@@ -0,0 +1,110 @@
+// api/services/tagService.js
+import mongoose from 'mongoose';
+import Goal from '../models/Goal';
+import { normalizeTag, MAX_TAG_LENGTH } from '../utils/tags';
+import { findUser } from './userService';
+
+
+/**
+ * Provides the business logic for the user-defined tags of fitness goals.
+ * Tags live on the goals themselves, so listing and renaming them works across all goals of a user.
+ */
+
+
+/**
+ * Lists the tags of a user's goals with the number of goals using each, most used first.
+ * Goals in the trash are not counted.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} A promise that resolves with `{ tags: [{ tag, count }] }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const listTags = async (userId) => {
+    try {
+        await findUser(userId);
+
+        const tags = await Goal.aggregate([
+            { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $project: { _id: 0, tag: '$_id', count: 1 } },
+        ]);
+        return { tags };
+    } catch (error) {
+        console.error('Failed to list tags:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list tags',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Renames a tag across all goals of a user, including the goals in the trash.
+ * Renaming a tag to one that a goal already has merges the two on that goal.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} tag - The tag to rename.
+ * @param {string} newTag - The new name of the tag.
+ * @returns {Promise<object>} A promise that resolves with `{ tag, updatedGoals }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const renameTag = async (userId, tag, newTag) => {
+    const normalizedTag = normalizeTag(tag);
+    const normalizedNewTag = normalizeTag(newTag);
+
+    if (!normalizedTag || !normalizedNewTag) {
+        console.error('Invalid tag provided:', tag, newTag);
+        throw {
+            message: `Tags must be 1 to ${MAX_TAG_LENGTH} characters of letters, digits, spaces, hyphens and underscores`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    try {
+        await findUser(userId);
+
+        const taggedGoals = { userId, tags: normalizedTag };
+        const updatedGoals = await Goal.countDocuments(taggedGoals).setOptions({ withDeleted: true });
+        if (updatedGoals === 0) {
+            console.error('Tag not found for the given userId:', normalizedTag, userId);
+            throw {
+                message: 'Tag not found',
+                code: 404,
+                statusText: 'Not Found',
+            };
+        }
+
+        if (normalizedTag !== normalizedNewTag) {
+            // Add the new tag first, $addToSet keeps goals that already have it from getting it twice
+            await Goal.updateMany(taggedGoals, { $addToSet: { tags: normalizedNewTag } }, { withDeleted: true });
+            await Goal.updateMany(taggedGoals, { $pull: { tags: normalizedTag } }, { withDeleted: true });
+        }
+        return { tag: normalizedNewTag, updatedGoals };
+    } catch (error) {
+        console.error('Failed to rename tag:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to rename tag',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export { listTags, renameTag };
@@ -0,0 +1,282 @@
+// api/services/trashService.js
+import Goal from '../models/Goal';
+import ProgressEntry from '../models/ProgressEntry';
+import CheckIn from '../models/CheckIn';
+import TrainingPlan from '../models/TrainingPlan';
+import Workout from '../models/Workout';
+import { isValidObjectId } from '../../src/utils/helpers';
+import { parsePageSize, encodeCursor, decodeCursor, buildCursorFilter } from '../utils/pagination';
+import { findUser } from './userService';
+
+
+/**
+ * Provides the business logic for the trash of deleted fitness goals.
+ * Deleting a goal only stamps its `deletedAt`, see goalService.deleteGoal. Trashed goals can be
+ * restored until they are purged, either by the user or by the purge job once they have been in
+ * the trash for longer than the retention period.
+ */
+
+// Days a goal stays in the trash before the purge job removes it, configurable via TRASH_RETENTION_DAYS
+const parsedRetentionDays = Number.parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+const TRASH_RETENTION_DAYS = Number.isInteger(parsedRetentionDays) && parsedRetentionDays > 0 ? parsedRetentionDays : 30;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Goals purged per round trip, so a large trash never loads all of its goals at once
+const PURGE_BATCH_SIZE = 500;
+
+/**
+ * Permanently removes goals along with their progress history and check-ins, and detaches
+ * the training plans they followed and the workouts linked to them. Weekly reports keep their
+ * snapshot of the goals, as they record a past week. Only goals that are in the trash are removed.
+ *
+ * @param {Array<mongoose.Types.ObjectId>} goalIds - The IDs of the trashed goals.
+ * @returns {Promise<number>} A promise that resolves with the number of removed goals.
+ */
+const purgeGoals = async (goalIds) => {
+    if (goalIds.length === 0) {
+        return 0;
+    }
+    await ProgressEntry.deleteMany({ goalId: { $in: goalIds } });
+    await CheckIn.deleteMany({ goalId: { $in: goalIds } });
+    await TrainingPlan.updateMany({ goalId: { $in: goalIds } }, { $set: { goalId: null } });
+    await Workout.updateMany({ goalIds: { $in: goalIds } }, { $pull: { goalIds: { $in: goalIds } } });
+    const { deletedCount } = await Goal.deleteMany({ _id: { $in: goalIds }, deletedAt: { $ne: null } });
+    return deletedCount;
+};
+
+
+/**
+ * Computes when a trashed goal will be purged by the purge job.
+ *
+ * @param {Date} deletedAt - When the goal was moved to the trash.
+ * @returns {Date} The purge date.
+ */
+const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_IN_MS);
+
+
+/**
+ * Looks up a trashed goal owned by a user, throwing formatted errors if the ID is invalid or the goal is not in the trash.
+ *
+ * @param {string} goalId - The ID of the goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the trashed goal.
+ */
+const findTrashedGoal = async (goalId, userId) => {
+    if (!goalId || !isValidObjectId(goalId)) {
+        console.error('Invalid goalId provided:', goalId);
+        throw {
+            message: 'Invalid goalId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    await findUser(userId);
+
+    const goal = await Goal.findOne({ _id: goalId, userId: userId, deletedAt: { $ne: null } });
+    if (!goal) {
+        console.error('Goal not found in the trash with the given goalId and userId:', goalId, userId);
+        throw {
+            message: 'Goal not found in the trash',
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+    return goal;
+};
+
+
+/**
+ * Lists the trashed goals of a user, most recently deleted first, one page at a time.
+ *
+ * @param {string} userId - The ID of the user who owns the goals.
+ * @param {object} [options={}] - Listing options.
+ * @param {number} [options.limit=20] - The page size (1 to 100).
+ * @param {string} [options.cursor] - The `nextCursor` returned with the previous page.
+ * @returns {Promise<object>} A promise that resolves with `{ goals, total, nextCursor, hasMore, retentionDays }`,
+ * each goal with the `purgeAt` date it will be purged on, or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const listTrash = async (userId, options = {}) => {
+    const { limit, cursor } = options;
+
+    const pageSize = parsePageSize(limit);
+    if (pageSize === null) {
+        console.error('Invalid page size provided:', limit);
+        throw {
+            message: 'Limit must be an integer between 1 and 100',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    let decodedCursor = null;
+    if (cursor) {
+        decodedCursor = decodeCursor(cursor, 'deletedAt');
+        if (!decodedCursor) {
+            console.error('Invalid cursor provided:', cursor);
+            throw {
+                message: 'Invalid cursor',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+
+    try {
+        await findUser(userId);
+
+        const filter = { userId, deletedAt: { $ne: null } };
+        const pageQuery = decodedCursor
+            ? { $and: [filter, buildCursorFilter('deletedAt', -1, decodedCursor)] }
+            : filter;
+
+        // Fetch one extra goal to find out whether there is a next page
+        const [goals, total] = await Promise.all([
+            Goal.find(pageQuery, null, { withDeleted: true })
+                .sort({ deletedAt: -1, _id: -1 })
+                .limit(pageSize + 1),
+            Goal.countDocuments(filter),
+        ]);
+
+        const hasMore = goals.length > pageSize;
+        const page = hasMore ? goals.slice(0, pageSize) : goals;
+
+        return {
+            goals: page.map((goal) => ({ ...goal.toObject(), purgeAt: getPurgeDate(goal.deletedAt) })),
+            total,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'deletedAt') : null,
+            hasMore,
+            retentionDays: TRASH_RETENTION_DAYS,
+        };
+    } catch (error) {
+        console.error('Failed to list trash:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list trash',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Restores a goal from the trash, along with its progress history and check-ins.
+ *
+ * @param {string} goalId - The ID of the trashed goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @returns {Promise<object>} A promise that resolves with the restored goal or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, goal lookup, or database access.
+ */
+const restoreGoal = async (goalId, userId) => {
+    try {
+        const goal = await findTrashedGoal(goalId, userId);
+        goal.deletedAt = null;
+        return await goal.save();
+    } catch (error) {
+        console.error('Failed to restore goal:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to restore goal',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Permanently deletes a goal from the trash. This cannot be undone.
+ *
+ * @param {string} goalId - The ID of the trashed goal.
+ * @param {string} userId - The ID of the user who owns the goal.
+ * @returns {Promise<object>} A promise that resolves with a success message object or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, goal lookup, or database access.
+ */
+const purgeGoal = async (goalId, userId) => {
+    try {
+        const goal = await findTrashedGoal(goalId, userId);
+        await purgeGoals([goal._id]);
+        return { message: 'Goal permanently deleted' };
+    } catch (error) {
+        console.error('Failed to purge goal:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to permanently delete goal',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Permanently deletes every goal in the trash of a user. This cannot be undone.
+ *
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} A promise that resolves with `{ message, purged }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const emptyTrash = async (userId) => {
+    try {
+        await findUser(userId);
+
+        const trashedGoals = await Goal.find({ userId, deletedAt: { $ne: null } }, { _id: 1 });
+        const purged = await purgeGoals(trashedGoals.map((goal) => goal._id));
+        return { message: 'Trash emptied successfully', purged };
+    } catch (error) {
+        console.error('Failed to empty trash:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to empty trash',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Permanently deletes the goals of all users that have been in the trash for longer than the retention period.
+ * Run periodically by the purge job, see api/jobs/purgeTrashJob.js.
+ *
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Promise<number>} A promise that resolves with the number of purged goals.
+ */
+const purgeExpiredGoals = async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_IN_MS);
+    let purged = 0;
+
+    // Purge in batches until no expired goal is left
+    for (;;) {
+        const expiredGoals = await Goal.find({ deletedAt: { $ne: null, $lte: cutoff } }, { _id: 1 })
+            .limit(PURGE_BATCH_SIZE);
+        if (expiredGoals.length === 0) {
+            return purged;
+        }
+        purged += await purgeGoals(expiredGoals.map((goal) => goal._id));
+    }
+};
+
+export { listTrash, restoreGoal, purgeGoal, emptyTrash, purgeExpiredGoals, TRASH_RETENTION_DAYS };
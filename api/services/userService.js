@@ -0,0 +1,40 @@
+// api/services/userService.js
+import User from '../models/User';
+import { isValidObjectId } from '../../src/utils/helpers';
+
+
+/**
+ * Provides the user lookup shared by the services working on the data of one user.
+ */
+
+/**
+ * Looks up a user, throwing formatted errors if the ID is invalid or the user does not exist.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string} [select] - Fields to select, such as '+password' for the fields left out by default.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the user.
+ */
+const findUser = async (userId, select) => {
+    if (!userId || !isValidObjectId(userId)) {
+        console.error('Invalid userId provided:', userId);
+        throw {
+            message: 'Invalid userId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const query = User.findById(userId);
+    const user = await (select ? query.select(select) : query);
+    if (!user) {
+        console.error('User not found with the given userId:', userId);
+        throw {
+            message: 'User not found',
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+    return user;
+};
+
+export { findUser };
@@ -0,0 +1,705 @@
+// api/services/workoutService.js
+import Workout, { WORKOUT_TYPES } from '../models/Workout';
+import Goal from '../models/Goal';
+import CheckIn from '../models/CheckIn';
+import ProgressEntry from '../models/ProgressEntry';
+import ActivityTrack from '../models/ActivityTrack';
+import { recordProgressEntry, recordCumulativeEntry, removeWorkoutEntries } from './progressService';
+import { refreshStreaks } from './habitService';
+import { findAccessibleExercises } from './exerciseService';
+import { detectRecords, rebuildRecords, getWorkoutExerciseKeys } from './recordService';
+import { refreshPlansForWorkouts } from './planService';
+import { isValidObjectId, sanitizeString } from '../../src/utils/helpers';
+import { parsePageSize, encodeCursor, decodeCursor, buildCursorFilter } from '../utils/pagination';
+import { DISTANCE_UNITS, WEIGHT_UNITS, convertUnit } from '../utils/units';
+import { toLocalDate, dayOfWeek } from '../utils/dateUtils';
+import { findUser } from './userService';
+
+
+/**
+ * Provides the business logic for logging workout sessions.
+ * Workouts can be linked to goals of the same user, and logging one updates those goals:
+ * habit goals are checked in on the workout's date, and measurable goals get a progress entry
+ * derived from the workout. Distance, duration, repetition and count goals add up the workouts,
+ * weight goals track the heaviest weight lifted. Everything a workout logged is taken back out
+ * when the workout is updated or deleted. Logged workouts are also scanned for personal records, see recordService,
+ * and matched to the sessions of scheduled training plans, see planService.
+ */
+
+const MAX_EXERCISES = 50;
+const MAX_SETS = 100;
+const MAX_LINKED_GOALS = 10;
+const MAX_DURATION_MINUTES = 24 * 60;
+const SET_FIELDS = ['reps', 'weight', 'distance', 'duration'];
+
+/**
+ * Validates and normalizes the fields of a workout.
+ *
+ * @param {object} data - The workout fields.
+ * @param {string|Date} [data.date] - When the workout took place, defaults to now.
+ * @param {string} data.type - One of `WORKOUT_TYPES`.
+ * @param {number} [data.duration] - The duration in minutes.
+ * @param {string} [data.notes] - Notes, up to 500 characters.
+ * @param {string} [data.weightUnit='kg'] - The unit of the set weights, 'kg' or 'lb'.
+ * @param {string} [data.distanceUnit='km'] - The unit of the set distances, 'm', 'km' or 'mi'.
+ * @param {Array<object>} [data.exercises] - The exercises, each with an `exerciseId` from the exercise catalog or a free text `name`,
+ * and `sets` of `reps`, `weight`, `distance` and `duration` (seconds).
+ * @param {string[]} [data.goalIds] - The IDs of the goals the workout counts towards.
+ * @returns {object} The normalized workout fields.
+ * @throws {Error} If a field is invalid.
+ */
+const normalizeWorkout = ({ date, type, duration, notes, weightUnit = 'kg', distanceUnit = 'km', exercises = [], goalIds = [] } = {}) => {
+    const dateObj = date ? new Date(date) : new Date();
+    if (isNaN(dateObj)) {
+        console.error('Invalid workout date provided:', date);
+        throw {
+            message: 'Invalid workout date format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (dateObj > new Date()) {
+        console.error('Workout date is in the future:', date);
+        throw {
+            message: 'Workout date must not be in the future',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!WORKOUT_TYPES.includes(type)) {
+        console.error('Invalid workout type provided:', type);
+        throw {
+            message: `type must be one of: ${WORKOUT_TYPES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (duration !== undefined && duration !== null
+        && (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0 || duration > MAX_DURATION_MINUTES)) {
+        console.error('Invalid workout duration provided:', duration);
+        throw {
+            message: `duration must be a number of minutes between 0 and ${MAX_DURATION_MINUTES}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const sanitizedNotes = sanitizeString(notes);
+    if (sanitizedNotes.length > 500) {
+        console.error('Workout notes must be less than 500 characters long.');
+        throw {
+            message: 'Workout notes must be less than 500 characters long',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!WEIGHT_UNITS.includes(weightUnit) || !DISTANCE_UNITS.includes(distanceUnit)) {
+        console.error('Invalid workout units provided:', weightUnit, distanceUnit);
+        throw {
+            message: `weightUnit must be one of: ${WEIGHT_UNITS.join(', ')}, distanceUnit one of: ${DISTANCE_UNITS.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (!Array.isArray(exercises) || exercises.length > MAX_EXERCISES) {
+        console.error('Invalid exercises provided:', exercises);
+        throw {
+            message: `exercises must be a list of at most ${MAX_EXERCISES} exercises`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const normalizedExercises = exercises.map((exercise) => {
+        const exerciseId = exercise && exercise.exerciseId ? String(exercise.exerciseId) : undefined;
+        if (exerciseId && !isValidObjectId(exerciseId)) {
+            console.error('Invalid exerciseId provided:', exercise);
+            throw {
+                message: 'Invalid exerciseId provided',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        // Exercises from the catalog take their name from it, see linkExercises
+        const name = sanitizeString(exercise && exercise.name);
+        if ((!name && !exerciseId) || name.length > 100) {
+            console.error('Invalid exercise name provided:', exercise);
+            throw {
+                message: 'Every exercise needs an exerciseId or a name of at most 100 characters',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        const sets = exercise.sets === undefined ? [] : exercise.sets;
+        if (!Array.isArray(sets) || sets.length > MAX_SETS) {
+            console.error('Invalid sets provided for exercise:', name);
+            throw {
+                message: `sets must be a list of at most ${MAX_SETS} sets`,
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+
+        const normalizedSets = sets.map((set) => {
+            const normalizedSet = {};
+            for (const field of SET_FIELDS) {
+                const value = set ? set[field] : undefined;
+                if (value === undefined || value === null) continue;
+                if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                    console.error(`Invalid set ${field} provided for exercise:`, name, value);
+                    throw {
+                        message: `Set ${field} must be a non-negative number`,
+                        code: 400,
+                        statusText: 'Bad Request',
+                    };
+                }
+                normalizedSet[field] = value;
+            }
+            return normalizedSet;
+        });
+
+        return { exerciseId, name, sets: normalizedSets };
+    });
+
+    if (!Array.isArray(goalIds) || goalIds.length > MAX_LINKED_GOALS || goalIds.some((id) => !isValidObjectId(id))) {
+        console.error('Invalid goalIds provided:', goalIds);
+        throw {
+            message: `goalIds must be a list of at most ${MAX_LINKED_GOALS} goal IDs`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    return {
+        date: dateObj,
+        type,
+        duration: duration === null ? undefined : duration,
+        notes: sanitizedNotes || undefined,
+        weightUnit,
+        distanceUnit,
+        exercises: normalizedExercises,
+        goalIds: [...new Set(goalIds.map(String))],
+    };
+};
+
+
+/**
+ * Works out what a workout contributes to a linked goal.
+ *
+ * @param {mongoose.Document} goal - The linked goal.
+ * @param {mongoose.Document} workout - The workout.
+ * @returns {object} `{ kind: 'checkIn', date }`, `{ kind: 'cumulative', delta }`, `{ kind: 'max', value }`,
+ * or `{ kind: 'skipped', reason }` if the workout does not count towards the goal.
+ */
+const computeContribution = (goal, workout) => {
+    if (!goal.acceptsProgress()) {
+        return { kind: 'skipped', reason: `Goal is ${goal.status}` };
+    }
+
+    if (goal.goalType === 'habit') {
+        const date = toLocalDate(workout.date, goal.timezone);
+        if (goal.recurrence.frequency === 'weekdays' && !goal.recurrence.weekdays.includes(dayOfWeek(date))) {
+            return { kind: 'skipped', reason: 'Workout date is not one of the scheduled weekdays of this habit' };
+        }
+        return { kind: 'checkIn', date };
+    }
+
+    if (!goal.isMeasurable()) {
+        return { kind: 'skipped', reason: 'Progress of percentage goals is not derived from workouts' };
+    }
+
+    // Goals tracking an exercise only count its sets
+    const exercises = goal.exerciseId
+        ? workout.exercises.filter((exercise) => exercise.exerciseId && exercise.exerciseId.equals(goal.exerciseId))
+        : workout.exercises;
+    if (goal.exerciseId && exercises.length === 0) {
+        return { kind: 'skipped', reason: 'Workout does not include the exercise this goal tracks' };
+    }
+
+    const sets = exercises.flatMap((exercise) => exercise.sets);
+    const sumOf = (field) => sets.reduce((total, set) => total + (set[field] || 0), 0);
+
+    if (goal.metricType === 'weight') {
+        // Lifting heavier is progress, a body weight goal to lose weight is not driven by workouts
+        if (goal.direction !== 'increase') {
+            return { kind: 'skipped', reason: 'Decreasing weight goals are not derived from workouts' };
+        }
+        const heaviest = Math.max(0, ...sets.map((set) => set.weight || 0));
+        const value = convertUnit(heaviest, workout.weightUnit, goal.unit);
+        if (value === null) {
+            return { kind: 'skipped', reason: `Goal unit ${goal.unit} is not a known weight unit` };
+        }
+        return heaviest > 0 ? { kind: 'max', value } : { kind: 'skipped', reason: 'Workout has no weights' };
+    }
+
+    // The other metrics add up the workouts, which only makes sense for goals to increase them
+    if (goal.direction !== 'increase') {
+        return { kind: 'skipped', reason: `Decreasing ${goal.metricType} goals are not derived from workouts` };
+    }
+
+    let delta;
+    if (goal.metricType === 'distance') {
+        delta = convertUnit(sumOf('distance'), workout.distanceUnit, goal.unit);
+        if (delta === null) {
+            return { kind: 'skipped', reason: `Goal unit ${goal.unit} is not a known distance unit` };
+        }
+    } else if (goal.metricType === 'duration') {
+        const hasDuration = !goal.exerciseId && workout.duration !== undefined && workout.duration !== null;
+        const minutes = hasDuration ? workout.duration : sumOf('duration') / 60;
+        delta = convertUnit(minutes, 'min', goal.unit);
+        if (delta === null) {
+            return { kind: 'skipped', reason: `Goal unit ${goal.unit} is not a known duration unit` };
+        }
+    } else if (goal.metricType === 'repetitions') {
+        delta = sumOf('reps');
+    } else if (goal.metricType === 'count') {
+        delta = 1; // Every workout is one session
+    } else {
+        return { kind: 'skipped', reason: `Progress of ${goal.metricType} goals is not derived from workouts` };
+    }
+
+    delta = Math.round(delta * 1000) / 1000;
+    return delta > 0 ? { kind: 'cumulative', delta } : { kind: 'skipped', reason: `Workout has no ${goal.metricType}` };
+};
+
+
+/**
+ * Applies a workout to its linked goals, checking in habit goals and logging progress entries for measurable goals.
+ *
+ * @param {mongoose.Document} workout - The saved workout.
+ * @returns {Promise<Array<object>>} A promise that resolves with one `{ goalId, applied, reason, progress, currentStreak }` per linked goal.
+ */
+const applyWorkoutToGoals = async (workout) => {
+    const goals = await Goal.find({ _id: { $in: workout.goalIds }, userId: workout.userId });
+    const goalUpdates = [];
+
+    for (const goal of goals) {
+        const contribution = computeContribution(goal, workout);
+        const note = `Workout: ${workout.type}`;
+
+        if (contribution.kind === 'skipped') {
+            goalUpdates.push({ goalId: goal._id, applied: false, reason: contribution.reason });
+        } else if (contribution.kind === 'checkIn') {
+            const existingCheckIn = await CheckIn.findOne({ goalId: goal._id, date: contribution.date });
+            if (existingCheckIn) {
+                goalUpdates.push({ goalId: goal._id, applied: false, reason: 'Goal is already checked in on this date' });
+                continue;
+            }
+            await CheckIn.create({
+                goalId: goal._id,
+                userId: goal.userId,
+                date: contribution.date,
+                checkedAt: workout.date,
+                note,
+                workoutId: workout._id,
+            });
+            const streaks = await refreshStreaks(goal);
+            goalUpdates.push({ goalId: goal._id, applied: true, ...streaks });
+        } else if (contribution.kind === 'cumulative') {
+            const { goal: updatedGoal } = await recordCumulativeEntry(goal, contribution.delta, workout.date, note, workout._id);
+            goalUpdates.push({ goalId: goal._id, applied: true, progress: updatedGoal.progress, currentValue: updatedGoal.currentValue });
+        } else {
+            // Only a new best is progress for goals tracking the heaviest weight
+            const best = await ProgressEntry.findOne({ goalId: goal._id }).sort({ value: -1 });
+            if (best && best.value >= contribution.value) {
+                goalUpdates.push({ goalId: goal._id, applied: false, reason: 'Workout does not beat the best logged value' });
+                continue;
+            }
+            const { goal: updatedGoal } = await recordProgressEntry(goal, contribution.value, workout.date, note, workout._id);
+            goalUpdates.push({ goalId: goal._id, applied: true, progress: updatedGoal.progress, currentValue: updatedGoal.currentValue });
+        }
+    }
+    return goalUpdates;
+};
+
+
+/**
+ * Takes back everything a workout logged for its linked goals, including goals that were moved to the trash since.
+ *
+ * @param {mongoose.Document} workout - The workout.
+ * @returns {Promise<void>}
+ */
+const revertWorkoutFromGoals = async (workout) => {
+    const goals = await Goal.find({ _id: { $in: workout.goalIds }, userId: workout.userId }, null, { withDeleted: true });
+
+    for (const goal of goals) {
+        if (goal.goalType === 'habit') {
+            const { deletedCount } = await CheckIn.deleteMany({ goalId: goal._id, workoutId: workout._id });
+            if (deletedCount > 0) {
+                await refreshStreaks(goal);
+            }
+        } else {
+            await removeWorkoutEntries(goal, workout._id);
+        }
+    }
+};
+
+
+/**
+ * Looks up a workout owned by a user, throwing formatted errors if the ID is invalid or the workout does not exist.
+ *
+ * @param {string} workoutId - The ID of the workout.
+ * @param {string} userId - The ID of the user who owns the workout.
+ * @returns {Promise<mongoose.Document>} A promise that resolves with the workout.
+ */
+const findUserWorkout = async (workoutId, userId) => {
+    if (!workoutId || !isValidObjectId(workoutId)) {
+        console.error('Invalid workoutId provided:', workoutId);
+        throw {
+            message: 'Invalid workoutId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    await findUser(userId);
+
+    const workout = await Workout.findOne({ _id: workoutId, userId: userId });
+    if (!workout) {
+        console.error('Workout not found with the given workoutId and userId:', workoutId, userId);
+        throw {
+            message: 'Workout not found',
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+    return workout;
+};
+
+
+/**
+ * Checks that every linked goal exists and belongs to the user.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {string[]} goalIds - The IDs of the linked goals.
+ * @throws {Error} If a goal is not found.
+ */
+const validateLinkedGoals = async (userId, goalIds) => {
+    if (goalIds.length === 0) {
+        return;
+    }
+    const count = await Goal.countDocuments({ _id: { $in: goalIds }, userId });
+    if (count !== goalIds.length) {
+        console.error('Linked goals not found for the given userId:', goalIds, userId);
+        throw {
+            message: 'One or more linked goals were not found',
+            code: 404,
+            statusText: 'Not Found',
+        };
+    }
+};
+
+
+/**
+ * Checks that every exercise a workout references is in the catalog or among the user's custom exercises,
+ * and names those exercises after their catalog entry.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {Array<object>} exercises - The normalized exercises of the workout, updated in place.
+ * @throws {Error} If an exercise is not found.
+ */
+const linkExercises = async (userId, exercises) => {
+    const linkedExercises = await findAccessibleExercises(userId, exercises.filter((exercise) => exercise.exerciseId).map((exercise) => exercise.exerciseId));
+    for (const exercise of exercises) {
+        if (exercise.exerciseId) {
+            exercise.name = linkedExercises.get(exercise.exerciseId).name;
+        }
+    }
+};
+
+
+/**
+ * Logs a workout for a user, applies it to its linked goals and records the personal records it sets.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} data - The workout fields, see `normalizeWorkout`.
+ * @returns {Promise<object>} A promise that resolves with `{ workout, goalUpdates, records }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user or goal lookup, or database access.
+ */
+const createWorkout = async (userId, data) => {
+    const normalizedWorkout = normalizeWorkout(data);
+
+    try {
+        await findUser(userId);
+        await validateLinkedGoals(userId, normalizedWorkout.goalIds);
+        await linkExercises(userId, normalizedWorkout.exercises);
+
+        const workout = await Workout.create({ userId, ...normalizedWorkout });
+        const goalUpdates = await applyWorkoutToGoals(workout);
+        const records = await detectRecords(workout);
+        await refreshPlansForWorkouts(workout.userId, [workout.date]);
+        return { workout, goalUpdates, records };
+    } catch (error) {
+        console.error('Failed to create workout:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to create workout',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Retrieves a single workout of a user.
+ *
+ * @param {string} workoutId - The ID of the workout.
+ * @param {string} userId - The ID of the user who owns the workout.
+ * @returns {Promise<object>} A promise that resolves with the workout or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, workout lookup, or database access.
+ */
+const getWorkout = async (workoutId, userId) => {
+    try {
+        return await findUserWorkout(workoutId, userId);
+    } catch (error) {
+        console.error('Failed to retrieve workout:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to retrieve workout',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Lists the workouts of a user, newest first, one page at a time.
+ *
+ * @param {string} userId - The ID of the user.
+ * @param {object} [options={}] - Listing options.
+ * @param {number} [options.limit=20] - The page size (1 to 100).
+ * @param {string} [options.cursor] - The `nextCursor` returned with the previous page.
+ * @param {string} [options.from] - Only include workouts on or after this date.
+ * @param {string} [options.to] - Only include workouts on or before this date.
+ * @param {string} [options.type] - Only include workouts of this type.
+ * @param {string} [options.goalId] - Only include workouts linked to this goal.
+ * @param {string} [options.exerciseId] - Only include workouts including this exercise.
+ * @returns {Promise<object>} A promise that resolves with `{ workouts, total, nextCursor, hasMore }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, user lookup, or database access.
+ */
+const listWorkouts = async (userId, options = {}) => {
+    const { limit, cursor, from, to, type, goalId, exerciseId } = options;
+
+    const pageSize = parsePageSize(limit);
+    if (pageSize === null) {
+        console.error('Invalid page size provided:', limit);
+        throw {
+            message: 'Limit must be an integer between 1 and 100',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    const fromObj = from ? new Date(from) : null;
+    const toObj = to ? new Date(to) : null;
+    if ((fromObj && isNaN(fromObj)) || (toObj && isNaN(toObj))) {
+        console.error('Invalid workout date range provided:', from, to);
+        throw {
+            message: 'Invalid date format',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (type !== undefined && !WORKOUT_TYPES.includes(type)) {
+        console.error('Invalid workout type filter provided:', type);
+        throw {
+            message: `type must be one of: ${WORKOUT_TYPES.join(', ')}`,
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (goalId !== undefined && !isValidObjectId(goalId)) {
+        console.error('Invalid goalId filter provided:', goalId);
+        throw {
+            message: 'Invalid goalId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    if (exerciseId !== undefined && !isValidObjectId(exerciseId)) {
+        console.error('Invalid exerciseId filter provided:', exerciseId);
+        throw {
+            message: 'Invalid exerciseId provided',
+            code: 400,
+            statusText: 'Bad Request',
+        };
+    }
+
+    let decodedCursor = null;
+    if (cursor) {
+        decodedCursor = decodeCursor(cursor, 'date');
+        if (!decodedCursor) {
+            console.error('Invalid cursor provided:', cursor);
+            throw {
+                message: 'Invalid cursor',
+                code: 400,
+                statusText: 'Bad Request',
+            };
+        }
+    }
+
+    // Build the filter shared by the page query and the total count
+    const filter = { userId };
+    if (fromObj || toObj) {
+        filter.date = {};
+        if (fromObj) filter.date.$gte = fromObj;
+        if (toObj) filter.date.$lte = toObj;
+    }
+    if (type) filter.type = type;
+    if (goalId) filter.goalIds = goalId;
+    if (exerciseId) filter['exercises.exerciseId'] = exerciseId;
+
+    const pageQuery = decodedCursor
+        ? { $and: [filter, buildCursorFilter('date', -1, decodedCursor)] }
+        : filter;
+
+    try {
+        await findUser(userId);
+
+        // Fetch one extra workout to find out whether there is a next page
+        const [workouts, total] = await Promise.all([
+            Workout.find(pageQuery)
+                .sort({ date: -1, _id: -1 })
+                .limit(pageSize + 1),
+            Workout.countDocuments(filter),
+        ]);
+
+        const hasMore = workouts.length > pageSize;
+        const page = hasMore ? workouts.slice(0, pageSize) : workouts;
+
+        return {
+            workouts: page,
+            total,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1], 'date') : null,
+            hasMore,
+        };
+    } catch (error) {
+        console.error('Failed to list workouts:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to list workouts',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Updates a workout. Only the provided fields change, and the linked goals are brought in line
+ * with the updated workout by taking back what it logged before and applying it again. The personal
+ * records of the exercises before and after the update are rebuilt.
+ *
+ * @param {string} workoutId - The ID of the workout.
+ * @param {string} userId - The ID of the user who owns the workout.
+ * @param {object} updates - The fields to update, see `normalizeWorkout`.
+ * @returns {Promise<object>} A promise that resolves with `{ workout, goalUpdates, records }` or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, workout or goal lookup, or database access.
+ */
+const updateWorkout = async (workoutId, userId, updates) => {
+    try {
+        const workout = await findUserWorkout(workoutId, userId);
+
+        const current = workout.toObject();
+        const merged = { ...current };
+        for (const [field, value] of Object.entries(updates)) {
+            if (value !== undefined) merged[field] = value;
+        }
+        const normalizedWorkout = normalizeWorkout(merged);
+
+        // Only newly linked goals have to exist, goals linked before may have been deleted since
+        const previousGoalIds = current.goalIds.map(String);
+        await validateLinkedGoals(userId, normalizedWorkout.goalIds.filter((id) => !previousGoalIds.includes(id)));
+        await linkExercises(userId, normalizedWorkout.exercises);
+
+        const previousExerciseKeys = getWorkoutExerciseKeys(workout);
+        const previousDate = workout.date;
+        await revertWorkoutFromGoals(workout);
+        workout.set(normalizedWorkout);
+        const updatedWorkout = await workout.save();
+        const goalUpdates = await applyWorkoutToGoals(updatedWorkout);
+
+        const exerciseKeys = [...new Set([...previousExerciseKeys, ...getWorkoutExerciseKeys(updatedWorkout)])];
+        const rebuiltRecords = await rebuildRecords(updatedWorkout.userId, exerciseKeys);
+        const records = rebuiltRecords.filter((record) => record.workoutId.equals(updatedWorkout._id));
+        await refreshPlansForWorkouts(updatedWorkout.userId, [previousDate, updatedWorkout.date]);
+        return { workout: updatedWorkout, goalUpdates, records };
+    } catch (error) {
+        console.error('Failed to update workout:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to update workout',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+
+/**
+ * Deletes a workout and takes back everything it logged for its linked goals and the personal records it set.
+ * The GPS track of an imported workout is deleted with it.
+ *
+ * @param {string} workoutId - The ID of the workout.
+ * @param {string} userId - The ID of the user who owns the workout.
+ * @returns {Promise<object>} A promise that resolves with a success message object or rejects with an error object.
+ * @throws {Error} If there is an issue with input validation, workout lookup, or database access.
+ */
+const deleteWorkout = async (workoutId, userId) => {
+    try {
+        const workout = await findUserWorkout(workoutId, userId);
+        await revertWorkoutFromGoals(workout);
+        await Workout.deleteOne({ _id: workout._id });
+        await ActivityTrack.deleteMany({ workoutId: workout._id });
+        await rebuildRecords(workout.userId, getWorkoutExerciseKeys(workout));
+        await refreshPlansForWorkouts(workout.userId, [workout.date]);
+        return { message: 'Workout deleted successfully' };
+    } catch (error) {
+        console.error('Failed to delete workout:', error);
+
+        // If error is already formatted, return the error
+        if (error.message && error.code) {
+            throw error;
+        }
+
+        throw {
+            message: 'Failed to delete workout',
+            code: 500,
+            statusText: 'Internal Server Error',
+        };
+    }
+};
+
+export { createWorkout, getWorkout, listWorkouts, updateWorkout, deleteWorkout };
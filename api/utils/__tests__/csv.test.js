@@ -0,0 +1,83 @@
+// api/utils/__tests__/csv.test.js
+import { CSV_BYTE_ORDER_MARK, CSV_LINE_BREAK, escapeCsvValue, toCsvRow, parseCsv } from '../csv';
+
+const writeCsv = (rows) => CSV_BYTE_ORDER_MARK + rows.map(toCsvRow).join('');
+
+describe('escapeCsvValue', () => {
+    it('quotes fields containing separators, quotes and line breaks', () => {
+        expect(escapeCsvValue('plain')).toBe('plain');
+        expect(escapeCsvValue('Run 5k, then stretch')).toBe('"Run 5k, then stretch"');
+        expect(escapeCsvValue('The "long" run')).toBe('"The ""long"" run"');
+        expect(escapeCsvValue('line one\nline two')).toBe('"line one\nline two"');
+    });
+
+    it('writes empty fields for null and undefined and joins arrays', () => {
+        expect(escapeCsvValue(null)).toBe('');
+        expect(escapeCsvValue(undefined)).toBe('');
+        expect(escapeCsvValue(['cardio', null, 'outdoor'])).toBe('cardio; ; outdoor');
+    });
+
+    it('prefixes text that a spreadsheet would evaluate as a formula, but not negative numbers', () => {
+        expect(escapeCsvValue('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+        expect(escapeCsvValue('@cmd')).toBe("'@cmd");
+        expect(escapeCsvValue(-5)).toBe('-5');
+    });
+});
+
+describe('toCsvRow and parseCsv', () => {
+    it('round-trips quoted fields with commas and double quotes', () => {
+        const rows = [
+            ['title', 'description', 'tags'],
+            ['Run, daily', 'Say "good morning" to the park', 'cardio; outdoor'],
+            ['""', '"', ','],
+        ];
+
+        expect(parseCsv(writeCsv(rows))).toEqual({ rows, error: null });
+    });
+
+    it('round-trips fields with embedded LF, CRLF and CR line breaks', () => {
+        const rows = [
+            ['title', 'description'],
+            ['Stretch', 'Hamstrings\nQuads\r\nCalves\rShoulders'],
+            ['Trailing', 'ends with a line break\r\n'],
+        ];
+
+        expect(parseCsv(writeCsv(rows))).toEqual({ rows, error: null });
+    });
+
+    it('round-trips empty fields and rows', () => {
+        const rows = [
+            ['title', 'category', 'targetDate'],
+            ['Swim', '', ''],
+            [''],
+        ];
+
+        expect(parseCsv(writeCsv(rows))).toEqual({ rows, error: null });
+    });
+
+    it('reads formula-like text back with the prefix added when writing', () => {
+        const text = writeCsv([['title'], ['=HYPERLINK("http://example.com")']]);
+
+        expect(parseCsv(text).rows[1]).toEqual(['\'=HYPERLINK("http://example.com")']);
+    });
+
+    it('strips a leading byte order mark only', () => {
+        const text = `${CSV_BYTE_ORDER_MARK}title${CSV_LINE_BREAK}${CSV_BYTE_ORDER_MARK}Run${CSV_LINE_BREAK}`;
+
+        expect(parseCsv(text)).toEqual({ rows: [['title'], [`${CSV_BYTE_ORDER_MARK}Run`]], error: null });
+        expect(parseCsv(text.slice(1)).rows[0]).toEqual(['title']);
+    });
+
+    it('accepts LF line breaks and a last row without a line break', () => {
+        expect(parseCsv('title,progress\nRun,40\nSwim,"10"')).toEqual({
+            rows: [['title', 'progress'], ['Run', '40'], ['Swim', '10']],
+            error: null,
+        });
+    });
+
+    it('reports malformed quoting with the rows parsed before it', () => {
+        expect(parseCsv('title\r\n"Run\r\n')).toEqual({ rows: [['title']], error: 'Unterminated quoted field in row 2' });
+        expect(parseCsv('title\r\nRun "5k"\r\n')).toEqual({ rows: [['title']], error: 'Unexpected double quote in row 2' });
+        expect(parseCsv('"Run"5k\r\n')).toEqual({ rows: [], error: 'Unexpected text after a quoted field in row 1' });
+    });
+});
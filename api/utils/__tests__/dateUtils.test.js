@@ -0,0 +1,87 @@
+// api/utils/__tests__/dateUtils.test.js
+import {
+    isValidTimeZone,
+    isValidLocalDate,
+    toLocalDate,
+    toLocalHour,
+    addDays,
+    dayOfWeek,
+    startOfWeek,
+    diffInDays,
+} from '../dateUtils';
+
+describe('isValidTimeZone and isValidLocalDate', () => {
+    it('accepts IANA timezones and existing calendar dates only', () => {
+        expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+        expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+        expect(isValidTimeZone('')).toBe(false);
+
+        expect(isValidLocalDate('2024-02-29')).toBe(true);
+        expect(isValidLocalDate('2023-02-29')).toBe(false);
+        expect(isValidLocalDate('2024-2-9')).toBe(false);
+    });
+});
+
+describe('toLocalDate and toLocalHour', () => {
+    it('defaults to UTC', () => {
+        expect(toLocalDate('2024-06-30T23:59:59Z')).toBe('2024-06-30');
+        expect(toLocalHour('2024-06-30T23:59:59Z')).toBe(23);
+    });
+
+    it('moves to the next day east of UTC shortly before midnight UTC', () => {
+        // Kolkata is UTC+05:30
+        expect(toLocalDate('2024-06-30T18:29:59Z', 'Asia/Kolkata')).toBe('2024-06-30');
+        expect(toLocalDate('2024-06-30T18:30:00Z', 'Asia/Kolkata')).toBe('2024-07-01');
+        expect(toLocalHour('2024-06-30T18:30:00Z', 'Asia/Kolkata')).toBe(0);
+
+        // Auckland is UTC+13 in summer, so its Monday starts on Sunday morning UTC
+        expect(toLocalDate('2024-01-14T10:59:00Z', 'Pacific/Auckland')).toBe('2024-01-14');
+        expect(toLocalDate('2024-01-14T11:00:00Z', 'Pacific/Auckland')).toBe('2024-01-15');
+        expect(startOfWeek(toLocalDate('2024-01-14T11:00:00Z', 'Pacific/Auckland'))).toBe('2024-01-15');
+        expect(startOfWeek(toLocalDate('2024-01-14T11:00:00Z', 'UTC'))).toBe('2024-01-08');
+
+        // Kiritimati is UTC+14 and reaches the new year first
+        expect(toLocalDate('2024-12-31T10:00:00Z', 'Pacific/Kiritimati')).toBe('2025-01-01');
+    });
+
+    it('follows the offset change on the day daylight saving time starts', () => {
+        // Berlin switches from UTC+1 to UTC+2 at 01:00 UTC on 2024-03-31
+        expect(toLocalDate('2024-03-30T22:59:59Z', 'Europe/Berlin')).toBe('2024-03-30');
+        expect(toLocalDate('2024-03-30T23:00:00Z', 'Europe/Berlin')).toBe('2024-03-31');
+        expect(toLocalHour('2024-03-31T00:59:59Z', 'Europe/Berlin')).toBe(1);
+        expect(toLocalHour('2024-03-31T01:00:00Z', 'Europe/Berlin')).toBe(3);
+        expect(toLocalDate('2024-03-31T21:59:59Z', 'Europe/Berlin')).toBe('2024-03-31');
+        expect(toLocalDate('2024-03-31T22:00:00Z', 'Europe/Berlin')).toBe('2024-04-01');
+    });
+
+    it('follows the offset change on the day daylight saving time ends', () => {
+        // New York switches from UTC-4 to UTC-5 at 06:00 UTC on 2024-11-03, repeating the hour from 01:00
+        expect(toLocalHour('2024-11-03T05:30:00Z', 'America/New_York')).toBe(1);
+        expect(toLocalHour('2024-11-03T06:30:00Z', 'America/New_York')).toBe(1);
+        expect(toLocalDate('2024-11-04T04:59:59Z', 'America/New_York')).toBe('2024-11-03');
+        expect(toLocalDate('2024-11-04T05:00:00Z', 'America/New_York')).toBe('2024-11-04');
+    });
+});
+
+describe('local date arithmetic', () => {
+    it('adds whole days across daylight saving transitions, month and year ends', () => {
+        expect(addDays('2024-03-30', 1)).toBe('2024-03-31');
+        expect(addDays('2024-03-31', 1)).toBe('2024-04-01');
+        expect(addDays('2024-11-04', -2)).toBe('2024-11-02');
+        expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+        expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+    });
+
+    it('counts whole days across daylight saving transitions', () => {
+        expect(diffInDays('2024-03-30', '2024-04-01')).toBe(2);
+        expect(diffInDays('2024-11-04', '2024-11-02')).toBe(-2);
+    });
+
+    it('starts weeks on Monday', () => {
+        expect(dayOfWeek('2024-03-31')).toBe(0);
+        expect(dayOfWeek('2024-04-01')).toBe(1);
+        expect(startOfWeek('2024-03-31')).toBe('2024-03-25');
+        expect(startOfWeek('2024-04-01')).toBe('2024-04-01');
+        expect(startOfWeek('2025-01-01')).toBe('2024-12-30');
+    });
+});
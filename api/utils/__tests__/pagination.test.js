@@ -0,0 +1,118 @@
+// api/utils/__tests__/pagination.test.js
+import mongoose from 'mongoose';
+import { encodeCursor, decodeCursor, buildCursorFilter, parsePageSize, DEFAULT_PAGE_SIZE } from '../pagination';
+
+const ID_A = '666e4a5989977f4298765d3c';
+const ID_B = '666e4a5989977f4298765d3d';
+
+const toCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('parsePageSize', () => {
+    it('falls back to the default page size and rejects sizes out of range', () => {
+        expect(parsePageSize(undefined)).toBe(DEFAULT_PAGE_SIZE);
+        expect(parsePageSize('10')).toBe(10);
+        expect(parsePageSize('0')).toBeNull();
+        expect(parsePageSize('101')).toBeNull();
+        expect(parsePageSize('2.5')).toBeNull();
+    });
+});
+
+describe('decodeCursor', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('decodes the cursor created by encodeCursor, restoring dates', () => {
+        const createdAt = new Date('2024-03-10T08:15:00.000Z');
+        const cursor = decodeCursor(encodeCursor({ _id: ID_A, createdAt }, 'createdAt'), 'createdAt');
+
+        expect(cursor.value).toEqual(createdAt);
+        expect(cursor.id).toBeInstanceOf(mongoose.Types.ObjectId);
+        expect(String(cursor.id)).toBe(ID_A);
+    });
+
+    it('keeps null sort values', () => {
+        const cursor = decodeCursor(encodeCursor({ _id: ID_A, targetDate: undefined }, 'targetDate'), 'targetDate');
+
+        expect(cursor.value).toBeNull();
+    });
+
+    it('rejects empty and non-string cursors', () => {
+        expect(decodeCursor('', 'createdAt')).toBeNull();
+        expect(decodeCursor('   ', 'createdAt')).toBeNull();
+        expect(decodeCursor(undefined, 'createdAt')).toBeNull();
+        expect(decodeCursor(['a'], 'createdAt')).toBeNull();
+    });
+
+    it('rejects cursors that are not base64 encoded JSON', () => {
+        expect(decodeCursor('%%%not-base64%%%', 'createdAt')).toBeNull();
+        expect(decodeCursor(Buffer.from('{"s":"createdAt",').toString('base64url'), 'createdAt')).toBeNull();
+        expect(decodeCursor(Buffer.from('null').toString('base64url'), 'createdAt')).toBeNull();
+    });
+
+    it('rejects cursors created for a different sort field', () => {
+        const cursor = encodeCursor({ _id: ID_A, title: 'Run 5k' }, 'title');
+
+        expect(decodeCursor(cursor, 'createdAt')).toBeNull();
+    });
+
+    it('rejects cursors with an invalid id or date', () => {
+        expect(decodeCursor(toCursor({ s: 'createdAt', v: 1, id: 'not-an-id' }), 'createdAt')).toBeNull();
+        expect(decodeCursor(toCursor({ s: 'createdAt', v: { $date: 'yesterday' }, id: ID_A }), 'createdAt')).toBeNull();
+        expect(decodeCursor(toCursor({ s: 'createdAt', v: { $gt: 1 }, id: ID_A }), 'createdAt')).toBeNull();
+    });
+});
+
+describe('buildCursorFilter', () => {
+    const id = new mongoose.Types.ObjectId(ID_A);
+
+    it('breaks ties on the sort value by _id when sorting ascending', () => {
+        expect(buildCursorFilter('progress', 1, { value: 50, id })).toEqual({
+            $or: [
+                { progress: { $gt: 50 } },
+                { progress: 50, _id: { $gt: id } },
+            ],
+        });
+    });
+
+    it('breaks ties on the sort value by _id and includes null values last when sorting descending', () => {
+        expect(buildCursorFilter('progress', -1, { value: 50, id })).toEqual({
+            $or: [
+                { progress: { $lt: 50 } },
+                { progress: 50, _id: { $lt: id } },
+                { progress: null },
+            ],
+        });
+    });
+
+    it('continues after a null sort value', () => {
+        expect(buildCursorFilter('targetDate', 1, { value: null, id })).toEqual({
+            $or: [
+                { targetDate: null, _id: { $gt: id } },
+                { targetDate: { $ne: null } },
+            ],
+        });
+        expect(buildCursorFilter('targetDate', -1, { value: null, id })).toEqual({
+            targetDate: null,
+            _id: { $lt: id },
+        });
+    });
+
+    it('returns each of the documents sharing a sort value exactly once across pages', () => {
+        const docs = [
+            { _id: new mongoose.Types.ObjectId(ID_B), progress: 50 },
+            { _id: new mongoose.Types.ObjectId(ID_A), progress: 50 },
+        ];
+        const cursor = decodeCursor(encodeCursor(docs[1], 'progress'), 'progress');
+        const [afterValue, tie] = buildCursorFilter('progress', 1, cursor).$or;
+
+        // Only the document with the same value and a greater _id follows the cursor
+        const following = docs.filter((doc) => doc.progress > afterValue.progress.$gt
+            || (doc.progress === tie.progress && String(doc._id) > String(tie._id.$gt)));
+        expect(following.map((doc) => String(doc._id))).toEqual([ID_B]);
+    });
+});
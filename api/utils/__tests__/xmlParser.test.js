@@ -0,0 +1,169 @@
+// api/utils/__tests__/xmlParser.test.js
+import { createXmlParser, parseXml, decodeEntities } from '../xmlParser';
+
+// The start of an Apple Health export.xml, whose internal DTD subset contains '>' and quotes
+const HEALTH_EXPORT = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE HealthData [
+<!-- HealthKit Export Version: 14 -->
+<!ELEMENT HealthData (ExportDate,Me,(Record|Workout)*)>
+<!ATTLIST HealthData
+  locale CDATA #REQUIRED
+>
+<!ATTLIST Record
+  type          CDATA #REQUIRED
+  unit          CDATA #IMPLIED
+  sourceName    CDATA #REQUIRED
+  note          CDATA "a > b, it's [quoted]"
+>
+]>
+<HealthData locale="en_US">
+ <ExportDate value="2024-05-12 08:00:00 +0200"/>
+ <Me HKCharacteristicTypeIdentifierDateOfBirth=""/>
+ <Record type="HKQuantityTypeIdentifierStepCount" sourceName="Tom &amp; Jerry&#x2019;s Watch" unit="count" value="42"/>
+ <Workout workoutActivityType='HKWorkoutActivityTypeRunning' note="pace > 5 min/km">
+  <MetadataEntry key="HKWeatherTemperature" value="18 degF"/>
+  <![CDATA[<raw> & unescaped]]>
+  Felt strong &lt;3 &#9731;
+ </Workout>
+</HealthData>
+`;
+
+/**
+ * Records the callbacks of a parser as a list of events.
+ *
+ * @returns {{ handlers: object, events: Array<Array<*>> }} The handlers to pass to the parser and the events.
+ */
+const recordEvents = () => {
+    const events = [];
+    return {
+        events,
+        handlers: {
+            onOpenTag: (name, attributes) => events.push(['open', name, attributes]),
+            onCloseTag: (name) => events.push(['close', name]),
+            onText: (text) => events.push(['text', text.trim()]),
+        },
+    };
+};
+
+/**
+ * Parses a document fed in chunks of a fixed size.
+ *
+ * @param {string} text - The XML document.
+ * @param {number} chunkSize - The size of each chunk.
+ * @returns {Array<Array<*>>} The events, see `recordEvents`.
+ */
+const parseInChunks = (text, chunkSize) => {
+    const { events, handlers } = recordEvents();
+    const parser = createXmlParser(handlers);
+    for (let i = 0; i < text.length; i += chunkSize) {
+        parser.write(text.slice(i, i + chunkSize));
+    }
+    parser.end();
+    return events;
+};
+
+describe('decodeEntities', () => {
+    it('decodes the predefined and numeric entities only', () => {
+        expect(decodeEntities('Tom &amp; Jerry &#x263A; &#9731; &lt;&gt;&quot;&apos;')).toBe('Tom & Jerry ☺ ☃ <>"\'');
+        expect(decodeEntities('&nbsp;&copy;')).toBe('&nbsp;&copy;');
+        expect(decodeEntities('&#x110000; & alone')).toBe('&#x110000; & alone');
+    });
+});
+
+describe('parseXml', () => {
+    const { events, handlers } = recordEvents();
+    parseXml(HEALTH_EXPORT, handlers);
+
+    it('skips the declaration, the DTD with its internal subset, and comments', () => {
+        expect(events[0]).toEqual(['open', 'HealthData', { locale: 'en_US' }]);
+        expect(events[events.length - 1]).toEqual(['close', 'HealthData']);
+    });
+
+    it('decodes entities in attribute values and accepts single quotes and > inside values', () => {
+        expect(events).toContainEqual(['open', 'Record', {
+            type: 'HKQuantityTypeIdentifierStepCount',
+            sourceName: 'Tom & Jerry’s Watch',
+            unit: 'count',
+            value: '42',
+        }]);
+        expect(events).toContainEqual(['open', 'Workout', {
+            workoutActivityType: 'HKWorkoutActivityTypeRunning',
+            note: 'pace > 5 min/km',
+        }]);
+    });
+
+    it('reports CDATA sections as raw text and decodes entities in other text', () => {
+        const texts = events.filter(([type]) => type === 'text').map(([, text]) => text);
+
+        expect(texts).toEqual(['<raw> & unescaped', 'Felt strong <3 ☃']);
+    });
+
+    it('reports self-closing elements as opened and closed', () => {
+        const index = events.findIndex(([type, name]) => type === 'open' && name === 'ExportDate');
+
+        expect(events[index + 1]).toEqual(['close', 'ExportDate']);
+    });
+
+    it('strips namespace prefixes from element names but keeps them on attributes', () => {
+        const recorded = recordEvents();
+        parseXml('<gpx xmlns:gpxtpx="urn:tpx"><gpxtpx:hr gpxtpx:unit="bpm">150</gpxtpx:hr></gpx>', recorded.handlers);
+
+        expect(recorded.events).toEqual([
+            ['open', 'gpx', { 'xmlns:gpxtpx': 'urn:tpx' }],
+            ['open', 'hr', { 'gpxtpx:unit': 'bpm' }],
+            ['text', '150'],
+            ['close', 'hr'],
+            ['close', 'gpx'],
+        ]);
+    });
+});
+
+describe('createXmlParser', () => {
+    it('reports the same events whatever the chunk boundaries', () => {
+        const expected = parseInChunks(HEALTH_EXPORT, HEALTH_EXPORT.length);
+
+        // Every chunk size up to a few tags splits markup, attributes, entities and CDATA at every position
+        for (let chunkSize = 1; chunkSize <= 64; chunkSize++) {
+            expect(parseInChunks(HEALTH_EXPORT, chunkSize)).toEqual(expected);
+        }
+    });
+
+    it('keeps an attribute value split inside its quotes intact', () => {
+        const { events, handlers } = recordEvents();
+        const parser = createXmlParser(handlers);
+        parser.write('<trkpt lat="52.5" note="a >');
+        parser.write(' b &am');
+        parser.write('p; c"/>');
+        parser.end();
+
+        expect(events).toEqual([['open', 'trkpt', { lat: '52.5', note: 'a > b & c' }], ['close', 'trkpt']]);
+    });
+
+    it('passes on errors thrown by a callback', () => {
+        const onOpenTag = (name) => {
+            if (name === 'stop') throw new Error('Stopped');
+        };
+
+        expect(() => parseXml('<root><stop/></root>', { onOpenTag })).toThrow('Stopped');
+    });
+
+    it.each([
+        ['mismatched elements', '<a><b></a></b>', 'Invalid XML: </a> closes <b>'],
+        ['an unclosed element', '<a><b></b>', 'Invalid XML: unclosed element <a>'],
+        ['text outside of the root element', 'text<a/>', 'Invalid XML: text outside of the root element'],
+        ['a second root element', '<a/><b/>', 'Invalid XML: <b> after the root element'],
+        ['markup cut off at the end', '<a><b', 'Invalid XML: unexpected end of document inside markup'],
+        ['an unterminated CDATA section', '<a><![CDATA[text</a>', 'Invalid XML: unexpected end of document inside markup'],
+        ['no root element', '<?xml version="1.0"?><!-- empty -->', 'Invalid XML: no root element'],
+    ])('throws on %s', (description, text, message) => {
+        expect(() => parseXml(text, {})).toThrow(message);
+    });
+
+    it('throws on a write after the end', () => {
+        const parser = createXmlParser();
+        parser.write('<a/>');
+        parser.end();
+
+        expect(() => parser.write('<b/>')).toThrow('Invalid XML: write after end');
+    });
+});
@@ -0,0 +1,243 @@
+// api/utils/__tests__/zip.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { crc32, listZipEntries, openZipEntry, generateZip } from '../zip';
+
+const EXPORT_XML = '<?xml version="1.0"?>\n<HealthData locale="en_US">\n'
+    + '<Record type="HKQuantityTypeIdentifierStepCount" value="42"/>\n'.repeat(200)
+    + '</HealthData>\n';
+
+/**
+ * Builds a ZIP archive the way common archivers do, with the sizes in the local headers.
+ *
+ * @param {Array<{ name: string, data: string, method: number }>} files - The files; method 0 stores, 8 deflates.
+ * @param {object} [options={}] - The options.
+ * @param {boolean} [options.zip64=false] - Whether to write the ZIP64 end of central directory record and locator,
+ * moving the local header offsets to ZIP64 extra fields.
+ * @param {string} [options.comment=''] - The archive comment.
+ * @returns {Buffer} The archive.
+ */
+const buildZip = (files, { zip64 = false, comment = '' } = {}) => {
+    const parts = [];
+    const centralHeaders = [];
+    let offset = 0;
+
+    for (const { name, data, method } of files) {
+        const nameBytes = Buffer.from(name, 'utf8');
+        const content = Buffer.from(data, 'utf8');
+        const compressed = method === 8 ? zlib.deflateRawSync(content) : content;
+        const crc = crc32(content);
+
+        const localHeader = Buffer.alloc(30);
+        localHeader.writeUInt32LE(0x04034b50, 0);
+        localHeader.writeUInt16LE(20, 4);
+        localHeader.writeUInt16LE(method, 8);
+        localHeader.writeUInt32LE(crc, 14);
+        localHeader.writeUInt32LE(compressed.length, 18);
+        localHeader.writeUInt32LE(content.length, 22);
+        localHeader.writeUInt16LE(nameBytes.length, 26);
+        parts.push(localHeader, nameBytes, compressed);
+
+        const extra = Buffer.alloc(zip64 ? 12 : 0);
+        if (zip64) {
+            extra.writeUInt16LE(0x0001, 0);
+            extra.writeUInt16LE(8, 2);
+            extra.writeBigUInt64LE(BigInt(offset), 4);
+        }
+        const centralHeader = Buffer.alloc(46);
+        centralHeader.writeUInt32LE(0x02014b50, 0);
+        centralHeader.writeUInt16LE(zip64 ? 45 : 20, 4);
+        centralHeader.writeUInt16LE(zip64 ? 45 : 20, 6);
+        centralHeader.writeUInt16LE(method, 10);
+        centralHeader.writeUInt32LE(crc, 16);
+        centralHeader.writeUInt32LE(compressed.length, 20);
+        centralHeader.writeUInt32LE(content.length, 24);
+        centralHeader.writeUInt16LE(nameBytes.length, 28);
+        centralHeader.writeUInt16LE(extra.length, 30);
+        centralHeader.writeUInt32LE(zip64 ? 0xFFFFFFFF : offset, 42);
+        centralHeaders.push(centralHeader, nameBytes, extra);
+
+        offset += localHeader.length + nameBytes.length + compressed.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralHeaders);
+    parts.push(centralDirectory);
+
+    if (zip64) {
+        const record = Buffer.alloc(56);
+        record.writeUInt32LE(0x06064b50, 0);
+        record.writeBigUInt64LE(44n, 4);
+        record.writeUInt16LE(45, 12);
+        record.writeUInt16LE(45, 14);
+        record.writeBigUInt64LE(BigInt(files.length), 24);
+        record.writeBigUInt64LE(BigInt(files.length), 32);
+        record.writeBigUInt64LE(BigInt(centralDirectory.length), 40);
+        record.writeBigUInt64LE(BigInt(offset), 48);
+
+        const locator = Buffer.alloc(20);
+        locator.writeUInt32LE(0x07064b50, 0);
+        locator.writeBigUInt64LE(BigInt(offset + centralDirectory.length), 8);
+        locator.writeUInt32LE(1, 16);
+        parts.push(record, locator);
+    }
+
+    const commentBytes = Buffer.from(comment, 'utf8');
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(zip64 ? 0xFFFF : files.length, 8);
+    end.writeUInt16LE(zip64 ? 0xFFFF : files.length, 10);
+    end.writeUInt32LE(zip64 ? 0xFFFFFFFF : centralDirectory.length, 12);
+    end.writeUInt32LE(zip64 ? 0xFFFFFFFF : offset, 16);
+    end.writeUInt16LE(commentBytes.length, 20);
+    parts.push(end, commentBytes);
+
+    return Buffer.concat(parts);
+};
+
+/**
+ * Reads a stream to the end.
+ *
+ * @param {stream.Readable} stream - The stream.
+ * @returns {Promise<string>} The bytes as UTF-8 text.
+ */
+const readText = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+describe('zip', () => {
+    let directory;
+    let fileCount = 0;
+
+    /**
+     * Writes bytes to a new file in the temporary directory of the tests.
+     *
+     * @param {Buffer} bytes - The content.
+     * @returns {string} The path of the file.
+     */
+    const writeArchive = (bytes) => {
+        fileCount += 1;
+        const archivePath = path.join(directory, `archive-${fileCount}.zip`);
+        fs.writeFileSync(archivePath, bytes);
+        return archivePath;
+    };
+
+    beforeAll(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-test-'));
+    });
+
+    afterAll(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('computes the CRC-32 used by ZIP archives', () => {
+        expect(crc32(Buffer.from('hello'))).toBe(907060870);
+        expect(crc32(Buffer.from('llo'), crc32(Buffer.from('he')))).toBe(907060870);
+    });
+
+    it('lists and reads stored and deflated entries', async () => {
+        const archivePath = writeArchive(buildZip([
+            { name: 'apple_health_export/', data: '', method: 0 },
+            { name: 'apple_health_export/export.xml', data: EXPORT_XML, method: 8 },
+            { name: 'apple_health_export/readme.txt', data: 'Stored as is', method: 0 },
+        ], { comment: 'Exported from Health' }));
+
+        const entries = await listZipEntries(archivePath);
+
+        expect(entries.map(({ name, method, uncompressedSize }) => ({ name, method, uncompressedSize }))).toEqual([
+            { name: 'apple_health_export/', method: 0, uncompressedSize: 0 },
+            { name: 'apple_health_export/export.xml', method: 8, uncompressedSize: EXPORT_XML.length },
+            { name: 'apple_health_export/readme.txt', method: 0, uncompressedSize: 12 },
+        ]);
+        expect(entries[1].compressedSize).toBeLessThan(EXPORT_XML.length);
+        expect(await readText(await openZipEntry(archivePath, entries[0]))).toBe('');
+        expect(await readText(await openZipEntry(archivePath, entries[1]))).toBe(EXPORT_XML);
+        expect(await readText(await openZipEntry(archivePath, entries[2]))).toBe('Stored as is');
+    });
+
+    it('reads the central directory from the ZIP64 end of central directory record', async () => {
+        const archivePath = writeArchive(buildZip([
+            { name: 'workout-routes/route_1.gpx', data: '<gpx/>', method: 0 },
+            { name: 'export.xml', data: EXPORT_XML, method: 8 },
+        ], { zip64: true }));
+
+        const entries = await listZipEntries(archivePath);
+
+        expect(entries.map((entry) => entry.name)).toEqual(['workout-routes/route_1.gpx', 'export.xml']);
+        expect(entries[0].localHeaderOffset).toBe(0);
+        expect(entries[1].localHeaderOffset).toBe(30 + 'workout-routes/route_1.gpx'.length + 6);
+        expect(await readText(await openZipEntry(archivePath, entries[1]))).toBe(EXPORT_XML);
+    });
+
+    it('rejects a truncated archive', async () => {
+        const archive = buildZip([{ name: 'export.xml', data: EXPORT_XML, method: 8 }]);
+
+        await expect(listZipEntries(writeArchive(archive.subarray(0, archive.length - 10))))
+            .rejects.toThrow('Not a ZIP archive, or the archive is truncated');
+        await expect(listZipEntries(writeArchive(Buffer.alloc(0))))
+            .rejects.toThrow('Not a ZIP archive, or the archive is truncated');
+    });
+
+    it('rejects an archive cut off before its ZIP64 end of central directory record', async () => {
+        const archive = buildZip([{ name: 'export.xml', data: EXPORT_XML, method: 8 }], { zip64: true });
+        // Keep the locator and the end of central directory record, but point the locator past the end of the file
+        archive.writeBigUInt64LE(BigInt(archive.length), archive.length - 22 - 20 + 8);
+
+        await expect(listZipEntries(writeArchive(archive)))
+            .rejects.toThrow('Invalid ZIP archive: missing ZIP64 end of central directory record');
+    });
+
+    it('fails the entry stream when the data of an entry is damaged', async () => {
+        const archive = buildZip([
+            { name: 'stored.txt', data: 'Stored as is', method: 0 },
+            { name: 'export.xml', data: EXPORT_XML, method: 8 },
+        ]);
+        const storedPath = writeArchive(archive);
+        const [stored, deflated] = await listZipEntries(storedPath);
+
+        const storedDamage = Buffer.from(archive);
+        storedDamage[30 + 'stored.txt'.length] ^= 0xFF;
+        await expect(readText(await openZipEntry(writeArchive(storedDamage), stored)))
+            .rejects.toThrow('Invalid ZIP archive: stored.txt is truncated or damaged');
+
+        const deflatedDamage = Buffer.from(archive);
+        const deflatedStart = deflated.localHeaderOffset + 30 + 'export.xml'.length;
+        deflatedDamage.fill(0xFF, deflatedStart, deflatedStart + 10);
+        await expect(readText(await openZipEntry(writeArchive(deflatedDamage), deflated)))
+            .rejects.toThrow('Invalid ZIP archive: export.xml');
+    });
+
+    it('refuses encrypted entries and unsupported compression methods', async () => {
+        const archivePath = writeArchive(buildZip([{ name: 'export.xml', data: EXPORT_XML, method: 8 }]));
+        const [entry] = await listZipEntries(archivePath);
+
+        await expect(openZipEntry(archivePath, { ...entry, encrypted: true })).rejects.toThrow('export.xml is encrypted');
+        await expect(openZipEntry(archivePath, { ...entry, method: 12 }))
+            .rejects.toThrow('export.xml uses unsupported compression method 12');
+    });
+
+    it('reads back the archives it writes', async () => {
+        const files = [
+            { name: 'goals.csv', chunks: ['title,progress\r\n', 'Run 5k,40\r\n'] },
+            { name: 'entries/übersicht.csv', chunks: (async function* chunks() { yield Buffer.from(EXPORT_XML); })() },
+            { name: 'empty.txt', chunks: [] },
+        ];
+        const chunks = [];
+        for await (const chunk of generateZip(files, new Date(2024, 4, 12, 8, 30))) {
+            chunks.push(chunk);
+        }
+        const archivePath = writeArchive(Buffer.concat(chunks));
+
+        const entries = await listZipEntries(archivePath);
+
+        expect(entries.map((entry) => entry.name)).toEqual(['goals.csv', 'entries/übersicht.csv', 'empty.txt']);
+        expect(await readText(await openZipEntry(archivePath, entries[0]))).toBe('title,progress\r\nRun 5k,40\r\n');
+        expect(await readText(await openZipEntry(archivePath, entries[1]))).toBe(EXPORT_XML);
+        expect(await readText(await openZipEntry(archivePath, entries[2]))).toBe('');
+    });
+});
@@ -0,0 +1,136 @@
+// api/utils/csv.js
+
+/**
+ * Provides helpers for writing CSV as described in RFC 4180: fields are separated by commas, rows end
+ * with CRLF, and fields containing a comma, a double quote or a line break are enclosed in double quotes
+ * with their double quotes doubled. Text that a spreadsheet would evaluate as a formula is prefixed with
+ * a single quote, so exported user input cannot run formulas when the file is opened. Parsing accepts
+ * CRLF and LF line breaks and a leading byte order mark, as written by common spreadsheet applications.
+ */
+
+const CSV_LINE_BREAK = '\r\n';
+
+// Lets spreadsheet applications detect that the file is UTF-8
+const CSV_BYTE_ORDER_MARK = '\uFEFF';
+
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Escapes a single CSV field.
+ *
+ * @param {*} value - The field value. null and undefined become an empty field, arrays are joined with '; '.
+ * @returns {string} The escaped field.
+ *
+ * @example
+ * escapeCsvValue('plain') // returns 'plain'
+ * escapeCsvValue('Run 5k, then stretch') // returns '"Run 5k, then stretch"'
+ * escapeCsvValue('=SUM(A1:A2)') // returns "'=SUM(A1:A2)"
+ */
+const escapeCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text;
+    if (Array.isArray(value)) {
+        text = value.map((item) => (item === null || item === undefined ? '' : String(item))).join('; ');
+    } else {
+        text = String(value);
+    }
+
+    // Numbers such as -5 are values, not formulas
+    if (typeof value !== 'number' && FORMULA_PREFIXES.some((prefix) => text.startsWith(prefix))) {
+        text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+/**
+ * Formats a row of CSV fields, including the line break that ends it.
+ *
+ * @param {Array<*>} values - The field values, see `escapeCsvValue`.
+ * @returns {string} The CSV row.
+ */
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',') + CSV_LINE_BREAK;
+
+/**
+ * Parses CSV text into rows of fields. Quoted fields may contain commas, line breaks and doubled double quotes.
+ *
+ * @param {string} text - The CSV text.
+ * @returns {{ rows: Array<string[]>, error: string|null }} The parsed rows, and a description of the first
+ * syntax error if the text is malformed, in which case `rows` holds the rows parsed before it.
+ *
+ * @example
+ * parseCsv('title,tags\r\n"Run, daily",cardio\r\n') // returns { rows: [['title', 'tags'], ['Run, daily', 'cardio']], error: null }
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let fieldWasQuoted = false;
+    let i = text.startsWith(CSV_BYTE_ORDER_MARK) ? 1 : 0;
+
+    const endRow = () => {
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+        fieldWasQuoted = false;
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                    continue;
+                }
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            i += 1;
+            continue;
+        }
+
+        if (char === '"') {
+            if (field !== '' || fieldWasQuoted) {
+                return { rows, error: `Unexpected double quote in row ${rows.length + 1}` };
+            }
+            inQuotes = true;
+            fieldWasQuoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+            fieldWasQuoted = false;
+        } else if (char === '\r' || char === '\n') {
+            endRow();
+            // A CRLF pair ends a single row
+            if (char === '\r' && text[i + 1] === '\n') i += 1;
+        } else if (fieldWasQuoted) {
+            return { rows, error: `Unexpected text after a quoted field in row ${rows.length + 1}` };
+        } else {
+            field += char;
+        }
+        i += 1;
+    }
+
+    if (inQuotes) {
+        return { rows, error: `Unterminated quoted field in row ${rows.length + 1}` };
+    }
+    // The last row may end without a line break
+    if (field !== '' || fieldWasQuoted || row.length > 0) {
+        endRow();
+    }
+    return { rows, error: null };
+};
+
+export { CSV_LINE_BREAK, CSV_BYTE_ORDER_MARK, escapeCsvValue, toCsvRow, parseCsv };
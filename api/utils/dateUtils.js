@@ -0,0 +1,118 @@
+// api/utils/dateUtils.js
+
+/**
+ * Provides timezone-aware helpers for working with local calendar dates.
+ * Local dates are represented as 'YYYY-MM-DD' strings, which sort chronologically and are
+ * independent of the server timezone. Arithmetic on them is done in UTC so that daylight
+ * saving transitions never shift a date.
+ */
+
+const LOCAL_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks if a given string is a valid IANA timezone name, such as 'Europe/Berlin'.
+ *
+ * @param {string} timeZone - The timezone to validate.
+ * @returns {boolean} True if the timezone is known to the runtime, false otherwise.
+ */
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || timeZone.trim() === '') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Checks if a given string is a valid 'YYYY-MM-DD' calendar date.
+ *
+ * @param {string} value - The value to validate.
+ * @returns {boolean} True if the value is an existing calendar date, false otherwise.
+ */
+const isValidLocalDate = (value) => {
+    if (typeof value !== 'string' || !LOCAL_DATE_REGEX.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Converts an instant to the calendar date it falls on in a timezone.
+ *
+ * @param {Date|string|number} date - The instant to convert.
+ * @param {string} [timeZone='UTC'] - The IANA timezone.
+ * @returns {string} The local date as 'YYYY-MM-DD'.
+ */
+const toLocalDate = (date, timeZone = 'UTC') => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    }).formatToParts(new Date(date));
+    const part = (type) => parts.find((p) => p.type === type).value;
+    return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+/**
+ * Returns the hour of the day an instant falls on in a timezone.
+ *
+ * @param {Date|string|number} date - The instant.
+ * @param {string} [timeZone='UTC'] - The IANA timezone.
+ * @returns {number} The local hour, 0 to 23.
+ */
+const toLocalHour = (date, timeZone = 'UTC') => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hour: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(new Date(date));
+    return Number(parts.find((p) => p.type === 'hour').value);
+};
+
+/**
+ * Adds a number of days to a local date.
+ *
+ * @param {string} localDate - The local date as 'YYYY-MM-DD'.
+ * @param {number} days - The number of days to add, may be negative.
+ * @returns {string} The resulting local date.
+ */
+const addDays = (localDate, days) => {
+    const date = new Date(`${localDate}T00:00:00Z`);
+    return new Date(date.getTime() + days * DAY_IN_MS).toISOString().slice(0, 10);
+};
+
+/**
+ * Returns the day of the week of a local date.
+ *
+ * @param {string} localDate - The local date as 'YYYY-MM-DD'.
+ * @returns {number} The day of the week, 0 for Sunday to 6 for Saturday.
+ */
+const dayOfWeek = (localDate) => new Date(`${localDate}T00:00:00Z`).getUTCDay();
+
+/**
+ * Returns the Monday starting the week a local date belongs to.
+ *
+ * @param {string} localDate - The local date as 'YYYY-MM-DD'.
+ * @returns {string} The local date of the Monday of that week.
+ */
+const startOfWeek = (localDate) => addDays(localDate, -((dayOfWeek(localDate) + 6) % 7));
+
+/**
+ * Returns the number of days from one local date to another.
+ *
+ * @param {string} from - The start date as 'YYYY-MM-DD'.
+ * @param {string} to - The end date as 'YYYY-MM-DD'.
+ * @returns {number} The number of days, negative if `to` is before `from`.
+ */
+const diffInDays = (from, to) => Math.round(
+    (new Date(`${to}T00:00:00Z`).getTime() - new Date(`${from}T00:00:00Z`).getTime()) / DAY_IN_MS
+);
+
+export { isValidTimeZone, isValidLocalDate, toLocalDate, toLocalHour, addDays, dayOfWeek, startOfWeek, diffInDays };
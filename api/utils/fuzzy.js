@@ -0,0 +1,147 @@
+// api/utils/fuzzy.js
+
+/**
+ * Provides fuzzy text matching for searching small in-memory collections, such as the exercise catalog.
+ * Scores are between 0 and 1. Exact matches score 1, followed by prefix matches, acronyms ('BP' for
+ * 'Bench Press'), matches at the start of a later word, and finally typo-tolerant matches based on
+ * the edit distance of words.
+ */
+
+/**
+ * Normalizes text for matching: lowercased, accents removed and anything but letters and digits collapsed to single spaces.
+ *
+ * @param {string} text - The text to normalize.
+ * @returns {string} The normalized text.
+ *
+ * @example
+ * normalizeText('  Romanian Deadlift (RDL) ') // returns 'romanian deadlift rdl'
+ */
+const normalizeText = (text) => {
+    if (typeof text !== 'string') {
+        return '';
+    }
+    return text
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+};
+
+/**
+ * Computes the edit distance between two strings, counting insertions, deletions, substitutions
+ * and transpositions of adjacent characters.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The number of edits to turn `a` into `b`.
+ */
+const editDistance = (a, b) => {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const distances = Array.from({ length: rows }, (_, i) => {
+        const row = new Array(cols).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j < cols; j++) {
+        distances[0][j] = j;
+    }
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            distances[i][j] = Math.min(
+                distances[i - 1][j] + 1,
+                distances[i][j - 1] + 1,
+                distances[i - 1][j - 1] + cost,
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return distances[a.length][b.length];
+};
+
+/**
+ * Computes how similar two strings are based on their edit distance.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The similarity, 1 for equal strings and 0 for completely different ones.
+ */
+const similarity = (a, b) => {
+    const maxLength = Math.max(a.length, b.length);
+    return maxLength === 0 ? 1 : 1 - editDistance(a, b) / maxLength;
+};
+
+/**
+ * Scores how well a candidate text matches a query.
+ *
+ * @param {string} query - The search query.
+ * @param {string} candidate - The text to match against, such as an exercise name or alias.
+ * @returns {number} The score, between 0 and 1.
+ *
+ * @example
+ * scoreMatch('bench', 'Bench Press') // returns 0.9... (prefix)
+ * scoreMatch('BP', 'Bench Press') // returns 0.85 (acronym)
+ * scoreMatch('benhc pres', 'Bench Press') // returns 0.675 (typos)
+ */
+const scoreMatch = (query, candidate) => {
+    const normalizedQuery = normalizeText(query);
+    const normalizedCandidate = normalizeText(candidate);
+    if (!normalizedQuery || !normalizedCandidate) {
+        return 0;
+    }
+
+    if (normalizedCandidate === normalizedQuery) {
+        return 1;
+    }
+    if (normalizedCandidate.startsWith(normalizedQuery)) {
+        return 0.9 + 0.05 * (normalizedQuery.length / normalizedCandidate.length);
+    }
+
+    const candidateWords = normalizedCandidate.split(' ');
+    const queryWords = normalizedQuery.split(' ');
+    const acronym = candidateWords.map((word) => word[0]).join('');
+    if (candidateWords.length > 1 && normalizedQuery.replace(/ /g, '') === acronym) {
+        return 0.85;
+    }
+    if (normalizedCandidate.includes(` ${normalizedQuery}`)) {
+        return 0.8;
+    }
+
+    // Match every query word to its most similar candidate word, a word typed halfway counts as a match
+    const wordScores = queryWords.map((queryWord) => Math.max(...candidateWords.map((candidateWord) => (
+        queryWord.length >= 2 && candidateWord.startsWith(queryWord) ? 1 : similarity(queryWord, candidateWord)
+    ))));
+    const wordScore = wordScores.reduce((total, score) => total + score, 0) / wordScores.length;
+
+    // Text in the middle of a word, 'run' in 'crunch', is a weak match
+    const substringScore = normalizedCandidate.includes(normalizedQuery) ? 0.6 : 0;
+    return Math.max(substringScore, 0.75 * Math.max(wordScore, similarity(normalizedQuery, normalizedCandidate)));
+};
+
+/**
+ * Searches a collection for the items best matching a query.
+ *
+ * @param {string} query - The search query.
+ * @param {Array<any>} items - The items to search.
+ * @param {function(any): string[]} getTexts - Returns the texts of an item to match against, such as its name and aliases.
+ * @param {object} [options={}] - Search options.
+ * @param {number} [options.limit=10] - The maximum number of results.
+ * @param {number} [options.threshold=0.5] - The minimum score of a result.
+ * @returns {Array<{ item: any, score: number }>} The matching items, best match first.
+ */
+const fuzzySearch = (query, items, getTexts, { limit = 10, threshold = 0.5 } = {}) => items
+    .map((item) => ({
+        item,
+        score: Math.max(0, ...getTexts(item).map((text) => scoreMatch(query, text))),
+    }))
+    .filter((result) => result.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((result) => ({ ...result, score: Math.round(result.score * 1000) / 1000 }));
+
+export { normalizeText, editDistance, scoreMatch, fuzzySearch };
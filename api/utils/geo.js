@@ -0,0 +1,158 @@
+// api/utils/geo.js
+
+/**
+ * Provides geographic calculations for GPS tracks recorded by watches and bike computers.
+ * Distances follow the haversine formula on a spherical earth, which is accurate to well under
+ * a percent for the distances covered in a workout. Track points are `{ lat, lon, ele, time, heartRate, cadence }`
+ * with coordinates in degrees, elevation in meters, time as a Date and cadence in revolutions or steps per minute;
+ * `ele`, `time`, `heartRate` and `cadence` are optional.
+ */
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+// Slower than this between two points counts as standing still, about 1.8 km/h
+const MIN_MOVING_SPEED = 0.5;
+
+// Elevation changes smaller than this are treated as GPS and barometer noise
+const ELEVATION_THRESHOLD = 3;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const round = (value, decimals = 1) => {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * Checks that a point has valid coordinates.
+ *
+ * @param {object} point - The point.
+ * @returns {boolean} True if `lat` is within -90 to 90 and `lon` within -180 to 180 degrees.
+ */
+const isValidCoordinate = (point) => Boolean(point)
+    && Number.isFinite(point.lat) && point.lat >= -90 && point.lat <= 90
+    && Number.isFinite(point.lon) && point.lon >= -180 && point.lon <= 180;
+
+/**
+ * Computes the great-circle distance between two points with the haversine formula.
+ *
+ * @param {{ lat: number, lon: number }} from - The first point, in degrees.
+ * @param {{ lat: number, lon: number }} to - The second point, in degrees.
+ * @returns {number} The distance in meters.
+ *
+ * @example
+ * haversineDistance({ lat: 52.5163, lon: 13.3777 }, { lat: 52.5186, lon: 13.3762 }) // returns about 275
+ */
+const haversineDistance = (from, to) => {
+    const dLat = toRadians(to.lat - from.lat);
+    const dLon = toRadians(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Describes a split of a track by its distance and duration.
+ *
+ * @param {number} index - The number of the split, from 1.
+ * @param {number} distance - The distance of the split, in meters.
+ * @param {number|null} duration - The duration of the split, in seconds, null if the track has no times.
+ * @returns {object} `{ index, distance, duration, pace, speed }` with the pace in seconds per kilometer and the speed in km/h.
+ */
+const describeSplit = (index, distance, duration) => ({
+    index,
+    distance: round(distance),
+    duration: duration === null ? null : round(duration),
+    pace: duration === null || distance === 0 ? null : round(duration / (distance / 1000)),
+    speed: duration === null || duration === 0 ? null : round((distance / duration) * 3.6, 2),
+});
+
+/**
+ * Summarizes a GPS track: its distance, total and moving time, elevation gain and loss, heart rate, cadence
+ * and splits. The total time runs from the first to the last point, the moving time only counts the stretches
+ * covered faster than a slow walk. Each split covers `splitDistance` except the last, which covers the rest;
+ * the time a split ends at is interpolated between the two points around its boundary.
+ *
+ * @param {Array<object>} points - The track points in chronological order, see the module description.
+ * @param {object} [options={}] - Summary options.
+ * @param {number} [options.splitDistance=1000] - The distance of each split, in meters.
+ * @returns {object} `{ startTime, endTime, distance, totalTime, movingTime, elevationGain, elevationLoss, averageSpeed,
+ * averagePace, averageHeartRate, maxHeartRate, averageCadence, maxCadence, splits }` with distances and elevation in meters, times in seconds,
+ * speeds in km/h and paces in seconds per kilometer over the moving time. Times, speeds and paces are null
+ * unless every point has a time.
+ */
+const summarizeTrack = (points, { splitDistance = 1000 } = {}) => {
+    const hasTimes = points.length > 0 && points.every((point) => point.time instanceof Date && !isNaN(point.time));
+
+    let distance = 0;
+    let movingTime = 0;
+    let elevationGain = 0;
+    let elevationLoss = 0;
+    let referenceElevation = null;
+    const splits = [];
+    let splitStartTime = hasTimes ? points[0].time.getTime() : null;
+    let nextSplitAt = splitDistance;
+
+    points.forEach((point, index) => {
+        if (Number.isFinite(point.ele)) {
+            // Only count changes beyond the noise threshold, measured from the last counted elevation
+            if (referenceElevation === null) {
+                referenceElevation = point.ele;
+            } else if (point.ele - referenceElevation >= ELEVATION_THRESHOLD) {
+                elevationGain += point.ele - referenceElevation;
+                referenceElevation = point.ele;
+            } else if (referenceElevation - point.ele >= ELEVATION_THRESHOLD) {
+                elevationLoss += referenceElevation - point.ele;
+                referenceElevation = point.ele;
+            }
+        }
+
+        if (index === 0) return;
+        const previous = points[index - 1];
+        const segment = haversineDistance(previous, point);
+        const elapsed = hasTimes ? (point.time - previous.time) / 1000 : null;
+
+        if (elapsed !== null && elapsed > 0 && segment / elapsed >= MIN_MOVING_SPEED) {
+            movingTime += elapsed;
+        }
+
+        while (segment > 0 && distance + segment >= nextSplitAt) {
+            const fraction = (nextSplitAt - distance) / segment;
+            const splitEndTime = hasTimes ? previous.time.getTime() + fraction * elapsed * 1000 : null;
+            splits.push(describeSplit(splits.length + 1, splitDistance, hasTimes ? (splitEndTime - splitStartTime) / 1000 : null));
+            splitStartTime = splitEndTime;
+            nextSplitAt += splitDistance;
+        }
+        distance += segment;
+    });
+
+    // The rest of the track after the last full split, ignoring GPS jitter at the end
+    const remainder = distance - (nextSplitAt - splitDistance);
+    if (remainder >= 1) {
+        const lastTime = hasTimes ? points[points.length - 1].time.getTime() : null;
+        splits.push(describeSplit(splits.length + 1, remainder, hasTimes ? (lastTime - splitStartTime) / 1000 : null));
+    }
+
+    const heartRates = points.map((point) => point.heartRate).filter((heartRate) => Number.isFinite(heartRate) && heartRate > 0);
+    const cadences = points.map((point) => point.cadence).filter((cadence) => Number.isFinite(cadence) && cadence > 0);
+    const totalTime = hasTimes ? (points[points.length - 1].time - points[0].time) / 1000 : null;
+
+    return {
+        startTime: hasTimes ? points[0].time : null,
+        endTime: hasTimes ? points[points.length - 1].time : null,
+        distance: round(distance),
+        totalTime: totalTime === null ? null : round(totalTime),
+        movingTime: hasTimes ? round(movingTime) : null,
+        elevationGain: round(elevationGain),
+        elevationLoss: round(elevationLoss),
+        averageSpeed: hasTimes && movingTime > 0 ? round((distance / movingTime) * 3.6, 2) : null,
+        averagePace: hasTimes && distance > 0 ? round(movingTime / (distance / 1000)) : null,
+        averageHeartRate: heartRates.length > 0 ? Math.round(heartRates.reduce((sum, heartRate) => sum + heartRate, 0) / heartRates.length) : null,
+        maxHeartRate: heartRates.length > 0 ? heartRates.reduce((max, heartRate) => Math.max(max, heartRate), 0) : null,
+        averageCadence: cadences.length > 0 ? Math.round(cadences.reduce((sum, cadence) => sum + cadence, 0) / cadences.length) : null,
+        maxCadence: cadences.length > 0 ? cadences.reduce((max, cadence) => Math.max(max, cadence), 0) : null,
+        splits,
+    };
+};
+
+export { haversineDistance, isValidCoordinate, summarizeTrack };
@@ -0,0 +1,141 @@
+// api/utils/ical.js
+
+/**
+ * Provides helpers for writing iCalendar (RFC 5545) feeds that calendar apps subscribe to.
+ * Lines end in CRLF and are folded at 75 octets, text values are escaped, and all-day events are
+ * written as `VALUE=DATE` dates so that they stay on their day in every timezone.
+ */
+
+const ICAL_LINE_BREAK = '\r\n';
+
+// Lines longer than this many octets, excluding the line break, are folded
+const MAX_LINE_OCTETS = 75;
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Escapes a text value: backslashes, semicolons, commas and line breaks.
+ *
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ *
+ * @example
+ * escapeIcalText('Run 5k, then stretch; rest') // returns 'Run 5k\\, then stretch\\; rest'
+ */
+const escapeIcalText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+
+/**
+ * Folds a content line into lines of at most 75 octets, continued lines starting with a space.
+ * Multi-byte characters are never split.
+ *
+ * @param {string} line - The content line.
+ * @returns {string} The folded line, without a trailing line break.
+ */
+const foldIcalLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    for (const character of line) {
+        const octets = Buffer.byteLength(character, 'utf8');
+        // Continued lines begin with a space, which counts towards their length
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += character;
+        currentOctets += octets;
+    }
+    parts.push(current);
+    return parts.join(`${ICAL_LINE_BREAK} `);
+};
+
+/**
+ * Formats a local date as an iCalendar date.
+ *
+ * @param {string} localDate - The date as 'YYYY-MM-DD'.
+ * @returns {string} The date as 'YYYYMMDD'.
+ */
+const toIcalDate = (localDate) => localDate.replace(/-/g, '');
+
+/**
+ * Formats an instant as an iCalendar date-time in UTC.
+ *
+ * @param {Date} date - The instant.
+ * @returns {string} The date-time as 'YYYYMMDDTHHMMSSZ'.
+ */
+const toIcalDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Writes the lines of an all-day event.
+ *
+ * @param {object} event - The event.
+ * @param {string} event.uid - A globally unique and stable identifier, so updates replace the event.
+ * @param {string} event.date - The day of the event as 'YYYY-MM-DD'.
+ * @param {string} event.summary - The title.
+ * @param {string} [event.description] - The details.
+ * @param {Date} [event.updatedAt] - When the event last changed, defaults to now.
+ * @param {object} [event.recurrence] - Makes the event recurring.
+ * @param {string} event.recurrence.frequency - 'DAILY' or 'WEEKLY'.
+ * @param {number[]} [event.recurrence.weekdays] - The days of weekly events, 0 for Sunday to 6 for Saturday.
+ * @param {string} [event.recurrence.until] - The last possible day as 'YYYY-MM-DD'.
+ * @param {string[]} [event.categories] - Categories, such as 'Goal'.
+ * @returns {string[]} The content lines, unfolded.
+ */
+const buildEventLines = ({ uid, date, summary, description, updatedAt, recurrence, categories }) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${toIcalDateTime(updatedAt || new Date())}`,
+        `DTSTART;VALUE=DATE:${toIcalDate(date)}`,
+        `SUMMARY:${escapeIcalText(summary)}`,
+    ];
+    if (description) {
+        lines.push(`DESCRIPTION:${escapeIcalText(description)}`);
+    }
+    if (categories && categories.length > 0) {
+        lines.push(`CATEGORIES:${categories.map(escapeIcalText).join(',')}`);
+    }
+    if (recurrence) {
+        const rule = [`FREQ=${recurrence.frequency}`];
+        if (recurrence.weekdays && recurrence.weekdays.length > 0) {
+            rule.push(`BYDAY=${recurrence.weekdays.map((weekday) => WEEKDAY_CODES[weekday]).join(',')}`);
+        }
+        if (recurrence.until) {
+            rule.push(`UNTIL=${toIcalDate(recurrence.until)}`);
+        }
+        lines.push(`RRULE:${rule.join(';')}`);
+    }
+    // All-day events do not block time in the calendar
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    return lines;
+};
+
+/**
+ * Writes an iCalendar feed of all-day events.
+ *
+ * @param {object} calendar - The calendar.
+ * @param {string} calendar.name - The name calendar apps show for the subscription.
+ * @param {Array<object>} calendar.events - The events, see `buildEventLines`.
+ * @returns {string} The feed, ready to be served as `text/calendar`.
+ */
+const buildCalendar = ({ name, events }) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Fitness Tracker//Calendar Feed//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcalText(name)}`,
+        ...events.flatMap(buildEventLines),
+        'END:VCALENDAR',
+    ];
+    return lines.map(foldIcalLine).join(ICAL_LINE_BREAK) + ICAL_LINE_BREAK;
+};
+
+export { escapeIcalText, foldIcalLine, toIcalDate, toIcalDateTime, buildCalendar };
@@ -0,0 +1,114 @@
+// api/utils/pagination.js
+import mongoose from 'mongoose';
+import { isValidObjectId } from '../../src/utils/helpers';
+
+/**
+ * Provides helpers for cursor-based pagination of MongoDB queries.
+ * A cursor is an opaque, URL-safe string that encodes the sort field, the sort value and the `_id`
+ * of the last document of a page. Pages are sorted by `(sortField, _id)` so that documents sharing
+ * the same sort value are still returned exactly once, even while documents are inserted or removed.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parses and validates a requested page size.
+ *
+ * @param {number|string|undefined} limit - The requested page size.
+ * @returns {number|null} The page size, the default page size if none was requested, or null if the value is invalid.
+ */
+const parsePageSize = (limit) => {
+    if (limit === undefined || limit === null || limit === '') {
+        return DEFAULT_PAGE_SIZE;
+    }
+
+    const parsedLimit = Number(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_PAGE_SIZE) {
+        return null;
+    }
+    return parsedLimit;
+};
+
+/**
+ * Encodes the cursor pointing after the given document.
+ *
+ * @param {object} doc - The last document of the current page.
+ * @param {string} sortField - The field the page is sorted by.
+ * @returns {string} An opaque cursor string.
+ */
+const encodeCursor = (doc, sortField) => {
+    const value = doc[sortField];
+    const payload = {
+        s: sortField,
+        v: value instanceof Date ? { $date: value.toISOString() } : (value ?? null),
+        id: String(doc._id),
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodes a cursor created by `encodeCursor`.
+ *
+ * @param {string} cursor - The cursor string.
+ * @param {string} sortField - The field the requested page is sorted by.
+ * @returns {{ value: any, id: mongoose.Types.ObjectId }|null} The decoded cursor, or null if it is malformed
+ * or was created for a different sort field.
+ */
+const decodeCursor = (cursor, sortField) => {
+    if (typeof cursor !== 'string' || cursor.trim() === '') {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!payload || payload.s !== sortField || !isValidObjectId(payload.id)) {
+            return null;
+        }
+
+        let value = payload.v;
+        if (value && typeof value === 'object') {
+            if (typeof value.$date !== 'string' || isNaN(new Date(value.$date))) {
+                return null;
+            }
+            value = new Date(value.$date);
+        }
+
+        return { value, id: new mongoose.Types.ObjectId(payload.id) };
+    } catch (error) {
+        console.error('Failed to decode pagination cursor:', error);
+        return null;
+    }
+};
+
+/**
+ * Builds the query condition selecting the documents that come after the cursor
+ * for a `{ [sortField]: direction, _id: direction }` sort.
+ * MongoDB sorts null and missing values before any other value, which is mirrored here.
+ *
+ * @param {string} sortField - The field the page is sorted by.
+ * @param {number} direction - 1 for ascending, -1 for descending.
+ * @param {{ value: any, id: mongoose.Types.ObjectId }} cursor - The decoded cursor.
+ * @returns {object} A MongoDB query condition.
+ */
+const buildCursorFilter = (sortField, direction, cursor) => {
+    const { value, id } = cursor;
+    const idOperator = direction === 1 ? '$gt' : '$lt';
+
+    if (value === null) {
+        return direction === 1
+            ? { $or: [{ [sortField]: null, _id: { $gt: id } }, { [sortField]: { $ne: null } }] }
+            : { [sortField]: null, _id: { $lt: id } };
+    }
+
+    const conditions = [
+        { [sortField]: { [idOperator]: value } },
+        { [sortField]: value, _id: { [idOperator]: id } },
+    ];
+    if (direction === -1) {
+        conditions.push({ [sortField]: null });
+    }
+    return { $or: conditions };
+};
+
+export { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, parsePageSize, encodeCursor, decodeCursor, buildCursorFilter };
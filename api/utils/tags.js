@@ -0,0 +1,35 @@
+// api/utils/tags.js
+import { sanitizeString } from '../../src/utils/helpers';
+
+/**
+ * Provides helpers for the user-defined tags of goals.
+ * Tags are stored normalized, sanitized like titles and lowercased with collapsed whitespace,
+ * so that 'Marathon Prep' and ' marathon  prep ' are the same tag.
+ */
+
+const MAX_TAG_LENGTH = 30;
+const MAX_TAGS_PER_GOAL = 20;
+
+// Letters and digits of any script, with spaces, hyphens and underscores after the first character
+const TAG_REGEX = /^[\p{L}\p{N}][\p{L}\p{N} _-]*$/u;
+
+/**
+ * Normalizes a tag for storage and lookup.
+ *
+ * @param {string} tag - The tag as entered by the user.
+ * @returns {string|null} The normalized tag, or null if the tag is empty, too long or contains invalid characters.
+ *
+ * @example
+ * normalizeTag('  Marathon   Prep ') // returns 'marathon prep'
+ * normalizeTag('<b>x</b>') // returns 'x'
+ * normalizeTag('#$%') // returns null
+ */
+const normalizeTag = (tag) => {
+    const normalized = sanitizeString(tag).toLowerCase().replace(/\s+/g, ' ');
+    if (!normalized || normalized.length > MAX_TAG_LENGTH || !TAG_REGEX.test(normalized)) {
+        return null;
+    }
+    return normalized;
+};
+
+export { MAX_TAG_LENGTH, MAX_TAGS_PER_GOAL, normalizeTag };
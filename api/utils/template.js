@@ -0,0 +1,147 @@
+// api/utils/template.js
+
+/**
+ * Provides a small logic-less template language for generated documents such as the weekly reports.
+ * `{{name}}` inserts a value, looked up by dotted path in the current item and then in the enclosing ones;
+ * `{{#each list}}...{{/each}}` repeats a block for every item of a list; `{{#if name}}...{{else}}...{{/if}}`
+ * renders a block if a value is truthy, empty lists counting as false. Values are formatted before rendering,
+ * the templates only place them. A block tag alone on its line takes the whole line with it, so that
+ * plain text templates do not fill up with blank lines.
+ */
+
+const TAG_REGEX = /\{\{\s*(#each|#if|\/each|\/if|else)?\s*([\w.]*)\s*\}\}/g;
+
+// A block tag with nothing but whitespace around it on its line
+const STANDALONE_TAG_REGEX = /^[ \t]*(\{\{\s*(?:#each|#if|\/each|\/if|else)\b[^}]*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * Escapes the characters that have a meaning in HTML text and attribute values.
+ *
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ *
+ * @example
+ * escapeHtml('Squat <PR> & "more"') // returns 'Squat &lt;PR&gt; &amp; &quot;more&quot;'
+ */
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Parses a template into a tree of text, value and block nodes.
+ *
+ * @param {string} source - The template.
+ * @returns {Array<string|object>} The nodes of the template.
+ * @throws {Error} If a block is not closed, or closed or continued by the wrong tag.
+ */
+const parseTemplate = (source) => {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const append = (node) => {
+        const block = stack[stack.length - 1];
+        (block.inElse ? block.alternate : block.children).push(node);
+    };
+
+    const template = source.replace(STANDALONE_TAG_REGEX, '$1');
+    let lastIndex = 0;
+    for (const match of template.matchAll(TAG_REGEX)) {
+        if (match.index > lastIndex) {
+            append(template.slice(lastIndex, match.index));
+        }
+        lastIndex = match.index + match[0].length;
+
+        const [tag, keyword, path] = match;
+        const block = stack[stack.length - 1];
+        if (!keyword) {
+            append({ type: 'value', path });
+        } else if (keyword === '#each' || keyword === '#if') {
+            const node = { type: keyword.slice(1), path, children: [], alternate: [], inElse: false };
+            append(node);
+            stack.push(node);
+        } else if (keyword === 'else') {
+            if (block.type !== 'if' || block.inElse) {
+                throw new Error(`Unexpected ${tag} in template`);
+            }
+            block.inElse = true;
+        } else {
+            if (block.type !== keyword.slice(1)) {
+                throw new Error(`Unexpected ${tag} in template`);
+            }
+            stack.pop();
+        }
+    }
+    if (stack.length > 1) {
+        throw new Error(`Unclosed {{#${stack[stack.length - 1].type}}} in template`);
+    }
+    if (lastIndex < template.length) {
+        append(template.slice(lastIndex));
+    }
+    return root.children;
+};
+
+/**
+ * Looks up a dotted path in the innermost context that has its first key.
+ *
+ * @param {Array<object>} contexts - The contexts, outermost first.
+ * @param {string} path - The path, such as 'goal.title'.
+ * @returns {any} The value, or undefined if no context has it.
+ */
+const lookup = (contexts, path) => {
+    const [first, ...rest] = path.split('.');
+    for (let index = contexts.length - 1; index >= 0; index--) {
+        const context = contexts[index];
+        if (context !== null && typeof context === 'object' && first in context) {
+            return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[first]);
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Renders parsed nodes against a stack of contexts.
+ *
+ * @param {Array<string|object>} nodes - The nodes, see `parseTemplate`.
+ * @param {Array<object>} contexts - The contexts, outermost first.
+ * @param {function(string): string} escape - Escapes inserted values.
+ * @returns {string} The rendered text.
+ */
+const renderNodes = (nodes, contexts, escape) => nodes.map((node) => {
+    if (typeof node === 'string') {
+        return node;
+    }
+    const value = lookup(contexts, node.path);
+    if (node.type === 'value') {
+        return value == null ? '' : escape(String(value));
+    }
+    if (node.type === 'each') {
+        return Array.isArray(value)
+            ? value.map((item) => renderNodes(node.children, [...contexts, item], escape)).join('')
+            : '';
+    }
+    const isTruthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+    return renderNodes(isTruthy ? node.children : node.alternate, contexts, escape);
+}).join('');
+
+/**
+ * Compiles a template into a function rendering it, parsing it only once.
+ *
+ * @param {string} source - The template.
+ * @param {object} [options={}] - Rendering options.
+ * @param {function(string): string} [options.escape] - Escapes inserted values, such as `escapeHtml`.
+ * Values are inserted as they are by default.
+ * @returns {function(object): string} Renders the template with the given data.
+ * @throws {Error} If the template is malformed.
+ *
+ * @example
+ * const render = compileTemplate('<li>{{#each goals}}{{title}}{{/each}}</li>', { escape: escapeHtml });
+ * render({ goals: [{ title: 'Run 5k' }] }) // returns '<li>Run 5k</li>'
+ */
+const compileTemplate = (source, { escape = (text) => text } = {}) => {
+    const nodes = parseTemplate(source);
+    return (data) => renderNodes(nodes, [data], escape);
+};
+
+export { escapeHtml, compileTemplate };
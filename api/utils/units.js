@@ -0,0 +1,101 @@
+// api/utils/units.js
+
+/**
+ * Provides conversions between the units that workouts, body measurements and water intake are logged in
+ * and that measurable goals are tracked in. Goal units are free text, so common spellings are
+ * mapped to a canonical unit first.
+ */
+
+// Factor of each canonical unit to the base unit of its dimension (meters, kilograms, seconds, percent, beats per minute, milliliters, steps)
+const UNITS = {
+    cm: { dimension: 'distance', factor: 0.01 },
+    in: { dimension: 'distance', factor: 0.0254 },
+    m: { dimension: 'distance', factor: 1 },
+    km: { dimension: 'distance', factor: 1000 },
+    mi: { dimension: 'distance', factor: 1609.344 },
+    kg: { dimension: 'weight', factor: 1 },
+    lb: { dimension: 'weight', factor: 0.45359237 },
+    s: { dimension: 'duration', factor: 1 },
+    min: { dimension: 'duration', factor: 60 },
+    h: { dimension: 'duration', factor: 3600 },
+    '%': { dimension: 'percentage', factor: 1 },
+    bpm: { dimension: 'heart_rate', factor: 1 },
+    ml: { dimension: 'volume', factor: 1 },
+    l: { dimension: 'volume', factor: 1000 },
+    'fl oz': { dimension: 'volume', factor: 29.5735295625 },
+    steps: { dimension: 'steps', factor: 1 },
+};
+
+const UNIT_ALIASES = {
+    cm: 'cm', centimeter: 'cm', centimeters: 'cm', centimetre: 'cm', centimetres: 'cm',
+    in: 'in', inch: 'in', inches: 'in',
+    m: 'm', meter: 'm', meters: 'm', metre: 'm', metres: 'm',
+    km: 'km', kms: 'km', kilometer: 'km', kilometers: 'km', kilometre: 'km', kilometres: 'km',
+    mi: 'mi', mile: 'mi', miles: 'mi',
+    kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+    lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+    s: 's', sec: 's', secs: 's', second: 's', seconds: 's',
+    min: 'min', mins: 'min', minute: 'min', minutes: 'min',
+    h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+    '%': '%', percent: '%', pct: '%',
+    bpm: 'bpm', 'beats/min': 'bpm',
+    ml: 'ml', milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+    l: 'l', liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+    'fl oz': 'fl oz', floz: 'fl oz', 'fluid ounce': 'fl oz', 'fluid ounces': 'fl oz',
+    steps: 'steps', step: 'steps',
+};
+
+const DISTANCE_UNITS = ['m', 'km', 'mi'];
+const WEIGHT_UNITS = ['kg', 'lb'];
+const VOLUME_UNITS = ['ml', 'l', 'fl oz'];
+
+/**
+ * Maps a unit as entered by a user to its canonical unit.
+ *
+ * @param {string} unit - The unit, such as 'Kilometers' or 'lbs'.
+ * @returns {string|null} The canonical unit, or null if the unit is unknown.
+ *
+ * @example
+ * normalizeUnit('Miles') // returns 'mi'
+ * normalizeUnit('laps') // returns null
+ */
+const normalizeUnit = (unit) => {
+    if (typeof unit !== 'string') {
+        return null;
+    }
+    return UNIT_ALIASES[unit.trim().toLowerCase()] || null;
+};
+
+/**
+ * Returns the dimension a unit measures.
+ *
+ * @param {string} unit - The unit, canonical or as entered by a user.
+ * @returns {string|null} 'distance', 'weight', 'duration', 'percentage', 'heart_rate' or 'volume', or null if the unit is unknown.
+ */
+const getDimension = (unit) => {
+    const canonicalUnit = normalizeUnit(unit);
+    return canonicalUnit ? UNITS[canonicalUnit].dimension : null;
+};
+
+/**
+ * Converts a value from one unit to another of the same dimension.
+ *
+ * @param {number} value - The value to convert.
+ * @param {string} fromUnit - The unit of the value.
+ * @param {string} toUnit - The unit to convert to.
+ * @returns {number|null} The converted value, or null if a unit is unknown or the dimensions differ.
+ *
+ * @example
+ * convertUnit(5, 'km', 'mi') // returns 3.1068559611866697
+ * convertUnit(5, 'km', 'kg') // returns null
+ */
+const convertUnit = (value, fromUnit, toUnit) => {
+    const from = UNITS[normalizeUnit(fromUnit)];
+    const to = UNITS[normalizeUnit(toUnit)];
+    if (!from || !to || from.dimension !== to.dimension) {
+        return null;
+    }
+    return (value * from.factor) / to.factor;
+};
+
+export { DISTANCE_UNITS, WEIGHT_UNITS, VOLUME_UNITS, normalizeUnit, getDimension, convertUnit };
@@ -0,0 +1,263 @@
+// api/utils/xmlParser.js
+
+/**
+ * Provides a small streaming (SAX-style) XML parser for the activity and health files users upload.
+ * Text is fed in chunks and elements are reported through callbacks as they are read, so large files
+ * are parsed without building a document tree. The parser is non-validating: declarations, comments and
+ * processing instructions are skipped, CDATA sections are reported as text, the predefined and numeric
+ * character entities are decoded, and element names are reported without their namespace prefix.
+ * Whitespace-only text is not reported.
+ */
+
+// Longest markup opening whose kind can only be told from its first characters, '<![CDATA['
+const MAX_MARKUP_PREFIX = 9;
+
+const PREDEFINED_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const ATTRIBUTE_REGEX = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Decodes the predefined and numeric character entities of XML text. Other entities are left as they are.
+ *
+ * @param {string} text - The raw text.
+ * @returns {string} The decoded text.
+ *
+ * @example
+ * decodeEntities('Tom &amp; Jerry &#x263A;') // returns 'Tom & Jerry ☺'
+ */
+const decodeEntities = (text) => {
+    if (!text.includes('&')) {
+        return text;
+    }
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (entity, name) => {
+        if (name[0] === '#') {
+            const codePoint = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+        }
+        return PREDEFINED_ENTITIES[name] !== undefined ? PREDEFINED_ENTITIES[name] : entity;
+    });
+};
+
+/**
+ * Strips the namespace prefix of an element name.
+ *
+ * @param {string} name - The qualified name, such as 'gpxtpx:hr'.
+ * @returns {string} The local name, such as 'hr'.
+ */
+const toLocalName = (name) => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Finds the '>' closing a tag, skipping any inside quoted attribute values.
+ *
+ * @param {string} text - The buffered text.
+ * @param {number} start - The position of the '<' opening the tag.
+ * @returns {number} The position of the closing '>', or -1 if it is not buffered yet.
+ */
+const findTagEnd = (text, start) => {
+    let quote = null;
+    for (let i = start + 1; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '>') {
+            return i;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Finds the '>' closing a declaration such as a DOCTYPE, skipping any inside quotes or its internal subset.
+ *
+ * @param {string} text - The buffered text.
+ * @param {number} start - The position of the '<!' opening the declaration.
+ * @returns {number} The position of the closing '>', or -1 if it is not buffered yet.
+ */
+const findDeclarationEnd = (text, start) => {
+    let quote = null;
+    let depth = 0;
+    for (let i = start + 2; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '[') {
+            depth += 1;
+        } else if (char === ']') {
+            depth -= 1;
+        } else if (char === '>' && depth <= 0) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+/**
+ * Creates a streaming XML parser. Callbacks may throw to stop parsing, the error is passed on to the caller
+ * of `write` or `end`. Malformed XML, such as mismatched or unclosed elements, throws an Error.
+ *
+ * @param {object} [handlers={}] - The callbacks.
+ * @param {function(string, object): void} [handlers.onOpenTag] - Called with the local name and the attributes,
+ * keyed by their name as written and with their values decoded, of each element as it opens.
+ * @param {function(string): void} [handlers.onCloseTag] - Called with the local name of each element as it closes,
+ * right after `onOpenTag` for self-closing elements.
+ * @param {function(string): void} [handlers.onText] - Called with the decoded text between tags.
+ * @returns {{ write: function(string): void, end: function(): void }} The parser; `write` feeds the next chunk of
+ * text and `end` signals that the whole document was written.
+ *
+ * @example
+ * const parser = createXmlParser({ onOpenTag: (name, attributes) => console.log(name, attributes.lat) });
+ * parser.write('<gpx><trkpt lat="52.5" lon="13.4"/></gpx>');
+ * parser.end(); // logs 'gpx undefined' and 'trkpt 52.5'
+ */
+const createXmlParser = ({ onOpenTag, onCloseTag, onText } = {}) => {
+    let buffer = '';
+    let ended = false;
+    let rootClosed = false;
+    let seenRoot = false;
+    const openElements = [];
+
+    const fail = (message) => {
+        throw new Error(`Invalid XML: ${message}`);
+    };
+
+    const emitText = (text, isRaw = false) => {
+        if (text.trim() === '') return;
+        if (openElements.length === 0) {
+            fail('text outside of the root element');
+        }
+        if (onText) onText(isRaw ? text : decodeEntities(text));
+    };
+
+    const handleTag = (content) => {
+        if (content[0] === '/') {
+            const name = content.slice(1).trim();
+            const openName = openElements.pop();
+            if (openName !== name) {
+                fail(openName ? `</${name}> closes <${openName}>` : `</${name}> closes no element`);
+            }
+            if (openElements.length === 0) rootClosed = true;
+            if (onCloseTag) onCloseTag(toLocalName(name));
+            return;
+        }
+
+        const isSelfClosing = content[content.length - 1] === '/';
+        const tag = isSelfClosing ? content.slice(0, -1) : content;
+        const nameMatch = tag.match(/^[^\s/>]+/);
+        if (!nameMatch) {
+            fail(`malformed tag <${content.slice(0, 50)}>`);
+        }
+        const name = nameMatch[0];
+        if (rootClosed) {
+            fail(`<${name}> after the root element`);
+        }
+        seenRoot = true;
+
+        const attributes = {};
+        if (onOpenTag) {
+            const attributeText = tag.slice(name.length);
+            ATTRIBUTE_REGEX.lastIndex = 0;
+            let match;
+            while ((match = ATTRIBUTE_REGEX.exec(attributeText)) !== null) {
+                attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+            }
+            onOpenTag(toLocalName(name), attributes);
+        }
+
+        if (isSelfClosing) {
+            if (openElements.length === 0) rootClosed = true;
+            if (onCloseTag) onCloseTag(toLocalName(name));
+        } else {
+            openElements.push(name);
+        }
+    };
+
+    // Handles all complete markup and text in the buffer, keeping an incomplete remainder for the next chunk
+    const processBuffer = (isFinal) => {
+        let position = 0;
+        while (position < buffer.length) {
+            if (buffer[position] !== '<') {
+                const next = buffer.indexOf('<', position);
+                if (next === -1) {
+                    if (!isFinal) break;
+                    emitText(buffer.slice(position));
+                    position = buffer.length;
+                    break;
+                }
+                emitText(buffer.slice(position, next));
+                position = next;
+                continue;
+            }
+
+            // Wait until the kind of markup can be told apart
+            if (!isFinal && buffer.length - position < MAX_MARKUP_PREFIX) break;
+
+            let end;
+            if (buffer.startsWith('<!--', position)) {
+                end = buffer.indexOf('-->', position + 4);
+                if (end === -1) break;
+                position = end + 3;
+            } else if (buffer.startsWith('<![CDATA[', position)) {
+                end = buffer.indexOf(']]>', position + 9);
+                if (end === -1) break;
+                emitText(buffer.slice(position + 9, end), true);
+                position = end + 3;
+            } else if (buffer.startsWith('<?', position)) {
+                end = buffer.indexOf('?>', position + 2);
+                if (end === -1) break;
+                position = end + 2;
+            } else if (buffer.startsWith('<!', position)) {
+                end = findDeclarationEnd(buffer, position);
+                if (end === -1) break;
+                position = end + 1;
+            } else {
+                end = findTagEnd(buffer, position);
+                if (end === -1) break;
+                handleTag(buffer.slice(position + 1, end));
+                position = end + 1;
+            }
+        }
+        buffer = buffer.slice(position);
+    };
+
+    return {
+        write(chunk) {
+            if (ended) {
+                fail('write after end');
+            }
+            buffer += chunk;
+            processBuffer(false);
+        },
+        end() {
+            ended = true;
+            processBuffer(true);
+            if (buffer.length > 0) {
+                fail('unexpected end of document inside markup');
+            }
+            if (openElements.length > 0) {
+                fail(`unclosed element <${openElements[openElements.length - 1]}>`);
+            }
+            if (!seenRoot) {
+                fail('no root element');
+            }
+        },
+    };
+};
+
+/**
+ * Parses a complete XML document, see `createXmlParser`.
+ *
+ * @param {string} text - The XML document.
+ * @param {object} handlers - The callbacks, see `createXmlParser`.
+ * @throws {Error} If the XML is malformed or a callback throws.
+ */
+const parseXml = (text, handlers) => {
+    const parser = createXmlParser(handlers);
+    parser.write(text);
+    parser.end();
+};
+
+export { createXmlParser, parseXml, decodeEntities };
@@ -0,0 +1,397 @@
+// api/utils/zip.js
+import fs from 'fs';
+import zlib from 'zlib';
+import { pipeline, Readable, Transform } from 'stream';
+
+/**
+ * Provides a minimal reader and writer for ZIP archives, such as the Apple Health export, that may be several
+ * gigabytes. Entries are listed from the central directory at the end of the file and read as streams, so an
+ * entry is inflated chunk by chunk without holding the archive or the entry in memory. ZIP64 archives, needed
+ * beyond 4 GB or 65535 entries, are supported; encryption and compression methods other than stored and deflate
+ * are not. Damaged archives throw an Error naming the problem.
+ *
+ * Archives are written as a stream of deflated entries, each followed by a data descriptor holding its CRC and
+ * sizes, so entries can be written as they are produced. Written archives are limited to 4 GB and 65535 entries.
+ */
+
+const SIGNATURES = {
+    LOCAL_HEADER: 0x04034b50,
+    CENTRAL_HEADER: 0x02014b50,
+    END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+    ZIP64_END_OF_CENTRAL_DIRECTORY: 0x06064b50,
+    ZIP64_LOCATOR: 0x07064b50,
+    DATA_DESCRIPTOR: 0x08074b50,
+};
+
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const ZIP64_LOCATOR_SIZE = 20;
+const MAX_COMMENT_SIZE = 0xFFFF;
+const ZIP64_EXTRA_FIELD = 0x0001;
+
+// The central directory lists file names and sizes only, larger ones are not real archives
+const MAX_CENTRAL_DIRECTORY_SIZE = 64 * 1024 * 1024;
+
+const METHODS = { STORED: 0, DEFLATE: 8 };
+
+// General purpose flags: sizes and CRC follow the data in a descriptor (bit 3), names are UTF-8 (bit 11)
+const WRITE_FLAGS = 0x0008 | 0x0800;
+const ZIP_VERSION = 20;
+const MAX_ZIP32_VALUE = 0xFFFFFFFF;
+const MAX_ZIP32_ENTRIES = 0xFFFF;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+/**
+ * Computes the CRC-32 of ZIP archives, incrementally over several chunks if needed.
+ *
+ * @param {Buffer} chunk - The next bytes.
+ * @param {number} [previous=0] - The CRC of the bytes before the chunk.
+ * @returns {number} The CRC of all bytes so far.
+ *
+ * @example
+ * crc32(Buffer.from('hello')) // returns 907060870
+ */
+const crc32 = (chunk, previous = 0) => {
+    let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+    for (let i = 0; i < chunk.length; i++) {
+        crc = CRC_TABLE[(crc ^ chunk[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Reads a range of bytes of an open file.
+ *
+ * @param {fs.promises.FileHandle} file - The file.
+ * @param {number} position - The offset of the range.
+ * @param {number} length - The size of the range.
+ * @returns {Promise<Buffer>} The bytes, fewer at the end of the file.
+ */
+const readRange = async (file, position, length) => {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await file.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * Reads a 64-bit little-endian size, rejecting sizes beyond what a Number holds exactly.
+ *
+ * @param {Buffer} buffer - The bytes.
+ * @param {number} offset - The offset of the size.
+ * @returns {number} The size.
+ */
+const readUInt64 = (buffer, offset) => {
+    const value = buffer.readBigUInt64LE(offset);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+        throw new Error('Invalid ZIP archive: size out of range');
+    }
+    return Number(value);
+};
+
+/**
+ * Locates the central directory from the end of central directory record and, for ZIP64 archives,
+ * the ZIP64 end of central directory record it points to.
+ *
+ * @param {fs.promises.FileHandle} file - The archive.
+ * @param {number} fileSize - The size of the archive.
+ * @returns {Promise<{ offset: number, size: number, entryCount: number }>} The central directory.
+ */
+const findCentralDirectory = async (file, fileSize) => {
+    const tailSize = Math.min(fileSize, END_OF_CENTRAL_DIRECTORY_SIZE + MAX_COMMENT_SIZE + ZIP64_LOCATOR_SIZE);
+    const tailStart = fileSize - tailSize;
+    const tail = await readRange(file, tailStart, tailSize);
+
+    // The record is followed by a comment of any content, so search backwards for a signature that fits
+    let recordOffset = -1;
+    for (let i = tail.length - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === SIGNATURES.END_OF_CENTRAL_DIRECTORY
+            && i + END_OF_CENTRAL_DIRECTORY_SIZE + tail.readUInt16LE(i + 20) === tail.length) {
+            recordOffset = i;
+            break;
+        }
+    }
+    if (recordOffset === -1) {
+        throw new Error('Not a ZIP archive, or the archive is truncated: no end of central directory record');
+    }
+
+    let entryCount = tail.readUInt16LE(recordOffset + 10);
+    let size = tail.readUInt32LE(recordOffset + 12);
+    let offset = tail.readUInt32LE(recordOffset + 16);
+
+    const locatorOffset = recordOffset - ZIP64_LOCATOR_SIZE;
+    if (locatorOffset >= 0 && tail.readUInt32LE(locatorOffset) === SIGNATURES.ZIP64_LOCATOR) {
+        const zip64RecordPosition = readUInt64(tail, locatorOffset + 8);
+        const zip64Record = await readRange(file, zip64RecordPosition, 56);
+        if (zip64Record.length < 56 || zip64Record.readUInt32LE(0) !== SIGNATURES.ZIP64_END_OF_CENTRAL_DIRECTORY) {
+            throw new Error('Invalid ZIP archive: missing ZIP64 end of central directory record');
+        }
+        entryCount = readUInt64(zip64Record, 32);
+        size = readUInt64(zip64Record, 40);
+        offset = readUInt64(zip64Record, 48);
+    }
+
+    if (offset + size > tailStart + recordOffset) {
+        throw new Error('Invalid ZIP archive: the central directory lies outside the file');
+    }
+    if (size > MAX_CENTRAL_DIRECTORY_SIZE) {
+        throw new Error('Invalid ZIP archive: the central directory is too large');
+    }
+    return { offset, size, entryCount };
+};
+
+/**
+ * Reads the ZIP64 sizes and offset of a central directory entry whose 32-bit fields overflowed.
+ *
+ * @param {Buffer} extra - The extra fields of the entry.
+ * @param {object} entry - The entry, whose overflowed fields are replaced.
+ * @returns {void}
+ */
+const applyZip64Extra = (extra, entry) => {
+    let position = 0;
+    while (position + 4 <= extra.length) {
+        const id = extra.readUInt16LE(position);
+        const size = extra.readUInt16LE(position + 2);
+        if (id === ZIP64_EXTRA_FIELD) {
+            // Only the overflowed fields are present, in this order
+            let fieldOffset = position + 4;
+            for (const field of ['uncompressedSize', 'compressedSize', 'localHeaderOffset']) {
+                if (entry[field] === 0xFFFFFFFF) {
+                    if (fieldOffset + 8 > position + 4 + size) {
+                        throw new Error(`Invalid ZIP archive: truncated ZIP64 field of ${entry.name}`);
+                    }
+                    entry[field] = readUInt64(extra, fieldOffset);
+                    fieldOffset += 8;
+                }
+            }
+            return;
+        }
+        position += 4 + size;
+    }
+};
+
+/**
+ * Lists the entries of a ZIP archive.
+ *
+ * @param {string} path - The path of the archive.
+ * @returns {Promise<Array<object>>} A promise that resolves with one `{ name, encrypted, method, crc, compressedSize,
+ * uncompressedSize, localHeaderOffset }` per entry, directories included.
+ * @throws {Error} If the file is not a ZIP archive or is damaged.
+ */
+const listZipEntries = async (path) => {
+    const file = await fs.promises.open(path, 'r');
+    try {
+        const { size: fileSize } = await file.stat();
+        const directory = await findCentralDirectory(file, fileSize);
+        const buffer = await readRange(file, directory.offset, directory.size);
+
+        const entries = [];
+        let position = 0;
+        for (let i = 0; i < directory.entryCount; i++) {
+            if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== SIGNATURES.CENTRAL_HEADER) {
+                throw new Error(`Invalid ZIP archive: damaged central directory at entry ${i + 1}`);
+            }
+            const nameLength = buffer.readUInt16LE(position + 28);
+            const extraLength = buffer.readUInt16LE(position + 30);
+            const commentLength = buffer.readUInt16LE(position + 32);
+            const flags = buffer.readUInt16LE(position + 8);
+            const nameStart = position + 46;
+            if (nameStart + nameLength + extraLength + commentLength > buffer.length) {
+                throw new Error(`Invalid ZIP archive: damaged central directory at entry ${i + 1}`);
+            }
+
+            const entry = {
+                // Bit 11 marks UTF-8 names, older archivers wrote the DOS code page, which agrees for ASCII
+                name: buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', nameStart, nameStart + nameLength),
+                encrypted: Boolean(flags & 0x1),
+                method: buffer.readUInt16LE(position + 10),
+                crc: buffer.readUInt32LE(position + 16),
+                compressedSize: buffer.readUInt32LE(position + 20),
+                uncompressedSize: buffer.readUInt32LE(position + 24),
+                localHeaderOffset: buffer.readUInt32LE(position + 42),
+            };
+            applyZip64Extra(buffer.subarray(nameStart + nameLength, nameStart + nameLength + extraLength), entry);
+            entries.push(entry);
+            position = nameStart + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    } finally {
+        await file.close();
+    }
+};
+
+/**
+ * Opens an entry of a ZIP archive as a stream of its uncompressed bytes. The stream fails if the entry
+ * is shorter than listed or its CRC-32 does not match, so a damaged archive is not mistaken for a complete one.
+ *
+ * @param {string} path - The path of the archive.
+ * @param {object} entry - The entry, as listed by `listZipEntries`.
+ * @returns {Promise<stream.Readable>} A promise that resolves with the stream.
+ * @throws {Error} If the entry is encrypted, uses an unsupported compression method or its header is damaged.
+ */
+const openZipEntry = async (path, entry) => {
+    if (entry.encrypted) {
+        throw new Error(`${entry.name} is encrypted`);
+    }
+    if (entry.method !== METHODS.STORED && entry.method !== METHODS.DEFLATE) {
+        throw new Error(`${entry.name} uses unsupported compression method ${entry.method}`);
+    }
+
+    const file = await fs.promises.open(path, 'r');
+    let header;
+    try {
+        header = await readRange(file, entry.localHeaderOffset, 30);
+    } finally {
+        await file.close();
+    }
+    if (header.length < 30 || header.readUInt32LE(0) !== SIGNATURES.LOCAL_HEADER) {
+        throw new Error(`Invalid ZIP archive: damaged local header of ${entry.name}`);
+    }
+
+    const dataStart = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    // createReadStream reads up to and including `end` and rejects an `end` before `start`, so empty entries read nothing
+    const source = entry.compressedSize > 0
+        ? fs.createReadStream(path, { start: dataStart, end: dataStart + entry.compressedSize - 1 })
+        : Readable.from([]);
+    let crc = 0;
+    let size = 0;
+    const check = new Transform({
+        transform(chunk, encoding, callback) {
+            crc = crc32(chunk, crc);
+            size += chunk.length;
+            callback(null, chunk);
+        },
+        flush(callback) {
+            const isComplete = size === entry.uncompressedSize && crc === entry.crc;
+            callback(isComplete ? null : new Error(`Invalid ZIP archive: ${entry.name} is truncated or damaged`));
+        },
+    });
+
+    const streams = [source, check];
+    if (entry.method === METHODS.DEFLATE) {
+        const inflate = zlib.createInflateRaw();
+        // Registered before pipeline's own listener, so the error it passes on already reads as damage
+        inflate.on('error', (error) => {
+            error.message = `Invalid ZIP archive: ${entry.name} is damaged (${error.message})`;
+        });
+        streams.splice(1, 0, inflate);
+    }
+
+    // pipeline destroys every stream on failure, so errors reach whoever reads the returned stream
+    return pipeline(...streams, () => {});
+};
+
+/**
+ * Encodes a date in the MS-DOS format of ZIP headers, in local time with two-second precision.
+ *
+ * @param {Date} date - The date.
+ * @returns {{ time: number, date: number }} The encoded time and date.
+ */
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Writes a ZIP archive as a stream, deflating each file as its chunks are produced.
+ *
+ * @param {Iterable<{ name: string, chunks: AsyncIterable<string|Buffer>|Iterable<string|Buffer> }>} files - The files, in archive order.
+ * Text chunks are written as UTF-8.
+ * @param {Date} [modifiedAt=new Date()] - The modification date of every file.
+ * @returns {AsyncGenerator<Buffer>} The bytes of the archive.
+ * @throws {Error} If the archive would exceed 4 GB or 65535 entries.
+ *
+ * @example
+ * Readable.from(generateZip([{ name: 'hello.txt', chunks: ['hello'] }])).pipe(res);
+ */
+async function* generateZip(files, modifiedAt = new Date()) {
+    const { time, date } = toDosDateTime(modifiedAt);
+    const centralHeaders = [];
+    let offset = 0;
+
+    const checkZip32 = (value) => {
+        if (value > MAX_ZIP32_VALUE) {
+            throw new Error('The archive exceeds 4 GB');
+        }
+    };
+
+    for (const file of files) {
+        if (centralHeaders.length === MAX_ZIP32_ENTRIES) {
+            throw new Error(`The archive exceeds ${MAX_ZIP32_ENTRIES} entries`);
+        }
+        const name = Buffer.from(file.name, 'utf8');
+        const localHeaderOffset = offset;
+
+        const localHeader = Buffer.alloc(30);
+        localHeader.writeUInt32LE(SIGNATURES.LOCAL_HEADER, 0);
+        localHeader.writeUInt16LE(ZIP_VERSION, 4);
+        localHeader.writeUInt16LE(WRITE_FLAGS, 6);
+        localHeader.writeUInt16LE(METHODS.DEFLATE, 8);
+        localHeader.writeUInt16LE(time, 10);
+        localHeader.writeUInt16LE(date, 12);
+        // CRC and sizes are left zero, they follow the data in its descriptor
+        localHeader.writeUInt16LE(name.length, 26);
+        yield Buffer.concat([localHeader, name]);
+        offset += localHeader.length + name.length;
+
+        let crc = 0;
+        let uncompressedSize = 0;
+        let compressedSize = 0;
+        async function* measure() {
+            for await (const chunk of file.chunks) {
+                const bytes = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+                crc = crc32(bytes, crc);
+                uncompressedSize += bytes.length;
+                yield bytes;
+            }
+        }
+        const deflate = Readable.from(measure()).pipe(zlib.createDeflateRaw());
+        for await (const compressed of deflate) {
+            compressedSize += compressed.length;
+            yield compressed;
+        }
+        offset += compressedSize;
+        checkZip32(uncompressedSize);
+        checkZip32(offset);
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(SIGNATURES.DATA_DESCRIPTOR, 0);
+        descriptor.writeUInt32LE(crc, 4);
+        descriptor.writeUInt32LE(compressedSize, 8);
+        descriptor.writeUInt32LE(uncompressedSize, 12);
+        yield descriptor;
+        offset += descriptor.length;
+
+        const centralHeader = Buffer.alloc(46);
+        centralHeader.writeUInt32LE(SIGNATURES.CENTRAL_HEADER, 0);
+        centralHeader.writeUInt16LE(ZIP_VERSION, 4);
+        centralHeader.writeUInt16LE(ZIP_VERSION, 6);
+        centralHeader.writeUInt16LE(WRITE_FLAGS, 8);
+        centralHeader.writeUInt16LE(METHODS.DEFLATE, 10);
+        centralHeader.writeUInt16LE(time, 12);
+        centralHeader.writeUInt16LE(date, 14);
+        centralHeader.writeUInt32LE(crc, 16);
+        centralHeader.writeUInt32LE(compressedSize, 20);
+        centralHeader.writeUInt32LE(uncompressedSize, 24);
+        centralHeader.writeUInt16LE(name.length, 28);
+        centralHeader.writeUInt32LE(localHeaderOffset, 42);
+        centralHeaders.push(Buffer.concat([centralHeader, name]));
+    }
+
+    const centralDirectory = Buffer.concat(centralHeaders);
+    checkZip32(offset + centralDirectory.length);
+    const end = Buffer.alloc(END_OF_CENTRAL_DIRECTORY_SIZE);
+    end.writeUInt32LE(SIGNATURES.END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(centralHeaders.length, 8);
+    end.writeUInt16LE(centralHeaders.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    yield Buffer.concat([centralDirectory, end]);
+}
+
+export { crc32, listZipEntries, openZipEntry, generateZip };
@@ -0,0 +1,77 @@
+// server.js
+import express from 'express';
+import dotenv from 'dotenv';
+import { connectDB } from './api/config/db';
+import authController from './api/controllers/authController';
+import goalController from './api/controllers/goalController';
+import workoutController from './api/controllers/workoutController';
+import exerciseController from './api/controllers/exerciseController';
+import planController from './api/controllers/planController';
+import measurementController from './api/controllers/measurementController';
+import nutritionController from './api/controllers/nutritionController';
+import recordController from './api/controllers/recordController';
+import activityController from './api/controllers/activityController';
+import statsController from './api/controllers/statsController';
+import reportController from './api/controllers/reportController';
+import exportController from './api/controllers/exportController';
+import importController from './api/controllers/importController';
+import accountController from './api/controllers/accountController';
+import calendarController from './api/controllers/calendarController';
+import { startPurgeTrashJob, stopPurgeTrashJob } from './api/jobs/purgeTrashJob';
+import { startWeeklyReportJob, stopWeeklyReportJob } from './api/jobs/weeklyReportJob';
+
+/**
+ * Entry point of the API server. Mounts the routers of the controllers under `/api`, connects to the
+ * database and only then starts listening and starts the background jobs, which are stopped again on shutdown.
+ */
+
+dotenv.config();
+
+const PORT = process.env.PORT || 3001;
+
+const app = express();
+app.use(express.json());
+
+app.use('/api/auth', authController);
+app.use('/api/goals', goalController);
+app.use('/api/workouts', workoutController);
+app.use('/api/exercises', exerciseController);
+app.use('/api/plans', planController);
+app.use('/api/measurements', measurementController);
+app.use('/api/nutrition', nutritionController);
+app.use('/api/records', recordController);
+app.use('/api/activities', activityController);
+app.use('/api/stats', statsController);
+app.use('/api/reports', reportController);
+app.use('/api/export', exportController);
+app.use('/api/import', importController);
+app.use('/api/account', accountController);
+app.use('/api', calendarController);
+
+/**
+ * Connects to the database, starts listening and starts the background jobs.
+ * Stops the jobs and closes the server on SIGINT and SIGTERM.
+ *
+ * @returns {Promise<void>}
+ */
+const startServer = async () => {
+    await connectDB();
+
+    const server = app.listen(PORT, () => {
+        console.log(`Server listening on port ${PORT}`);
+    });
+    startPurgeTrashJob();
+    startWeeklyReportJob();
+
+    const shutdown = () => {
+        stopPurgeTrashJob();
+        stopWeeklyReportJob();
+        server.close(() => process.exit(0));
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+};
+
+startServer();
+
+export default app;
@@ -1,5 +1,13 @@
 import React from 'react';
 
+// Labels and colors of the forecast classifications, see api/services/forecastService.js
+const FORECAST_BADGES = {
+    ahead: { label: 'Ahead', color: '#1b5e20', backgroundColor: '#c8e6c9' },
+    on_track: { label: 'On track', color: '#0d47a1', backgroundColor: '#bbdefb' },
+    behind: { label: 'Behind', color: '#b71c1c', backgroundColor: '#ffcdd2' },
+    stalled: { label: 'Stalled', color: '#5d4037', backgroundColor: '#ffe0b2' },
+};
+
 /**
  * GoalCard Component
  *
@@ -12,7 +20,20 @@ import React from 'react';
  * @param {string} props.goal.title - The title of the goal (Required).
  * @param {string} props.goal.description - The description of the goal (Required).
  * @param {number} props.goal.progress - The progress of the goal (Required).
- * @param {string} props.goal.targetDate - The target date of the goal. (Required).
+ * @param {string} props.goal.targetDate - The target date of the goal. (Required, except for habit goals).
+ * @param {string} [props.goal.goalType] - 'target' or 'habit', habit goals show their streaks instead of a target date.
+ * @param {number} [props.goal.currentStreak] - The current streak of a habit goal.
+ * @param {number} [props.goal.longestStreak] - The longest streak of a habit goal.
+ * @param {string} [props.goal.metricType] - The metric type of the goal, measurable goals show their logged value.
+ * @param {string} [props.goal.unit] - The unit of a measurable goal.
+ * @param {number} [props.goal.currentValue] - The most recently logged value of a measurable goal.
+ * @param {number} [props.goal.targetValue] - The target value of a measurable goal.
+ * @param {string} [props.goal.category] - The category of the goal.
+ * @param {string[]} [props.goal.tags] - The user-defined tags of the goal.
+ * @param {string} [props.goal.status] - The lifecycle status of the goal, shown unless the goal is active.
+ * @param {Array<object>} [props.goal.milestones] - The ordered milestones of the goal, shown as a segmented progress bar.
+ * @param {object} [props.goal.forecast] - The completion forecast of the goal, its classification is shown as a badge
+ * with the estimated completion date as its tooltip.
  * @param {function} props.onEdit - The function called when the edit action is triggered. (Required)
  * @param {function} props.onDelete - The function called when the delete action is triggered. (Required)
  *
@@ -61,7 +82,9 @@ const GoalCard = ({ goal, onEdit, onDelete }) => {
          goal.progress = 0;
     }
 
-    if (!goal.targetDate || typeof goal.targetDate !== 'string') {
+    // Recurring habit goals have no target date
+    const isHabit = goal.goalType === 'habit';
+    if (!isHabit && (!goal.targetDate || typeof goal.targetDate !== 'string')) {
         console.error('GoalCard component requires a valid targetDate for the goal prop.');
          return null;
     }
@@ -86,6 +109,15 @@ const GoalCard = ({ goal, onEdit, onDelete }) => {
         console.error("Error sanitizing description: ", error);
       }
 
+    const forecastBadge = goal.forecast ? FORECAST_BADGES[goal.forecast.classification] : null;
+    let forecastTooltip;
+    if (forecastBadge && goal.forecast.estimatedCompletionDate) {
+        forecastTooltip = `Estimated completion: ${new Date(goal.forecast.estimatedCompletionDate).toLocaleDateString()}`;
+    }
+
+    const hasMilestones = Array.isArray(goal.milestones) && goal.milestones.length > 0;
+    const completedMilestones = hasMilestones ? goal.milestones.filter((milestone) => milestone.completed).length : 0;
+
   // Format the target date
   let formattedTargetDate;
     try{
@@ -109,6 +141,22 @@ const GoalCard = ({ goal, onEdit, onDelete }) => {
     marginBottom: '10px',
   };
 
+  const labelStyle = {
+    display: 'inline-block',
+    marginRight: '5px',
+    padding: '2px 6px',
+    borderRadius: '4px',
+    backgroundColor: '#e0e0e0',
+    fontSize: '0.85em',
+  };
+
+  const badgeStyle = forecastBadge && {
+    ...labelStyle,
+    color: forecastBadge.color,
+    backgroundColor: forecastBadge.backgroundColor,
+    fontWeight: 'bold',
+  };
+
   const actionStyle = {
     cursor: 'pointer',
       margin: '5px',
@@ -128,6 +176,18 @@ const GoalCard = ({ goal, onEdit, onDelete }) => {
         borderRadius: '5px',
         marginBottom: '10px'
     };
+    const segmentStyle = (milestone) => ({
+        flex: 1,
+        height: '10px',
+        backgroundColor: milestone.completed ? '#4caf50' : '#e0e0e0',
+        borderRadius: '5px',
+        marginRight: '2px',
+    });
+    const segmentsContainerStyle = {
+        display: 'flex',
+        width: '100%',
+        marginBottom: '10px'
+    };
     const actionsContainerStyle = {
        display: 'flex',
        justifyContent: 'flex-end',
@@ -138,11 +198,47 @@ const GoalCard = ({ goal, onEdit, onDelete }) => {
   return (
     <div style={containerStyle}>
       <h3 style={titleStyle} dangerouslySetInnerHTML={{ __html: sanitizedTitle }} />
+      {forecastBadge && (
+          <p aria-label="Goal Forecast">
+              <span style={badgeStyle} title={forecastTooltip}>{forecastBadge.label}</span>
+          </p>
+      )}
       <p dangerouslySetInnerHTML={{ __html: sanitizedDescription }} />
-      <div style={progressContainerStyle} >
-        <div style={progressBarStyle}></div>
-      </div>
-       <p>Target Date: {formattedTargetDate}</p>
+      {(goal.category || (Array.isArray(goal.tags) && goal.tags.length > 0)) && (
+          <p aria-label="Goal Labels">
+              {goal.category && <span style={labelStyle}>{goal.category}</span>}
+              {Array.isArray(goal.tags) && goal.tags.map((tag) => (
+                  <span key={tag} style={labelStyle}>#{tag}</span>
+              ))}
+          </p>
+      )}
+      {goal.status && goal.status !== 'active' && (
+          <p aria-label="Goal Status">Status: {goal.status}</p>
+      )}
+      {hasMilestones ? (
+          // One segment per milestone, in their order, filled once the milestone is completed
+          <div style={segmentsContainerStyle} role="progressbar" aria-label="Milestone Progress"
+               aria-valuemin={0} aria-valuemax={goal.milestones.length} aria-valuenow={completedMilestones}>
+              {goal.milestones.map((milestone, index) => (
+                  <div key={milestone._id || index} style={segmentStyle(milestone)} title={milestone.title} />
+              ))}
+          </div>
+      ) : (
+          <div style={progressContainerStyle} >
+            <div style={progressBarStyle}></div>
+          </div>
+      )}
+      {hasMilestones && (
+          <p aria-label="Milestones">Milestones: {completedMilestones} / {goal.milestones.length}</p>
+      )}
+       {goal.metricType && goal.metricType !== 'percentage' && (
+           <p aria-label="Measured Progress">{goal.currentValue} / {goal.targetValue} {goal.unit}</p>
+       )}
+       {isHabit ? (
+           <p aria-label="Habit Streak">Streak: {goal.currentStreak || 0} (best {goal.longestStreak || 0})</p>
+       ) : (
+           <p>Target Date: {formattedTargetDate}</p>
+       )}
 
         <div style={actionsContainerStyle}>
            <span style={actionStyle} onClick={onEdit} role="button" aria-label="Edit Goal">Edit</span>
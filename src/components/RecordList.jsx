@@ -0,0 +1,96 @@
+import React from 'react';
+
+// Display names of the record metrics
+const METRIC_LABELS = {
+    max_weight: 'Heaviest weight',
+    estimated_1rm: 'Estimated 1RM',
+    max_reps: 'Most reps',
+    longest_distance: 'Longest distance',
+    longest_duration: 'Longest duration',
+    fastest_1k: 'Fastest 1k',
+    fastest_5k: 'Fastest 5k',
+    fastest_10k: 'Fastest 10k',
+    fastest_half_marathon: 'Fastest half marathon',
+    fastest_marathon: 'Fastest marathon',
+};
+
+/**
+ * Formats a record value in its unit, seconds as h:mm:ss and meters as kilometers from 1 km on.
+ *
+ * @param {number} value - The record value.
+ * @param {string} unit - The unit of the value, 'kg', 'reps', 'm' or 's'.
+ * @returns {string} The formatted value.
+ *
+ * @example
+ * formatRecordValue(1534, 's') // returns '25:34'
+ * formatRecordValue(5200, 'm') // returns '5.2 km'
+ */
+const formatRecordValue = (value, unit) => {
+    if (unit === 's') {
+        const totalSeconds = Math.round(value);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+    }
+    if (unit === 'm' && value >= 1000) {
+        return `${Math.round(value / 10) / 100} km`;
+    }
+    return `${value} ${unit}`;
+};
+
+/**
+ * RecordList Component
+ *
+ * Displays a list of personal records, each with its exercise, metric, value and the value it beat.
+ *
+ * @param {object} props - The component's props.
+ * @param {Array<object>} props.records - The records, as returned by `GET /api/records`. (Required)
+ * @param {string} [props.emptyMessage='No records yet.'] - The message shown when there are no records.
+ *
+ * @returns {JSX.Element} The list of records.
+ *
+ * @example
+ * // Usage:
+ * <RecordList records={[{ _id: '1', exerciseName: 'Bench Press', metric: 'max_weight', value: 100, unit: 'kg', previousValue: 95 }]} />
+ */
+const RecordList = ({ records, emptyMessage = 'No records yet.' }) => {
+    if (!Array.isArray(records) || records.length === 0) {
+        return <p>{emptyMessage}</p>;
+    }
+
+    const listStyle = {
+        listStyle: 'none',
+        padding: 0,
+        textAlign: 'left',
+    };
+    const itemStyle = {
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        padding: '10px 15px',
+        margin: '10px',
+        backgroundColor: '#fff8e1',
+    };
+    const previousStyle = {
+        color: '#666',
+        fontSize: '0.85em',
+        marginLeft: '5px',
+    };
+
+    return (
+        <ul style={listStyle}>
+            {records.map((record) => (
+                <li key={record._id} style={itemStyle}>
+                    {/* Rendered as text, so exercise names need no sanitizing */}
+                    <strong>{record.exerciseName}</strong>: {METRIC_LABELS[record.metric] || record.metric}{' '}
+                    {formatRecordValue(record.value, record.unit)}
+                    {record.previousValue !== null && record.previousValue !== undefined && (
+                        <span style={previousStyle}>(was {formatRecordValue(record.previousValue, record.unit)})</span>
+                    )}
+                </li>
+            ))}
+        </ul>
+    );
+};
+
+export default RecordList;
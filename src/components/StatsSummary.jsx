@@ -0,0 +1,98 @@
+import React from 'react';
+
+/**
+ * Formats a percentage for display.
+ *
+ * @param {number|null} value - The percentage, null if there is none.
+ * @returns {string} The rounded percentage, or '–' without a value.
+ *
+ * @example
+ * formatPercent(66.67) // returns '67%'
+ * formatPercent(null) // returns '–'
+ */
+const formatPercent = (value) => (value === null || value === undefined ? '–' : `${Math.round(value)}%`);
+
+/**
+ * StatsSummary Component
+ *
+ * Displays the key numbers of the goal statistics: active and completed goals, the average progress of the
+ * active goals, the completion rate of the range, and the goals at risk of missing their target date.
+ *
+ * @param {object} props - The component's props.
+ * @param {object} props.stats - The statistics, as returned by `GET /api/stats`. (Required)
+ *
+ * @returns {JSX.Element|null} The summary, or null without statistics.
+ *
+ * @example
+ * // Usage:
+ * <StatsSummary stats={stats} />
+ */
+const StatsSummary = ({ stats }) => {
+    if (!stats || !stats.goals) {
+        return null;
+    }
+
+    const gridStyle = {
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))',
+        gap: '10px',
+        margin: '10px',
+    };
+    const tileStyle = {
+        border: '1px solid #ddd',
+        borderRadius: '8px',
+        padding: '10px 15px',
+        backgroundColor: '#f5f9ff',
+    };
+    const valueStyle = {
+        display: 'block',
+        fontSize: '1.6em',
+        fontWeight: 'bold',
+    };
+    const labelStyle = {
+        color: '#666',
+        fontSize: '0.85em',
+    };
+    const listStyle = {
+        listStyle: 'none',
+        padding: 0,
+        margin: '10px',
+        textAlign: 'left',
+    };
+
+    const tiles = [
+        { label: 'Active goals', value: stats.goals.active },
+        { label: 'Completed goals', value: stats.goals.completed },
+        { label: 'Average progress', value: formatPercent(stats.goals.averageProgress) },
+        { label: 'Completed on time', value: formatPercent(stats.completion.completionRate) },
+        { label: 'Goals at risk', value: stats.atRisk.count },
+    ];
+
+    return (
+        <div>
+            <div style={gridStyle}>
+                {tiles.map((tile) => (
+                    <div key={tile.label} style={tileStyle}>
+                        <span style={valueStyle}>{tile.value}</span>
+                        <span style={labelStyle}>{tile.label}</span>
+                    </div>
+                ))}
+            </div>
+            {stats.atRisk.goals.length > 0 && (
+                <ul style={listStyle} aria-label="Goals at risk">
+                    {stats.atRisk.goals.map((goal) => (
+                        <li key={goal.goalId}>
+                            {/* Rendered as text, so goal titles need no sanitizing */}
+                            <strong>{goal.title}</strong>:{' '}
+                            {goal.overdue
+                                ? 'past its target date'
+                                : `${Math.round(goal.progress)}% done, ${Math.round(goal.expectedProgress)}% expected by now`}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default StatsSummary;
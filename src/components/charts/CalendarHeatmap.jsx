@@ -0,0 +1,153 @@
+import React from 'react';
+import useRovingFocus from '../../hooks/useRovingFocus';
+import { formatLocalDate } from './chartUtils';
+
+// Size of a day cell and the gap between cells in viewBox units
+const CELL = 11;
+const GAP = 2;
+const MARGIN = { top: 16, left: 28 };
+
+// Colors of the activity levels, from no activity to the busiest days
+const LEVEL_COLORS = ['#ebedf0', '#c6e48b', '#7bc96f', '#239a3b', '#196127'];
+
+// Weekday labels of the rows, weeks start on Monday
+const ROW_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+
+/**
+ * Assigns the days an activity level from 0 to 4. Days without activity are level 0; the other days are split
+ * into four levels at the quartiles of their values, so a few very busy days do not wash out the rest.
+ *
+ * @param {number[]} values - The values of the days.
+ * @returns {number[]} The level of each day.
+ */
+const toLevels = (values) => {
+    const active = values.filter((value) => value > 0).sort((a, b) => a - b);
+    const quartile = (share) => active[Math.min(active.length - 1, Math.floor(active.length * share))];
+    const thresholds = active.length > 0 ? [quartile(0.25), quartile(0.5), quartile(0.75)] : [];
+    return values.map((value) => (value > 0 ? 1 + thresholds.filter((threshold) => value > threshold).length : 0));
+};
+
+/**
+ * CalendarHeatmap Component
+ *
+ * Draws a calendar of days as an SVG grid, one column per week from Monday and one row per weekday, each day
+ * shaded by its value, such as a year of logged activity. The days can be reached with the Tab key and browsed with
+ * the arrow keys (left and right by week, up and down by day), Home and End; the focused or hovered day is
+ * described below the calendar. The grid scrolls sideways on narrow screens.
+ *
+ * @param {object} props - The component's props.
+ * @param {string} props.title - The title of the chart, also its accessible name. (Required)
+ * @param {Array<{ date: string, value: number }>} props.days - Consecutive days, oldest first, dates as 'YYYY-MM-DD'. (Required)
+ * @param {function(object): string} [props.describeDay] - Describes a day, defaults to its date and value.
+ *
+ * @returns {JSX.Element} The chart.
+ *
+ * @example
+ * // Usage:
+ * <CalendarHeatmap title="Activity" days={[{ date: '2026-10-05', value: 2 }, { date: '2026-10-06', value: 0 }]} />
+ */
+const CalendarHeatmap = ({ title, days, describeDay }) => {
+    const captionId = React.useId();
+    const safeDays = Array.isArray(days) ? days : [];
+    const { highlightedIndex, getItemProps } = useRovingFocus(safeDays.length, { horizontalStep: 7, verticalStep: 1 });
+
+    const describe = describeDay
+        || ((day) => `${formatLocalDate(day.date, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })}: ${day.value}`);
+    const levels = toLevels(safeDays.map((day) => day.value));
+
+    // Row of the first day, 0 for Monday
+    const firstRow = safeDays.length > 0 ? (new Date(`${safeDays[0].date}T00:00:00Z`).getUTCDay() + 6) % 7 : 0;
+    const position = (index) => ({
+        column: Math.floor((firstRow + index) / 7),
+        row: (firstRow + index) % 7,
+    });
+    const columns = safeDays.length > 0 ? position(safeDays.length - 1).column + 1 : 0;
+    const width = MARGIN.left + columns * (CELL + GAP);
+    const height = MARGIN.top + 7 * (CELL + GAP);
+
+    // Month names above the first week of each month, skipping labels that would overlap the one before
+    const monthLabels = [];
+    let previousMonth = null;
+    safeDays.forEach((day, index) => {
+        const { column, row } = position(index);
+        if (row !== 0 && index !== 0) return;
+        const month = day.date.slice(0, 7);
+        if (month === previousMonth) return;
+        previousMonth = month;
+        const lastLabel = monthLabels[monthLabels.length - 1];
+        if (!lastLabel || column - lastLabel.column >= 3) {
+            monthLabels.push({ column, label: formatLocalDate(day.date, { month: 'short' }) });
+        }
+    });
+
+    const figureStyle = {
+        margin: '10px',
+        textAlign: 'left',
+    };
+    const scrollStyle = {
+        overflowX: 'auto',
+    };
+    const svgStyle = {
+        width: '100%',
+        minWidth: '480px',
+        height: 'auto',
+        display: 'block',
+    };
+    const legendStyle = {
+        display: 'flex',
+        alignItems: 'center',
+        gap: '3px',
+        fontSize: '0.85em',
+        color: '#666',
+    };
+    const swatchStyle = (color) => ({
+        display: 'inline-block',
+        width: '10px',
+        height: '10px',
+        backgroundColor: color,
+    });
+    const descriptionStyle = {
+        minHeight: '1.2em',
+        color: '#666',
+        fontSize: '0.85em',
+    };
+
+    return (
+        <figure style={figureStyle}>
+            <figcaption id={captionId}><strong>{title}</strong></figcaption>
+            <div style={scrollStyle}>
+                <svg viewBox={`0 0 ${width} ${height}`} style={svgStyle} role="group" aria-labelledby={captionId}>
+                    <g aria-hidden="true">
+                        {monthLabels.map(({ column, label }) => (
+                            <text key={`${column}-${label}`} x={MARGIN.left + column * (CELL + GAP)} y={10} fontSize="9" fill="#666">{label}</text>
+                        ))}
+                        {ROW_LABELS.map((label, row) => label && (
+                            <text key={label} x={0} y={MARGIN.top + row * (CELL + GAP) + CELL - 2} fontSize="9" fill="#666">{label}</text>
+                        ))}
+                    </g>
+                    {safeDays.map((day, index) => {
+                        const { column, row } = position(index);
+                        const isHighlighted = highlightedIndex === index;
+                        return (
+                            <rect key={day.date} {...getItemProps(index)}
+                                x={MARGIN.left + column * (CELL + GAP)} y={MARGIN.top + row * (CELL + GAP)}
+                                width={CELL} height={CELL} rx={2} fill={LEVEL_COLORS[levels[index]]}
+                                stroke={isHighlighted ? '#333' : 'none'} strokeWidth={isHighlighted ? 1.5 : 0}
+                                role="img" aria-label={describe(day)} style={{ outline: 'none', cursor: 'pointer' }} />
+                        );
+                    })}
+                </svg>
+            </div>
+            <div style={legendStyle} aria-hidden="true">
+                Less
+                {LEVEL_COLORS.map((color) => <span key={color} style={swatchStyle(color)} />)}
+                More
+            </div>
+            <p style={descriptionStyle} aria-live="polite">
+                {highlightedIndex !== null && safeDays[highlightedIndex] ? describe(safeDays[highlightedIndex]) : ''}
+            </p>
+        </figure>
+    );
+};
+
+export default CalendarHeatmap;
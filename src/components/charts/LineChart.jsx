@@ -0,0 +1,121 @@
+import React from 'react';
+import useRovingFocus from '../../hooks/useRovingFocus';
+import { daysBetween, formatLocalDate, axisTicks } from './chartUtils';
+
+// Size of the drawing in viewBox units, the SVG scales to the width of its container
+const WIDTH = 320;
+const HEIGHT = 160;
+const MARGIN = { top: 10, right: 12, bottom: 22, left: 34 };
+
+/**
+ * LineChart Component
+ *
+ * Draws a line of values over a local date range as an SVG, such as the progress of a goal over time.
+ * The points can be reached with the Tab key and browsed with the arrow keys, Home and End; the focused or
+ * hovered point is described below the chart.
+ *
+ * @param {object} props - The component's props.
+ * @param {string} props.title - The title of the chart, also its accessible name. (Required)
+ * @param {Array<{ date: string, value: number }>} props.points - The points, oldest first, dates as 'YYYY-MM-DD'. (Required)
+ * @param {string} props.from - The first date of the time axis as 'YYYY-MM-DD'. (Required)
+ * @param {string} props.to - The last date of the time axis as 'YYYY-MM-DD'. (Required)
+ * @param {number} [props.max=100] - The top of the value axis.
+ * @param {function(number): string} [props.formatValue] - Formats a value, defaults to a rounded percentage.
+ * @param {string} [props.markerDate] - A date to mark with a dashed line, such as the target date of a goal.
+ * @param {string} [props.markerLabel='Target'] - The label of the marker.
+ * @param {string} [props.color='#1e88e5'] - The color of the line.
+ * @param {string} [props.emptyMessage='No data in this period.'] - The message shown without points.
+ *
+ * @returns {JSX.Element} The chart.
+ *
+ * @example
+ * // Usage:
+ * <LineChart title="Run a marathon" from="2026-07-01" to="2026-09-28"
+ *   points={[{ date: '2026-07-03', value: 10 }, { date: '2026-08-01', value: 35 }]} />
+ */
+const LineChart = ({
+    title,
+    points,
+    from,
+    to,
+    max = 100,
+    formatValue = (value) => `${Math.round(value)}%`,
+    markerDate,
+    markerLabel = 'Target',
+    color = '#1e88e5',
+    emptyMessage = 'No data in this period.',
+}) => {
+    const captionId = React.useId();
+    const safePoints = Array.isArray(points) ? points : [];
+    const { highlightedIndex, getItemProps } = useRovingFocus(safePoints.length);
+
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const rangeDays = Math.max(daysBetween(from, to), 1);
+    const x = (date) => MARGIN.left + (daysBetween(from, date) / rangeDays) * plotWidth;
+    const y = (value) => MARGIN.top + plotHeight - (Math.min(Math.max(value, 0), max) / max) * plotHeight;
+
+    const describe = (point) => `${formatLocalDate(point.date, { year: 'numeric', month: 'short', day: 'numeric' })}: ${formatValue(point.value)}`;
+    const showMarker = markerDate && markerDate >= from && markerDate <= to;
+
+    const figureStyle = {
+        margin: '10px',
+        textAlign: 'left',
+    };
+    const svgStyle = {
+        width: '100%',
+        height: 'auto',
+        display: 'block',
+        overflow: 'visible',
+    };
+    const descriptionStyle = {
+        minHeight: '1.2em',
+        color: '#666',
+        fontSize: '0.85em',
+    };
+
+    return (
+        <figure style={figureStyle}>
+            <figcaption id={captionId}><strong>{title}</strong></figcaption>
+            {safePoints.length === 0 ? (
+                <p>{emptyMessage}</p>
+            ) : (
+                <>
+                    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={svgStyle} role="group" aria-labelledby={captionId}>
+                        {axisTicks(max).map((tick) => (
+                            <g key={tick} aria-hidden="true">
+                                <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(tick)} y2={y(tick)} stroke="#e0e0e0" />
+                                <text x={MARGIN.left - 4} y={y(tick) + 3} fontSize="9" textAnchor="end" fill="#666">{formatValue(tick)}</text>
+                            </g>
+                        ))}
+                        <g aria-hidden="true">
+                            <text x={MARGIN.left} y={HEIGHT - 6} fontSize="9" fill="#666">{formatLocalDate(from)}</text>
+                            <text x={WIDTH - MARGIN.right} y={HEIGHT - 6} fontSize="9" textAnchor="end" fill="#666">{formatLocalDate(to)}</text>
+                        </g>
+                        {showMarker && (
+                            <g aria-hidden="true">
+                                <line x1={x(markerDate)} x2={x(markerDate)} y1={MARGIN.top} y2={MARGIN.top + plotHeight}
+                                      stroke="#e53935" strokeDasharray="4 3" />
+                                <text x={x(markerDate) - 3} y={MARGIN.top + 8} fontSize="9" textAnchor="end" fill="#e53935">{markerLabel}</text>
+                            </g>
+                        )}
+                        <polyline
+                            points={safePoints.map((point) => `${x(point.date)},${y(point.value)}`).join(' ')}
+                            fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" aria-hidden="true" />
+                        {safePoints.map((point, index) => (
+                            <circle key={point.date} {...getItemProps(index)}
+                                cx={x(point.date)} cy={y(point.value)} r={highlightedIndex === index ? 5 : 3}
+                                fill={highlightedIndex === index ? '#fff' : color} stroke={color} strokeWidth="2"
+                                role="img" aria-label={describe(point)} style={{ outline: 'none', cursor: 'pointer' }} />
+                        ))}
+                    </svg>
+                    <p style={descriptionStyle} aria-live="polite">
+                        {highlightedIndex !== null && safePoints[highlightedIndex] ? describe(safePoints[highlightedIndex]) : ''}
+                    </p>
+                </>
+            )}
+        </figure>
+    );
+};
+
+export default LineChart;
@@ -0,0 +1,145 @@
+import React from 'react';
+import useRovingFocus from '../../hooks/useRovingFocus';
+import { niceCeiling, axisTicks } from './chartUtils';
+
+// Size of the drawing in viewBox units, the SVG scales to the width of its container
+const WIDTH = 640;
+const HEIGHT = 200;
+const MARGIN = { top: 10, right: 8, bottom: 22, left: 28 };
+
+/**
+ * StackedBarChart Component
+ *
+ * Draws bars stacked from segments of several series as an SVG, such as the workouts of each week by type.
+ * The bars can be reached with the Tab key and browsed with the arrow keys, Home and End; the focused or
+ * hovered bar is described below the chart. A legend names the series.
+ *
+ * @param {object} props - The component's props.
+ * @param {string} props.title - The title of the chart, also its accessible name. (Required)
+ * @param {Array<{ key: string, label: string, color: string }>} props.series - The series, bottom to top. (Required)
+ * @param {Array<object>} props.bars - The bars, left to right, each `{ key, label, values }` with `values` by series key. (Required)
+ * @param {string} [props.unit=''] - The unit of the values, named in the bar descriptions.
+ * @param {string} [props.emptyMessage='No data in this period.'] - The message shown when all values are zero.
+ *
+ * @returns {JSX.Element} The chart.
+ *
+ * @example
+ * // Usage:
+ * <StackedBarChart title="Workouts per week" unit="workouts"
+ *   series={[{ key: 'run', label: 'Run', color: '#1e88e5' }]}
+ *   bars={[{ key: '2026-10-05', label: 'Oct 5', values: { run: 3 } }]} />
+ */
+const StackedBarChart = ({ title, series, bars, unit = '', emptyMessage = 'No data in this period.' }) => {
+    const captionId = React.useId();
+    const safeBars = Array.isArray(bars) ? bars : [];
+    const { highlightedIndex, getItemProps } = useRovingFocus(safeBars.length);
+
+    const totals = safeBars.map((bar) => series.reduce((sum, { key }) => sum + (bar.values[key] || 0), 0));
+    const max = niceCeiling(Math.max(0, ...totals));
+    // Whole-number ticks for small counts
+    const ticks = axisTicks(max, Math.min(4, max));
+
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const slot = plotWidth / Math.max(safeBars.length, 1);
+    const barWidth = Math.max(slot * 0.7, 1);
+    const y = (value) => MARGIN.top + plotHeight - (value / max) * plotHeight;
+    // Label every bar while they fit, otherwise every nth
+    const labelEvery = Math.ceil(safeBars.length / 12);
+
+    const describe = (bar, total) => {
+        const parts = series
+            .filter(({ key }) => bar.values[key] > 0)
+            .map(({ key, label }) => `${label} ${bar.values[key]}`);
+        return `${bar.label}: ${total}${unit ? ` ${unit}` : ''}${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`;
+    };
+
+    const figureStyle = {
+        margin: '10px',
+        textAlign: 'left',
+    };
+    const svgStyle = {
+        width: '100%',
+        height: 'auto',
+        display: 'block',
+    };
+    const legendStyle = {
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: '10px',
+        listStyle: 'none',
+        padding: 0,
+        fontSize: '0.85em',
+    };
+    const swatchStyle = (color) => ({
+        display: 'inline-block',
+        width: '10px',
+        height: '10px',
+        marginRight: '4px',
+        backgroundColor: color,
+    });
+    const descriptionStyle = {
+        minHeight: '1.2em',
+        color: '#666',
+        fontSize: '0.85em',
+    };
+
+    if (totals.every((total) => total === 0)) {
+        return (
+            <figure style={figureStyle}>
+                <figcaption><strong>{title}</strong></figcaption>
+                <p>{emptyMessage}</p>
+            </figure>
+        );
+    }
+
+    // Only the series that occur are listed in the legend
+    const shownSeries = series.filter(({ key }) => safeBars.some((bar) => bar.values[key] > 0));
+
+    return (
+        <figure style={figureStyle}>
+            <figcaption id={captionId}><strong>{title}</strong></figcaption>
+            <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={svgStyle} role="group" aria-labelledby={captionId}>
+                {ticks.map((tick) => (
+                    <g key={tick} aria-hidden="true">
+                        <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(tick)} y2={y(tick)} stroke="#e0e0e0" />
+                        <text x={MARGIN.left - 4} y={y(tick) + 3} fontSize="9" textAnchor="end" fill="#666">{Math.round(tick)}</text>
+                    </g>
+                ))}
+                {safeBars.map((bar, index) => {
+                    const left = MARGIN.left + index * slot + (slot - barWidth) / 2;
+                    let stacked = 0;
+                    return (
+                        <g key={bar.key} {...getItemProps(index)} role="img" aria-label={describe(bar, totals[index])}
+                           style={{ outline: 'none', cursor: 'pointer' }}>
+                            {/* Transparent hit area, so empty and short bars can be hovered as well */}
+                            <rect x={MARGIN.left + index * slot} y={MARGIN.top} width={slot} height={plotHeight}
+                                  fill={highlightedIndex === index ? '#f0f0f0' : 'transparent'} />
+                            {series.map(({ key, color }) => {
+                                const value = bar.values[key] || 0;
+                                if (value === 0) return null;
+                                const top = y(stacked + value);
+                                const height = y(stacked) - top;
+                                stacked += value;
+                                return <rect key={key} x={left} y={top} width={barWidth} height={height} fill={color} />;
+                            })}
+                            {index % labelEvery === 0 && (
+                                <text x={left + barWidth / 2} y={HEIGHT - 6} fontSize="9" textAnchor="middle" fill="#666">{bar.label}</text>
+                            )}
+                        </g>
+                    );
+                })}
+            </svg>
+            <ul style={legendStyle} aria-label={`${title} legend`}>
+                {shownSeries.map(({ key, label, color }) => (
+                    <li key={key}><span style={swatchStyle(color)} aria-hidden="true" />{label}</li>
+                ))}
+            </ul>
+            <p style={descriptionStyle} aria-live="polite">
+                {highlightedIndex !== null && safeBars[highlightedIndex] ? describe(safeBars[highlightedIndex], totals[highlightedIndex]) : ''}
+            </p>
+        </figure>
+    );
+};
+
+export default StackedBarChart;
@@ -0,0 +1,64 @@
+/**
+ * Shared helpers of the SVG charts: scales, axis ticks, date labels and colors.
+ * Charts receive local dates as 'YYYY-MM-DD' strings, as returned by the stats endpoints, and place them on
+ * the time axis in UTC so that the browser's timezone never shifts a day.
+ */
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Colors of the series of multi-series charts, in order
+const SERIES_COLORS = ['#1e88e5', '#43a047', '#fb8c00', '#8e24aa', '#e53935', '#00897b', '#6d4c41', '#3949ab', '#757575'];
+
+/**
+ * Returns the number of days from one local date to another.
+ *
+ * @param {string} from - The start date as 'YYYY-MM-DD'.
+ * @param {string} to - The end date as 'YYYY-MM-DD'.
+ * @returns {number} The number of days, negative if `to` is before `from`.
+ */
+const daysBetween = (from, to) => Math.round(
+    (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_IN_MS
+);
+
+/**
+ * Formats a local date for a chart label.
+ *
+ * @param {string} localDate - The date as 'YYYY-MM-DD'.
+ * @param {object} [options={ month: 'short', day: 'numeric' }] - `Intl.DateTimeFormat` options.
+ * @returns {string} The formatted date.
+ *
+ * @example
+ * formatLocalDate('2026-10-05') // returns 'Oct 5' in English
+ */
+const formatLocalDate = (localDate, options = { month: 'short', day: 'numeric' }) =>
+    new Date(`${localDate}T00:00:00Z`).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+
+/**
+ * Rounds the maximum of a value axis up to a round number: 1, 2 or 5 times a power of ten.
+ *
+ * @param {number} value - The largest value shown.
+ * @returns {number} The axis maximum, at least 1.
+ *
+ * @example
+ * niceCeiling(7) // returns 10
+ * niceCeiling(130) // returns 200
+ */
+const niceCeiling = (value) => {
+    if (!(value > 1)) {
+        return 1;
+    }
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 5, 10].find((factor) => factor * magnitude >= value);
+    return step * magnitude;
+};
+
+/**
+ * Returns evenly spaced ticks from 0 to an axis maximum.
+ *
+ * @param {number} max - The axis maximum.
+ * @param {number} [count=4] - The number of intervals.
+ * @returns {number[]} The ticks, including 0 and `max`.
+ */
+const axisTicks = (max, count = 4) => Array.from({ length: count + 1 }, (_, index) => (max * index) / count);
+
+export { SERIES_COLORS, daysBetween, formatLocalDate, niceCeiling, axisTicks };
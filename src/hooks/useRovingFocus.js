@@ -0,0 +1,77 @@
+import { useState, useRef } from 'react';
+
+/**
+ * @typedef {object} RovingFocus
+ * @property {number|null} highlightedIndex - The item that is focused or hovered, or null if there is none.
+ * @property {function(number): object} getItemProps - Returns the props to spread on the item at an index.
+ */
+
+/**
+ * A custom React hook that makes a set of items, such as the points of a chart, reachable with a single tab stop.
+ * Only one item is in the tab order; the arrow keys, Home and End move the focus between the items.
+ * Items are laid out in columns of `verticalStep` items for grids, such as the days of a calendar.
+ *
+ * @param {number} count - The number of items.
+ * @param {object} [options={}] - Navigation options.
+ * @param {number} [options.horizontalStep=1] - How many items ArrowLeft and ArrowRight move by.
+ * @param {number} [options.verticalStep=0] - How many items ArrowUp and ArrowDown move by, 0 to ignore them.
+ * @returns {RovingFocus} The highlighted item and the item props.
+ *
+ * @example
+ * // Usage:
+ * const { highlightedIndex, getItemProps } = useRovingFocus(points.length);
+ * points.map((point, index) => <circle key={point.date} {...getItemProps(index)} />);
+ */
+const useRovingFocus = (count, { horizontalStep = 1, verticalStep = 0 } = {}) => {
+    // The item in the tab order, the last one until another was focused
+    const [activeIndex, setActiveIndex] = useState(null);
+    const [highlightedIndex, setHighlightedIndex] = useState(null);
+    const itemRefs = useRef([]);
+
+    const tabIndex = activeIndex === null || activeIndex >= count ? count - 1 : activeIndex;
+
+    const moveFocus = (index) => {
+        const nextIndex = Math.min(Math.max(index, 0), count - 1);
+        setActiveIndex(nextIndex);
+        if (itemRefs.current[nextIndex]) {
+            itemRefs.current[nextIndex].focus();
+        }
+    };
+
+    const handleKeyDown = (event, index) => {
+        const moves = {
+            ArrowRight: index + horizontalStep,
+            ArrowLeft: index - horizontalStep,
+            Home: 0,
+            End: count - 1,
+        };
+        if (verticalStep > 0) {
+            moves.ArrowDown = index + verticalStep;
+            moves.ArrowUp = index - verticalStep;
+        }
+        if (moves[event.key] === undefined) {
+            return;
+        }
+        event.preventDefault();
+        moveFocus(moves[event.key]);
+    };
+
+    const getItemProps = (index) => ({
+        ref: (element) => {
+            itemRefs.current[index] = element;
+        },
+        tabIndex: index === tabIndex ? 0 : -1,
+        onKeyDown: (event) => handleKeyDown(event, index),
+        onFocus: () => {
+            setActiveIndex(index);
+            setHighlightedIndex(index);
+        },
+        onBlur: () => setHighlightedIndex(null),
+        onMouseEnter: () => setHighlightedIndex(index),
+        onMouseLeave: () => setHighlightedIndex(null),
+    });
+
+    return { highlightedIndex, getItemProps };
+};
+
+export default useRovingFocus;
@@ -2,12 +2,41 @@ import React from 'react';
 import useAuth from '../hooks/useAuth';
 import useFetch from '../hooks/useFetch';
 import GoalCard from '../components/GoalCard';
+import RecordList from '../components/RecordList';
+import StatsSummary from '../components/StatsSummary';
+import LineChart from '../components/charts/LineChart';
+import StackedBarChart from '../components/charts/StackedBarChart';
+import CalendarHeatmap from '../components/charts/CalendarHeatmap';
+import { SERIES_COLORS, formatLocalDate } from '../components/charts/chartUtils';
+
+// Weeks shown in the weekly activity chart, the heatmap shows the whole year
+const ACTIVITY_CHART_WEEKS = 12;
+
+/**
+ * Describes a day of the activity heatmap.
+ *
+ * @param {object} day - The day, as returned by `GET /api/stats/activity`.
+ * @returns {string} The date and what was logged on it.
+ */
+const describeActivityDay = (day) => {
+    const date = formatLocalDate(day.date, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+    if (day.value === 0) {
+        return `${date}: no activity`;
+    }
+    const parts = [
+        [day.workouts, 'workout'],
+        [day.checkIns, 'check-in'],
+        [day.progressEntries, 'progress update'],
+    ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}${count === 1 ? '' : 's'}`);
+    return `${date}: ${parts.join(', ')}`;
+};
 
 /**
  * Dashboard Component
  *
- * This component serves as the main dashboard for authenticated users. It displays a personalized welcome message
- * and a list of their fitness goals.
+ * This component serves as the main dashboard for authenticated users. It displays a personalized welcome message,
+ * statistics of their goals, charts of their progress and activity, the personal records they set this week and a list
+ * of their fitness goals.
  *
  * @returns {JSX.Element|null} The Dashboard page layout with welcome message, goals, or null if the user is not authenticated.
  *
@@ -37,7 +66,34 @@ const Dashboard = () => {
     }
 
 
-  const { data: goals, isLoading, error } = useFetch('/api/goals');
+  const { data: goalPage, isLoading, error } = useFetch('/api/goals');
+  // The goal list endpoint is paginated, the goals of the first page are under `goals`
+  const goals = goalPage ? goalPage.goals : null;
+
+  // Records set since Monday, local time
+  const weekStart = new Date();
+  weekStart.setHours(0, 0, 0, 0);
+  weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+  const { data: recordPage } = useFetch(`/api/records?since=${encodeURIComponent(weekStart.toISOString())}`);
+  const weeklyRecords = recordPage ? recordPage.records : [];
+
+  // Statistics and chart data, bucketed in the browser's timezone
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  const { data: stats } = useFetch(`/api/stats?timezone=${encodeURIComponent(timeZone)}`);
+  const { data: progressHistory } = useFetch(`/api/stats/progress?timezone=${encodeURIComponent(timeZone)}`);
+  const { data: activity } = useFetch(`/api/stats/activity?timezone=${encodeURIComponent(timeZone)}`);
+
+  const workoutSeries = activity ? activity.workoutTypes.map((type, index) => ({
+      key: type,
+      label: type.charAt(0).toUpperCase() + type.slice(1),
+      color: SERIES_COLORS[index % SERIES_COLORS.length],
+  })) : [];
+  const weeklyBars = activity ? activity.weeks.slice(-ACTIVITY_CHART_WEEKS).map((week) => ({
+      key: week.start,
+      label: formatLocalDate(week.start),
+      values: Object.fromEntries(Object.entries(week.byType).map(([type, totals]) => [type, totals.workouts])),
+  })) : [];
+  const activityDays = activity ? activity.days.map((day) => ({ ...day, value: day.total })) : [];
 
   // Default styles for the dashboard container
     const defaultContainerStyle = {
@@ -52,6 +108,11 @@ const Dashboard = () => {
         maxWidth: '800px',
         marginTop: '20px'
     };
+    // One column on phones, as many 260px columns as fit on wider screens
+    const chartGridStyle = {
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(260px, 1fr))',
+    };
 
     let mergedContainerStyle = { ...defaultContainerStyle };
     let mergedGoalListStyle = { ...defaultGoalListStyle};
@@ -61,6 +122,40 @@ const Dashboard = () => {
     <div style={mergedContainerStyle}>
       <main role="main" aria-labelledby={dashboardId}>
            <h1 id={dashboardId} >Welcome, <span dangerouslySetInnerHTML={{ __html: sanitizedUsername }} /></h1>
+        {stats && (
+            <section style={mergedGoalListStyle} aria-label="Goal Statistics">
+                <h2>Your goals at a glance</h2>
+                <StatsSummary stats={stats} />
+            </section>
+        )}
+        {progressHistory && progressHistory.goals.length > 0 && (
+            <section style={mergedGoalListStyle} aria-label="Goal Progress Charts">
+                <h2>Progress over time</h2>
+                <div style={chartGridStyle}>
+                    {progressHistory.goals.map((goal) => (
+                        <LineChart key={goal.goalId} title={goal.title}
+                            from={progressHistory.from} to={progressHistory.to}
+                            points={goal.points.map((point) => ({ date: point.date, value: point.progress }))}
+                            markerDate={goal.targetDate || undefined}
+                            emptyMessage={`No progress logged lately, currently at ${Math.round(goal.progress)}%.`} />
+                    ))}
+                </div>
+            </section>
+        )}
+        {activity && (
+            <section style={mergedGoalListStyle} aria-label="Activity Charts">
+                <h2>Activity</h2>
+                <StackedBarChart title={`Workouts per week, last ${ACTIVITY_CHART_WEEKS} weeks`} unit="workouts"
+                    series={workoutSeries} bars={weeklyBars} emptyMessage="No workouts logged in these weeks." />
+                <CalendarHeatmap title="Logged activity this year" days={activityDays} describeDay={describeActivityDay} />
+            </section>
+        )}
+        {weeklyRecords.length > 0 && (
+            <section style={mergedGoalListStyle} aria-label="Personal Records This Week">
+                <h2>Personal records this week</h2>
+                <RecordList records={weeklyRecords} />
+            </section>
+        )}
         {isLoading ? (
           <p>Loading...</p>
         ) : error ? (
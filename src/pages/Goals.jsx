@@ -5,7 +5,7 @@ import GoalCard from '../components/GoalCard';
 import Modal from '../components/Modal';
 import Input from '../components/Input';
 import Button from '../components/Button';
-import { post } from '../services/api';
+import { post, delete as deleteRequest, download } from '../services/api';
 
 /**
  * Goals Component
@@ -26,6 +26,12 @@ const Goals = () => {
     const [description, setDescription] = useState('');
     const [targetDate, setTargetDate] = useState('');
     const [error, setError] = useState('');
+    // Goals moved to the trash during this visit, hidden from the list until they are restored
+    const [trashedGoalIds, setTrashedGoalIds] = useState([]);
+    const [lastTrashedGoalId, setLastTrashedGoalId] = useState(null);
+    const [trashError, setTrashError] = useState('');
+    const [exportError, setExportError] = useState('');
+    const [isExporting, setIsExporting] = useState(false);
     const goalsPageId = React.useId();
 
 
@@ -35,7 +41,9 @@ const Goals = () => {
         return null;
     }
 
-    const { data: goals, isLoading, error: fetchError } = useFetch('/api/goals');
+    const { data: goalPage, isLoading, error: fetchError } = useFetch('/api/goals');
+    // The goal list endpoint is paginated, the goals of the first page are under `goals`
+    const goals = goalPage ? goalPage.goals.filter((goal) => !trashedGoalIds.includes(goal.id)) : null;
 
 
     // Default styles for the Goals container
@@ -160,18 +168,74 @@ const Goals = () => {
       console.log('Edit goal with id:', goalId);
     };
 
-    // Handles delete action for the goal
-    const handleDelete = (goalId) => {
-      console.log('Delete goal with id:', goalId);
+    // Handles delete action for the goal, which moves the goal to the trash
+    const handleDelete = async (goalId) => {
+        setTrashError('');
+        try {
+            await deleteRequest(`/api/goals/${goalId}`);
+            setTrashedGoalIds((ids) => [...ids, goalId]);
+            setLastTrashedGoalId(goalId);
+        } catch (err) {
+            setTrashError(err.message || 'Failed to delete goal. Please try again.');
+            console.error('Error deleting goal:', err);
+        }
+    };
+
+    // Restores the most recently deleted goal from the trash
+    const handleUndoDelete = async () => {
+        setTrashError('');
+        try {
+            await post(`/api/goals/${lastTrashedGoalId}/restore`);
+            setTrashedGoalIds((ids) => ids.filter((id) => id !== lastTrashedGoalId));
+            setLastTrashedGoalId(null);
+        } catch (err) {
+            setTrashError(err.message || 'Failed to restore goal. Please try again.');
+            console.error('Error restoring goal:', err);
+        }
     };
 
 
 
+    // Downloads every goal with its progress history in the given format, 'csv' or 'json'
+    const handleExport = async (format) => {
+        setExportError('');
+        setIsExporting(true);
+        try {
+            const { blob, filename } = await download(`/api/export/goals?format=${format}`);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            setExportError(err.message || 'Failed to export goals. Please try again.');
+            console.error('Error exporting goals:', err);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+
     return (
         <div style={mergedContainerStyle}>
             <main role="main" aria-labelledby={goalsPageId}>
                   <h1 id={goalsPageId}>Your Goals</h1>
                  <Button text="Add New Goal" onClick={handleModalToggle} style={mergedButtonStyle}  aria-label="Open Add Goal Modal" />
+                {lastTrashedGoalId && (
+                    <p role="status">
+                        Goal moved to trash.{' '}
+                        <Button text="Undo" onClick={handleUndoDelete} aria-label="Restore Deleted Goal" />
+                    </p>
+                )}
+                {trashError && <p style={{ color: 'red' }}>{trashError}</p>}
+                <div role="group" aria-label="Export Goals">
+                    <Button text={isExporting ? 'Exporting...' : 'Download CSV'} onClick={() => !isExporting && handleExport('csv')} style={mergedButtonStyle} aria-label="Download Goals as CSV" />
+                    <Button text={isExporting ? 'Exporting...' : 'Download JSON'} onClick={() => !isExporting && handleExport('json')} style={mergedButtonStyle} aria-label="Download Goals as JSON" />
+                </div>
+                {exportError && <p style={{ color: 'red' }}>{exportError}</p>}
                 {isLoading ? (
                     <p>Loading...</p>
                 ) : fetchError ? (
@@ -97,5 +97,30 @@ const put = (url, data) => apiCall('put', url, data);
 
 const deleteRequest = (url) => apiCall('delete', url);
 
+// Downloads a file, resolving with its contents as a Blob and the filename suggested by the server
+const download = async (url) => {
+  try {
+    const response = await api.request({
+      method: 'get',
+      url: url,
+      responseType: 'blob',
+    });
+    const disposition = response.headers['content-disposition'] || '';
+    const filenameMatch = disposition.match(/filename="([^"]+)"/);
+    return { blob: response.data, filename: filenameMatch ? filenameMatch[1] : 'download' };
+  } catch (error) {
+    // if error is already formatted, return the error
+    if (error.message && error.code) {
+      return Promise.reject(error);
+    }
+
+    return Promise.reject({
+      message: error.message || 'A network error occurred.',
+      code: error.code,
+      statusText: error.statusText
+    });
+  }
+};
+
 
-export { get, post, put, deleteRequest as delete };
\ No newline at end of file
+export { get, post, put, deleteRequest as delete, download };
\ No newline at end of file
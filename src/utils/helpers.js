@@ -88,7 +88,9 @@ const formatDate = (date, formatStr = 'YYYY-MM-DD') => {
     }
 
   try {
-        return format(dateObj, formatStr);
+        // date-fns spells calendar years and days of the month in lowercase, 'YYYY' and 'DD' are week years and days of the year
+        const dateFnsFormat = formatStr.replace('YYYY', 'yyyy').replace('DD', 'dd');
+        return format(dateObj, dateFnsFormat);
   } catch(error){
       console.error('Error formatting date:', error);
       return '';
@@ -158,6 +160,52 @@ const sanitizeString = (str) => {
 
 
 
+/**
+ * Checks if a given value is a valid MongoDB ObjectId (a 24 character hexadecimal string).
+ *
+ * @param {string} id - The value to validate.
+ * @returns {boolean} True if the value is a valid ObjectId, false otherwise.
+ *
+ * @example
+ * isValidObjectId('666e4a5989977f4298765d3c') // returns true
+ * isValidObjectId('not-an-id') // returns false
+ * isValidObjectId(null) // returns false
+ */
+const isValidObjectId = (id) => {
+    // Return false for null or undefined input
+    if (id == null) {
+        return false;
+    }
+
+    // Accept ObjectId instances as well as their string representation
+    const value = typeof id === 'string' ? id : String(id);
+
+    return /^[0-9a-fA-F]{24}$/.test(value);
+};
+
+
+
+/**
+ * Escapes all characters that have a special meaning in regular expressions, so that
+ * user input can be safely embedded in a RegExp or a MongoDB `$regex` query.
+ *
+ * @param {string} str - The string to escape.
+ * @returns {string} The escaped string or an empty string for null, undefined, or non-string input.
+ *
+ * @example
+ * escapeRegExp('5k (road)') // returns '5k \\(road\\)'
+ * escapeRegExp(null) // returns ''
+ */
+const escapeRegExp = (str) => {
+    if (str == null || typeof str !== 'string') {
+        return '';
+    }
+
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+
+
 /**
  * Generates a cryptographically secure random string of specified length using crypto module.
  *
@@ -191,4 +239,4 @@ const generateRandomString = (length) => {
 };
 
 
-export { isValidEmail, formatDate, truncateString, sanitizeString, generateRandomString };
\ No newline at end of file
+export { isValidEmail, formatDate, truncateString, sanitizeString, isValidObjectId, escapeRegExp, generateRandomString };
\ No newline at end of file